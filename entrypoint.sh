@@ -1,17 +1,6 @@
 #!/bin/sh
 
-echo "Starting initial scrape..."
-echo "Running funding-rounds scraper..."
-npm run funding-rounds || echo "Funding rounds scraper failed"
-echo "Running project-details scraper..."
-npm run project-details || echo "Project details scraper failed"
-echo "Generating test data subsets..."
-npm run generate-test-data || echo "Test data generation failed"
-echo "Running Tier 1 VCs scraper..."
-npm run tier1 || echo "Tier 1 VCs scraper failed"
-echo "Running Tier 2 VCs scraper..."
-npm run tier2 || echo "Tier 2 VCs scraper failed"
-echo "Initial scrape complete."
-
-# Keep container running
-exec tail -f /dev/null
+# Run the scheduler daemon as PID 1, so it gets SIGTERM on `docker stop`.
+# On a fresh output volume every step counts as missed and runs at once (the initial scrape);
+# after that each step runs on its schedule (schedule.json, see src/scheduler.js).
+exec node src/scheduler.js
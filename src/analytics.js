@@ -0,0 +1,360 @@
+/**
+ * Investor Activity Analytics
+ *
+ * Reads the funding rounds outputs and produces a per-investor leaderboard for
+ * several trailing windows (default 7/30/90 days):
+ * 1. Loads rounds from funding-rounds-history.json (or funding-rounds.json)
+ * 2. Adds project categories and lead investors from funding-rounds-detailed.json
+ * 3. Computes round count, lead count, total/median round size, stage mix,
+ *    category mix and most frequent co-investors per investor and window
+ * 4. Writes analytics.json and analytics.md
+ *
+ * Uses the `dateISO` and `raiseAmountRaw` fields computed by the funding rounds scraper.
+ *
+ * Usage:
+ *   node src/analytics.js                        # 7, 30 and 90 day windows
+ *   node src/analytics.js --windows 14,60        # Custom windows (days)
+ *   node src/analytics.js --as-of 2026-06-30     # Windows ending on a given date
+ *   node src/analytics.js --top 50               # Rows per window in the Markdown summary
+ */
+
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { writeFileAtomic } from './atomic-write.js';
+import { outputPath } from './config.js';
+
+const ROUND_FILES = [outputPath('funding-rounds-history.json'), outputPath('funding-rounds.json')];
+const DETAILED_FILE = outputPath('funding-rounds-detailed.json');
+const OUTPUT_JSON = outputPath('analytics.json');
+const OUTPUT_MARKDOWN = outputPath('analytics.md');
+const DEFAULT_WINDOWS = [7, 30, 90];
+const DEFAULT_TOP = 20;
+const TOP_CO_INVESTORS = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse command line arguments
+ * @returns {object} - { windows, asOf, top }
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  let windows = DEFAULT_WINDOWS;
+  let asOf = new Date().toISOString().split('T')[0];
+  let top = DEFAULT_TOP;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--windows' && args[i + 1]) {
+      const parsed = args[i + 1].split(',').map(n => parseInt(n, 10)).filter(n => !isNaN(n) && n > 0);
+      if (parsed.length > 0) {
+        windows = [...new Set(parsed)].sort((a, b) => a - b);
+      }
+      i++; // Skip next arg
+    } else if (args[i] === '--as-of' && args[i + 1]) {
+      if (/^\d{4}-\d{2}-\d{2}$/.test(args[i + 1])) {
+        asOf = args[i + 1];
+      }
+      i++; // Skip next arg
+    } else if (args[i] === '--top' && args[i + 1]) {
+      const parsed = parseInt(args[i + 1], 10);
+      if (!isNaN(parsed) && parsed > 0) {
+        top = parsed;
+      }
+      i++; // Skip next arg
+    }
+  }
+
+  return { windows, asOf, top };
+}
+
+/**
+ * Read a JSON file if it exists
+ * @param {string} filepath - Path to the JSON file
+ * @returns {Promise<object|null>}
+ */
+async function readJsonIfExists(filepath) {
+  if (!existsSync(filepath)) {
+    return null;
+  }
+  return JSON.parse(await readFile(filepath, 'utf-8'));
+}
+
+/**
+ * Median of a list of numbers
+ * @param {number[]} values - Numbers
+ * @returns {number|null}
+ */
+function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+/**
+ * Format a USD amount for the Markdown report
+ * @param {number|null} amount - Amount in USD
+ * @returns {string} - e.g. "$1.2M"
+ */
+function formatUsd(amount) {
+  if (amount === null || amount === undefined) {
+    return '-';
+  }
+  if (amount >= 1e9) return `$${(amount / 1e9).toFixed(1)}B`;
+  if (amount >= 1e6) return `$${(amount / 1e6).toFixed(1)}M`;
+  if (amount >= 1e3) return `$${(amount / 1e3).toFixed(0)}K`;
+  return `$${amount}`;
+}
+
+/**
+ * Count occurrences and return them sorted by count
+ * @param {Map} counts - Map of value -> count
+ * @returns {object} - Plain object ordered by descending count
+ */
+function sortedCounts(counts) {
+  return Object.fromEntries(Array.from(counts.entries()).sort((a, b) => b[1] - a[1]));
+}
+
+/**
+ * Stable identifier for an investor
+ * @param {object} investor - Round investor ({ name, key })
+ * @returns {string|null}
+ */
+function investorId(investor) {
+  return investor.key || (investor.name ? investor.name.trim().toLowerCase() : null);
+}
+
+/**
+ * Load rounds and attach categories and lead investors from the detailed output
+ * @returns {Promise<object>} - { source, rounds }
+ */
+async function loadRounds() {
+  let source = null;
+  let rounds = [];
+  for (const file of ROUND_FILES) {
+    const json = await readJsonIfExists(file);
+    if (json?.data) {
+      source = file;
+      rounds = json.data;
+      break;
+    }
+  }
+
+  const detailed = await readJsonIfExists(DETAILED_FILE);
+  const detailsByProject = new Map();
+  for (const round of detailed?.data || []) {
+    if (round.projectKey && round.details) {
+      detailsByProject.set(round.projectKey, round.details);
+    }
+  }
+
+  const enriched = rounds.map(round => {
+    const details = round.details || detailsByProject.get(round.projectKey) || null;
+    const leadKeys = (details?.rounds || [])
+      .filter(detail => detail.stage === round.stage)
+      .flatMap(detail => (detail.leadInvestors || []).map(lead => lead.key))
+      .filter(Boolean);
+    return {
+      ...round,
+      categories: details?.categories || [],
+      leadKeys: new Set(leadKeys)
+    };
+  });
+
+  return { source, rounds: enriched };
+}
+
+/**
+ * Compute the investor leaderboard for one window
+ * @param {Array} rounds - Rounds with categories and leadKeys
+ * @param {string} from - First ISO date in the window (inclusive)
+ * @param {string} to - Last ISO date in the window (inclusive)
+ * @returns {object} - { from, to, totalRounds, investors: [...] }
+ */
+function computeWindow(rounds, from, to) {
+  const inWindow = rounds.filter(round => round.dateISO && round.dateISO >= from && round.dateISO <= to);
+  const stats = new Map();
+
+  for (const round of inWindow) {
+    const investors = new Map();
+    for (const investor of round.investors || []) {
+      const id = investorId(investor);
+      if (id && !investors.has(id)) {
+        investors.set(id, investor);
+      }
+    }
+
+    for (const [id, investor] of investors) {
+      if (!stats.has(id)) {
+        stats.set(id, {
+          key: investor.key || null,
+          name: investor.name || investor.key,
+          tier: investor.tier ?? null,
+          type: investor.type ?? null,
+          rounds: 0,
+          leads: 0,
+          amounts: [],
+          stages: new Map(),
+          categories: new Map(),
+          coInvestors: new Map()
+        });
+      }
+
+      const entry = stats.get(id);
+      entry.rounds++;
+      if (investor.key && round.leadKeys.has(investor.key)) {
+        entry.leads++;
+      }
+      if (typeof round.raiseAmountRaw === 'number') {
+        entry.amounts.push(round.raiseAmountRaw);
+      }
+      const stage = round.stage || 'Unknown';
+      entry.stages.set(stage, (entry.stages.get(stage) || 0) + 1);
+      for (const category of round.categories) {
+        entry.categories.set(category, (entry.categories.get(category) || 0) + 1);
+      }
+      for (const [otherId, other] of investors) {
+        if (otherId === id) continue;
+        const co = entry.coInvestors.get(otherId) || { key: other.key || null, name: other.name || other.key, count: 0 };
+        co.count++;
+        entry.coInvestors.set(otherId, co);
+      }
+    }
+  }
+
+  const investors = Array.from(stats.values())
+    .map(entry => ({
+      key: entry.key,
+      name: entry.name,
+      tier: entry.tier,
+      type: entry.type,
+      rounds: entry.rounds,
+      leads: entry.leads,
+      totalRaised: entry.amounts.reduce((sum, amount) => sum + amount, 0),
+      medianRoundSize: median(entry.amounts),
+      stageMix: sortedCounts(entry.stages),
+      categoryMix: sortedCounts(entry.categories),
+      topCoInvestors: Array.from(entry.coInvestors.values())
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+        .slice(0, TOP_CO_INVESTORS)
+    }))
+    .sort((a, b) => b.rounds - a.rounds || b.totalRaised - a.totalRaised || a.name.localeCompare(b.name));
+
+  return { from, to, totalRounds: inWindow.length, totalInvestors: investors.length, investors };
+}
+
+/**
+ * Render the Markdown summary
+ * @param {object} report - Analytics report
+ * @param {number} top - Rows per window
+ * @returns {string}
+ */
+function renderMarkdown(report, top) {
+  const lines = [
+    '# Investor Activity',
+    '',
+    `Generated ${report.metadata.generatedAt} from \`${report.metadata.source}\` (as of ${report.metadata.asOf}).`,
+    ''
+  ];
+
+  for (const [days, window] of Object.entries(report.windows)) {
+    lines.push(`## Last ${days} days (${window.from} - ${window.to})`);
+    lines.push('');
+    lines.push(`${window.totalRounds} rounds, ${window.totalInvestors} investors.`);
+    lines.push('');
+
+    if (window.investors.length === 0) {
+      lines.push('_No rounds in this window._');
+      lines.push('');
+      continue;
+    }
+
+    lines.push('| # | Investor | Tier | Rounds | Leads | Total raised | Median round | Top stage | Top category | Top co-investors |');
+    lines.push('|---|---|---|---|---|---|---|---|---|---|');
+    window.investors.slice(0, top).forEach((investor, i) => {
+      const cells = [
+        i + 1,
+        investor.name,
+        investor.tier ?? '-',
+        investor.rounds,
+        investor.leads,
+        formatUsd(investor.totalRaised),
+        formatUsd(investor.medianRoundSize),
+        Object.keys(investor.stageMix)[0] || '-',
+        Object.keys(investor.categoryMix)[0] || '-',
+        investor.topCoInvestors.slice(0, 3).map(co => `${co.name} (${co.count})`).join(', ') || '-'
+      ];
+      lines.push(`| ${cells.map(cell => String(cell).replace(/\|/g, '\\|')).join(' | ')} |`);
+    });
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Main execution function
+ */
+async function main() {
+  const { windows, asOf, top } = parseArgs();
+
+  console.log('');
+  console.log('============================================');
+  console.log('  CryptoRank Investor Analytics');
+  console.log('============================================');
+  console.log(`  Windows: ${windows.join(', ')} days (as of ${asOf})`);
+  console.log('');
+
+  // Step 1: Load rounds
+  console.log('[1] Loading funding rounds...');
+  const { source, rounds } = await loadRounds();
+  if (!source) {
+    console.error(`    ERROR: None of ${ROUND_FILES.join(', ')} found. Run 'npm run funding-rounds' first.`);
+    process.exit(1);
+  }
+  console.log(`    Loaded ${rounds.length} rounds from ${source}`);
+  console.log(`    Rounds with categories: ${rounds.filter(r => r.categories.length > 0).length}`);
+  console.log('');
+
+  // Step 2: Compute windows
+  console.log('[2] Computing investor statistics...');
+  const asOfTime = new Date(`${asOf}T00:00:00Z`).getTime();
+  const report = {
+    metadata: {
+      generatedAt: new Date().toISOString(),
+      source,
+      asOf,
+      windows,
+      totalRounds: rounds.length
+    },
+    windows: {}
+  };
+
+  for (const days of windows) {
+    const from = new Date(asOfTime - (days - 1) * DAY_MS).toISOString().split('T')[0];
+    const window = computeWindow(rounds, from, asOf);
+    report.windows[days] = window;
+    console.log(`    ${days} days: ${window.totalRounds} rounds, ${window.totalInvestors} investors`);
+  }
+  console.log('');
+
+  // Step 3: Save
+  console.log('[3] Saving report...');
+  await writeFileAtomic(OUTPUT_JSON, JSON.stringify(report, null, 2));
+  await writeFileAtomic(OUTPUT_MARKDOWN, renderMarkdown(report, top));
+  console.log(`    Output saved to: ${OUTPUT_JSON}`);
+  console.log(`    Summary saved to: ${OUTPUT_MARKDOWN}`);
+
+  console.log('');
+  console.log('============================================');
+  console.log('  Done!');
+  console.log('============================================');
+  console.log('');
+}
+
+// Run the main function
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
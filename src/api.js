@@ -3,18 +3,17 @@
  * Fetches fund data from CryptoRank API
  */
 
-const API_URL = 'https://api.cryptorank.io/v2/funds/map';
-const API_KEY = process.env.API_KEY || '';
+import { fundsMapUrl } from './endpoints.js';
+import { getConfig } from './config.js';
+
+const API_KEY = getConfig().api.key;
 
 /**
- * Fetches all funds from CryptoRank API and filters by tiers
- * @param {number[]} tiers - Array of tiers to filter by (e.g., [1] or [1, 2])
+ * Fetches the full funds map (every fund with its id, key, name, tier and type)
  * @returns {Promise<Array>} Array of fund objects
  */
-export async function fetchFundsByTiers(tiers) {
-  console.log(`    Fetching funds from CryptoRank API...`);
-  
-  const response = await fetch(API_URL, {
+export async function fetchAllFunds() {
+  const response = await fetch(fundsMapUrl(), {
     method: 'GET',
     headers: {
       'X-Api-Key': API_KEY
@@ -31,7 +30,19 @@ export async function fetchFundsByTiers(tiers) {
     throw new Error('Invalid API response format');
   }
 
-  const filtered = json.data.filter(fund => tiers.includes(fund.tier));
+  return json.data;
+}
+
+/**
+ * Fetches all funds from CryptoRank API and filters by tiers
+ * @param {number[]} tiers - Array of tiers to filter by (e.g., [1] or [1, 2])
+ * @returns {Promise<Array>} Array of fund objects
+ */
+export async function fetchFundsByTiers(tiers) {
+  console.log(`    Fetching funds from CryptoRank API...`);
+  
+  const funds = await fetchAllFunds();
+  const filtered = funds.filter(fund => tiers.includes(fund.tier));
   
   // Log count per tier
   for (const tier of tiers) {
@@ -0,0 +1,47 @@
+/**
+ * Atomic File Writes
+ * Writes go to a temporary file in the target directory and are renamed over the
+ * target once complete, so readers (nginx, other commands) see either the old or the
+ * new file, never a half-written one.
+ */
+
+import { open, rename, rm } from 'fs/promises';
+import { randomBytes } from 'crypto';
+import path from 'path';
+
+/**
+ * Temporary file next to the target (same directory, so rename stays atomic)
+ * @param {string} file - Target path
+ * @returns {string}
+ */
+function tempPathFor(file) {
+  const suffix = `${process.pid}.${randomBytes(4).toString('hex')}`;
+  return path.join(path.dirname(file), `.${path.basename(file)}.${suffix}.tmp`);
+}
+
+/**
+ * Write a file atomically (temp file + fsync + rename)
+ * @param {string} file - Target path (its directory must exist)
+ * @param {string|Buffer} data - File contents
+ * @param {string} encoding - Encoding for string data
+ */
+export async function writeFileAtomic(file, data, encoding = 'utf-8') {
+  const tempFile = tempPathFor(file);
+  let handle = null;
+  try {
+    handle = await open(tempFile, 'w');
+    await handle.writeFile(data, typeof data === 'string' ? encoding : undefined);
+    await handle.sync();
+    await handle.close();
+    handle = null;
+    await rename(tempFile, file);
+  } catch (error) {
+    if (handle) {
+      await handle.close().catch(() => {
+        // Ignore close errors, the write error is reported
+      });
+    }
+    await rm(tempFile, { force: true });
+    throw error;
+  }
+}
@@ -0,0 +1,152 @@
+/**
+ * Browser Provider
+ * Either connects to a remote browserless endpoint or launches a local Chromium/Chrome
+ */
+
+import puppeteer from 'puppeteer-core';
+import { mkdtemp, rm } from 'fs/promises';
+import { existsSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { getConfig } from './config.js';
+
+// Common install locations checked when no executable path is configured
+const CHROME_CANDIDATES = [
+  '/usr/bin/chromium',
+  '/usr/bin/chromium-browser',
+  '/usr/bin/google-chrome',
+  '/usr/bin/google-chrome-stable',
+  '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+  '/Applications/Chromium.app/Contents/MacOS/Chromium',
+  'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe'
+];
+
+// Flags for running headless in containers and CI
+const LAUNCH_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-gpu',
+  '--no-first-run',
+  '--no-default-browser-check'
+];
+
+/**
+ * Find a local Chromium/Chrome binary
+ * @returns {string|null} - Path to the executable or null if none was found
+ */
+function findChromeExecutable() {
+  for (const candidate of CHROME_CANDIDATES) {
+    if (existsSync(candidate)) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve browser options from the config, with explicit overrides on top
+ *
+ * Settings (see config.js; environment variables in brackets):
+ *   browser.provider       - 'browserless' (default) or 'local' (BROWSER_PROVIDER)
+ *   browser.browserlessUrl - WebSocket endpoint for the browserless provider (BROWSERLESS_URL)
+ *   browser.chromePath     - Chromium/Chrome executable for the local provider (CHROME_PATH)
+ *   browser.headless       - Set to false to show the local browser window (HEADLESS)
+ *
+ * @param {object} overrides - Options taking precedence over the environment
+ * @returns {object} - { provider, wsEndpoint, executablePath, headless }
+ */
+export function resolveBrowserOptions(overrides = {}) {
+  const { browser } = getConfig();
+  const provider = overrides.provider || browser.provider;
+
+  if (provider !== 'browserless' && provider !== 'local') {
+    throw new Error(`Unknown browser provider: ${provider} (expected 'browserless' or 'local')`);
+  }
+
+  return {
+    provider,
+    wsEndpoint: overrides.wsEndpoint || browser.browserlessUrl,
+    executablePath: overrides.executablePath || browser.chromePath,
+    headless: overrides.headless ?? browser.headless
+  };
+}
+
+/**
+ * Human-readable description of where the browser comes from
+ * @param {object} options - Resolved browser options
+ * @returns {string}
+ */
+export function describeBrowser(options) {
+  return options.provider === 'local' ? 'local Chromium' : 'browserless';
+}
+
+/**
+ * Open a browser according to the resolved options
+ * Launched browsers get a temporary user-data dir that is removed once they disconnect.
+ * @param {object} options - Resolved browser options (see resolveBrowserOptions)
+ * @returns {Promise<object>} - Puppeteer browser instance
+ */
+export async function openBrowser(options) {
+  if (options.provider !== 'local') {
+    return puppeteer.connect({
+      browserWSEndpoint: options.wsEndpoint
+    });
+  }
+
+  const executablePath = options.executablePath || findChromeExecutable();
+  if (!executablePath) {
+    throw new Error('No Chromium/Chrome executable found. Set CHROME_PATH or pass --chrome-path.');
+  }
+
+  const userDataDir = await mkdtemp(path.join(os.tmpdir(), 'cryptorank-scraper-'));
+
+  let browser;
+  try {
+    browser = await puppeteer.launch({
+      executablePath,
+      headless: options.headless,
+      userDataDir,
+      args: LAUNCH_ARGS
+    });
+  } catch (error) {
+    await rm(userDataDir, { recursive: true, force: true });
+    throw error;
+  }
+
+  browser.once('disconnected', () => {
+    rm(userDataDir, { recursive: true, force: true }).catch(() => {
+      // Ignore errors removing the temp profile
+    });
+  });
+
+  return browser;
+}
+
+/**
+ * Parse browser-provider command line flags shared by all entry points
+ *
+ *   --local               Launch a local Chromium instead of connecting to browserless
+ *   --chrome-path <path>  Chromium/Chrome executable for --local
+ *   --headful             Show the local browser window
+ *
+ * @param {string[]} args - Command line arguments
+ * @returns {object} - Overrides for resolveBrowserOptions
+ */
+export function parseBrowserArgs(args) {
+  const overrides = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--local') {
+      overrides.provider = 'local';
+    } else if (args[i] === '--chrome-path' && args[i + 1]) {
+      overrides.provider = 'local';
+      overrides.executablePath = args[i + 1];
+      i++; // Skip next arg
+    } else if (args[i] === '--headful') {
+      overrides.headless = false;
+    }
+  }
+
+  return overrides;
+}
@@ -0,0 +1,319 @@
+/**
+ * Category Trend Report
+ *
+ * Aggregates funding rounds by project category and month:
+ * 1. Loads rounds from funding-rounds-history.json (or funding-rounds.json)
+ * 2. Takes each project's categories and valuation from funding-rounds-detailed.json
+ * 3. Computes round count, total raised, median valuation and top investors
+ *    per category and month
+ * 4. Writes category-trends.json (time series per category) and category-trends.csv
+ *
+ * A round counts towards every category of its project. Rounds without a known
+ * category are grouped under "Uncategorized".
+ *
+ * Usage:
+ *   node src/category-trends.js
+ *   node src/category-trends.js --months 12   # Only the last 12 months
+ */
+
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { writeFileAtomic } from './atomic-write.js';
+import { outputPath } from './config.js';
+
+const ROUND_FILES = [outputPath('funding-rounds-history.json'), outputPath('funding-rounds.json')];
+const DETAILED_FILE = outputPath('funding-rounds-detailed.json');
+const OUTPUT_JSON = outputPath('category-trends.json');
+const OUTPUT_CSV = outputPath('category-trends.csv');
+const UNCATEGORIZED = 'Uncategorized';
+const TOP_INVESTORS = 5;
+
+/**
+ * Parse command line arguments
+ * @returns {object} - { months }
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  let months = null;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--months' && args[i + 1]) {
+      const parsed = parseInt(args[i + 1], 10);
+      if (!isNaN(parsed) && parsed > 0) {
+        months = parsed;
+      }
+      i++; // Skip next arg
+    }
+  }
+
+  return { months };
+}
+
+/**
+ * Read a JSON file if it exists
+ * @param {string} filepath - Path to the JSON file
+ * @returns {Promise<object|null>}
+ */
+async function readJsonIfExists(filepath) {
+  if (!existsSync(filepath)) {
+    return null;
+  }
+  return JSON.parse(await readFile(filepath, 'utf-8'));
+}
+
+/**
+ * Median of a list of numbers
+ * @param {number[]} values - Numbers
+ * @returns {number|null}
+ */
+function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+/**
+ * Quote a value for CSV
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Valuation of a round: the matching row of the project's rounds table, else the project's valuation
+ * @param {object} round - Funding round
+ * @param {object|null} details - Project details
+ * @returns {number|null}
+ */
+function roundValuation(round, details) {
+  const match = (details?.rounds || []).find(detail =>
+    detail.stage === round.stage && (!round.dateISO || !detail.dateISO || detail.dateISO === round.dateISO)
+  );
+  return match?.valuationRaw ?? details?.valuationRaw ?? null;
+}
+
+/**
+ * Group rounds by category and month
+ * @param {Array} rounds - Funding rounds
+ * @param {Map} detailsByProject - Project details by project key
+ * @param {string|null} fromMonth - First month to include (YYYY-MM) or null for all
+ * @returns {Map} - Map of category -> Map of month -> accumulator
+ */
+function aggregate(rounds, detailsByProject, fromMonth) {
+  const categories = new Map();
+
+  for (const round of rounds) {
+    if (!round.dateISO) continue;
+    const month = round.dateISO.slice(0, 7);
+    if (fromMonth && month < fromMonth) continue;
+
+    const details = round.details || detailsByProject.get(round.projectKey) || null;
+    const roundCategories = details?.categories?.length ? details.categories : [UNCATEGORIZED];
+    const valuation = roundValuation(round, details);
+
+    for (const category of new Set(roundCategories)) {
+      if (!categories.has(category)) {
+        categories.set(category, new Map());
+      }
+      const months = categories.get(category);
+      if (!months.has(month)) {
+        months.set(month, { rounds: 0, totalRaised: 0, valuations: [], investors: new Map() });
+      }
+
+      const entry = months.get(month);
+      entry.rounds++;
+      entry.totalRaised += round.raiseAmountRaw || 0;
+      if (typeof valuation === 'number') {
+        entry.valuations.push(valuation);
+      }
+      for (const investor of round.investors || []) {
+        const id = investor.key || investor.name;
+        if (!id) continue;
+        const current = entry.investors.get(id) || { key: investor.key || null, name: investor.name || investor.key, rounds: 0 };
+        current.rounds++;
+        entry.investors.set(id, current);
+      }
+    }
+  }
+
+  return categories;
+}
+
+/**
+ * Turn accumulated investor counts into a ranked list
+ * @param {Map} investors - Map of investor id -> { key, name, rounds }
+ * @returns {Array}
+ */
+function topInvestors(investors) {
+  return Array.from(investors.values())
+    .sort((a, b) => b.rounds - a.rounds || a.name.localeCompare(b.name))
+    .slice(0, TOP_INVESTORS);
+}
+
+/**
+ * Build the time-series report from the aggregation
+ * @param {Map} categories - Result of aggregate()
+ * @returns {Array} - Categories with totals and a sorted list of months
+ */
+function buildSeries(categories) {
+  const series = [];
+
+  for (const [category, months] of categories) {
+    const allInvestors = new Map();
+    const allValuations = [];
+    let rounds = 0;
+    let totalRaised = 0;
+
+    const points = Array.from(months.entries())
+      .sort((a, b) => a[0].localeCompare(b[0]))
+      .map(([month, entry]) => {
+        rounds += entry.rounds;
+        totalRaised += entry.totalRaised;
+        allValuations.push(...entry.valuations);
+        for (const [id, investor] of entry.investors) {
+          const current = allInvestors.get(id) || { ...investor, rounds: 0 };
+          current.rounds += investor.rounds;
+          allInvestors.set(id, current);
+        }
+        return {
+          month,
+          rounds: entry.rounds,
+          totalRaised: entry.totalRaised,
+          medianValuation: median(entry.valuations),
+          topInvestors: topInvestors(entry.investors)
+        };
+      });
+
+    series.push({
+      category,
+      rounds,
+      totalRaised,
+      medianValuation: median(allValuations),
+      topInvestors: topInvestors(allInvestors),
+      months: points
+    });
+  }
+
+  return series.sort((a, b) => b.rounds - a.rounds || a.category.localeCompare(b.category));
+}
+
+/**
+ * Render the report as CSV (one row per category and month)
+ * @param {Array} series - Result of buildSeries()
+ * @returns {string}
+ */
+function toCsv(series) {
+  const header = ['month', 'category', 'rounds', 'total_raised', 'median_valuation', 'top_investors'];
+  const rows = [];
+  for (const entry of series) {
+    for (const point of entry.months) {
+      rows.push([
+        point.month,
+        entry.category,
+        point.rounds,
+        point.totalRaised,
+        point.medianValuation,
+        point.topInvestors.map(investor => investor.name).join('; ')
+      ]);
+    }
+  }
+  // Chronological, then by category, so dashboards can read it as a time series
+  rows.sort((a, b) => a[0].localeCompare(b[0]) || a[1].localeCompare(b[1]));
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Main execution function
+ */
+async function main() {
+  const { months } = parseArgs();
+
+  console.log('');
+  console.log('============================================');
+  console.log('  CryptoRank Category Trends');
+  console.log('============================================');
+  console.log('');
+
+  // Step 1: Load rounds and project details
+  console.log('[1] Loading funding rounds and project details...');
+  let source = null;
+  let rounds = [];
+  for (const file of ROUND_FILES) {
+    const json = await readJsonIfExists(file);
+    if (json?.data) {
+      source = file;
+      rounds = json.data;
+      break;
+    }
+  }
+  if (!source) {
+    console.error(`    ERROR: None of ${ROUND_FILES.join(', ')} found. Run 'npm run funding-rounds' first.`);
+    process.exit(1);
+  }
+
+  const detailed = await readJsonIfExists(DETAILED_FILE);
+  const detailsByProject = new Map();
+  for (const round of detailed?.data || []) {
+    if (round.projectKey && round.details) {
+      detailsByProject.set(round.projectKey, round.details);
+    }
+  }
+  console.log(`    Loaded ${rounds.length} rounds from ${source}`);
+  console.log(`    Loaded details for ${detailsByProject.size} projects`);
+  console.log('');
+
+  // Step 2: Aggregate
+  console.log('[2] Aggregating by category and month...');
+  let fromMonth = null;
+  if (months) {
+    const start = new Date();
+    start.setUTCDate(1);
+    start.setUTCMonth(start.getUTCMonth() - (months - 1));
+    fromMonth = start.toISOString().slice(0, 7);
+    console.log(`    From ${fromMonth}`);
+  }
+  const series = buildSeries(aggregate(rounds, detailsByProject, fromMonth));
+  console.log(`    ${series.length} categories`);
+  for (const entry of series.slice(0, 5)) {
+    console.log(`    - ${entry.category}: ${entry.rounds} rounds over ${entry.months.length} months`);
+  }
+  console.log('');
+
+  // Step 3: Save
+  console.log('[3] Saving report...');
+  const output = {
+    metadata: {
+      generatedAt: new Date().toISOString(),
+      source,
+      totalRounds: rounds.length,
+      fromMonth,
+      totalCategories: series.length
+    },
+    data: series
+  };
+  await writeFileAtomic(OUTPUT_JSON, JSON.stringify(output, null, 2));
+  await writeFileAtomic(OUTPUT_CSV, toCsv(series));
+  console.log(`    Output saved to: ${OUTPUT_JSON}`);
+  console.log(`    CSV saved to: ${OUTPUT_CSV}`);
+
+  console.log('');
+  console.log('============================================');
+  console.log('  Done!');
+  console.log('============================================');
+  console.log('');
+}
+
+// Run the main function
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,543 @@
+#!/usr/bin/env node
+/**
+ * Scrapper CLI
+ *
+ * One entry point for every command. It resolves and validates the configuration
+ * (see config.js), checks the command's options, then runs the command's script with
+ * the configuration passed on in SCRAPER_CONFIG / SCRAPER_CONFIG_OVERRIDES.
+ * Options bound to a setting (e.g. rounds --limit -> rounds.limit) are validated like
+ * any other setting and take precedence over the config file and the environment.
+ *
+ * Usage:
+ *   scrapper --help                                       # Commands and global options
+ *   scrapper rounds --help                                # Options of a command
+ *   scrapper rounds --incremental
+ *   scrapper --config ./prod.config.json funds --tier2
+ *   scrapper --set scraper.maxRetries=5 projects -c 4
+ *   scrapper config print                                 # Resolved settings and their sources
+ *   scrapper config print --json
+ *
+ * Global options go before the command (notify and scheduler have a --config of their own).
+ */
+
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import path from 'path';
+import { resolveConfig, DEFAULT_CONFIG_FILE, CONFIG_FILE_ENV, CONFIG_OVERRIDES_ENV } from './config.js';
+
+const SRC_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+// Options shared by the browser-based scrapers (see browser-provider.js)
+const BROWSER_OPTIONS = [
+  ['--local', 'Launch a local Chromium instead of connecting to browserless'],
+  ['--chrome-path <path>', 'Chromium/Chrome executable for --local', 'browser.chromePath'],
+  ['--headful', 'Show the local browser window']
+];
+
+const DB_OPTION = ['--db [path]', 'Also write to the SQLite store (default path: store.db or output/scraper.db)'];
+
+// Commands: script in src/, summary, options as [flags, description, setting]
+const COMMANDS = [
+  {
+    name: 'funds',
+    script: 'index.js',
+    summary: 'Scrape Tier 1 (or Tier 1+2) funds with their socials and profiles',
+    options: [
+      ['-t2, --tier2', 'Scrape Tier 1 + Tier 2'],
+      ['-s, --screenshots', 'Save debug screenshots'],
+      ['-c, --concurrency <n>', 'Fund pages scraped in parallel', 'funds.concurrency'],
+      ['--rpm <n>', 'Page requests per minute'],
+      ['--archive-html', 'Save rendered HTML for offline re-parsing'],
+      ['--portfolios', "Also scrape every fund's investments"],
+      DB_OPTION,
+      ['--no-export', 'Skip the CSV/NDJSON/XLSX exports'],
+      ...BROWSER_OPTIONS
+    ]
+  },
+  {
+    name: 'rounds',
+    script: 'funding-rounds.js',
+    summary: 'Scrape the latest funding rounds',
+    options: [
+      ['-l, --limit <n>', 'Rounds to scrape', 'rounds.limit'],
+      ['-i, --incremental', 'Stop at already-known rounds and grow the history file'],
+      ['--no-resolve-investors', 'Keep "+N" investor lists truncated'],
+      ['--archive-html', 'Save rendered HTML for offline re-parsing'],
+      DB_OPTION,
+      ['--no-notify', 'Skip webhook notifications'],
+      ['--no-export', 'Skip the CSV/NDJSON/XLSX exports'],
+      ...BROWSER_OPTIONS
+    ]
+  },
+  {
+    name: 'projects',
+    script: 'project-details.js',
+    summary: 'Scrape the project details of the funding rounds',
+    options: [
+      ['-l, --limit <n>', 'Only the first n projects'],
+      ['-c, --concurrency <n>', 'Project pages scraped in parallel', 'projects.concurrency'],
+      ['--rpm <n>', 'Page requests per minute'],
+      ['--archive-html', 'Save rendered HTML for offline re-parsing'],
+      DB_OPTION,
+      ['--no-export', 'Skip the CSV/NDJSON/XLSX exports'],
+      ...BROWSER_OPTIONS
+    ]
+  },
+  {
+    name: 'test-data',
+    script: 'generate-test-data.js',
+    summary: 'Write small subsets of funding-rounds-detailed.json for testing',
+    options: []
+  },
+  {
+    name: 'enrich-investors',
+    script: 'enrich-investors.js',
+    summary: 'Attach fund id/tier/type to the investors of existing round files',
+    options: []
+  },
+  {
+    name: 'reparse',
+    script: 'reparse.js',
+    summary: 'Re-parse archived HTML without a browser',
+    options: [
+      ['--funds', 'Only fund pages'],
+      ['--rounds', 'Only funding rounds pages'],
+      ['--projects', 'Only project pages']
+    ]
+  },
+  {
+    name: 'tge-calendar',
+    script: 'tge-calendar.js',
+    summary: 'Export upcoming TGEs as an iCalendar file',
+    options: []
+  },
+  {
+    name: 'analytics',
+    script: 'analytics.js',
+    summary: 'Build the investor analytics report',
+    options: [
+      ['--windows <days>', 'Comma-separated windows in days (default: 7,30,90)'],
+      ['--as-of <date>', 'Windows ending on this date'],
+      ['--top <n>', 'Rows per window in the Markdown summary']
+    ]
+  },
+  {
+    name: 'category-trends',
+    script: 'category-trends.js',
+    summary: 'Build the category trends report',
+    options: [
+      ['--months <n>', 'Only the last n months']
+    ]
+  },
+  {
+    name: 'network',
+    script: 'network-export.js',
+    summary: 'Export the co-investment network',
+    options: [
+      ['--min-weight <n>', 'Only edges with n or more shared rounds']
+    ]
+  },
+  {
+    name: 'export',
+    script: 'export.js',
+    summary: 'Write CSV/NDJSON/XLSX exports of the outputs',
+    options: [
+      ['-d, --dataset <file>', 'Only this dataset (e.g. funding-rounds.json)'],
+      ['--formats <list>', 'Comma-separated formats (csv, ndjson, xlsx)']
+    ]
+  },
+  {
+    name: 'validate',
+    script: 'validate.js',
+    summary: 'Check the outputs against their JSON Schemas',
+    options: [
+      ['-f, --file <file>', 'Only this output file']
+    ]
+  },
+  {
+    name: 'notify',
+    script: 'notify.js',
+    summary: 'Post funding rounds matching the notification rules to webhooks',
+    options: [
+      ['--dry-run', 'Print what would be sent'],
+      ['--config <file>', 'Notification rules', 'notifications.file']
+    ]
+  },
+  {
+    name: 'snapshot',
+    script: 'snapshot.js',
+    summary: 'Archive the outputs as a dated snapshot and prune old ones',
+    options: [
+      ['--keep-days <n>', 'Keep every snapshot of the last n days'],
+      ['--keep-daily-days <n>', 'Keep one snapshot per day for n days'],
+      ['--keep-min <n>', 'Always keep the newest n snapshots'],
+      ['--prune-only', 'Only apply the retention policy'],
+      ['--list', 'List snapshots']
+    ]
+  },
+  {
+    name: 'diff',
+    script: 'diff.js',
+    summary: 'Compare two snapshots',
+    options: [
+      ['--from <snapshot>', 'Older side (date, snapshot name, previous, latest)'],
+      ['--to <snapshot>', 'Newer side (snapshot name, latest, current)'],
+      ['-o, --output <file>', 'Report file']
+    ]
+  },
+  {
+    name: 'db',
+    script: 'db.js',
+    summary: 'Import, export or inspect the SQLite store',
+    args: '<import|export|stats>',
+    argValues: ['import', 'export', 'stats'],
+    options: [
+      DB_OPTION
+    ]
+  },
+  {
+    name: 'pipeline',
+    script: 'pipeline.js',
+    summary: 'Run the scrapers and reports in dependency order',
+    options: [
+      ['--only <steps>', 'Comma-separated steps to run'],
+      ['--from <step>', 'Run this step and every later one'],
+      ['--list', 'Print the steps and their dependencies']
+    ]
+  },
+  {
+    name: 'scheduler',
+    script: 'scheduler.js',
+    summary: 'Run pipeline steps on their cron schedules (daemon)',
+    options: [
+      ['--next', 'Print the schedule and the next run times'],
+      ['--no-catch-up', 'Skip runs missed while stopped'],
+      ['--config <file>', 'Schedule file', 'schedule.file']
+    ]
+  },
+  {
+    name: 'locked',
+    script: 'locked.js',
+    summary: 'Run any command while holding the run lock',
+    args: '<command> [args...]',
+    rest: true,
+    options: [
+      ['--name <name>', 'Name shown to runs that find the lock taken']
+    ]
+  },
+  {
+    name: 'mock-server',
+    script: 'mock-server.js',
+    summary: 'Serve a mock CryptoRank site and API',
+    options: [
+      ['-p, --port <port>', 'Port (default: 4100)'],
+      ['--fail <path=mode:count>', 'Make requests to a path fail; repeatable']
+    ]
+  },
+  {
+    name: 'webhook-receiver',
+    script: 'webhook-receiver.js',
+    summary: 'Receive and print webhook deliveries',
+    options: [
+      ['-p, --port <port>', 'Port (default: 4200)'],
+      ['--secret <secret>', 'Reject requests with a bad signature'],
+      ['--fail <status:count>', 'First requests return this status']
+    ]
+  }
+];
+
+/**
+ * Parse an option definition
+ * @param {Array} definition - [flags, description, setting]
+ * @returns {object} - { flags, names, value ('required'|'optional'|null), description, setting }
+ */
+function parseOption([flags, description, setting]) {
+  const [names, value] = flags.split(' ').reduce(([list, arg], part) =>
+    part.startsWith('-') ? [[...list, part.replace(/,$/, '')], arg] : [list, part], [[], null]);
+  return {
+    flags,
+    names,
+    value: value ? (value.startsWith('<') ? 'required' : 'optional') : null,
+    description,
+    setting: setting || null
+  };
+}
+
+/**
+ * Find a command
+ * @param {string} name - Command name
+ * @returns {object|null}
+ */
+function findCommand(name) {
+  const command = COMMANDS.find(candidate => candidate.name === name);
+  return command ? { ...command, options: command.options.map(parseOption) } : null;
+}
+
+/**
+ * Print the general help
+ */
+function printHelp() {
+  console.log('Usage: scrapper [--config <file>] [--set <key=value>]... <command> [options]');
+  console.log('');
+  console.log('Commands:');
+  for (const command of COMMANDS) {
+    console.log(`  ${command.name.padEnd(20)} ${command.summary}`);
+  }
+  console.log(`  ${'config print'.padEnd(20)} Print the resolved settings and where they come from (--json for JSON)`);
+  console.log('');
+  console.log('Global options (before the command):');
+  console.log(`  --config <file>      Config file (default: ${DEFAULT_CONFIG_FILE}, or ${CONFIG_FILE_ENV})`);
+  console.log('  --set <key=value>    Override a setting, e.g. --set rounds.limit=500; repeatable');
+  console.log('  -h, --help           Show help');
+  console.log('');
+  console.log("Run 'scrapper <command> --help' for the options of a command,");
+  console.log("and 'scrapper config print' for every setting.");
+}
+
+/**
+ * Print the help of a command
+ * @param {object} command - Result of findCommand()
+ */
+function printCommandHelp(command) {
+  console.log(`Usage: scrapper ${command.name}${command.args ? ` ${command.args}` : ''} [options]`);
+  console.log('');
+  console.log(command.summary);
+  console.log('');
+  console.log('Options:');
+  const width = Math.max(20, ...command.options.map(option => option.flags.length));
+  for (const option of command.options) {
+    const setting = option.setting ? ` (setting ${option.setting})` : '';
+    console.log(`  ${option.flags.padEnd(width)}  ${option.description}${setting}`);
+  }
+  console.log(`  ${'-h, --help'.padEnd(width)}  Show help`);
+}
+
+/**
+ * Parse the global options and the command name
+ * @param {string[]} args - Command line arguments
+ * @returns {object} - { configFile, overrides, help, commandName, commandArgs }
+ * @throws {Error} - On unknown global options or a malformed --set
+ */
+function parseGlobalArgs(args) {
+  let configFile = null;
+  const overrides = {};
+  let help = false;
+  let i = 0;
+
+  for (; i < args.length; i++) {
+    if (args[i] === '--config' && args[i + 1]) {
+      configFile = args[i + 1];
+      i++; // Skip next arg
+    } else if (args[i] === '--set' && args[i + 1]) {
+      const separator = args[i + 1].indexOf('=');
+      if (separator < 1) {
+        throw new Error(`--set expects key=value, got "${args[i + 1]}"`);
+      }
+      overrides[args[i + 1].slice(0, separator)] = args[i + 1].slice(separator + 1);
+      i++; // Skip next arg
+    } else if (args[i] === '--help' || args[i] === '-h') {
+      help = true;
+    } else if (args[i].startsWith('-')) {
+      throw new Error(`Unknown global option ${args[i]}`);
+    } else {
+      break;
+    }
+  }
+
+  return { configFile, overrides, help, commandName: args[i] || null, commandArgs: args.slice(i + 1) };
+}
+
+/**
+ * Check a command's arguments against its options
+ * @param {object} command - Result of findCommand()
+ * @param {string[]} args - Arguments after the command name
+ * @returns {object} - { help, overrides } - overrides for options bound to a setting
+ * @throws {Error} - On unknown options, missing values or unexpected arguments
+ */
+function checkCommandArgs(command, args) {
+  const overrides = {};
+  let positional = 0;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--help' || arg === '-h') {
+      return { help: true, overrides };
+    }
+    if (arg === '--' && command.rest) {
+      break;
+    }
+
+    const option = command.options.find(candidate => candidate.names.includes(arg));
+    if (option) {
+      const next = args[i + 1];
+      if (option.value === 'required') {
+        if (next === undefined) {
+          throw new Error(`${arg} needs a value`);
+        }
+        if (option.setting) {
+          overrides[option.setting] = next;
+        }
+        i++; // Skip next arg
+      } else if (option.value === 'optional' && next !== undefined && !next.startsWith('-')) {
+        i++; // Skip next arg
+      }
+      if (arg === '--local') {
+        overrides['browser.provider'] = 'local';
+      } else if (arg === '--headful') {
+        overrides['browser.headless'] = false;
+      }
+      continue;
+    }
+
+    if (arg.startsWith('-')) {
+      throw new Error(`Unknown option ${arg} for '${command.name}'`);
+    }
+    if (command.rest) {
+      break;
+    }
+    if (!command.argValues || positional > 0) {
+      throw new Error(`Unexpected argument "${arg}" for '${command.name}'`);
+    }
+    if (!command.argValues.includes(arg)) {
+      throw new Error(`Expected ${command.args} for '${command.name}', got "${arg}"`);
+    }
+    positional++;
+  }
+
+  if (command.argValues && positional === 0) {
+    throw new Error(`'${command.name}' needs ${command.args}`);
+  }
+  return { help: false, overrides };
+}
+
+/**
+ * Print the resolved configuration
+ * @param {object} resolved - Result of resolveConfig()
+ * @param {boolean} json - Print the values as JSON
+ */
+function printConfig(resolved, json) {
+  const shown = setting => (setting.secret && setting.value ? '********' : setting.value);
+
+  if (json) {
+    const values = {};
+    for (const setting of resolved.settings) {
+      const [group, name] = setting.key.split('.');
+      values[group] = { ...values[group], [name]: shown(setting) };
+    }
+    console.log(JSON.stringify(values, null, 2));
+    return;
+  }
+
+  console.log('');
+  console.log('============================================');
+  console.log('  Scrapper Configuration');
+  console.log('============================================');
+  console.log(`  Config file: ${resolved.configFile}${resolved.fileFound ? '' : ' (not found, defaults used)'}`);
+  console.log('');
+  for (const setting of resolved.settings) {
+    console.log(`  ${setting.key.padEnd(34)} ${JSON.stringify(shown(setting)).padEnd(32)} ${setting.source}`);
+  }
+  console.log('');
+}
+
+/**
+ * Run a command's script and exit with its exit code
+ * @param {object} command - Result of findCommand()
+ * @param {string[]} args - Arguments for the script
+ * @param {object} env - Environment for the script
+ */
+function runCommand(command, args, env) {
+  const child = spawn(process.execPath, [path.join(SRC_DIR, command.script), ...args], { stdio: 'inherit', env });
+
+  // Stop the command with us
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => child.kill(signal));
+  }
+
+  child.on('error', error => {
+    console.error(`Could not start '${command.name}': ${error.message}`);
+    process.exit(1);
+  });
+  child.on('exit', (code, signal) => process.exit(code ?? (signal ? 1 : 0)));
+}
+
+/**
+ * Main execution function
+ */
+async function main() {
+  let globals;
+  try {
+    globals = parseGlobalArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    console.error("Run 'scrapper --help' for usage.");
+    process.exit(1);
+  }
+
+  const { commandName, commandArgs } = globals;
+  if (!commandName) {
+    printHelp();
+    process.exit(globals.help ? 0 : 1);
+  }
+
+  if (commandName === 'config') {
+    if (commandArgs[0] !== 'print' || commandArgs.slice(1).some(arg => arg !== '--json')) {
+      console.error('Usage: scrapper config print [--json]');
+      process.exit(1);
+    }
+    let resolved;
+    try {
+      resolved = resolveConfig({ configFile: globals.configFile, overrides: globals.overrides });
+    } catch (error) {
+      console.error(`ERROR: ${error.message}`);
+      process.exit(1);
+    }
+    printConfig(resolved, commandArgs.includes('--json'));
+    return;
+  }
+
+  const command = findCommand(commandName);
+  if (!command) {
+    console.error(`ERROR: Unknown command '${commandName}'`);
+    console.error("Run 'scrapper --help' for the list of commands.");
+    process.exit(1);
+  }
+
+  let checked;
+  try {
+    checked = checkCommandArgs(command, commandArgs);
+  } catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    console.error(`Run 'scrapper ${command.name} --help' for its options.`);
+    process.exit(1);
+  }
+  if (checked.help || globals.help) {
+    printCommandHelp(command);
+    return;
+  }
+
+  // Command options win over --set, which wins over the environment and the config file
+  const overrides = { ...globals.overrides, ...checked.overrides };
+  let resolved;
+  try {
+    resolved = resolveConfig({ configFile: globals.configFile, overrides });
+  } catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    process.exit(1);
+  }
+
+  const env = { ...process.env };
+  if (globals.configFile) {
+    env[CONFIG_FILE_ENV] = resolved.configFile;
+  }
+  if (Object.keys(overrides).length > 0) {
+    env[CONFIG_OVERRIDES_ENV] = JSON.stringify(overrides);
+  }
+  runCommand(command, commandArgs, env);
+}
+
+// Run the main function
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,281 @@
+/**
+ * Configuration
+ * Every tunable setting of the scrapers and reports, resolved in layers (later wins):
+ *   1. Defaults (SETTINGS below)
+ *   2. scrapper.config.json (SCRAPER_CONFIG or `scrapper --config <file>` picks another file)
+ *   3. Environment variables (each setting's `env`)
+ *   4. Command line flags: `scrapper --set key=value`, passed to the commands it starts in
+ *      SCRAPER_CONFIG_OVERRIDES, and the commands' own flags (--limit, --concurrency, --local, ...)
+ *
+ * The config file nests keys by their dots:
+ *   { "scraper": { "maxRetries": 5 }, "rounds": { "limit": 500 }, "paths": { "output": "./data" } }
+ *
+ * Values are validated in every layer; an unknown key, a wrong type or an out-of-range value
+ * is an error that names the key and the layer it came from.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import path from 'path';
+
+export const DEFAULT_CONFIG_FILE = './scrapper.config.json';
+export const CONFIG_FILE_ENV = 'SCRAPER_CONFIG';
+export const CONFIG_OVERRIDES_ENV = 'SCRAPER_CONFIG_OVERRIDES';
+
+// Settings: key (dotted path in the config), environment variable, type, default, limits
+export const SETTINGS = [
+  { key: 'paths.output', env: 'SCRAPER_OUTPUT_DIR', type: 'string', default: './output', description: 'Directory for outputs, exports, history and run state' },
+  { key: 'paths.screenshots', env: 'SCRAPER_SCREENSHOTS_DIR', type: 'string', default: './screenshots', description: 'Directory for debug screenshots and HTML archives' },
+  { key: 'browser.provider', env: 'BROWSER_PROVIDER', type: 'string', values: ['browserless', 'local'], default: 'browserless', description: 'Remote browserless or a local Chromium' },
+  { key: 'browser.browserlessUrl', env: 'BROWSERLESS_URL', type: 'string', default: 'wss://browserless.tiexo.com/', description: 'WebSocket endpoint of browserless' },
+  { key: 'browser.chromePath', env: 'CHROME_PATH', type: 'string', nullable: true, default: null, description: 'Chromium/Chrome executable for the local provider (default: auto-detect)' },
+  { key: 'browser.headless', env: 'HEADLESS', type: 'boolean', default: true, description: 'Hide the local browser window' },
+  { key: 'api.key', env: 'API_KEY', type: 'string', secret: true, default: '', description: 'CryptoRank API key' },
+  { key: 'endpoints.siteUrl', env: 'CRYPTORANK_SITE_URL', type: 'string', default: 'https://cryptorank.io', description: 'CryptoRank site base URL' },
+  { key: 'endpoints.apiUrl', env: 'CRYPTORANK_API_URL', type: 'string', default: 'https://api.cryptorank.io', description: 'CryptoRank API base URL' },
+  { key: 'scraper.maxRetries', env: 'SCRAPER_MAX_RETRIES', type: 'integer', min: 1, default: 3, description: 'Attempts per page' },
+  { key: 'scraper.retryDelayMs', env: 'SCRAPER_RETRY_DELAY_MS', type: 'integer', min: 0, default: 2000, description: 'Wait before retrying a page' },
+  { key: 'scraper.selectorTimeoutMs', env: 'SCRAPER_SELECTOR_TIMEOUT_MS', type: 'integer', min: 1000, default: 15000, description: 'Wait for page content to render' },
+  { key: 'funds.concurrency', env: 'SCRAPER_FUNDS_CONCURRENCY', type: 'integer', min: 1, default: 1, description: 'Fund pages scraped in parallel' },
+  { key: 'funds.maxInvestmentPages', env: 'SCRAPER_FUNDS_MAX_INVESTMENT_PAGES', type: 'integer', min: 1, default: 100, description: 'Investment pages scraped per fund (--portfolios); longer lists are marked truncated' },
+  { key: 'funds.delayBetweenRequestsMs', env: 'SCRAPER_FUNDS_DELAY_MS', type: 'integer', min: 1, default: 1500, description: 'Spacing of fund page requests (sets the default --rpm)' },
+  { key: 'rounds.limit', env: 'SCRAPER_ROUNDS_LIMIT', type: 'integer', min: 1, default: 200, description: 'Funding rounds to scrape' },
+  { key: 'rounds.itemsPerPage', env: 'SCRAPER_ROUNDS_PER_PAGE', type: 'integer', min: 1, default: 20, description: 'Rounds per funding rounds page on the site' },
+  { key: 'rounds.delayBetweenPagesMs', env: 'SCRAPER_ROUNDS_PAGE_DELAY_MS', type: 'integer', min: 0, default: 2000, description: 'Wait between funding rounds pages' },
+  { key: 'rounds.delayBetweenFollowUpsMs', env: 'SCRAPER_ROUNDS_FOLLOW_UP_DELAY_MS', type: 'integer', min: 0, default: 1500, description: 'Wait between round pages opened for full investor lists' },
+  { key: 'projects.concurrency', env: 'SCRAPER_PROJECTS_CONCURRENCY', type: 'integer', min: 1, default: 1, description: 'Project pages scraped in parallel' },
+  { key: 'projects.delayBetweenProjectsMs', env: 'SCRAPER_PROJECTS_DELAY_MS', type: 'integer', min: 1, default: 2000, description: 'Spacing of project page requests (sets the default --rpm)' },
+  { key: 'testData.subsets', env: 'SCRAPER_TEST_DATA_SUBSETS', type: 'integer[]', min: 1, default: [2, 3, 5, 10], description: 'Sizes of the test data subsets' },
+  { key: 'store.db', env: 'SCRAPER_DB', type: 'string', nullable: true, default: null, description: 'SQLite store used without --db (default: none)' },
+  { key: 'lock.file', env: 'SCRAPER_LOCK_FILE', type: 'string', nullable: true, default: null, description: 'Run lock file (default: <paths.output>/run.lock)' },
+  { key: 'notifications.file', env: 'NOTIFICATIONS_CONFIG', type: 'string', default: './notifications.json', description: 'Webhook notification rules' },
+  { key: 'schedule.file', env: 'SCHEDULE_CONFIG', type: 'string', default: './schedule.json', description: 'Scheduler cron expressions' }
+];
+
+const SETTINGS_BY_KEY = new Map(SETTINGS.map(setting => [setting.key, setting]));
+
+let cached = null;
+
+/**
+ * Check a value against its setting
+ * @param {object} setting - Setting definition
+ * @param {*} value - Value
+ * @returns {string|null} - Problem description, null if the value is valid
+ */
+function checkValue(setting, value) {
+  if (value === null) {
+    return setting.nullable ? null : 'must not be null';
+  }
+  if (setting.type === 'integer[]') {
+    if (!Array.isArray(value) || value.length === 0) {
+      return 'expected a non-empty list of integers';
+    }
+    for (const item of value) {
+      const problem = checkValue({ ...setting, type: 'integer' }, item);
+      if (problem) return problem;
+    }
+    return null;
+  }
+  if (setting.type === 'integer' && !Number.isInteger(value)) {
+    return `expected an integer, got ${JSON.stringify(value)}`;
+  }
+  if (setting.type === 'boolean' && typeof value !== 'boolean') {
+    return `expected true or false, got ${JSON.stringify(value)}`;
+  }
+  if (setting.type === 'string' && typeof value !== 'string') {
+    return `expected a string, got ${JSON.stringify(value)}`;
+  }
+  if (setting.min !== undefined && value < setting.min) {
+    return `must be at least ${setting.min}, got ${value}`;
+  }
+  if (setting.values && !setting.values.includes(value)) {
+    return `expected one of ${setting.values.join(', ')}, got ${JSON.stringify(value)}`;
+  }
+  return null;
+}
+
+/**
+ * Convert the text of an environment variable or flag to a setting's type
+ * @param {object} setting - Setting definition
+ * @param {string} text - Raw text
+ * @returns {*} - Converted value (left as text when it cannot be converted; checkValue reports it)
+ */
+export function parseSettingValue(setting, text) {
+  const trimmed = String(text).trim();
+  if (setting.nullable && (trimmed === '' || trimmed === 'null')) {
+    return null;
+  }
+  if (setting.type === 'integer') {
+    return /^-?\d+$/.test(trimmed) ? parseInt(trimmed, 10) : trimmed;
+  }
+  if (setting.type === 'integer[]') {
+    return trimmed.split(',').map(item => parseSettingValue({ ...setting, type: 'integer' }, item));
+  }
+  if (setting.type === 'boolean') {
+    if (['true', '1', 'yes'].includes(trimmed.toLowerCase())) return true;
+    if (['false', '0', 'no'].includes(trimmed.toLowerCase())) return false;
+    return trimmed;
+  }
+  return trimmed;
+}
+
+/**
+ * Flatten a nested config file object into dotted keys
+ * @param {object} object - Parsed config file
+ * @param {string} prefix - Key prefix
+ * @returns {Array} - [[key, value]]
+ */
+function flattenConfig(object, prefix = '') {
+  const entries = [];
+  for (const [name, value] of Object.entries(object)) {
+    const key = prefix ? `${prefix}.${name}` : name;
+    if (value && typeof value === 'object' && !Array.isArray(value) && !SETTINGS_BY_KEY.has(key)) {
+      entries.push(...flattenConfig(value, key));
+    } else {
+      entries.push([key, value]);
+    }
+  }
+  return entries;
+}
+
+/**
+ * Set a dotted key on a nested object
+ * @param {object} target - Object to fill
+ * @param {string} key - Dotted key
+ * @param {*} value - Value
+ */
+function setNested(target, key, value) {
+  const parts = key.split('.');
+  let node = target;
+  for (const part of parts.slice(0, -1)) {
+    node[part] = node[part] || {};
+    node = node[part];
+  }
+  node[parts[parts.length - 1]] = value;
+}
+
+/**
+ * Resolve every setting from defaults, the config file, the environment and flag overrides
+ * @param {object} options
+ * @param {string} options.configFile - Config file (default: SCRAPER_CONFIG or ./scrapper.config.json)
+ * @param {object} options.env - Environment (default: process.env)
+ * @param {object} options.overrides - Flag layer: dotted key -> value or raw text
+ * @returns {object} - { configFile, fileFound, values (nested), settings: [{ ...setting, value, source }] }
+ * @throws {Error} - Listing every invalid or unknown setting
+ */
+export function resolveConfig(options = {}) {
+  const env = options.env || process.env;
+  const configFile = options.configFile || env[CONFIG_FILE_ENV] || DEFAULT_CONFIG_FILE;
+  const overrides = options.overrides || {};
+  const problems = [];
+  const resolved = new Map(SETTINGS.map(setting => [setting.key, { value: setting.default, source: 'default' }]));
+
+  const apply = (key, value, source) => {
+    const setting = SETTINGS_BY_KEY.get(key);
+    if (!setting) {
+      problems.push(`${key}: unknown setting (${source})`);
+      return;
+    }
+    const problem = checkValue(setting, value);
+    if (problem) {
+      problems.push(`${key}: ${problem} (${source})`);
+      return;
+    }
+    resolved.set(key, { value, source });
+  };
+
+  const fileFound = existsSync(configFile);
+  if (fileFound) {
+    let fileConfig = null;
+    try {
+      fileConfig = JSON.parse(readFileSync(configFile, 'utf-8'));
+    } catch (error) {
+      problems.push(`${configFile}: ${error.message}`);
+    }
+    if (fileConfig && (typeof fileConfig !== 'object' || Array.isArray(fileConfig))) {
+      problems.push(`${configFile}: expected a JSON object`);
+    } else if (fileConfig) {
+      for (const [key, value] of flattenConfig(fileConfig)) {
+        apply(key, value, configFile);
+      }
+    }
+  } else if (options.configFile || env[CONFIG_FILE_ENV]) {
+    problems.push(`${configFile}: config file not found`);
+  }
+
+  for (const setting of SETTINGS) {
+    // Empty variables count as unset (docker-compose passes `${VAR:-}` through)
+    if (env[setting.env] !== undefined && env[setting.env] !== '') {
+      apply(setting.key, parseSettingValue(setting, env[setting.env]), `env ${setting.env}`);
+    }
+  }
+
+  for (const [key, value] of Object.entries(overrides)) {
+    const setting = SETTINGS_BY_KEY.get(key);
+    apply(key, setting && typeof value === 'string' ? parseSettingValue(setting, value) : value, 'flag');
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid configuration:\n  ${problems.join('\n  ')}`);
+  }
+
+  const values = {};
+  for (const [key, { value }] of resolved) {
+    setNested(values, key, value);
+  }
+  return {
+    configFile,
+    fileFound,
+    values,
+    settings: SETTINGS.map(setting => ({ ...setting, ...resolved.get(setting.key) }))
+  };
+}
+
+/**
+ * Settings of this process
+ * Resolved once, with the flag overrides a parent `scrapper` command passed in SCRAPER_CONFIG_OVERRIDES.
+ * @returns {object} - Nested values (e.g. getConfig().scraper.maxRetries)
+ * @throws {Error} - On an invalid configuration
+ */
+export function getConfig() {
+  if (!cached) {
+    let overrides = {};
+    if (process.env[CONFIG_OVERRIDES_ENV]) {
+      try {
+        overrides = JSON.parse(process.env[CONFIG_OVERRIDES_ENV]);
+      } catch (error) {
+        throw new Error(`Invalid ${CONFIG_OVERRIDES_ENV}: ${error.message}`);
+      }
+    }
+    cached = resolveConfig({ overrides }).values;
+  }
+  return cached;
+}
+
+/**
+ * Join a path below a configured directory, keeping a leading "./" (as in the default paths)
+ * @param {string} dir - Base directory
+ * @param {string[]} parts - Path segments
+ * @returns {string}
+ */
+function joinPath(dir, parts) {
+  const joined = path.join(dir, ...parts);
+  return dir.startsWith('./') && !joined.startsWith('.') ? `./${joined}` : joined;
+}
+
+/**
+ * Path in the output directory (paths.output)
+ * @param {...string} parts - Path segments
+ * @returns {string} - e.g. ./output/funding-rounds.json
+ */
+export function outputPath(...parts) {
+  return joinPath(getConfig().paths.output, parts);
+}
+
+/**
+ * Path in the screenshots directory (paths.screenshots)
+ * @param {...string} parts - Path segments
+ * @returns {string} - e.g. ./screenshots/funding-rounds
+ */
+export function screenshotsPath(...parts) {
+  return joinPath(getConfig().paths.screenshots, parts);
+}
@@ -0,0 +1,154 @@
+/**
+ * Output Contracts
+ * Validates the published JSON outputs against the JSON Schemas in schemas/ before they
+ * are written. An output that fails its schema never replaces the previous file: it is
+ * moved to ./output/quarantine/ together with a validation report.
+ *
+ * Every validated output carries metadata.schemaVersion. Within a major version the
+ * schemas only gain optional fields; a breaking change needs a new major version.
+ */
+
+import { readFile, mkdir, readdir, rm } from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { writeFileAtomic } from './atomic-write.js';
+import { outputPath } from './config.js';
+
+// Next to src/, whatever the working directory
+const SCHEMA_DIR = new URL('../schemas/', import.meta.url);
+export const QUARANTINE_DIR = outputPath('quarantine');
+const MAX_REPORTED_ERRORS = 100;
+// Rejected outputs kept per dataset (partial saves can fail on every page)
+const MAX_QUARANTINED = 10;
+
+// Validated outputs: file name -> schema file and the version written into metadata
+const CONTRACTS = {
+  'tier1-vcs.json': { schema: 'funds.schema.json', version: '1.0.0' },
+  'tier1-2-vcs.json': { schema: 'funds.schema.json', version: '1.0.0' },
+  'funding-rounds.json': { schema: 'funding-rounds.schema.json', version: '1.0.0' },
+  'funding-rounds-detailed.json': { schema: 'funding-rounds-detailed.schema.json', version: '1.0.0' }
+};
+
+export const CONTRACT_DATASETS = Object.keys(CONTRACTS);
+
+let ajv = null;
+
+/**
+ * Create the validator with every schema loaded (schemas reference each other)
+ * @returns {Promise<Ajv>}
+ */
+async function getValidator() {
+  if (ajv) {
+    return ajv;
+  }
+  const instance = new Ajv({ allErrors: true, allowUnionTypes: true });
+  addFormats(instance);
+  const schemaFiles = [...new Set(Object.values(CONTRACTS).map(contract => contract.schema))];
+  for (const schemaFile of schemaFiles) {
+    instance.addSchema(JSON.parse(await readFile(new URL(schemaFile, SCHEMA_DIR), 'utf-8')));
+  }
+  ajv = instance;
+  return ajv;
+}
+
+/**
+ * Contract of an output file
+ * @param {string} file - Output path (only the file name is used)
+ * @returns {object} - { schema, version }
+ */
+function contractFor(file) {
+  const contract = CONTRACTS[path.basename(file)];
+  if (!contract) {
+    throw new Error(`No schema for ${path.basename(file)} (known: ${CONTRACT_DATASETS.join(', ')})`);
+  }
+  return contract;
+}
+
+/**
+ * Schema version written into an output's metadata
+ * @param {string} file - Output path
+ * @returns {string}
+ */
+export function schemaVersionFor(file) {
+  return contractFor(file).version;
+}
+
+/**
+ * Validate an output object against the schema of its file
+ * @param {string} file - Output path (selects the schema)
+ * @param {object} output - { metadata, data }
+ * @returns {Promise<object>} - { valid, schema, errors: [{ path, message }] }
+ */
+export async function validateOutput(file, output) {
+  const { schema } = contractFor(file);
+  const validate = (await getValidator()).getSchema(schema);
+  const valid = validate(output);
+  const errors = (validate.errors || []).map(error => ({
+    path: error.instancePath || '/',
+    message: error.message,
+    params: error.params
+  }));
+  return { valid, schema, errors };
+}
+
+/**
+ * Keep only the newest quarantined outputs of a dataset
+ * @param {string} dataset - Dataset base name (e.g. funding-rounds)
+ */
+async function pruneQuarantine(dataset) {
+  const files = (await readdir(QUARANTINE_DIR))
+    .filter(name => name.startsWith(`${dataset}.`) && name.endsWith('.json') && !name.endsWith('.report.json'))
+    .sort();
+  for (const name of files.slice(0, Math.max(0, files.length - MAX_QUARANTINED))) {
+    await rm(path.join(QUARANTINE_DIR, name), { force: true });
+    await rm(path.join(QUARANTINE_DIR, name.replace(/\.json$/, '.report.json')), { force: true });
+  }
+}
+
+/**
+ * Stamp metadata.schemaVersion, validate and write an output file
+ * On a failed check the previous file stays in place, the rejected output and a
+ * validation report go to the quarantine directory, and an error is thrown.
+ * @param {string} file - Output path
+ * @param {object} output - { metadata, data }
+ * @returns {Promise<object>} - The written output (with schemaVersion)
+ */
+export async function writeValidatedOutput(file, output) {
+  const { schemaVersion: _previousVersion, ...metadata } = output.metadata || {};
+  const stamped = { ...output, metadata: { schemaVersion: schemaVersionFor(file), ...metadata } };
+
+  const result = await validateOutput(file, stamped);
+  if (result.valid) {
+    await writeFileAtomic(file, JSON.stringify(stamped, null, 2));
+    return stamped;
+  }
+
+  const rejectedAt = new Date().toISOString();
+  const dataset = path.basename(file, '.json');
+  const stamp = rejectedAt.replace(/\.\d{3}Z$/, 'Z').replace(/:/g, '-');
+  const quarantineFile = path.join(QUARANTINE_DIR, `${dataset}.${stamp}.json`);
+  const reportFile = path.join(QUARANTINE_DIR, `${dataset}.${stamp}.report.json`);
+
+  await mkdir(QUARANTINE_DIR, { recursive: true });
+  await writeFileAtomic(quarantineFile, JSON.stringify(stamped, null, 2));
+  await writeFileAtomic(reportFile, JSON.stringify({
+    rejectedAt,
+    outputFile: file,
+    quarantineFile,
+    schema: result.schema,
+    schemaVersion: stamped.metadata.schemaVersion,
+    previousFileKept: existsSync(file),
+    records: Array.isArray(stamped.data) ? stamped.data.length : null,
+    errorCount: result.errors.length,
+    errors: result.errors.slice(0, MAX_REPORTED_ERRORS)
+  }, null, 2));
+  await pruneQuarantine(dataset);
+
+  const first = result.errors[0];
+  throw new Error(
+    `${file} failed schema validation (${result.errors.length} errors, first: ${first.path} ${first.message}); ` +
+    `previous file kept, rejected output in ${quarantineFile}`
+  );
+}
@@ -0,0 +1,167 @@
+/**
+ * Cron Expressions
+ * Parses standard 5-field cron expressions and computes their run times in local time
+ * (set TZ to change the time zone).
+ *
+ *   ┌──────── minute (0-59)
+ *   │ ┌────── hour (0-23)
+ *   │ │ ┌──── day of month (1-31)
+ *   │ │ │ ┌── month (1-12)
+ *   │ │ │ │ ┌ day of week (0-7, 0 and 7 are Sunday)
+ *   30 6 * * 1-5      (06:30 on weekdays)
+ *
+ * Fields take *, numbers, ranges (1-5), lists (1,15) and steps (0-30/10, or * with a step
+ * for the whole range, e.g. every 4 hours in the hour field).
+ * As in cron, when both day fields are restricted a day matches if either of them does.
+ * The macros @hourly, @daily, @weekly, @monthly and @yearly are also accepted.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *'
+};
+
+// nextRun() gives up after this many years without a match (e.g. "0 0 30 2 *")
+const MAX_YEARS_AHEAD = 5;
+
+/**
+ * Parse one field into the set of values it matches
+ * @param {string} text - Field text
+ * @param {object} field - { name, min, max }
+ * @returns {Set<number>}
+ * @throws {Error} - On invalid syntax or out-of-range values
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${field.name} "${part}"`);
+    }
+
+    let start = field.min;
+    let end = field.max;
+    if (match[1] !== '*') {
+      start = parseInt(match[2], 10);
+      // A single value with a step ("5/15") runs from that value to the end of the range
+      end = match[3] !== undefined ? parseInt(match[3], 10) : match[4] ? field.max : start;
+    }
+    const step = match[4] ? parseInt(match[4], 10) : 1;
+
+    if (start < field.min || end > field.max || start > end || step < 1) {
+      throw new Error(`Invalid ${field.name} "${part}" (allowed: ${field.min}-${field.max})`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - 5-field expression or macro
+ * @returns {object} - { expression, minute, hour, dayOfMonth, month, dayOfWeek (Sets), anyDayOfMonth, anyDayOfWeek }
+ * @throws {Error} - On invalid expressions
+ */
+export function parseCron(expression) {
+  const text = String(expression).trim();
+  const parts = (MACROS[text] || text).split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Invalid cron expression "${text}": expected ${FIELDS.length} fields, got ${parts.length}`);
+  }
+
+  const schedule = { expression: text };
+  try {
+    FIELDS.forEach((field, index) => {
+      schedule[field.name] = parseField(parts[index], field);
+    });
+  } catch (error) {
+    throw new Error(`Invalid cron expression "${text}": ${error.message}`);
+  }
+
+  if (schedule.dayOfWeek.delete(7)) {
+    schedule.dayOfWeek.add(0);
+  }
+  // "*" and "*/n" day fields do not restrict the day (cron's day-of-month OR day-of-week rule)
+  schedule.anyDayOfMonth = parts[2].startsWith('*');
+  schedule.anyDayOfWeek = parts[4].startsWith('*');
+  return schedule;
+}
+
+/**
+ * Whether a date's day matches the day fields of a schedule
+ * @param {object} schedule - Result of parseCron()
+ * @param {Date} date - Date to check
+ * @returns {boolean}
+ */
+function dayMatches(schedule, date) {
+  const dayOfMonth = schedule.dayOfMonth.has(date.getDate());
+  const dayOfWeek = schedule.dayOfWeek.has(date.getDay());
+  if (schedule.anyDayOfMonth || schedule.anyDayOfWeek) {
+    return dayOfMonth && dayOfWeek;
+  }
+  return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * First run time strictly after a date
+ * @param {object} schedule - Result of parseCron()
+ * @param {Date} after - Reference time
+ * @returns {Date}
+ * @throws {Error} - When the expression never matches
+ */
+export function nextRun(schedule, after) {
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const lastYear = date.getFullYear() + MAX_YEARS_AHEAD;
+
+  while (date.getFullYear() <= lastYear) {
+    if (!schedule.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!schedule.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!schedule.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  throw new Error(`Cron expression "${schedule.expression}" has no run time in the next ${MAX_YEARS_AHEAD} years`);
+}
+
+/**
+ * Run times after one date up to and including another
+ * @param {object} schedule - Result of parseCron()
+ * @param {Date} after - Start (exclusive)
+ * @param {Date} until - End (inclusive)
+ * @returns {object} - { count, last } - number of run times and the latest one (null if none)
+ */
+export function runsBetween(schedule, after, until) {
+  let count = 0;
+  let last = null;
+  for (let date = nextRun(schedule, after); date <= until; date = nextRun(schedule, date)) {
+    count++;
+    last = date;
+  }
+  return { count, last };
+}
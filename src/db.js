@@ -0,0 +1,256 @@
+/**
+ * SQLite Store Maintenance
+ *
+ * Commands:
+ *   import - Loads the existing JSON outputs into the store (tier1-vcs.json, tier1-2-vcs.json,
+ *            funding-rounds-history.json, funding-rounds.json, funding-rounds-detailed.json)
+ *   export - Regenerates those JSON files from the store
+ *   stats  - Prints row counts and the latest runs
+ *
+ * The database path comes from --db <path>, SCRAPER_DB or ./output/scraper.db.
+ *
+ * Usage:
+ *   node src/db.js import
+ *   node src/db.js export
+ *   node src/db.js stats --db ./output/scraper.db
+ *
+ * Ad-hoc queries:
+ *   sqlite3 output/scraper.db "SELECT fund_key, COUNT(*) FROM round_investors GROUP BY fund_key ORDER BY 2 DESC LIMIT 20"
+ */
+
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import { computeRoundId } from './funding-rounds-scraper.js';
+import { resolveStorePath, openStore, DEFAULT_DB_PATH } from './store.js';
+import { CONTRACT_DATASETS, writeValidatedOutput } from './contracts.js';
+import { writeFileAtomic } from './atomic-write.js';
+import { outputPath } from './config.js';
+
+const FUNDS_FILES = [
+  { file: outputPath('tier1-vcs.json'), tiers: [1] },
+  { file: outputPath('tier1-2-vcs.json'), tiers: [1, 2] }
+];
+const ROUNDS_FILE = outputPath('funding-rounds.json');
+const HISTORY_FILE = outputPath('funding-rounds-history.json');
+const DETAILED_FILE = outputPath('funding-rounds-detailed.json');
+const COMMANDS = ['import', 'export', 'stats'];
+
+/**
+ * Parse command line arguments
+ * @returns {object} - { command, db }
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  return {
+    command: args.find(arg => COMMANDS.includes(arg)) || null,
+    db: resolveStorePath(args) || DEFAULT_DB_PATH
+  };
+}
+
+/**
+ * Read a JSON file if it exists
+ * @param {string} filepath - Path to the JSON file
+ * @returns {Promise<object|null>}
+ */
+async function readJsonIfExists(filepath) {
+  if (!existsSync(filepath)) {
+    return null;
+  }
+  return JSON.parse(await readFile(filepath, 'utf-8'));
+}
+
+/**
+ * Add round ids to rounds saved before they existed
+ * @param {Array} rounds - Funding rounds
+ * @returns {Array}
+ */
+function withRoundIds(rounds) {
+  return rounds.map(round => (round.roundId ? round : { roundId: computeRoundId(round), ...round }));
+}
+
+/**
+ * Load the JSON outputs into the store
+ * @param {ScrapeStore} store - Open store
+ */
+async function importJson(store) {
+  const runId = store.startRun('db-import');
+
+  for (const { file } of FUNDS_FILES) {
+    const json = await readJsonIfExists(file);
+    if (!json?.data) continue;
+    store.upsertFunds(json.data, runId);
+    console.log(`    ${file}: ${json.data.length} funds`);
+  }
+
+  // History first so the listing rounds overwrite it with their latest state
+  const history = await readJsonIfExists(HISTORY_FILE);
+  if (history?.data) {
+    store.upsertRounds(withRoundIds(history.data), runId);
+    console.log(`    ${HISTORY_FILE}: ${history.data.length} rounds`);
+  }
+
+  const listing = await readJsonIfExists(ROUNDS_FILE);
+  if (listing?.data) {
+    const rounds = withRoundIds(listing.data);
+    store.upsertRounds(rounds, runId);
+    store.setListing(rounds.map(round => round.roundId));
+    console.log(`    ${ROUNDS_FILE}: ${rounds.length} rounds`);
+  }
+
+  const detailed = await readJsonIfExists(DETAILED_FILE);
+  if (detailed?.data) {
+    const projects = new Map();
+    for (const round of detailed.data) {
+      if (!round.projectKey || projects.has(round.projectKey)) continue;
+      if (!round.details && !round.detailsError) continue;
+      projects.set(round.projectKey, {
+        projectKey: round.projectKey,
+        projectName: round.projectName,
+        projectUrl: round.projectUrl,
+        details: round.details,
+        error: round.detailsError
+      });
+    }
+    store.upsertProjects(Array.from(projects.values()), runId);
+    console.log(`    ${DETAILED_FILE}: ${projects.size} projects`);
+  }
+
+  store.finishRun(runId, 'completed', store.counts());
+}
+
+/**
+ * Write an output file in the same format the entry points use
+ * Files with a schema are validated like the entry points do (see contracts.js).
+ * @param {string} file - Output path
+ * @param {object} metadata - Metadata fields
+ * @param {Array} data - Records
+ */
+async function writeOutput(file, metadata, data) {
+  const output = {
+    metadata: {
+      generatedAt: new Date().toISOString(),
+      ...metadata,
+      exportedFrom: 'sqlite',
+      partial: false
+    },
+    data
+  };
+  if (CONTRACT_DATASETS.includes(path.basename(file))) {
+    await writeValidatedOutput(file, output);
+  } else {
+    await writeFileAtomic(file, JSON.stringify(output, null, 2));
+  }
+  console.log(`    ${file}: ${data.length} records`);
+}
+
+/**
+ * Regenerate the JSON outputs from the store
+ * @param {ScrapeStore} store - Open store
+ */
+async function exportJson(store) {
+  for (const { file, tiers } of FUNDS_FILES) {
+    const funds = store.exportFunds(tiers);
+    if (funds.length === 0) continue;
+    await writeOutput(file, {
+      source: 'cryptorank.io',
+      tiers,
+      totalFunds: funds.length,
+      successfulScrapes: funds.filter(f => !f.error).length,
+      failedScrapes: funds.filter(f => f.error).length
+    }, funds);
+  }
+
+  const history = store.exportHistory();
+  if (history.length > 0) {
+    await writeOutput(HISTORY_FILE, { source: 'cryptorank.io/funding-rounds', totalRounds: history.length }, history);
+  }
+
+  const listing = store.exportListing();
+  if (listing.length > 0) {
+    await writeOutput(ROUNDS_FILE, { source: 'cryptorank.io/funding-rounds', totalRounds: listing.length }, listing);
+
+    const detailed = store.exportDetailedRounds();
+    const projectKeys = new Set(detailed.map(round => round.projectKey).filter(Boolean));
+    await writeOutput(DETAILED_FILE, {
+      source: 'cryptorank.io/ico',
+      totalProjects: projectKeys.size,
+      successful: new Set(detailed.filter(round => round.details).map(round => round.projectKey)).size,
+      failed: new Set(detailed.filter(round => round.detailsError).map(round => round.projectKey)).size
+    }, detailed);
+  }
+}
+
+/**
+ * Print row counts and the latest runs
+ * @param {ScrapeStore} store - Open store
+ */
+function printStats(store) {
+  for (const [table, count] of Object.entries(store.counts())) {
+    console.log(`    ${table}: ${count}`);
+  }
+
+  const runs = store.latestRuns(10);
+  if (runs.length > 0) {
+    console.log('');
+    console.log('    Latest runs:');
+    for (const run of runs) {
+      console.log(`    #${run.id} ${run.command} ${run.status} (started ${run.started_at}${run.finished_at ? `, finished ${run.finished_at}` : ''})`);
+    }
+  }
+}
+
+/**
+ * Main execution function
+ */
+async function main() {
+  const { command, db } = parseArgs();
+
+  if (!command) {
+    console.error(`Usage: node src/db.js <${COMMANDS.join('|')}> [--db <path>]`);
+    process.exit(1);
+  }
+
+  console.log('');
+  console.log('============================================');
+  console.log('  CryptoRank SQLite Store');
+  console.log('============================================');
+  console.log(`  Database: ${db}`);
+  console.log('');
+
+  if (command !== 'import' && !existsSync(db)) {
+    console.error(`    ERROR: ${db} not found. Run 'npm run db:import' or an entry point with --db first.`);
+    process.exit(1);
+  }
+
+  const store = await openStore(db);
+  try {
+    if (command === 'import') {
+      console.log('[1] Importing JSON outputs...');
+      await importJson(store);
+      console.log('');
+      console.log('[2] Store contents');
+      printStats(store);
+    } else if (command === 'export') {
+      console.log('[1] Exporting JSON outputs...');
+      await exportJson(store);
+    } else {
+      console.log('[1] Store contents');
+      printStats(store);
+    }
+  } finally {
+    store.close();
+  }
+
+  console.log('');
+  console.log('============================================');
+  console.log('  Done!');
+  console.log('============================================');
+  console.log('');
+}
+
+// Run the main function
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
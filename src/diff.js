@@ -0,0 +1,348 @@
+/**
+ * Snapshot Diff Report
+ *
+ * Compares two output snapshots (see snapshot.js) and writes a structured change report:
+ * - funds:    added/removed funds, changed social links, tier changes
+ * - rounds:   new and removed funding rounds
+ * - projects: added/removed projects and changed project metrics
+ *
+ * Snapshots are given by directory name (or a unique prefix such as a date),
+ * 'latest', 'previous' or 'current' (the live files in output/).
+ *
+ * Usage:
+ *   node src/diff.js                                   # previous -> latest snapshot
+ *   node src/diff.js --from 2026-10-12 --to latest     # Last snapshot of a day -> latest
+ *   node src/diff.js --from latest --to current        # Changes since the last snapshot
+ *   node src/diff.js --output ./output/diff-week.json
+ */
+
+import { computeRoundId } from './funding-rounds-scraper.js';
+import { listSnapshots, readManifest, readSnapshotDataset } from './snapshot-store.js';
+import { writeFileAtomic } from './atomic-write.js';
+import { outputPath } from './config.js';
+
+const DEFAULT_OUTPUT_FILE = outputPath('diff-report.json');
+
+// Preferred dataset first; the first one present in both snapshots is compared
+const FUND_DATASETS = ['tier1-2-vcs.json', 'tier1-vcs.json'];
+const ROUND_DATASETS = ['funding-rounds-history.json', 'funding-rounds.json'];
+const DETAILED_DATASET = 'funding-rounds-detailed.json';
+
+// Fund fields compared as social links (other_socials entries are added to these)
+const FUND_SOCIAL_FIELDS = ['website', 'twitter'];
+
+// Project details compared between snapshots
+const PROJECT_METRIC_FIELDS = [
+  'tokenSymbol',
+  'tokenPriceRaw',
+  'marketCapRaw',
+  'fdvRaw',
+  'circulatingSupplyRaw',
+  'totalSupplyRaw',
+  'totalRaisedRaw',
+  'valuationRaw',
+  'tgeDateISO'
+];
+
+/**
+ * Parse command line arguments
+ * @returns {object} - { from, to, outputFile }
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  let from = 'previous';
+  let to = 'latest';
+  let outputFile = DEFAULT_OUTPUT_FILE;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--from' && args[i + 1]) {
+      from = args[i + 1];
+      i++; // Skip next arg
+    } else if (args[i] === '--to' && args[i + 1]) {
+      to = args[i + 1];
+      i++; // Skip next arg
+    } else if ((args[i] === '--output' || args[i] === '-o') && args[i + 1]) {
+      outputFile = args[i + 1];
+      i++; // Skip next arg
+    }
+  }
+
+  return { from, to, outputFile };
+}
+
+/**
+ * Resolve a snapshot reference to a snapshot name
+ * @param {string} ref - Name, unique prefix (last match wins), 'latest', 'previous' or 'current'
+ * @param {string[]} names - Available snapshots, oldest first
+ * @returns {string|null} - Snapshot name, 'current' or null if nothing matches
+ */
+function resolveSnapshot(ref, names) {
+  if (ref === 'current') return 'current';
+  if (ref === 'latest') return names[names.length - 1] || null;
+  if (ref === 'previous') return names[names.length - 2] || null;
+  const matches = names.filter(name => name.startsWith(ref));
+  return matches[matches.length - 1] || null;
+}
+
+/**
+ * Load the first dataset that exists in both snapshots
+ * @param {string} from - Older snapshot
+ * @param {string} to - Newer snapshot
+ * @param {string[]} datasets - Candidate dataset names, preferred first
+ * @returns {Promise<object|null>} - { dataset, before, after } with the data arrays
+ */
+async function loadPair(from, to, datasets) {
+  for (const dataset of datasets) {
+    const before = await readSnapshotDataset(from, dataset);
+    const after = await readSnapshotDataset(to, dataset);
+    if (Array.isArray(before?.data) && Array.isArray(after?.data)) {
+      return { dataset, before: before.data, after: after.data };
+    }
+  }
+  return null;
+}
+
+/**
+ * Social links of a fund record as a flat map
+ * @param {object} fund - Fund record
+ * @returns {object} - Map of platform -> URL
+ */
+function fundSocials(fund) {
+  const socials = {};
+  for (const field of FUND_SOCIAL_FIELDS) {
+    if (fund[field]) socials[field] = fund[field];
+  }
+  for (const [platform, url] of Object.entries(fund.other_socials || {})) {
+    if (url) socials[platform] = url;
+  }
+  return socials;
+}
+
+/**
+ * Field-by-field changes between two flat objects
+ * @param {object} before - Old values
+ * @param {object} after - New values
+ * @param {string[]} fields - Fields to compare
+ * @returns {object} - Map of field -> { from, to[, changePercent] } (empty when nothing changed)
+ */
+function fieldChanges(before, after, fields) {
+  const changes = {};
+  for (const field of fields) {
+    const from = before[field] ?? null;
+    const to = after[field] ?? null;
+    if (from === to) continue;
+
+    const change = { from, to };
+    if (typeof from === 'number' && typeof to === 'number' && from !== 0) {
+      change.changePercent = Math.round(((to - from) / Math.abs(from)) * 10000) / 100;
+    }
+    changes[field] = change;
+  }
+  return changes;
+}
+
+/**
+ * Compare two fund datasets
+ * @param {Array} before - Older fund records
+ * @param {Array} after - Newer fund records
+ * @returns {object} - { added, removed, socialsChanged, tierChanged }
+ */
+function diffFunds(before, after) {
+  const oldByKey = new Map(before.map(fund => [fund.key, fund]));
+  const newByKey = new Map(after.map(fund => [fund.key, fund]));
+  const summary = fund => ({ key: fund.key, name: fund.name, tier: fund.tier ?? null });
+
+  const added = after.filter(fund => !oldByKey.has(fund.key)).map(summary);
+  const removed = before.filter(fund => !newByKey.has(fund.key)).map(summary);
+  const socialsChanged = [];
+  const tierChanged = [];
+
+  for (const fund of after) {
+    const previous = oldByKey.get(fund.key);
+    if (!previous) continue;
+
+    // A failed scrape has no links; that is not a change of the fund's socials
+    if (!fund.error && !previous.error) {
+      const oldSocials = fundSocials(previous);
+      const newSocials = fundSocials(fund);
+      const platforms = [...new Set([...Object.keys(oldSocials), ...Object.keys(newSocials)])];
+      const changes = fieldChanges(oldSocials, newSocials, platforms);
+      if (Object.keys(changes).length > 0) {
+        socialsChanged.push({ key: fund.key, name: fund.name, changes });
+      }
+    }
+
+    if ((previous.tier ?? null) !== (fund.tier ?? null)) {
+      tierChanged.push({ key: fund.key, name: fund.name, from: previous.tier ?? null, to: fund.tier ?? null });
+    }
+  }
+
+  return { added, removed, socialsChanged, tierChanged };
+}
+
+/**
+ * Compare two funding round datasets
+ * @param {Array} before - Older rounds
+ * @param {Array} after - Newer rounds
+ * @returns {object} - { added, removed }
+ */
+function diffRounds(before, after) {
+  const idOf = round => round.roundId || computeRoundId(round);
+  const oldIds = new Set(before.map(idOf));
+  const newIds = new Set(after.map(idOf));
+  const summary = round => ({
+    roundId: idOf(round),
+    projectKey: round.projectKey || null,
+    projectName: round.projectName || null,
+    stage: round.stage || null,
+    date: round.dateISO || round.date || null,
+    raiseAmount: round.raiseAmount || null,
+    raiseAmountRaw: round.raiseAmountRaw ?? null,
+    investors: (round.investors || []).map(investor => investor.name || investor.key)
+  });
+
+  const dedupe = rounds => Array.from(new Map(rounds.map(round => [round.roundId, round])).values());
+  return {
+    added: dedupe(after.filter(round => !oldIds.has(idOf(round))).map(summary)),
+    removed: dedupe(before.filter(round => !newIds.has(idOf(round))).map(summary))
+  };
+}
+
+/**
+ * Project details by project key from the detailed rounds dataset
+ * @param {Array} rounds - Rounds from funding-rounds-detailed.json
+ * @returns {Map} - Map of projectKey -> { projectName, details }
+ */
+function projectsByKey(rounds) {
+  const projects = new Map();
+  for (const round of rounds) {
+    if (round.projectKey && round.details && !projects.has(round.projectKey)) {
+      projects.set(round.projectKey, { projectName: round.projectName || null, details: round.details });
+    }
+  }
+  return projects;
+}
+
+/**
+ * Compare project details between two detailed datasets
+ * @param {Array} before - Older detailed rounds
+ * @param {Array} after - Newer detailed rounds
+ * @returns {object} - { added, removed, metricsChanged }
+ */
+function diffProjects(before, after) {
+  const oldProjects = projectsByKey(before);
+  const newProjects = projectsByKey(after);
+  const summary = ([projectKey, project]) => ({ projectKey, projectName: project.projectName });
+
+  const metricsChanged = [];
+  for (const [projectKey, project] of newProjects) {
+    const previous = oldProjects.get(projectKey);
+    if (!previous) continue;
+    const changes = fieldChanges(previous.details, project.details, PROJECT_METRIC_FIELDS);
+    if (Object.keys(changes).length > 0) {
+      metricsChanged.push({ projectKey, projectName: project.projectName, changes });
+    }
+  }
+
+  return {
+    added: Array.from(newProjects).filter(([key]) => !oldProjects.has(key)).map(summary),
+    removed: Array.from(oldProjects).filter(([key]) => !newProjects.has(key)).map(summary),
+    metricsChanged
+  };
+}
+
+/**
+ * Main execution function
+ */
+async function main() {
+  const args = parseArgs();
+
+  console.log('');
+  console.log('============================================');
+  console.log('  CryptoRank Snapshot Diff');
+  console.log('============================================');
+  console.log('');
+
+  // Step 1: Resolve snapshots
+  console.log('[1] Resolving snapshots...');
+  const names = await listSnapshots();
+  if (args.from === 'previous' && args.to === 'latest' && names.length < 2) {
+    // First snapshot of a fresh install: nothing to compare yet, which is not an error
+    console.log(`    Only ${names.length} snapshot(s) - nothing to compare yet`);
+    console.log('');
+    return;
+  }
+  const from = resolveSnapshot(args.from, names);
+  const to = resolveSnapshot(args.to, names);
+  if (!from || !to) {
+    console.error(`    ERROR: Could not resolve '${!from ? args.from : args.to}' (${names.length} snapshots available).`);
+    console.error(`    Run 'npm run snapshot' after a scrape, or list snapshots with 'npm run snapshot -- --list'.`);
+    process.exit(1);
+  }
+  if (from === to) {
+    console.error(`    ERROR: --from and --to both resolve to ${from}`);
+    process.exit(1);
+  }
+  console.log(`    From: ${from}`);
+  console.log(`    To:   ${to}`);
+  console.log('');
+
+  // Step 2: Compare datasets
+  console.log('[2] Comparing datasets...');
+  const report = {
+    metadata: {
+      generatedAt: new Date().toISOString(),
+      from,
+      to,
+      fromCreatedAt: from === 'current' ? null : (await readManifest(from))?.createdAt || null,
+      toCreatedAt: to === 'current' ? null : (await readManifest(to))?.createdAt || null
+    },
+    funds: null,
+    rounds: null,
+    projects: null
+  };
+
+  const funds = await loadPair(from, to, FUND_DATASETS);
+  if (funds) {
+    report.funds = { dataset: funds.dataset, ...diffFunds(funds.before, funds.after) };
+    const { added, removed, socialsChanged, tierChanged } = report.funds;
+    console.log(`    Funds (${funds.dataset}): +${added.length} -${removed.length}, ${socialsChanged.length} socials changed, ${tierChanged.length} tier changes`);
+  } else {
+    console.log('    Funds: not present in both snapshots');
+  }
+
+  const rounds = await loadPair(from, to, ROUND_DATASETS);
+  if (rounds) {
+    report.rounds = { dataset: rounds.dataset, ...diffRounds(rounds.before, rounds.after) };
+    console.log(`    Rounds (${rounds.dataset}): +${report.rounds.added.length} -${report.rounds.removed.length}`);
+  } else {
+    console.log('    Rounds: not present in both snapshots');
+  }
+
+  const projects = await loadPair(from, to, [DETAILED_DATASET]);
+  if (projects) {
+    report.projects = { dataset: projects.dataset, ...diffProjects(projects.before, projects.after) };
+    const { added, removed, metricsChanged } = report.projects;
+    console.log(`    Projects (${projects.dataset}): +${added.length} -${removed.length}, ${metricsChanged.length} with changed metrics`);
+  } else {
+    console.log('    Projects: not present in both snapshots');
+  }
+  console.log('');
+
+  // Step 3: Save
+  console.log('[3] Saving report...');
+  await writeFileAtomic(args.outputFile, JSON.stringify(report, null, 2));
+  console.log(`    Output saved to: ${args.outputFile}`);
+
+  console.log('');
+  console.log('============================================');
+  console.log('  Done!');
+  console.log('============================================');
+  console.log('');
+}
+
+// Run the main function
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,70 @@
+/**
+ * CryptoRank Endpoints
+ * Base URLs for the CryptoRank site and API, overridable through the config so the
+ * scrapers can be pointed at a mock server (see mock-server.js)
+ *
+ * Settings (see config.js; environment variables in brackets):
+ *   endpoints.siteUrl - Site base URL (CRYPTORANK_SITE_URL, default: https://cryptorank.io)
+ *   endpoints.apiUrl  - API base URL (CRYPTORANK_API_URL, default: https://api.cryptorank.io)
+ */
+
+import { getConfig } from './config.js';
+
+/**
+ * Strip trailing slashes from a base URL
+ * @param {string} url - Base URL
+ * @returns {string}
+ */
+function trimBaseUrl(url) {
+  return url.replace(/\/+$/, '');
+}
+
+export const CRYPTORANK_SITE_URL = trimBaseUrl(getConfig().endpoints.siteUrl);
+export const CRYPTORANK_API_URL = trimBaseUrl(getConfig().endpoints.apiUrl);
+
+/**
+ * Funds map API endpoint
+ * @returns {string}
+ */
+export function fundsMapUrl() {
+  return `${CRYPTORANK_API_URL}/v2/funds/map`;
+}
+
+/**
+ * Fund page URL
+ * @param {string} key - Fund key (e.g., 'coinbase-ventures')
+ * @returns {string}
+ */
+export function fundPageUrl(key) {
+  return `${CRYPTORANK_SITE_URL}/funds/${key}`;
+}
+
+/**
+ * Fund investments listing URL
+ * @param {string} key - Fund key
+ * @param {number} pageNumber - Page number (1-indexed)
+ * @returns {string}
+ */
+export function fundInvestmentsPageUrl(key, pageNumber = 1) {
+  const url = `${CRYPTORANK_SITE_URL}/funds/${key}/investments`;
+  return pageNumber === 1 ? url : `${url}?page=${pageNumber}`;
+}
+
+/**
+ * Funding rounds listing URL
+ * @param {number} pageNumber - Page number (1-indexed)
+ * @returns {string}
+ */
+export function fundingRoundsPageUrl(pageNumber = 1) {
+  const url = `${CRYPTORANK_SITE_URL}/funding-rounds`;
+  return pageNumber === 1 ? url : `${url}?page=${pageNumber}`;
+}
+
+/**
+ * Project page URL
+ * @param {string} projectKey - Project key
+ * @returns {string}
+ */
+export function projectPageUrl(projectKey) {
+  return `${CRYPTORANK_SITE_URL}/price/${projectKey}`;
+}
@@ -0,0 +1,84 @@
+/**
+ * Investor Enrichment Command
+ *
+ * Re-applies the funds map join (fund id, tier and type per investor, Tier 1 flags)
+ * to the funding rounds output files without scraping:
+ * 1. funding-rounds.json
+ * 2. funding-rounds-history.json
+ * 3. funding-rounds-detailed.json
+ *
+ * Usage:
+ *   node src/enrich-investors.js
+ */
+
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import { loadFundsMap, enrichRounds } from './investor-enrichment.js';
+import { CONTRACT_DATASETS, writeValidatedOutput } from './contracts.js';
+import { writeFileAtomic } from './atomic-write.js';
+import { outputPath } from './config.js';
+
+const ROUND_FILES = [
+  outputPath('funding-rounds.json'),
+  outputPath('funding-rounds-history.json'),
+  outputPath('funding-rounds-detailed.json')
+];
+
+/**
+ * Main execution function
+ */
+async function main() {
+  console.log('');
+  console.log('============================================');
+  console.log('  CryptoRank Investor Enrichment');
+  console.log('============================================');
+  console.log('');
+
+  console.log('[1] Loading funds map...');
+  const funds = await loadFundsMap();
+  if (!funds) {
+    console.error('    ERROR: Funds map unavailable (API request failed and no saved copy)');
+    process.exit(1);
+  }
+  console.log(`    Loaded ${funds.length} funds`);
+  console.log('');
+
+  console.log('[2] Enriching funding rounds...');
+  for (const file of ROUND_FILES) {
+    if (!existsSync(file)) {
+      console.log(`    Skipping ${file} (not found)`);
+      continue;
+    }
+
+    const json = JSON.parse(await readFile(file, 'utf-8'));
+    if (!Array.isArray(json.data)) {
+      console.log(`    Skipping ${file} (invalid format)`);
+      continue;
+    }
+
+    const { rounds, stats } = enrichRounds(json.data, funds);
+    const output = {
+      metadata: { ...json.metadata, investorsEnrichedAt: new Date().toISOString() },
+      data: rounds
+    };
+    if (CONTRACT_DATASETS.includes(path.basename(file))) {
+      await writeValidatedOutput(file, output);
+    } else {
+      await writeFileAtomic(file, JSON.stringify(output, null, 2));
+    }
+    console.log(`    ${file}: matched ${stats.investors - stats.unmatched}/${stats.investors} investors, ${stats.tier1Rounds} rounds with a Tier 1 investor`);
+  }
+
+  console.log('');
+  console.log('============================================');
+  console.log('  Done!');
+  console.log('============================================');
+  console.log('');
+}
+
+// Run the main function
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,89 @@
+/**
+ * Dataset Export
+ *
+ * Writes CSV, NDJSON and XLSX versions of the JSON outputs to output/exports/
+ * (see exporters.js for the tables and columns). The scrapers already export their
+ * own dataset at the end of a run; this command re-exports existing files.
+ *
+ * Usage:
+ *   node src/export.js                                  # Every dataset present in output/
+ *   node src/export.js --dataset funding-rounds.json    # One dataset
+ *   node src/export.js --formats csv,xlsx               # Only some formats
+ */
+
+import { EXPORT_FORMATS, EXPORTABLE_DATASETS, exportDataset } from './exporters.js';
+import { outputPath } from './config.js';
+
+const OUTPUT_DIR = outputPath();
+
+/**
+ * Parse command line arguments
+ * @returns {object} - { datasets, formats }
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  let datasets = EXPORTABLE_DATASETS;
+  let formats = EXPORT_FORMATS;
+
+  for (let i = 0; i < args.length; i++) {
+    if ((args[i] === '--dataset' || args[i] === '-d') && args[i + 1]) {
+      datasets = [args[i + 1].replace(/^.*\//, '')];
+      i++; // Skip next arg
+    } else if (args[i] === '--formats' && args[i + 1]) {
+      formats = args[i + 1].split(',').map(format => format.trim().toLowerCase()).filter(Boolean);
+      i++; // Skip next arg
+    }
+  }
+
+  return { datasets, formats };
+}
+
+/**
+ * Main execution function
+ */
+async function main() {
+  const { datasets, formats } = parseArgs();
+
+  console.log('');
+  console.log('============================================');
+  console.log('  CryptoRank Dataset Export');
+  console.log('============================================');
+  console.log(`  Formats: ${formats.join(', ')}`);
+  console.log('');
+
+  const unknownFormats = formats.filter(format => !EXPORT_FORMATS.includes(format));
+  if (unknownFormats.length > 0) {
+    console.error(`ERROR: Unknown format(s) ${unknownFormats.join(', ')} (supported: ${EXPORT_FORMATS.join(', ')})`);
+    process.exit(1);
+  }
+
+  console.log('[1] Exporting datasets...');
+  let exported = 0;
+  for (const dataset of datasets) {
+    const written = await exportDataset(`${OUTPUT_DIR}/${dataset}`, { formats });
+    if (!written) {
+      console.log(`    ${dataset}: not found - skipped`);
+      continue;
+    }
+    exported++;
+    console.log(`    ${dataset}:`);
+    for (const { file, rows } of written) {
+      console.log(`    - ${file} (${rows} rows)`);
+    }
+  }
+  if (exported === 0) {
+    console.log(`    No datasets found in ${OUTPUT_DIR}`);
+  }
+
+  console.log('');
+  console.log('============================================');
+  console.log('  Done!');
+  console.log('============================================');
+  console.log('');
+}
+
+// Run the main function
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,297 @@
+/**
+ * Dataset Exporters
+ *
+ * Flattens the JSON outputs into tables for spreadsheets and data tools:
+ * - tier1-vcs.json / tier1-2-vcs.json: one row per fund (profile and other_socials as columns)
+ * - funding-rounds.json: one row per round, plus one row per round x investor
+ * - funding-rounds-detailed.json: one row per round with its project details as columns
+ *
+ * Every table is written to output/exports/ as <table>.csv and <table>.ndjson; the tables
+ * of one dataset also go into <dataset>.xlsx, one sheet each.
+ *
+ * Columns come from fixed lists, so their order does not depend on the data. The only
+ * data-driven columns are other_socials platforms the scraper does not know yet; they
+ * follow the known ones in alphabetical order. Lists are joined with "; ".
+ */
+
+import { readFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import { computeRoundId } from './funding-rounds-scraper.js';
+import { buildXlsx } from './xlsx.js';
+import { writeFileAtomic } from './atomic-write.js';
+import { outputPath } from './config.js';
+
+export const EXPORT_DIR = outputPath('exports');
+export const EXPORT_FORMATS = ['csv', 'ndjson', 'xlsx'];
+
+const LIST_SEPARATOR = '; ';
+
+// Social platforms recognised by scraper.js (other_socials keys), in column order
+const SOCIAL_PLATFORMS = ['telegram', 'discord', 'medium', 'linkedin', 'github', 'youtube', 'facebook', 'instagram', 'reddit'];
+
+/**
+ * Join a list for a single cell
+ * @param {Array|null} values - Values
+ * @returns {string|null}
+ */
+function list(values) {
+  return Array.isArray(values) && values.length > 0 ? values.join(LIST_SEPARATOR) : null;
+}
+
+/**
+ * Columns of a fund row
+ * @param {Array} funds - Fund records (used for unknown other_socials platforms)
+ * @returns {Array} - [{ name, value }]
+ */
+function fundColumns(funds) {
+  const extraPlatforms = new Set();
+  for (const fund of funds) {
+    for (const platform of Object.keys(fund.other_socials || {})) {
+      if (!SOCIAL_PLATFORMS.includes(platform)) extraPlatforms.add(platform);
+    }
+  }
+
+  return [
+    { name: 'id', value: fund => fund.id },
+    { name: 'key', value: fund => fund.key },
+    { name: 'name', value: fund => fund.name },
+    { name: 'tier', value: fund => fund.tier },
+    { name: 'type', value: fund => fund.type },
+    { name: 'url', value: fund => fund.url },
+    { name: 'website', value: fund => fund.website },
+    { name: 'twitter', value: fund => fund.twitter },
+    ...[...SOCIAL_PLATFORMS, ...[...extraPlatforms].sort()].map(platform => ({
+      name: `other_socials.${platform}`,
+      value: fund => fund.other_socials?.[platform]
+    })),
+    { name: 'profile.description', value: fund => fund.profile?.description },
+    { name: 'profile.headquarters', value: fund => fund.profile?.headquarters },
+    { name: 'profile.foundedYear', value: fund => fund.profile?.foundedYear },
+    { name: 'profile.investmentsCount', value: fund => fund.profile?.investmentsCount },
+    { name: 'profile.leadInvestmentsCount', value: fund => fund.profile?.leadInvestmentsCount },
+    { name: 'profile.portfolioSize', value: fund => fund.profile?.portfolioSize },
+    { name: 'profile.preferredStages', value: fund => list(fund.profile?.preferredStages) },
+    { name: 'profile.preferredCategories', value: fund => list(fund.profile?.preferredCategories) },
+    { name: 'scrapedAt', value: fund => fund.scrapedAt },
+    { name: 'error', value: fund => fund.error }
+  ];
+}
+
+const ROUND_COLUMNS = [
+  { name: 'roundId', value: round => round.roundId || computeRoundId(round) },
+  { name: 'projectKey', value: round => round.projectKey },
+  { name: 'projectName', value: round => round.projectName },
+  { name: 'projectUrl', value: round => round.projectUrl },
+  { name: 'stage', value: round => round.stage },
+  { name: 'date', value: round => round.date },
+  { name: 'dateISO', value: round => round.dateISO },
+  { name: 'raiseAmount', value: round => round.raiseAmount },
+  { name: 'raiseAmountRaw', value: round => round.raiseAmountRaw },
+  { name: 'investorsTotal', value: round => round.investorsTotal },
+  { name: 'investorsTruncated', value: round => round.investorsTruncated },
+  { name: 'investors', value: round => list((round.investors || []).map(investor => investor.name)) },
+  { name: 'investorKeys', value: round => list((round.investors || []).map(investor => investor.key).filter(Boolean)) },
+  { name: 'hasTier1Investor', value: round => round.hasTier1Investor },
+  { name: 'tier1Investors', value: round => list(round.tier1Investors) },
+  { name: 'maxInvestorTier', value: round => round.maxInvestorTier },
+  { name: 'scrapedAt', value: round => round.scrapedAt }
+];
+
+// Rows are { round, investor, position } for the round x investor table
+const ROUND_INVESTOR_COLUMNS = [
+  { name: 'roundId', value: row => row.round.roundId || computeRoundId(row.round) },
+  { name: 'projectKey', value: row => row.round.projectKey },
+  { name: 'projectName', value: row => row.round.projectName },
+  { name: 'stage', value: row => row.round.stage },
+  { name: 'dateISO', value: row => row.round.dateISO },
+  { name: 'raiseAmountRaw', value: row => row.round.raiseAmountRaw },
+  { name: 'position', value: row => row.position },
+  { name: 'investorName', value: row => row.investor.name },
+  { name: 'investorKey', value: row => row.investor.key },
+  { name: 'investorId', value: row => row.investor.id },
+  { name: 'investorTier', value: row => row.investor.tier },
+  { name: 'investorType', value: row => row.investor.type },
+  { name: 'matchedBy', value: row => row.investor.matchedBy }
+];
+
+// Scalar project details, in column order
+const DETAIL_FIELDS = [
+  'description',
+  'website',
+  'twitter',
+  'telegram',
+  'discord',
+  'github',
+  'linkedin',
+  'tokenSymbol',
+  'tokenPrice',
+  'tokenPriceRaw',
+  'marketCap',
+  'marketCapRaw',
+  'fdv',
+  'fdvRaw',
+  'totalSupply',
+  'totalSupplyRaw',
+  'circulatingSupply',
+  'circulatingSupplyRaw',
+  'totalRaised',
+  'totalRaisedRaw',
+  'valuation',
+  'valuationRaw',
+  'tgeDate',
+  'tgeDateISO',
+  'tgeDatePrecision',
+  'tgeDateEstimated'
+];
+
+const DETAILED_ROUND_COLUMNS = [
+  ...ROUND_COLUMNS,
+  ...DETAIL_FIELDS.map(field => ({ name: `details.${field}`, value: round => round.details?.[field] })),
+  { name: 'details.categories', value: round => list(round.details?.categories) },
+  { name: 'details.roundsCount', value: round => round.details?.rounds?.length },
+  { name: 'details.vesting.tgeUnlockPercent', value: round => round.details?.vesting?.tgeUnlockPercent },
+  { name: 'details.vesting.cliffMonths', value: round => round.details?.vesting?.cliffMonths },
+  { name: 'details.vesting.vestingMonths', value: round => round.details?.vesting?.vestingMonths },
+  { name: 'details.vesting.nextUnlock.dateISO', value: round => round.details?.vesting?.nextUnlock?.dateISO },
+  { name: 'details.vesting.nextUnlock.amountRaw', value: round => round.details?.vesting?.nextUnlock?.amountRaw },
+  { name: 'details.scrapedAt', value: round => round.details?.scrapedAt },
+  { name: 'detailsError', value: round => round.detailsError }
+];
+
+/**
+ * Tables of a fund dataset
+ * @param {string} table - Table name
+ * @returns {function} - data -> [{ name, sheet, columns, records }]
+ */
+function fundTables(table) {
+  return data => [{ name: table, sheet: 'funds', columns: fundColumns(data), records: data }];
+}
+
+// Exportable datasets: file name in output/ -> tables built from its data array
+const DATASET_TABLES = {
+  'tier1-vcs.json': fundTables('tier1-vcs'),
+  'tier1-2-vcs.json': fundTables('tier1-2-vcs'),
+  'funding-rounds.json': data => [
+    { name: 'funding-rounds', sheet: 'rounds', columns: ROUND_COLUMNS, records: data },
+    {
+      name: 'funding-rounds-investors',
+      sheet: 'investors',
+      columns: ROUND_INVESTOR_COLUMNS,
+      records: data.flatMap(round =>
+        (round.investors || []).map((investor, index) => ({ round, investor, position: index + 1 }))
+      )
+    }
+  ],
+  'funding-rounds-detailed.json': data => [
+    { name: 'funding-rounds-detailed', sheet: 'rounds', columns: DETAILED_ROUND_COLUMNS, records: data }
+  ]
+};
+
+export const EXPORTABLE_DATASETS = Object.keys(DATASET_TABLES);
+
+/**
+ * Quote a value for CSV
+ * Scraped text starting with =, +, -, @, tab or CR gets a leading ' so spreadsheets show it
+ * instead of running it as a formula (numbers are left as they are).
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+export function csvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Flatten records into rows of cell values
+ * @param {Array} columns - [{ name, value }]
+ * @param {Array} records - Records of the table
+ * @returns {Array<Array>} - Rows without the header
+ */
+function toRows(columns, records) {
+  return records.map(record => columns.map(column => column.value(record) ?? null));
+}
+
+/**
+ * Render a table as CSV
+ * @param {Array} columns - [{ name, value }]
+ * @param {Array<Array>} rows - Result of toRows()
+ * @returns {string}
+ */
+function toCsv(columns, rows) {
+  const header = columns.map(column => column.name);
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Render a table as NDJSON (one object per row, keys in column order)
+ * @param {Array} columns - [{ name, value }]
+ * @param {Array<Array>} rows - Result of toRows()
+ * @returns {string}
+ */
+function toNdjson(columns, rows) {
+  return rows.map(row =>
+    JSON.stringify(Object.fromEntries(columns.map((column, i) => [column.name, row[i]])))
+  ).join('\n') + (rows.length > 0 ? '\n' : '');
+}
+
+/**
+ * Export one JSON dataset from output/ as CSV, NDJSON and XLSX
+ * @param {string} sourceFile - Path of the dataset (e.g. ./output/funding-rounds.json)
+ * @param {object} options
+ * @param {string[]} options.formats - Formats to write (default: all)
+ * @param {string} options.outputDir - Target directory
+ * @returns {Promise<Array|null>} - [{ file, rows }] for every written file, null when the source is missing
+ */
+export async function exportDataset(sourceFile, options = {}) {
+  const formats = options.formats || EXPORT_FORMATS;
+  const outputDir = options.outputDir || EXPORT_DIR;
+  const dataset = path.basename(sourceFile);
+  const buildTables = DATASET_TABLES[dataset];
+  if (!buildTables) {
+    throw new Error(`No exporter for ${dataset} (supported: ${EXPORTABLE_DATASETS.join(', ')})`);
+  }
+  if (!existsSync(sourceFile)) {
+    return null;
+  }
+
+  const json = JSON.parse(await readFile(sourceFile, 'utf-8'));
+  const tables = buildTables(json.data || []).map(table => ({
+    ...table,
+    rows: toRows(table.columns, table.records)
+  }));
+
+  await mkdir(outputDir, { recursive: true });
+  const written = [];
+
+  for (const table of tables) {
+    if (formats.includes('csv')) {
+      const file = path.join(outputDir, `${table.name}.csv`);
+      await writeFileAtomic(file, toCsv(table.columns, table.rows));
+      written.push({ file, rows: table.rows.length });
+    }
+    if (formats.includes('ndjson')) {
+      const file = path.join(outputDir, `${table.name}.ndjson`);
+      await writeFileAtomic(file, toNdjson(table.columns, table.rows));
+      written.push({ file, rows: table.rows.length });
+    }
+  }
+
+  if (formats.includes('xlsx')) {
+    const file = path.join(outputDir, dataset.replace(/\.json$/, '.xlsx'));
+    const sheets = tables.map(table => ({
+      name: table.sheet,
+      rows: [table.columns.map(column => column.name), ...table.rows]
+    }));
+    await writeFileAtomic(file, buildXlsx(sheets));
+    written.push({ file, rows: tables.reduce((sum, table) => sum + table.rows.length, 0) });
+  }
+
+  return written;
+}
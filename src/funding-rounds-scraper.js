@@ -3,17 +3,22 @@
  * Uses Puppeteer to scrape funding rounds from CryptoRank
  */
 
-import puppeteer from 'puppeteer-core';
 import { mkdir } from 'fs/promises';
 import { existsSync } from 'fs';
 import path from 'path';
-
-const BROWSERLESS_URL = process.env.BROWSERLESS_URL || 'wss://browserless.tiexo.com/';
-const CRYPTORANK_FUNDING_URL = 'https://cryptorank.io/funding-rounds';
-const MAX_RETRIES = 3;
-const RETRY_DELAY_MS = 2000;
-const SELECTOR_TIMEOUT_MS = 15000;
-const SCREENSHOTS_DIR = './screenshots/funding-rounds';
+import { createHash } from 'crypto';
+import { resolveBrowserOptions, describeBrowser, openBrowser } from './browser-provider.js';
+import { saveHtmlArchive, archivePathFor } from './html-archive.js';
+import { fundingRoundsPageUrl } from './endpoints.js';
+import { getConfig, screenshotsPath } from './config.js';
+
+const config = getConfig();
+const MAX_RETRIES = config.scraper.maxRetries;
+const RETRY_DELAY_MS = config.scraper.retryDelayMs;
+const SELECTOR_TIMEOUT_MS = config.scraper.selectorTimeoutMs;
+const TOOLTIP_WAIT_MS = 600;
+const DELAY_BETWEEN_FOLLOW_UPS_MS = config.rounds.delayBetweenFollowUpsMs;
+export const SCREENSHOTS_DIR = screenshotsPath('funding-rounds');
 
 // Realistic user agent to avoid bot detection
 const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
@@ -21,6 +26,8 @@ const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/
 // Standard viewport
 const VIEWPORT = { width: 1920, height: 1080 };
 
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
 /**
  * Delay helper
  * @param {number} ms - Milliseconds to delay
@@ -34,7 +41,7 @@ function delay(ms) {
  * @param {string} amountStr - Amount string like "$5.5M" or "$1.2B"
  * @returns {number|null} - Parsed number or null
  */
-function parseRaiseAmount(amountStr) {
+export function parseRaiseAmount(amountStr) {
   if (!amountStr || amountStr === '-' || amountStr === 'N/A') {
     return null;
   }
@@ -67,37 +74,337 @@ function parseRaiseAmount(amountStr) {
   }
 }
 
+/**
+ * ISO date of a calendar day
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {string|null} - "YYYY-MM-DD", or null for days that do not exist (e.g. Feb 30)
+ */
+function toISODate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().split('T')[0];
+}
+
 /**
  * Parse date string to ISO format
- * @param {string} dateStr - Date string like "Jan 27, 2026" or "27 Jan"
+ * The calendar date is taken as written, independent of the process time zone (round ids
+ * are built from it). Dates without a year (e.g. "27 Jan") get the year that puts them
+ * closest to the reference date, so the result does not change at New Year.
+ * @param {string} dateStr - Date string like "Jan 27, 2026", "27 Jan" or "2026-01-27"
+ * @param {string|Date} referenceDate - When the date was scraped (default: now)
  * @returns {string|null} - ISO date string or null
  */
-function parseDateToISO(dateStr) {
+export function parseDateToISO(dateStr, referenceDate = new Date()) {
   if (!dateStr || dateStr === '-' || dateStr === 'N/A') {
     return null;
   }
 
-  try {
-    // If date doesn't include a year (e.g., "27 Jan"), add current year
-    const hasYear = /\d{4}/.test(dateStr);
-    const dateWithYear = hasYear ? dateStr : `${dateStr} ${new Date().getFullYear()}`;
+  const text = String(dateStr).trim();
+  let match;
+  if ((match = text.match(/^(\d{4})-(\d{2})-(\d{2})/))) {
+    return toISODate(parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3], 10));
+  }
 
-    const date = new Date(dateWithYear);
-    if (isNaN(date.getTime())) {
-      return null;
-    }
-    return date.toISOString().split('T')[0];
-  } catch {
+  const monthName = text.match(/[A-Za-z]{3,}/)?.[0];
+  const month = monthName ? MONTH_NAMES.indexOf(monthName.slice(0, 3).toLowerCase()) + 1 : 0;
+  if (month === 0) {
+    return null;
+  }
+  const yearMatch = text.match(/\b(\d{4})\b/);
+  const dayMatch = text.replace(/\b\d{4}\b/, '').match(/\b(\d{1,2})\b/);
+  // A month and year only ("Mar 2026") means the first of the month
+  const day = dayMatch ? parseInt(dayMatch[1], 10) : 1;
+
+  if (yearMatch) {
+    return toISODate(parseInt(yearMatch[1], 10), month, day);
+  }
+
+  const reference = new Date(referenceDate);
+  if (isNaN(reference.getTime())) {
+    return null;
+  }
+  const referenceYear = reference.getUTCFullYear();
+  const candidates = [referenceYear - 1, referenceYear, referenceYear + 1]
+    .map(year => toISODate(year, month, day))
+    .filter(Boolean);
+  if (candidates.length === 0) {
     return null;
   }
+  const distance = iso => Math.abs(new Date(`${iso}T00:00:00Z`) - reference);
+  return candidates.reduce((best, iso) => (distance(iso) < distance(best) ? iso : best));
+}
+
+/**
+ * Extract funding rounds data from a funding rounds page document
+ * Runs inside the browser via page.evaluate (where `doc` defaults to the page's
+ * document) and offline against archived HTML.
+ * @param {object} doc - DOM document
+ * @returns {Array} - Array of raw funding round objects
+ */
+export function extractRowDataFromDocument(doc = document) {
+  const rows = doc.querySelectorAll('table tbody tr');
+  const results = [];
+
+  // Build absolute URLs against the page's own origin (the live site or a mock server)
+  const origin = doc.location.origin;
+
+  for (const row of rows) {
+    const cells = row.querySelectorAll('td');
+    if (cells.length < 6) continue;
+
+    // Project info (first column with link and name)
+    const projectLink = cells[0].querySelector('a[href*="/ico/"]');
+    let projectName = null;
+    let projectKey = null;
+    let projectIcoURL = null;
+    let projectUrl = null;
+
+    if (projectLink) {
+      projectName = projectLink.textContent?.trim() || null;
+      const href = projectLink.getAttribute('href');
+      if (href) {
+        // Extract key from /ico/project-key
+        const keyMatch = href.match(/\/ico\/([^/?]+)/);
+        projectKey = keyMatch ? keyMatch[1] : null;
+        projectIcoURL = `${origin}${href}`;
+        projectUrl = `${origin}/price/${projectKey}`;
+      }
+    }
+
+    // Raise amount (second column)
+    const raiseAmountText = cells[1].textContent?.trim() || null;
+
+    // Stage (third column)
+    const stage = cells[2].textContent?.trim() || null;
+
+    // Investors (fourth column - may have multiple links)
+    const investorLinks = cells[3].querySelectorAll('a[href*="/funds/"]');
+    const investors = [];
+    for (const invLink of investorLinks) {
+      const invName = invLink.textContent?.trim();
+      const invHref = invLink.getAttribute('href');
+      if (invName && invHref) {
+        const keyMatch = invHref.match(/\/funds\/([^/?]+)/);
+        investors.push({
+          name: invName,
+          key: keyMatch ? keyMatch[1] : null
+        });
+      }
+    }
+
+    // The listing only shows the first few investors followed by a "+N" badge
+    let hiddenInvestors = 0;
+    for (const el of cells[3].querySelectorAll('*')) {
+      if (el.children.length > 0) continue;
+      const badgeMatch = el.textContent?.trim().match(/^\+(\d+)$/);
+      if (badgeMatch) {
+        hiddenInvestors += parseInt(badgeMatch[1], 10);
+      }
+    }
+
+    // Date (fifth column)
+    const dateText = cells[4].textContent?.trim() || null;
+
+    // Moni Score (sixth column)
+    const moniScore = cells[5].textContent?.trim() || null;
+
+    results.push({
+      projectName,
+      projectKey,
+      projectUrl,
+      projectIcoURL,
+      raiseAmount: raiseAmountText,
+      stage,
+      investors,
+      investorsTotal: investors.length + hiddenInvestors,
+      date: dateText,
+      moniScore
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Mark the "+N" investor badges of the funding rounds table so they can be hovered
+ * Badges get a data-investor-badge attribute holding the index of their row in
+ * the results of extractRowDataFromDocument.
+ * @param {object} doc - DOM document
+ * @returns {number} - Number of badges marked
+ */
+function markInvestorBadges(doc = document) {
+  let rowIndex = 0;
+  let marked = 0;
+
+  for (const row of doc.querySelectorAll('table tbody tr')) {
+    const cells = row.querySelectorAll('td');
+    if (cells.length < 6) continue;
+
+    for (const el of cells[3].querySelectorAll('*')) {
+      if (el.children.length === 0 && /^\+\d+$/.test(el.textContent?.trim() || '')) {
+        el.setAttribute('data-investor-badge', String(rowIndex));
+        marked++;
+      }
+    }
+    rowIndex++;
+  }
+
+  return marked;
+}
+
+/**
+ * Read investor links from whatever tooltip/popover is currently open
+ * @param {object} doc - DOM document
+ * @returns {Array} - Array of { name, key }
+ */
+function extractTooltipInvestors(doc = document) {
+  const popups = doc.querySelectorAll(
+    '[role="tooltip"], [class*="tooltip"], [class*="Tooltip"], [class*="popover"], [class*="Popover"], [data-radix-popper-content-wrapper]'
+  );
+  const investors = [];
+
+  for (const popup of popups) {
+    for (const link of popup.querySelectorAll('a[href*="/funds/"]')) {
+      const name = link.textContent?.trim();
+      const keyMatch = (link.getAttribute('href') || '').match(/\/funds\/([^/?]+)/);
+      if (name) {
+        investors.push({ name, key: keyMatch ? keyMatch[1] : null });
+      }
+    }
+  }
+
+  return investors;
+}
+
+/**
+ * Extract the investors of one round from a project's funding page
+ * Picks the most specific block (table row or round card) that shows the round's
+ * stage and amount and links to funds. The stage must start the text of one element
+ * in the block ("Seed" matches "Seed Round" but not "Pre-Seed").
+ * @param {object} doc - DOM document
+ * @param {string} stage - Round stage as shown in the listing
+ * @param {string} raiseAmount - Raise amount as shown in the listing
+ * @returns {Array} - Array of { name, key }
+ */
+export function extractRoundInvestorsFromDocument(doc = document, stage = null, raiseAmount = null) {
+  const candidates = doc.querySelectorAll('tr, li, [class*="round"], [class*="Round"]');
+  const stageText = (stage || '').trim();
+  const stagePattern = stageText
+    ? new RegExp(`^${stageText.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?!\\w)`, 'i')
+    : null;
+  const hasAmount = raiseAmount && raiseAmount !== '-' && raiseAmount !== 'N/A';
+  let best = null;
+
+  // Text of an element without its child elements (a stage label, not the whole row)
+  const ownText = (node) => Array.from(node.childNodes)
+    .filter(child => child.nodeType === 3)
+    .map(child => child.textContent)
+    .join('')
+    .trim();
+  const showsStage = (el) => Array.from(el.querySelectorAll('*')).some(child => stagePattern.test(ownText(child)));
+
+  for (const el of candidates) {
+    const text = el.textContent || '';
+    if (stagePattern && !showsStage(el)) continue;
+    if (hasAmount && !text.includes(raiseAmount)) continue;
+    if (!el.querySelector('a[href*="/funds/"]')) continue;
+
+    // Prefer the smallest matching block so other rounds' investors aren't included
+    if (!best || text.length < best.textContent.length) {
+      best = el;
+    }
+  }
+
+  if (!best) {
+    return [];
+  }
+
+  const investors = [];
+  for (const link of best.querySelectorAll('a[href*="/funds/"]')) {
+    const name = link.textContent?.trim();
+    const keyMatch = (link.getAttribute('href') || '').match(/\/funds\/([^/?]+)/);
+    if (name) {
+      investors.push({ name, key: keyMatch ? keyMatch[1] : null });
+    }
+  }
+  return investors;
+}
+
+/**
+ * Add investors to a round, skipping ones it already has
+ * @param {object} row - Raw funding round row (mutated)
+ * @param {Array} extra - Additional investors
+ */
+function mergeInvestors(row, extra) {
+  const seen = new Set(row.investors.map(inv => inv.key || inv.name));
+  for (const inv of extra) {
+    const id = inv.key || inv.name;
+    if (!seen.has(id)) {
+      seen.add(id);
+      row.investors.push(inv);
+    }
+  }
+  row.investorsTotal = Math.max(row.investorsTotal ?? 0, row.investors.length);
+}
+
+/**
+ * Compute a stable identity for a funding round
+ * Built from project key + stage + date + amount, so the same round keeps
+ * its id across runs even when it moves to a different listing page.
+ * @param {object} round - Funding round with projectKey, stage, dateISO and raiseAmountRaw
+ * @returns {string} - 16-character hex id
+ */
+export function computeRoundId(round) {
+  const identity = [
+    round.projectKey || round.projectName || '',
+    (round.stage || '').toLowerCase(),
+    round.dateISO || round.date || '',
+    round.raiseAmountRaw ?? ''
+  ].join('|');
+
+  return createHash('sha1').update(identity).digest('hex').slice(0, 16);
+}
+
+/**
+ * Add parsed values to raw funding round rows
+ * @param {Array} rawData - Rows returned by extractRowDataFromDocument
+ * @param {string} scrapedAt - ISO timestamp of the scrape
+ * @returns {Array} - Rows with roundId, investorsTruncated, raiseAmountRaw, dateISO and scrapedAt
+ */
+export function processRowData(rawData, scrapedAt = new Date().toISOString()) {
+  return rawData.map(row => {
+    const investorsTotal = Math.max(row.investorsTotal ?? 0, row.investors.length);
+    const parsed = {
+      ...row,
+      investorsTotal,
+      investorsTruncated: row.investors.length < investorsTotal,
+      raiseAmountRaw: parseRaiseAmount(row.raiseAmount),
+      dateISO: parseDateToISO(row.date, scrapedAt),
+      scrapedAt
+    };
+    return { roundId: computeRoundId(parsed), ...parsed };
+  });
 }
 
 /**
  * FundingRoundsScraper class - manages browser connection and scraping
  */
 export class FundingRoundsScraper {
-  constructor() {
+  /**
+   * @param {object} options
+   * @param {object} options.browser - Browser provider overrides (see resolveBrowserOptions)
+   * @param {boolean} options.archiveHtml - Whether to save the rendered HTML next to screenshots
+   * @param {boolean} options.resolveInvestors - Whether to expand "+N" investor badges (default: true)
+   */
+  constructor(options = {}) {
     this.browser = null;
+    this.browserOptions = resolveBrowserOptions(options.browser);
+    this.archiveHtml = options.archiveHtml || false;
+    this.resolveInvestors = options.resolveInvestors ?? true;
     this.screenshotsDir = SCREENSHOTS_DIR;
   }
 
@@ -111,7 +418,7 @@ export class FundingRoundsScraper {
   }
 
   /**
-   * Save a screenshot with a descriptive filename
+   * Save a screenshot (and optionally the rendered HTML) with a descriptive filename
    * @param {object} page - Puppeteer page instance
    * @param {number} pageNumber - Page number for filename
    */
@@ -120,6 +427,9 @@ export class FundingRoundsScraper {
       await this.ensureScreenshotsDir();
       const filename = `page-${pageNumber}.png`;
       const filepath = path.join(this.screenshotsDir, filename);
+      if (this.archiveHtml) {
+        await saveHtmlArchive(page, archivePathFor(filepath));
+      }
       await page.screenshot({ path: filepath, fullPage: true });
     } catch (e) {
       // Silently ignore screenshot errors to not break the scraping flow
@@ -135,26 +445,40 @@ export class FundingRoundsScraper {
   }
 
   /**
-   * Connect to browserless instance
+   * Connect to browserless or launch a local browser, depending on the provider
    */
   async connect() {
-    console.log('    Connecting to browserless...');
-    this.browser = await puppeteer.connect({
-      browserWSEndpoint: BROWSERLESS_URL
-    });
+    console.log(`    Connecting to ${describeBrowser(this.browserOptions)}...`);
+    this.browser = await openBrowser(this.browserOptions);
     console.log('    Connected successfully');
   }
 
   /**
-   * Reconnect to browserless if disconnected
+   * Reconnect to the browser if disconnected
    */
   async ensureConnected() {
     if (!this.isConnected()) {
-      console.log('           Reconnecting to browserless...');
+      console.log(`           Reconnecting to ${describeBrowser(this.browserOptions)}...`);
       await this.connect();
     }
   }
 
+  /**
+   * Drop the browser after a connection error, so the next attempt reconnects
+   * A browser that is still connected is kept (the error was the page's): dropping it
+   * would leave a local Chromium and its pages running next to the new one.
+   */
+  async resetConnection() {
+    if (!this.browser || this.isConnected()) return;
+    const browser = this.browser;
+    this.browser = null;
+    try {
+      await browser.close();
+    } catch (e) {
+      // Ignore errors when closing a disconnected browser
+    }
+  }
+
   /**
    * Disconnect from browser
    */
@@ -176,75 +500,107 @@ export class FundingRoundsScraper {
    * @returns {Array} - Array of funding round objects
    */
   async extractRowData(page) {
-    return await page.evaluate(() => {
-      const rows = document.querySelectorAll('table tbody tr');
-      const results = [];
-
-      for (const row of rows) {
-        const cells = row.querySelectorAll('td');
-        if (cells.length < 6) continue;
-
-        // Project info (first column with link and name)
-        const projectLink = cells[0].querySelector('a[href*="/ico/"]');
-        let projectName = null;
-        let projectKey = null;
-        let projectIcoURL = null;
-        let projectUrl = null;
-
-        if (projectLink) {
-          projectName = projectLink.textContent?.trim() || null;
-          const href = projectLink.getAttribute('href');
-          if (href) {
-            // Extract key from /ico/project-key
-            const keyMatch = href.match(/\/ico\/([^/?]+)/);
-            projectKey = keyMatch ? keyMatch[1] : null;
-            projectIcoURL = `https://cryptorank.io${href}`;
-            projectUrl = `https://cryptorank.io/price/${projectKey}`;
-          }
-        }
+    return await page.evaluate(extractRowDataFromDocument);
+  }
 
-        // Raise amount (second column)
-        const raiseAmountText = cells[1].textContent?.trim() || null;
-
-        // Stage (third column)
-        const stage = cells[2].textContent?.trim() || null;
-
-        // Investors (fourth column - may have multiple links)
-        const investorLinks = cells[3].querySelectorAll('a[href*="/funds/"]');
-        const investors = [];
-        for (const invLink of investorLinks) {
-          const invName = invLink.textContent?.trim();
-          const invHref = invLink.getAttribute('href');
-          if (invName && invHref) {
-            const keyMatch = invHref.match(/\/funds\/([^/?]+)/);
-            investors.push({
-              name: invName,
-              key: keyMatch ? keyMatch[1] : null
-            });
+  /**
+   * Open a new page with the standard user agent, viewport and timeout
+   * @returns {Promise<object>} - Puppeteer page instance
+   */
+  async openPage() {
+    await this.ensureConnected();
+    const page = await this.browser.newPage();
+    await page.setUserAgent(USER_AGENT);
+    await page.setViewport(VIEWPORT);
+    page.setDefaultTimeout(30000);
+    return page;
+  }
+
+  /**
+   * Hover each "+N" investor badge and read the full list from the tooltip
+   * @param {object} page - Puppeteer page instance showing the funding rounds table
+   * @param {Array} rows - Raw rows from extractRowData (investors are merged in place)
+   */
+  async expandInvestorBadges(page, rows) {
+    const marked = await page.evaluate(markInvestorBadges);
+    if (marked === 0) return;
+
+    for (let i = 0; i < rows.length; i++) {
+      const row = rows[i];
+      if (row.investors.length >= row.investorsTotal) continue;
+
+      try {
+        const badge = await page.$(`[data-investor-badge="${i}"]`);
+        if (!badge) continue;
+
+        await badge.hover();
+        await delay(TOOLTIP_WAIT_MS);
+        let extra = await page.evaluate(extractTooltipInvestors);
+
+        // Some badges only open their popover on click
+        if (extra.length === 0) {
+          const insideLink = await badge.evaluate(el => !!el.closest('a'));
+          if (!insideLink) {
+            await badge.click();
+            await delay(TOOLTIP_WAIT_MS);
+            extra = await page.evaluate(extractTooltipInvestors);
+            await page.keyboard.press('Escape');
           }
         }
 
-        // Date (fifth column)
-        const dateText = cells[4].textContent?.trim() || null;
-
-        // Moni Score (sixth column)
-        const moniScore = cells[5].textContent?.trim() || null;
-
-        results.push({
-          projectName,
-          projectKey,
-          projectUrl,
-          projectIcoURL,
-          raiseAmount: raiseAmountText,
-          stage,
-          investors,
-          date: dateText,
-          moniScore
-        });
+        mergeInvestors(row, extra);
+        await page.mouse.move(0, 0);
+      } catch (e) {
+        // Leave the round truncated; the project page follow-up may still resolve it
       }
+    }
+  }
 
-      return results;
-    });
+  /**
+   * Fill in still-truncated investor lists from each project's funding page
+   * @param {Array} rows - Raw rows from extractRowData (investors are merged in place)
+   */
+  async resolveFromProjectPages(rows) {
+    const truncated = rows.filter(row => row.projectIcoURL && row.investors.length < row.investorsTotal);
+    if (truncated.length === 0) return;
+
+    // Group by project so each funding page is loaded once
+    const byProject = new Map();
+    for (const row of truncated) {
+      if (!byProject.has(row.projectIcoURL)) {
+        byProject.set(row.projectIcoURL, []);
+      }
+      byProject.get(row.projectIcoURL).push(row);
+    }
+
+    for (const [icoUrl, projectRows] of byProject) {
+      let page = null;
+      try {
+        await delay(DELAY_BETWEEN_FOLLOW_UPS_MS);
+        page = await this.openPage();
+        await page.goto(icoUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+        try {
+          await page.waitForSelector('a[href*="/funds/"]', { timeout: SELECTOR_TIMEOUT_MS });
+        } catch (e) {
+          // No investor links rendered - nothing to merge
+        }
+
+        for (const row of projectRows) {
+          const extra = await page.evaluate(extractRoundInvestorsFromDocument, undefined, row.stage, row.raiseAmount);
+          mergeInvestors(row, extra);
+        }
+      } catch (e) {
+        // Ignore follow-up errors; the rounds stay flagged as truncated
+      } finally {
+        if (page) {
+          try {
+            await page.close();
+          } catch (e) {
+            // Ignore
+          }
+        }
+      }
+    }
   }
 
   /**
@@ -253,9 +609,7 @@ export class FundingRoundsScraper {
    * @returns {object} - { data: Array, error: string|null }
    */
   async scrapePage(pageNumber) {
-    const url = pageNumber === 1
-      ? CRYPTORANK_FUNDING_URL
-      : `${CRYPTORANK_FUNDING_URL}?page=${pageNumber}`;
+    const url = fundingRoundsPageUrl(pageNumber);
 
     let lastError = null;
 
@@ -293,26 +647,30 @@ export class FundingRoundsScraper {
         // Extract row data
         const rawData = await this.extractRowData(page);
 
-        // Post-process the data (add parsed values)
-        const data = rawData.map(row => ({
-          ...row,
-          raiseAmountRaw: parseRaiseAmount(row.raiseAmount),
-          dateISO: parseDateToISO(row.date),
-          scrapedAt: new Date().toISOString()
-        }));
-
         // If no data found and we have retries left, retry
-        if (data.length === 0 && attempt < MAX_RETRIES) {
+        if (rawData.length === 0 && attempt < MAX_RETRIES) {
           await page.close();
           page = null;
           throw new Error('No funding rounds found - retrying');
         }
 
-        // Save screenshot (always enabled for funding rounds)
+        // Save screenshot (always enabled for funding rounds) before hovering changes the DOM
         await this.saveScreenshot(page, pageNumber);
+
+        // Fill in investors hidden behind "+N" badges
+        if (this.resolveInvestors) {
+          await this.expandInvestorBadges(page, rawData);
+        }
         await page.close();
         page = null;
 
+        if (this.resolveInvestors) {
+          await this.resolveFromProjectPages(rawData);
+        }
+
+        // Post-process the data (add parsed values)
+        const data = processRowData(rawData);
+
         return { data, error: null };
 
       } catch (error) {
@@ -336,7 +694,7 @@ export class FundingRoundsScraper {
         if (error.message.includes('Connection closed') ||
             error.message.includes('Protocol error') ||
             error.message.includes('Target closed')) {
-          this.browser = null; // Force reconnection on next attempt
+          await this.resetConnection(); // Reconnect on the next attempt
         }
 
         if (attempt < MAX_RETRIES) {
@@ -5,25 +5,49 @@
  * 1. Parsing command line arguments
  * 2. Loading cache to resume from partial scrapes
  * 3. Scraping funding rounds pages
- * 4. Saving results to JSON file
+ * 4. Attaching fund id/tier/type to every investor (see investor-enrichment.js)
+ * 5. Saving results to JSON file (validated against its JSON Schema first, see contracts.js)
+ * 6. In incremental mode, merging new rounds into the history file
+ * 7. With --db, upserting rounds into the SQLite store and exporting the JSON files from it
+ * 8. Writing CSV/NDJSON/XLSX exports of the output file (see exporters.js)
+ * 9. Posting newly seen rounds that match notification rules to webhooks (see notifier.js)
  *
  * Usage:
  *   node src/funding-rounds.js              # Scrape default 200 rounds
  *   node src/funding-rounds.js --limit 500  # Custom limit
  *   node src/funding-rounds.js -l 100       # Short form
+ *   node src/funding-rounds.js --local      # Launch a local Chromium instead of browserless
+ *   node src/funding-rounds.js --archive-html  # Save rendered HTML for offline re-parsing
+ *   node src/funding-rounds.js --incremental   # Stop at already-known rounds, grow the history file
+ *   node src/funding-rounds.js --no-resolve-investors  # Keep "+N" investor lists truncated
+ *   node src/funding-rounds.js --db            # Also store rounds in ./output/scraper.db (see store.js)
+ *   node src/funding-rounds.js --no-notify     # Skip webhook notifications
+ *   node src/funding-rounds.js --no-export     # Skip the CSV/NDJSON/XLSX exports
  */
 
-import { writeFile } from 'fs/promises';
-import { FundingRoundsScraper } from './funding-rounds-scraper.js';
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { FundingRoundsScraper, computeRoundId, SCREENSHOTS_DIR } from './funding-rounds-scraper.js';
+import { parseBrowserArgs } from './browser-provider.js';
+import { loadFundsMap, enrichRounds } from './investor-enrichment.js';
+import { resolveStorePath, openStore } from './store.js';
+import { loadNotificationConfig, notifyRounds, withCategories } from './notifier.js';
+import { exportDataset } from './exporters.js';
+import { writeValidatedOutput } from './contracts.js';
+import { acquireRunLock } from './run-lock.js';
+import { writeFileAtomic } from './atomic-write.js';
+import { getConfig, outputPath } from './config.js';
 
-const OUTPUT_FILE = './output/funding-rounds.json';
-const DEFAULT_LIMIT = 200;
-const ITEMS_PER_PAGE = 20;
-const DELAY_BETWEEN_PAGES_MS = 2000;
+const config = getConfig();
+const OUTPUT_FILE = outputPath('funding-rounds.json');
+const HISTORY_FILE = outputPath('funding-rounds-history.json');
+const DEFAULT_LIMIT = config.rounds.limit;
+const ITEMS_PER_PAGE = config.rounds.itemsPerPage;
+const DELAY_BETWEEN_PAGES_MS = config.rounds.delayBetweenPagesMs;
 
 /**
  * Parse command line arguments
- * @returns {object} - { limit: number }
+ * @returns {object} - { limit, incremental, resolveInvestors, archiveHtml, notify, exportFiles, db, browser }
  */
 function parseArgs() {
   const args = process.argv.slice(2);
@@ -39,7 +63,16 @@ function parseArgs() {
     }
   }
 
-  return { limit };
+  return {
+    limit,
+    incremental: args.includes('--incremental') || args.includes('-i'),
+    resolveInvestors: !args.includes('--no-resolve-investors'),
+    archiveHtml: args.includes('--archive-html'),
+    notify: !args.includes('--no-notify'),
+    exportFiles: !args.includes('--no-export'),
+    db: resolveStorePath(args),
+    browser: parseBrowserArgs(args)
+  };
 }
 
 /**
@@ -89,7 +122,85 @@ async function saveResults(data, limit, pagesScraped, startTime, partial = false
     data
   };
 
-  await writeFile(OUTPUT_FILE, JSON.stringify(output, null, 2));
+  await writeValidatedOutput(OUTPUT_FILE, output);
+}
+
+/**
+ * Load the accumulated round history
+ * Rounds saved before round ids existed get their id computed on load.
+ * @returns {Promise<Array>} - Array of funding rounds, newest first
+ */
+async function loadHistory() {
+  if (!existsSync(HISTORY_FILE)) {
+    return [];
+  }
+
+  try {
+    const content = await readFile(HISTORY_FILE, 'utf-8');
+    const json = JSON.parse(content);
+    if (!json.data || !Array.isArray(json.data)) {
+      return [];
+    }
+    return json.data.map(round => (round.roundId ? round : { roundId: computeRoundId(round), ...round }));
+  } catch (error) {
+    console.log(`    Warning: Could not load history: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Merge freshly scraped rounds into the history
+ * Scraped rounds come first (in listing order, deduplicated by roundId),
+ * followed by older history rounds that were not seen in this run.
+ * @param {Array} history - Existing history rounds
+ * @param {Array} scraped - Rounds scraped in this run
+ * @returns {Array} - Merged rounds, newest first
+ */
+function mergeRounds(history, scraped) {
+  const historyById = new Map(history.map(round => [round.roundId, round]));
+  const seen = new Set();
+  const merged = [];
+
+  for (const round of scraped) {
+    if (seen.has(round.roundId)) continue;
+    seen.add(round.roundId);
+
+    const previous = historyById.get(round.roundId);
+    merged.push({
+      ...round,
+      firstSeenAt: previous?.firstSeenAt || previous?.scrapedAt || round.scrapedAt,
+      lastSeenAt: round.scrapedAt
+    });
+  }
+
+  for (const round of history) {
+    if (!seen.has(round.roundId)) {
+      merged.push(round);
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Save the merged round history
+ * @param {Array} data - All known funding rounds, newest first
+ * @param {number} newRounds - Number of rounds first seen in this run
+ * @param {number} startTime - Start timestamp for duration calculation
+ */
+async function saveHistory(data, newRounds, startTime) {
+  const output = {
+    metadata: {
+      generatedAt: new Date().toISOString(),
+      source: 'cryptorank.io/funding-rounds',
+      totalRounds: data.length,
+      newRounds,
+      durationMs: Date.now() - startTime
+    },
+    data
+  };
+
+  await writeFileAtomic(HISTORY_FILE, JSON.stringify(output, null, 2));
 }
 
 /**
@@ -97,7 +208,7 @@ async function saveResults(data, limit, pagesScraped, startTime, partial = false
  */
 async function main() {
   const startTime = Date.now();
-  const { limit } = parseArgs();
+  const { limit, incremental, resolveInvestors, archiveHtml, notify, exportFiles, db, browser } = parseArgs();
   const pagesNeeded = Math.ceil(limit / ITEMS_PER_PAGE);
 
   console.log('');
@@ -106,16 +217,49 @@ async function main() {
   console.log('============================================');
   console.log(`  Limit: ${limit} rounds`);
   console.log(`  Pages needed: ${pagesNeeded}`);
-  console.log(`  Screenshots: ./screenshots/funding-rounds/`);
+  console.log(`  Screenshots: ${SCREENSHOTS_DIR}/`);
+  if (archiveHtml) {
+    console.log(`  HTML archive: ENABLED (${SCREENSHOTS_DIR}/)`);
+  }
+
+  // Only one run may write the outputs at a time (see run-lock.js)
+  try {
+    await acquireRunLock('funding-rounds');
+  } catch (error) {
+    console.error(`  ERROR: ${error.message}`);
+    process.exit(1);
+  }
+
+  let store = null;
+  let runId = null;
+  if (db) {
+    try {
+      store = await openStore(db);
+    } catch (error) {
+      console.error(`  ERROR: ${error.message}`);
+      process.exit(1);
+    }
+    runId = store.startRun('funding-rounds', { limit, incremental, resolveInvestors });
+    console.log(`  SQLite store: ${db}`);
+  }
+
+  // Incremental mode needs the known rounds before scraping to know when to stop
+  let history = [];
+  if (incremental) {
+    history = await loadHistory();
+    console.log(`  Mode: incremental (${history.length} known rounds in ${HISTORY_FILE})`);
+  }
+  const knownIds = new Set(history.map(round => round.roundId));
   console.log('');
 
-  // Step 1: Connect to browserless
-  console.log('[1] Connecting to browserless...');
-  const scraper = new FundingRoundsScraper();
+  // Step 1: Connect to browser
+  console.log('[1] Connecting to browser...');
+  const scraper = new FundingRoundsScraper({ browser, archiveHtml, resolveInvestors });
   try {
     await scraper.connect();
   } catch (error) {
     console.error(`    ERROR: ${error.message}`);
+    store?.finishRun(runId, 'failed', { error: error.message });
     process.exit(1);
   }
   console.log('');
@@ -126,6 +270,11 @@ async function main() {
   let pagesScraped = 0;
   let successCount = 0;
   let failCount = 0;
+  let newRounds = 0;
+  const newRoundIds = new Set();
+
+  // In incremental mode funding-rounds.json holds the newest `limit` rounds of the merged history
+  const currentWindow = () => (incremental ? mergeRounds(history, allData).slice(0, limit) : allData);
 
   for (let pageNumber = 1; pageNumber <= pagesNeeded; pageNumber++) {
     process.stdout.write(`    [${pageNumber}/${pagesNeeded}] Page ${pageNumber}... `);
@@ -137,17 +286,39 @@ async function main() {
       console.log(`           Error: ${result.error}`);
       failCount++;
     } else {
-      console.log(`OK (${result.data.length} rounds)`);
+      const unseen = result.data.filter(round => !knownIds.has(round.roundId));
+      newRounds += unseen.length;
+      for (const round of unseen) {
+        knownIds.add(round.roundId);
+        newRoundIds.add(round.roundId);
+      }
+
+      if (incremental) {
+        console.log(`OK (${result.data.length} rounds, ${unseen.length} new)`);
+      } else {
+        console.log(`OK (${result.data.length} rounds)`);
+      }
+      const truncated = result.data.filter(round => round.investorsTruncated).length;
+      if (truncated > 0) {
+        console.log(`           ${truncated} rounds with incomplete investor lists`);
+      }
       allData.push(...result.data);
       pagesScraped++;
       successCount++;
+
+      // Stop once a full page is made up of rounds we already have
+      if (incremental && result.data.length > 0 && unseen.length === 0) {
+        console.log('           All rounds on this page are already known - stopping');
+        break;
+      }
     }
 
     // Save partial results after each page
     try {
-      await saveResults(allData, limit, pagesScraped, startTime, true);
-    } catch (e) {
-      // Ignore save errors during scraping
+      await saveResults(currentWindow(), limit, pagesScraped, startTime, true);
+    } catch (error) {
+      // Keep scraping; the final save reports the problem again
+      console.log(`           WARNING: Partial save skipped - ${error.message}`);
     }
 
     // Delay between pages (except for the last one)
@@ -166,22 +337,92 @@ async function main() {
 
   console.log('[3] Summary');
   console.log(`    Total rounds: ${allData.length}`);
+  if (incremental) {
+    console.log(`    New rounds: ${newRounds}`);
+  }
+  console.log(`    Rounds with incomplete investor lists: ${allData.filter(r => r.investorsTruncated).length}`);
   console.log(`    Pages scraped: ${pagesScraped}`);
   console.log(`    - Successful: ${successCount}`);
   console.log(`    - Failed: ${failCount}`);
   console.log(`    Time elapsed: ${formatDuration(duration)}`);
   console.log('');
 
-  // Step 4: Save final results
-  console.log('[4] Saving final results...');
+  // Step 4: Enrich investors with fund tiers
+  console.log('[4] Enriching investors with fund tiers...');
+  const funds = await loadFundsMap();
+  if (funds) {
+    const { rounds, stats } = enrichRounds(allData, funds);
+    allData.splice(0, allData.length, ...rounds);
+    history = enrichRounds(history, funds).rounds;
+    console.log(`    Matched ${stats.investors - stats.unmatched}/${stats.investors} investors (${stats.byKey} by key, ${stats.byName} by name, ${stats.fuzzy} fuzzy)`);
+    console.log(`    Rounds with a Tier 1 investor: ${stats.tier1Rounds}`);
+  } else {
+    console.log('    Funds map unavailable - skipping');
+  }
+  console.log('');
+
+  // Step 5: Save final results
+  console.log('[5] Saving final results...');
   try {
-    await saveResults(allData, limit, pagesScraped, startTime, false);
+    let window = currentWindow();
+    let merged = incremental ? mergeRounds(history, allData) : null;
+
+    // With a store the JSON files are exported from the database
+    if (store) {
+      store.upsertRounds(merged || allData, runId);
+      store.setListing(window.map(round => round.roundId));
+      window = store.exportListing();
+      merged = incremental ? store.exportHistory() : null;
+      store.finishRun(runId, 'completed', { rounds: allData.length, newRounds, pagesScraped, failedPages: failCount });
+      store.close();
+      console.log(`    Stored ${allData.length} rounds in: ${db}`);
+    }
+
+    if (incremental) {
+      await saveHistory(merged, newRounds, startTime);
+      console.log(`    History saved to: ${HISTORY_FILE} (${merged.length} rounds)`);
+    }
+    await saveResults(window, limit, pagesScraped, startTime, false);
     console.log(`    Output saved to: ${OUTPUT_FILE}`);
   } catch (error) {
     console.error(`    ERROR saving file: ${error.message}`);
     process.exit(1);
   }
 
+  // Step 6: Exports
+  if (exportFiles) {
+    console.log('');
+    console.log('[6] Writing exports...');
+    try {
+      const written = await exportDataset(OUTPUT_FILE);
+      for (const { file, rows } of written) {
+        console.log(`    Saved ${file} (${rows} rows)`);
+      }
+    } catch (error) {
+      console.error(`    ERROR writing exports: ${error.message}`);
+    }
+  }
+
+  // Step 7: Notifications (only when notifications.json configures rules and webhooks)
+  if (notify) {
+    try {
+      const notifications = await loadNotificationConfig();
+      if (notifications && notifications.rules.length > 0 && notifications.webhooks.length > 0) {
+        console.log('');
+        console.log('[7] Checking new rounds against notification rules...');
+        const candidates = await withCategories(allData.filter(round => newRoundIds.has(round.roundId)));
+        const stats = await notifyRounds(candidates, notifications);
+        if (stats.bootstrap) {
+          console.log(`    First run: recorded ${stats.matched} matching rounds without sending`);
+        } else {
+          console.log(`    ${candidates.length} new rounds, ${stats.matched} matching: ${stats.sent} sent, ${stats.failed} failed, ${stats.skipped} already sent`);
+        }
+      }
+    } catch (error) {
+      console.error(`    ERROR sending notifications: ${error.message}`);
+    }
+  }
+
   console.log('');
   console.log('============================================');
   console.log('  Done!');
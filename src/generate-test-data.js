@@ -3,13 +3,15 @@
  * Creates smaller subsets of funding-rounds-detailed.json for testing
  */
 
-import { readFile, writeFile, mkdir } from 'fs/promises';
+import { readFile, mkdir } from 'fs/promises';
 import { existsSync } from 'fs';
+import { writeFileAtomic } from './atomic-write.js';
+import { getConfig, outputPath } from './config.js';
 
-const INPUT_FILE = './output/funding-rounds-detailed.json';
-const OUTPUT_DIR = './output/testing';
+const INPUT_FILE = outputPath('funding-rounds-detailed.json');
+const OUTPUT_DIR = outputPath('testing');
 
-const SUBSETS = [2, 3, 5, 10];
+const SUBSETS = getConfig().testData.subsets;
 
 async function main() {
   console.log('');
@@ -80,7 +82,7 @@ async function main() {
     };
 
     const outputFile = `${OUTPUT_DIR}/funding-rounds-detailed-${count}.json`;
-    await writeFile(outputFile, JSON.stringify(output, null, 2));
+    await writeFileAtomic(outputFile, JSON.stringify(output, null, 2));
     console.log(`    Created: ${outputFile} (${filteredRounds.length} rounds)`);
   }
 
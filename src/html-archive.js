@@ -0,0 +1,113 @@
+/**
+ * HTML Archive
+ * Saves the rendered DOM of scraped pages (gzip-compressed) and loads it back
+ * into a browser-less DOM so the extractors can be re-run offline
+ */
+
+import { readFile, mkdir } from 'fs/promises';
+import { gzip, gunzip } from 'zlib';
+import { promisify } from 'util';
+import path from 'path';
+import { JSDOM } from 'jsdom';
+import { writeFileAtomic } from './atomic-write.js';
+
+const gzipAsync = promisify(gzip);
+const gunzipAsync = promisify(gunzip);
+
+export const HTML_ARCHIVE_EXT = '.html.gz';
+
+// Elements that start a new line in rendered text (used by the innerText polyfill)
+const BLOCK_TAGS = new Set([
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'BR', 'DD', 'DIV', 'DL', 'DT',
+  'FIELDSET', 'FIGCAPTION', 'FIGURE', 'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4',
+  'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE', 'SECTION',
+  'TABLE', 'TBODY', 'TD', 'TFOOT', 'TH', 'THEAD', 'TR', 'UL'
+]);
+
+// Elements whose content is never rendered
+const HIDDEN_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE']);
+
+/**
+ * Build the archive path that sits next to a screenshot
+ * @param {string} screenshotPath - Path of the .png screenshot
+ * @returns {string} - Path of the .html.gz archive
+ */
+export function archivePathFor(screenshotPath) {
+  return screenshotPath.replace(/\.png$/, HTML_ARCHIVE_EXT);
+}
+
+/**
+ * Save the rendered DOM of a page as compressed HTML
+ * @param {object} page - Puppeteer page instance
+ * @param {string} filepath - Target .html.gz path
+ */
+export async function saveHtmlArchive(page, filepath) {
+  await mkdir(path.dirname(filepath), { recursive: true });
+  const html = await page.content();
+  await writeFileAtomic(filepath, await gzipAsync(html));
+}
+
+/**
+ * Read an archived page back as an HTML string
+ * @param {string} filepath - Path of the .html.gz archive
+ * @returns {Promise<string>}
+ */
+export async function readHtmlArchive(filepath) {
+  const buffer = await readFile(filepath);
+  return (await gunzipAsync(buffer)).toString('utf-8');
+}
+
+/**
+ * Approximate the browser's innerText: text content with line breaks between blocks
+ * @param {object} node - DOM node
+ * @returns {string}
+ */
+function renderText(node) {
+  if (node.nodeType === 3) {
+    return node.textContent;
+  }
+  if (node.nodeType !== 1 || HIDDEN_TAGS.has(node.tagName)) {
+    return '';
+  }
+
+  let text = '';
+  for (const child of node.childNodes) {
+    text += renderText(child);
+  }
+
+  if (BLOCK_TAGS.has(node.tagName)) {
+    return `\n${text}\n`;
+  }
+  return text;
+}
+
+/**
+ * Parse archived HTML into a DOM document the extractors can run against
+ * jsdom does not implement layout, so innerText is polyfilled from the DOM tree.
+ * @param {string} html - Archived HTML
+ * @param {string} url - Original page URL (used to resolve relative links)
+ * @returns {object} - DOM document
+ */
+export function parseHtml(html, url) {
+  const dom = new JSDOM(html, { url });
+  const { HTMLElement } = dom.window;
+
+  Object.defineProperty(HTMLElement.prototype, 'innerText', {
+    configurable: true,
+    get() {
+      return renderText(this).replace(/[ \t]+\n/g, '\n').replace(/\n{2,}/g, '\n').trim();
+    }
+  });
+
+  return dom.window.document;
+}
+
+/**
+ * Load an archive and parse it into a DOM document
+ * @param {string} filepath - Path of the .html.gz archive
+ * @param {string} url - Original page URL
+ * @returns {Promise<object>} - DOM document
+ */
+export async function loadArchivedDocument(filepath, url) {
+  return parseHtml(await readHtmlArchive(filepath), url);
+}
@@ -4,8 +4,14 @@
  * Main entry point that orchestrates:
  * 1. Fetching funds from CryptoRank API (Tier 1 or Tier 1+2)
  * 2. Loading cache to skip already scraped funds
- * 3. Scraping all social links for each fund
- * 4. Saving results to JSON file
+ * 3. Scraping all social links and the profile for each fund
+ * 4. Saving results to JSON file (each scraped fund is appended to a journal first,
+ *    which also lets an interrupted run resume); the file is only replaced if it passes
+ *    its JSON Schema (see contracts.js)
+ * 5. Writing CSV/NDJSON/XLSX exports of the output file (see exporters.js)
+ * 6. Optionally scraping each fund's investments list into fund-portfolios.json
+ *
+ * With --db, funds are also upserted into the SQLite store and the output file is exported from it.
  *
  * Usage:
  *   npm start                    # Scrape Tier 1 only (default)
@@ -13,37 +19,79 @@
  *   npm start -- --screenshots   # Enable debug screenshots
  *   npm start -- -s              # Short form for screenshots
  *   npm start -- --tier2 -s      # Combine flags
+ *   npm start -- --concurrency 4 # Scrape 4 fund pages in parallel
+ *   npm start -- -c 4 --rpm 60   # Parallel pages with a 60 requests/minute limit
+ *   npm start -- --local         # Launch a local Chromium instead of browserless
+ *   npm start -- --chrome-path /usr/bin/chromium
+ *   npm start -- --archive-html  # Save rendered HTML for offline re-parsing (npm run reparse)
+ *   npm start -- --portfolios    # Also scrape every fund's portfolio/investments
+ *   npm start -- --db            # Also store funds in ./output/scraper.db (see store.js)
+ *   npm start -- --no-export     # Skip the CSV/NDJSON/XLSX exports
  */
 
-import { writeFile, readFile } from 'fs/promises';
+import { readFile } from 'fs/promises';
 import { existsSync } from 'fs';
 import { fetchTier1Funds, fetchTier1And2Funds } from './api.js';
-import { FundScraper } from './scraper.js';
-
-const OUTPUT_FILE_TIER1 = './output/tier1-vcs.json';
-const OUTPUT_FILE_TIER1_2 = './output/tier1-2-vcs.json';
-const DELAY_BETWEEN_REQUESTS_MS = 1500;
+import { FundScraper, buildFundRecord, buildFundPortfolio } from './scraper.js';
+import { runWithConcurrency } from './page-pool.js';
+import { parseBrowserArgs } from './browser-provider.js';
+import { fundPageUrl } from './endpoints.js';
+import { resolveStorePath, openStore } from './store.js';
+import { Journal, journalPathFor } from './journal.js';
+import { exportDataset } from './exporters.js';
+import { writeValidatedOutput } from './contracts.js';
+import { acquireRunLock } from './run-lock.js';
+import { writeFileAtomic } from './atomic-write.js';
+import { getConfig, outputPath, screenshotsPath } from './config.js';
+
+const config = getConfig();
+const OUTPUT_FILE_TIER1 = outputPath('tier1-vcs.json');
+const OUTPUT_FILE_TIER1_2 = outputPath('tier1-2-vcs.json');
+const PORTFOLIOS_FILE = outputPath('fund-portfolios.json');
+// Portfolios scraped more recently than this are kept from the previous run
+const PORTFOLIO_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const DELAY_BETWEEN_REQUESTS_MS = config.funds.delayBetweenRequestsMs;
+const DEFAULT_CONCURRENCY = config.funds.concurrency;
+const DEFAULT_REQUESTS_PER_MINUTE = Math.floor(60000 / DELAY_BETWEEN_REQUESTS_MS);
 
 /**
  * Parse command line arguments
- * @returns {object} - { includeTier2: boolean, enableScreenshots: boolean }
+ * @returns {object} - { includeTier2, enableScreenshots, archiveHtml, portfolios, exportFiles, concurrency, requestsPerMinute, db, browser }
  */
 function parseArgs() {
   const args = process.argv.slice(2);
+  let concurrency = DEFAULT_CONCURRENCY;
+  let requestsPerMinute = DEFAULT_REQUESTS_PER_MINUTE;
+
+  for (let i = 0; i < args.length; i++) {
+    if ((args[i] === '--concurrency' || args[i] === '-c') && args[i + 1]) {
+      const parsed = parseInt(args[i + 1], 10);
+      if (!isNaN(parsed) && parsed > 0) {
+        concurrency = parsed;
+      }
+      i++; // Skip next arg
+    } else if (args[i] === '--rpm' && args[i + 1]) {
+      const parsed = parseInt(args[i + 1], 10);
+      if (!isNaN(parsed) && parsed > 0) {
+        requestsPerMinute = parsed;
+      }
+      i++; // Skip next arg
+    }
+  }
+
   return {
     includeTier2: args.includes('--tier2') || args.includes('-t2'),
-    enableScreenshots: args.includes('--screenshots') || args.includes('-s')
+    enableScreenshots: args.includes('--screenshots') || args.includes('-s'),
+    archiveHtml: args.includes('--archive-html'),
+    portfolios: args.includes('--portfolios'),
+    exportFiles: !args.includes('--no-export'),
+    concurrency,
+    requestsPerMinute,
+    db: resolveStorePath(args),
+    browser: parseBrowserArgs(args)
   };
 }
 
-/**
- * Delay helper
- * @param {number} ms - Milliseconds to delay
- */
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
 /**
  * Format duration in human-readable format
  * @param {number} ms - Duration in milliseconds
@@ -61,56 +109,18 @@ function formatDuration(ms) {
 }
 
 /**
- * Save partial results to output file
- * @param {string} outputFile - Path to the output file
- * @param {Map} cache - Cached results
- * @param {Array} newResults - New results to merge
- * @param {boolean} includeTier2 - Whether tier 2 is included
- * @param {number} startTime - Start timestamp for duration calculation
+ * Whether a scraped fund record can be reused instead of scraping the fund again
+ * Only successful scrapes with at least one social link count; records scraped
+ * before profiles were collected are scraped again.
+ * @param {object} fund - Fund record
+ * @returns {boolean}
  */
-async function savePartialResults(outputFile, cache, newResults, includeTier2, startTime) {
-  const allResultsMap = new Map();
-
-  // Add cached results
-  for (const [key, data] of cache) {
-    if (!data.url) {
-      data.url = `https://cryptorank.io/funds/${key}`;
-    }
-    allResultsMap.set(key, data);
-  }
-
-  // Add new results
-  for (const result of newResults) {
-    allResultsMap.set(result.key, result);
-  }
-
-  // Convert to array and sort
-  const targetTiers = includeTier2 ? [1, 2] : [1];
-  const allResults = Array.from(allResultsMap.values())
-    .filter(f => targetTiers.includes(f.tier))
-    .sort((a, b) => {
-      if (a.tier !== b.tier) return a.tier - b.tier;
-      return a.name.localeCompare(b.name);
-    });
-
-  const totalSuccess = allResults.filter(f => !f.error).length;
-  const totalFailed = allResults.filter(f => f.error).length;
-
-  const output = {
-    metadata: {
-      generatedAt: new Date().toISOString(),
-      source: 'cryptorank.io',
-      tiers: targetTiers,
-      totalFunds: allResults.length,
-      successfulScrapes: totalSuccess,
-      failedScrapes: totalFailed,
-      partial: true,
-      durationMs: Date.now() - startTime
-    },
-    data: allResults
-  };
-
-  await writeFile(outputFile, JSON.stringify(output, null, 2));
+function isCompleteRecord(fund) {
+  const hasAnyLink = fund.website || fund.twitter || fund.telegram ||
+                     fund.discord || fund.medium || fund.linkedin ||
+                     fund.github || fund.youtube || fund.facebook ||
+                     fund.instagram || fund.reddit;
+  return Boolean(!fund.error && hasAnyLink && fund.profile);
 }
 
 /**
@@ -131,12 +141,7 @@ async function loadCache(outputFile) {
     
     if (json.data && Array.isArray(json.data)) {
       for (const fund of json.data) {
-        // Only cache successful scrapes (no error and has at least one social link)
-        const hasAnyLink = fund.website || fund.twitter || fund.telegram || 
-                           fund.discord || fund.medium || fund.linkedin || 
-                           fund.github || fund.youtube || fund.facebook || 
-                           fund.instagram || fund.reddit;
-        if (!fund.error && hasAnyLink) {
+        if (isCompleteRecord(fund)) {
           cache.set(fund.key, fund);
         }
       }
@@ -149,12 +154,117 @@ async function loadCache(outputFile) {
   }
 }
 
+/**
+ * Load previously scraped portfolios that are still fresh
+ * @returns {Promise<object>} - Map of fund key -> portfolio record
+ */
+async function loadPortfolios() {
+  if (!existsSync(PORTFOLIOS_FILE)) {
+    return {};
+  }
+
+  try {
+    const json = JSON.parse(await readFile(PORTFOLIOS_FILE, 'utf-8'));
+    return json.data && typeof json.data === 'object' ? json.data : {};
+  } catch (error) {
+    console.log(`    Warning: Could not load portfolios: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Save portfolios to fund-portfolios.json
+ * @param {object} portfolios - Map of fund key -> portfolio record
+ * @param {number[]} tiers - Tiers included in this run
+ * @param {number} startTime - Start timestamp for duration calculation
+ * @param {boolean} partial - Whether this is a partial save
+ */
+async function savePortfolios(portfolios, tiers, startTime, partial) {
+  const records = Object.values(portfolios);
+  const output = {
+    metadata: {
+      generatedAt: new Date().toISOString(),
+      source: 'cryptorank.io',
+      tiers,
+      totalFunds: records.length,
+      successfulScrapes: records.filter(p => !p.error).length,
+      failedScrapes: records.filter(p => p.error).length,
+      totalInvestments: records.reduce((sum, p) => sum + p.totalInvestments, 0),
+      truncatedPortfolios: records.filter(p => p.truncated).length,
+      partial,
+      durationMs: Date.now() - startTime
+    },
+    data: portfolios
+  };
+
+  await writeFileAtomic(PORTFOLIOS_FILE, JSON.stringify(output, null, 2));
+}
+
+/**
+ * Scrape the investments list of every fund and save fund-portfolios.json
+ * @param {Array} funds - Funds from the API
+ * @param {number[]} tiers - Tiers included in this run
+ * @param {object} scraperOptions - Options for FundScraper
+ */
+async function scrapePortfolios(funds, tiers, scraperOptions) {
+  const startTime = Date.now();
+  const portfolios = await loadPortfolios();
+
+  const isFresh = (portfolio) => portfolio && !portfolio.error &&
+    Date.now() - new Date(portfolio.scrapedAt).getTime() < PORTFOLIO_MAX_AGE_MS;
+  const fundsToScrape = funds.filter(f => !isFresh(portfolios[f.key]));
+  console.log(`    Fresh portfolios: ${funds.length - fundsToScrape.length}`);
+  console.log(`    Need to scrape: ${fundsToScrape.length} funds`);
+
+  if (fundsToScrape.length > 0) {
+    const scraper = new FundScraper(scraperOptions);
+    try {
+      await scraper.connect();
+    } catch (error) {
+      console.error(`    ERROR: ${error.message}`);
+      return;
+    }
+
+    let completed = 0;
+    let saveQueue = Promise.resolve();
+
+    await runWithConcurrency(fundsToScrape, scraperOptions.concurrency, async (fund) => {
+      const result = await scraper.scrapeFundInvestments(fund.key);
+      const portfolio = buildFundPortfolio(fund, result);
+
+      completed++;
+      const progress = `    [${completed}/${fundsToScrape.length}] ${fund.name}... `;
+      if (portfolio.error) {
+        console.log(`${progress}FAILED\n           Error: ${portfolio.error}`);
+      } else {
+        const pages = portfolio.truncated ? `${portfolio.pagesScraped} of ${portfolio.totalPages} pages, TRUNCATED` : `${portfolio.pagesScraped} pages`;
+        console.log(`${progress}OK (${portfolio.totalInvestments} investments, ${portfolio.portfolioSize} projects, ${pages})`);
+      }
+
+      portfolios[fund.key] = portfolio;
+
+      // Save partial results after each fund
+      saveQueue = saveQueue
+        .then(() => savePortfolios(portfolios, tiers, startTime, true))
+        .catch(() => {
+          // Ignore save errors during scraping
+        });
+      await saveQueue;
+    });
+
+    await scraper.disconnect();
+  }
+
+  await savePortfolios(portfolios, tiers, startTime, false);
+  console.log(`    Output saved to: ${PORTFOLIOS_FILE}`);
+}
+
 /**
  * Main execution function
  */
 async function main() {
   const startTime = Date.now();
-  const { includeTier2, enableScreenshots } = parseArgs();
+  const { includeTier2, enableScreenshots, archiveHtml, portfolios, exportFiles, concurrency, requestsPerMinute, db, browser } = parseArgs();
   const tierLabel = includeTier2 ? 'Tier 1 + Tier 2' : 'Tier 1';
   const outputFile = includeTier2 ? OUTPUT_FILE_TIER1_2 : OUTPUT_FILE_TIER1;
 
@@ -163,7 +273,32 @@ async function main() {
   console.log(`  CryptoRank ${tierLabel} VC Scraper`);
   console.log('====================================');
   if (enableScreenshots) {
-    console.log('  Screenshots: ENABLED (./screenshots/)');
+    console.log(`  Screenshots: ENABLED (${screenshotsPath()}/)`);
+  }
+  if (archiveHtml) {
+    console.log(`  HTML archive: ENABLED (${screenshotsPath()}/)`);
+  }
+  console.log(`  Concurrency: ${concurrency} pages, max ${requestsPerMinute} requests/min`);
+
+  // Only one run may write the outputs at a time (see run-lock.js)
+  try {
+    await acquireRunLock(includeTier2 ? 'tier2' : 'tier1');
+  } catch (error) {
+    console.error(`  ERROR: ${error.message}`);
+    process.exit(1);
+  }
+
+  let store = null;
+  let runId = null;
+  if (db) {
+    try {
+      store = await openStore(db);
+    } catch (error) {
+      console.error(`  ERROR: ${error.message}`);
+      process.exit(1);
+    }
+    runId = store.startRun(includeTier2 ? 'tier2' : 'tier1', { includeTier2, portfolios, concurrency });
+    console.log(`  SQLite store: ${db}`);
   }
   console.log('');
 
@@ -174,6 +309,7 @@ async function main() {
     funds = includeTier2 ? await fetchTier1And2Funds() : await fetchTier1Funds();
   } catch (error) {
     console.error(`    ERROR: ${error.message}`);
+    store?.finishRun(runId, 'failed', { error: error.message });
     process.exit(1);
   }
   console.log('');
@@ -181,6 +317,19 @@ async function main() {
   // Step 2: Load cache
   console.log('[2] Loading cache...');
   const cache = await loadCache(outputFile);
+
+  // Funds scraped by an interrupted run are still in the journal
+  const journal = new Journal(journalPathFor(outputFile));
+  const recovered = await journal.read();
+  for (const fund of recovered) {
+    if (isCompleteRecord(fund)) {
+      cache.set(fund.key, fund);
+    }
+  }
+  if (recovered.length > 0) {
+    console.log(`    Recovered ${recovered.length} funds from ${journal.filepath}`);
+  }
+
   const cachedCount = cache.size;
   console.log(`    Found ${cachedCount} cached funds`);
   
@@ -189,10 +338,32 @@ async function main() {
   console.log(`    Need to scrape: ${fundsToScrape.length} funds`);
   console.log('');
 
-  // If nothing to scrape, we're done
-  if (fundsToScrape.length === 0) {
+  // If nothing to scrape, we're done (unless recovered funds still have to be saved)
+  if (fundsToScrape.length === 0 && recovered.length === 0) {
     console.log('[3] All funds already cached, nothing to scrape!');
+    if (store) {
+      // Keeps the store complete when it is enabled after the JSON cache was built
+      store.upsertFunds(Array.from(cache.values()), runId);
+      store.finishRun(runId, 'completed', { funds: cache.size, scraped: 0 });
+      store.close();
+      console.log(`    Stored ${cache.size} cached funds in: ${db}`);
+    }
     console.log('');
+    if (exportFiles) {
+      console.log('[4] Writing exports...');
+      try {
+        const written = await exportDataset(outputFile);
+        console.log(`    Saved ${written?.length || 0} export files`);
+      } catch (error) {
+        console.error(`    ERROR writing exports: ${error.message}`);
+      }
+      console.log('');
+    }
+    if (portfolios) {
+      console.log('[5] Scraping fund portfolios...');
+      await scrapePortfolios(funds, includeTier2 ? [1, 2] : [1], { browser, concurrency, requestsPerMinute });
+      console.log('');
+    }
     console.log('====================================');
     console.log('  Done! (from cache)');
     console.log('====================================');
@@ -200,14 +371,20 @@ async function main() {
     return;
   }
 
-  // Step 3: Connect to browserless
-  console.log('[3] Connecting to browserless...');
-  const scraper = new FundScraper({ enableScreenshots });
-  try {
-    await scraper.connect();
-  } catch (error) {
-    console.error(`    ERROR: ${error.message}`);
-    process.exit(1);
+  // Step 3: Connect to browser (only if there are funds to scrape)
+  let scraper = null;
+  if (fundsToScrape.length > 0) {
+    console.log('[3] Connecting to browser...');
+    scraper = new FundScraper({ browser, enableScreenshots, archiveHtml, concurrency, requestsPerMinute });
+    try {
+      await scraper.connect();
+    } catch (error) {
+      console.error(`    ERROR: ${error.message}`);
+      store?.finishRun(runId, 'failed', { error: error.message });
+      process.exit(1);
+    }
+  } else {
+    console.log('[3] All funds cached - skipping browser connection');
   }
   console.log('');
 
@@ -218,85 +395,73 @@ async function main() {
   let failCount = 0;
   let skippedCount = cachedCount;
 
-  for (let i = 0; i < fundsToScrape.length; i++) {
-    const fund = fundsToScrape[i];
-    const index = i + 1;
-    
-    process.stdout.write(`    [${index}/${fundsToScrape.length}] ${fund.name}... `);
-    
+  let completed = 0;
+
+  await runWithConcurrency(fundsToScrape, concurrency, async (fund, i) => {
     const scrapeResult = await scraper.scrapeFund(
-      fund.key, 
-      index, 
+      fund.key,
+      i + 1,
       fundsToScrape.length
     );
 
-    const { error, website, twitter, ...otherLinks } = scrapeResult;
+    const result = buildFundRecord(fund, scrapeResult);
+    const { error, website, twitter } = result;
+    const otherSocials = result.other_socials || {};
 
-    // Build other_socials object with only non-null values
-    const otherSocials = {};
-    for (const [key, value] of Object.entries(otherLinks)) {
-      if (value !== null) {
-        otherSocials[key] = value;
-      }
-    }
+    // Buffer the log lines so parallel scrapes don't interleave their output
+    completed++;
+    const lines = [];
+    const progress = `    [${completed}/${fundsToScrape.length}] ${fund.name}... `;
 
     if (error) {
-      console.log('FAILED');
-      console.log(`           Error: ${error}`);
+      lines.push(`${progress}FAILED`);
+      lines.push(`           Error: ${error}`);
       failCount++;
     } else {
-      console.log('OK');
+      lines.push(`${progress}OK`);
       // Log all found social links
       if (website) {
-        console.log(`           website: ${website}`);
+        lines.push(`           website: ${website}`);
       }
       if (twitter) {
-        console.log(`           twitter: ${twitter}`);
+        lines.push(`           twitter: ${twitter}`);
       }
       for (const [key, value] of Object.entries(otherSocials)) {
-        console.log(`           ${key}: ${value}`);
+        lines.push(`           ${key}: ${value}`);
       }
       if (!website && !twitter && Object.keys(otherSocials).length === 0) {
-        console.log(`           (No social links found)`);
+        lines.push(`           (No social links found)`);
+      }
+      if (result.profile) {
+        const { headquarters, foundedYear, investmentsCount, portfolioSize } = result.profile;
+        const facts = [
+          headquarters,
+          foundedYear && `founded ${foundedYear}`,
+          investmentsCount !== null && `${investmentsCount} investments`,
+          portfolioSize !== null && `portfolio ${portfolioSize}`
+        ].filter(Boolean);
+        if (facts.length > 0) {
+          lines.push(`           profile: ${facts.join(', ')}`);
+        }
       }
       successCount++;
     }
-
-    const result = {
-      id: fund.id,
-      key: fund.key,
-      name: fund.name,
-      tier: fund.tier,
-      type: fund.type,
-      url: `https://cryptorank.io/funds/${fund.key}`,
-      website: website || null,
-      twitter: twitter || null,
-      scrapedAt: new Date().toISOString(),
-      error: error || null
-    };
-
-    // Only add other_socials if there are any
-    if (Object.keys(otherSocials).length > 0) {
-      result.other_socials = otherSocials;
-    }
+    console.log(lines.join('\n'));
 
     newResults.push(result);
 
-    // Save partial results after each scrape
+    // Append the record to the journal instead of rewriting the output file
     try {
-      await savePartialResults(outputFile, cache, newResults, includeTier2, startTime);
+      await journal.append(result);
     } catch (e) {
-      // Ignore save errors during scraping
+      // Ignore journal errors during scraping
     }
-
-    // Delay between requests (except for the last one)
-    if (i < fundsToScrape.length - 1) {
-      await delay(DELAY_BETWEEN_REQUESTS_MS);
-    }
-  }
+  });
 
   // Disconnect from browser
-  await scraper.disconnect();
+  if (scraper) {
+    await scraper.disconnect();
+  }
   console.log('');
 
   // Step 5: Merge with cache and prepare final results
@@ -308,7 +473,7 @@ async function main() {
   // Add cached results (ensure URL is present for backwards compatibility)
   for (const [key, data] of cache) {
     if (!data.url) {
-      data.url = `https://cryptorank.io/funds/${key}`;
+      data.url = fundPageUrl(key);
     }
     allResultsMap.set(key, data);
   }
@@ -354,6 +519,16 @@ async function main() {
   console.log('[7] Saving results...');
   
   const tiers = includeTier2 ? [1, 2] : [1];
+
+  // With a store the output is exported from the database
+  if (store) {
+    store.upsertFunds(allResults, runId);
+    allResults.splice(0, allResults.length, ...store.exportFunds(tiers));
+    store.finishRun(runId, 'completed', { funds: allResults.length, scraped: successCount + failCount, failed: failCount });
+    store.close();
+    console.log(`    Stored ${allResults.length} funds in: ${db}`);
+  }
+
   const output = {
     metadata: {
       generatedAt: new Date().toISOString(),
@@ -371,14 +546,37 @@ async function main() {
   };
 
   try {
-    await writeFile(outputFile, JSON.stringify(output, null, 2));
+    await writeValidatedOutput(outputFile, output);
     console.log(`    Output saved to: ${outputFile}`);
+    // Everything in the journal is part of the output file now
+    await journal.clear();
   } catch (error) {
     console.error(`    ERROR saving file: ${error.message}`);
     process.exit(1);
   }
-
   console.log('');
+
+  // Step 8: Exports
+  if (exportFiles) {
+    console.log('[8] Writing exports...');
+    try {
+      const written = await exportDataset(outputFile);
+      for (const { file, rows } of written) {
+        console.log(`    Saved ${file} (${rows} rows)`);
+      }
+    } catch (error) {
+      console.error(`    ERROR writing exports: ${error.message}`);
+    }
+    console.log('');
+  }
+
+  // Step 9: Portfolios (optional)
+  if (portfolios) {
+    console.log('[9] Scraping fund portfolios...');
+    await scrapePortfolios(funds, tiers, { browser, concurrency, requestsPerMinute });
+    console.log('');
+  }
+
   console.log('====================================');
   console.log('  Done!');
   console.log('====================================');
@@ -0,0 +1,267 @@
+/**
+ * Investor Enrichment
+ * Joins funding round investors against the CryptoRank funds map to attach each
+ * investor's id, tier and type, and flags rounds backed by Tier 1 funds
+ */
+
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { fetchAllFunds } from './api.js';
+import { writeFileAtomic } from './atomic-write.js';
+import { outputPath } from './config.js';
+
+const FUNDS_MAP_CACHE_FILE = outputPath('funds-map.json');
+
+// Minimum bigram similarity for a fuzzy name match, and how far ahead of the
+// runner-up the best candidate has to be for the match to count
+const FUZZY_MIN_SIMILARITY = 0.85;
+const FUZZY_MIN_MARGIN = 0.05;
+
+// Words that are dropped when comparing names ("Paradigm Capital" ~ "Paradigm")
+const GENERIC_NAME_WORDS = new Set([
+  'ventures', 'venture', 'capital', 'labs', 'lab', 'fund', 'funds', 'partners',
+  'investments', 'investment', 'vc', 'group', 'holdings', 'management', 'the'
+]);
+
+/**
+ * Normalize a fund name for comparison
+ * @param {string} name - Fund name
+ * @returns {string} - Lowercase name with accents, punctuation and extra spaces removed
+ */
+export function normalizeFundName(name) {
+  return (name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Normalize a fund name and drop generic words like "Ventures" or "Capital"
+ * @param {string} name - Fund name
+ * @returns {string}
+ */
+function coreFundName(name) {
+  const words = normalizeFundName(name).split(' ').filter(Boolean);
+  const core = words.filter(word => !GENERIC_NAME_WORDS.has(word));
+  // Keep the full name if it only consists of generic words
+  return (core.length > 0 ? core : words).join(' ');
+}
+
+/**
+ * Character bigrams of a string
+ * @param {string} text - Input text
+ * @returns {Set<string>}
+ */
+function bigrams(text) {
+  const compact = text.replace(/\s+/g, '');
+  const result = new Set();
+  for (let i = 0; i < compact.length - 1; i++) {
+    result.add(compact.slice(i, i + 2));
+  }
+  return result;
+}
+
+/**
+ * Dice coefficient between two bigram sets
+ * @param {Set<string>} a - First bigram set
+ * @param {Set<string>} b - Second bigram set
+ * @returns {number} - Similarity between 0 and 1
+ */
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) {
+    return 0;
+  }
+  let shared = 0;
+  for (const gram of a) {
+    if (b.has(gram)) shared++;
+  }
+  return (2 * shared) / (a.size + b.size);
+}
+
+/**
+ * Build lookup tables over the funds map
+ * Names shared by several funds are left out of the name lookups to avoid wrong joins.
+ * @param {Array} funds - Funds map entries ({ id, key, name, tier, type })
+ * @returns {object} - { byKey, byName, byCoreName, candidates }
+ */
+export function buildFundIndex(funds) {
+  const byKey = new Map();
+  const byName = new Map();
+  const byCoreName = new Map();
+  const ambiguous = new Set();
+
+  const addName = (map, name, fund) => {
+    if (!name) return;
+    const existing = map.get(name);
+    if (existing && existing.key !== fund.key) {
+      ambiguous.add(name);
+    } else {
+      map.set(name, fund);
+    }
+  };
+
+  for (const fund of funds) {
+    if (!fund?.key) continue;
+    byKey.set(fund.key, fund);
+    addName(byName, normalizeFundName(fund.name), fund);
+    addName(byCoreName, coreFundName(fund.name), fund);
+  }
+
+  for (const name of ambiguous) {
+    byName.delete(name);
+    byCoreName.delete(name);
+  }
+
+  const candidates = Array.from(byKey.values()).map(fund => ({
+    fund,
+    grams: bigrams(coreFundName(fund.name))
+  }));
+
+  return { byKey, byName, byCoreName, candidates };
+}
+
+/**
+ * Find the funds map entry for an investor
+ * Tries the fund key from the investor link first, then the exact name, then a fuzzy name match.
+ * @param {object} investor - Investor ({ name, key })
+ * @param {object} index - Result of buildFundIndex
+ * @returns {object|null} - { fund, matchedBy: 'key'|'name'|'fuzzy' } or null
+ */
+export function matchFund(investor, index) {
+  if (investor.key && index.byKey.has(investor.key)) {
+    return { fund: index.byKey.get(investor.key), matchedBy: 'key' };
+  }
+
+  const name = normalizeFundName(investor.name);
+  if (!name) {
+    return null;
+  }
+  if (index.byName.has(name)) {
+    return { fund: index.byName.get(name), matchedBy: 'name' };
+  }
+
+  const core = coreFundName(investor.name);
+  if (index.byCoreName.has(core)) {
+    return { fund: index.byCoreName.get(core), matchedBy: 'fuzzy' };
+  }
+
+  const grams = bigrams(core);
+  let best = null;
+  let bestScore = 0;
+  let secondScore = 0;
+  for (const candidate of index.candidates) {
+    const score = similarity(grams, candidate.grams);
+    if (score > bestScore) {
+      secondScore = bestScore;
+      bestScore = score;
+      best = candidate.fund;
+    } else if (score > secondScore) {
+      secondScore = score;
+    }
+  }
+
+  if (best && bestScore >= FUZZY_MIN_SIMILARITY && bestScore - secondScore >= FUZZY_MIN_MARGIN) {
+    return { fund: best, matchedBy: 'fuzzy' };
+  }
+  return null;
+}
+
+/**
+ * Attach fund id/tier/type to a round's investors and add round-level tier flags
+ * @param {object} round - Funding round with investors[]
+ * @param {object} index - Result of buildFundIndex
+ * @returns {object} - Round with enriched investors, hasTier1Investor, tier1Investors, maxInvestorTier
+ */
+export function enrichRound(round, index) {
+  const investors = (round.investors || []).map(investor => {
+    const match = matchFund(investor, index);
+    if (!match) {
+      return { ...investor, id: null, tier: null, type: null, matchedBy: null };
+    }
+    return {
+      ...investor,
+      key: investor.key || match.fund.key,
+      id: match.fund.id ?? null,
+      tier: match.fund.tier ?? null,
+      type: match.fund.type ?? null,
+      matchedBy: match.matchedBy
+    };
+  });
+
+  const tiers = investors.map(investor => investor.tier).filter(tier => typeof tier === 'number');
+  const tier1Investors = investors.filter(investor => investor.tier === 1).map(investor => investor.name);
+
+  return {
+    ...round,
+    investors,
+    hasTier1Investor: tier1Investors.length > 0,
+    tier1Investors,
+    // Best (numerically lowest) tier among the round's investors
+    maxInvestorTier: tiers.length > 0 ? Math.min(...tiers) : null
+  };
+}
+
+/**
+ * Enrich every round and count how investors were matched
+ * @param {Array} rounds - Funding rounds
+ * @param {Array} funds - Funds map entries
+ * @returns {object} - { rounds, stats: { investors, byKey, byName, fuzzy, unmatched, tier1Rounds } }
+ */
+export function enrichRounds(rounds, funds) {
+  const index = buildFundIndex(funds);
+  const stats = { investors: 0, byKey: 0, byName: 0, fuzzy: 0, unmatched: 0, tier1Rounds: 0 };
+
+  const enriched = rounds.map(round => {
+    const result = enrichRound(round, index);
+    for (const investor of result.investors) {
+      stats.investors++;
+      if (investor.matchedBy === 'key') stats.byKey++;
+      else if (investor.matchedBy === 'name') stats.byName++;
+      else if (investor.matchedBy === 'fuzzy') stats.fuzzy++;
+      else stats.unmatched++;
+    }
+    if (result.hasTier1Investor) {
+      stats.tier1Rounds++;
+    }
+    return result;
+  });
+
+  return { rounds: enriched, stats };
+}
+
+/**
+ * Load the funds map from the API, falling back to the last saved copy
+ * A successful fetch refreshes the saved copy.
+ * @returns {Promise<Array|null>} - Funds map entries or null if neither source is available
+ */
+export async function loadFundsMap() {
+  try {
+    const funds = await fetchAllFunds();
+    try {
+      await writeFileAtomic(FUNDS_MAP_CACHE_FILE, JSON.stringify({
+        metadata: { generatedAt: new Date().toISOString(), totalFunds: funds.length },
+        data: funds
+      }));
+    } catch (e) {
+      // Ignore cache write errors
+    }
+    return funds;
+  } catch (error) {
+    console.log(`    Warning: Could not fetch funds map: ${error.message}`);
+  }
+
+  if (!existsSync(FUNDS_MAP_CACHE_FILE)) {
+    return null;
+  }
+
+  try {
+    const json = JSON.parse(await readFile(FUNDS_MAP_CACHE_FILE, 'utf-8'));
+    console.log(`    Using saved funds map from ${json.metadata?.generatedAt || 'unknown date'}`);
+    return Array.isArray(json.data) ? json.data : null;
+  } catch (e) {
+    return null;
+  }
+}
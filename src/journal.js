@@ -0,0 +1,86 @@
+/**
+ * Append-only Journal
+ * Write-ahead log for long scrapes: every finished item is appended as one NDJSON
+ * line instead of rewriting the whole output file. The entry point compacts the
+ * journal into its JSON output at the end and deletes it; after a crash the next
+ * run reads the journal back to resume.
+ */
+
+import { appendFile, readFile, unlink } from 'fs/promises';
+import { existsSync } from 'fs';
+
+/**
+ * Journal path next to an output file
+ * @param {string} outputFile - JSON output path (e.g. ./output/tier1-vcs.json)
+ * @returns {string} - e.g. ./output/tier1-vcs.journal.ndjson
+ */
+export function journalPathFor(outputFile) {
+  return outputFile.replace(/\.json$/, '') + '.journal.ndjson';
+}
+
+/**
+ * Journal class - appends records to an NDJSON file
+ */
+export class Journal {
+  /**
+   * @param {string} filepath - Path to the NDJSON file
+   */
+  constructor(filepath) {
+    this.filepath = filepath;
+    // Appends are chained so records from parallel scrapes are written one at a time
+    this.queue = Promise.resolve();
+    // Set when a previous run left a torn last line, so the next record starts on a new line
+    this.needsNewline = false;
+  }
+
+  /**
+   * Read all records left by a previous run
+   * A torn last line (crash during a write) is skipped.
+   * @returns {Promise<Array>} - Records in the order they were appended
+   */
+  async read() {
+    if (!existsSync(this.filepath)) {
+      return [];
+    }
+
+    const content = await readFile(this.filepath, 'utf-8');
+    this.needsNewline = content.length > 0 && !content.endsWith('\n');
+
+    const lines = content.split('\n');
+    const records = [];
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch (e) {
+        // Ignore incomplete lines
+      }
+    }
+    return records;
+  }
+
+  /**
+   * Append one record
+   * @param {object} record - JSON-serializable record
+   * @returns {Promise<void>}
+   */
+  append(record) {
+    const line = (this.needsNewline ? '\n' : '') + JSON.stringify(record) + '\n';
+    this.needsNewline = false;
+    // A failed append is reported to its caller only and does not block later ones
+    this.queue = this.queue.catch(() => {}).then(() => appendFile(this.filepath, line));
+    return this.queue;
+  }
+
+  /**
+   * Delete the journal once its records are part of the output file
+   */
+  async clear() {
+    await this.queue.catch(() => {
+      // Ignore failed appends, the records are in the output file already
+    });
+    if (existsSync(this.filepath)) {
+      await unlink(this.filepath);
+    }
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * Locked Run
+ *
+ * Runs a command while holding the run lock (see run-lock.js), so a scheduled run cannot
+ * start while the previous one is still going. Commands started inside inherit the lock;
+ * a scraper started by hand in the meantime refuses to run.
+ *
+ * Exits with the command's exit code, or 1 without running it if the lock is taken.
+ *
+ * Usage:
+ *   node src/locked.js sh -c "npm run funding-rounds:incremental && npm run project-details"
+ *   node src/locked.js --name scheduled npm run tier1
+ */
+
+import { spawn } from 'child_process';
+import { RunLock, LOCK_TOKEN_ENV, describeLock } from './run-lock.js';
+
+/**
+ * Parse command line arguments
+ * Everything after the options is the command to run.
+ * @returns {object} - { name, command }
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  let name = null;
+  let i = 0;
+
+  for (; i < args.length; i++) {
+    if (args[i] === '--name' && args[i + 1]) {
+      name = args[i + 1];
+      i++; // Skip next arg
+    } else if (args[i] === '--') {
+      i++;
+      break;
+    } else {
+      break;
+    }
+  }
+
+  const command = args.slice(i);
+  return { name: name || command.join(' '), command };
+}
+
+/**
+ * Main execution function
+ */
+async function main() {
+  const { name, command } = parseArgs();
+  if (command.length === 0) {
+    console.error('Usage: node src/locked.js [--name <name>] <command> [args...]');
+    process.exit(1);
+  }
+
+  const lock = new RunLock({ command: name });
+  try {
+    const replaced = await lock.acquire();
+    if (replaced) {
+      console.log(`Replaced stale lock of ${describeLock(replaced)}`);
+    }
+  } catch (error) {
+    console.error(`Not starting '${name}': ${error.message}`);
+    process.exit(1);
+  }
+
+  const child = spawn(command[0], command.slice(1), {
+    stdio: 'inherit',
+    env: { ...process.env, [LOCK_TOKEN_ENV]: lock.token }
+  });
+
+  // Stop the command with us; the lock is released once it has exited
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => child.kill(signal));
+  }
+
+  const code = await new Promise(resolve => {
+    child.on('error', error => {
+      console.error(`Could not start '${command[0]}': ${error.message}`);
+      resolve(1);
+    });
+    child.on('exit', (exitCode, signal) => resolve(exitCode ?? (signal ? 1 : 0)));
+  });
+
+  lock.release();
+  process.exit(code);
+}
+
+// Run the main function
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
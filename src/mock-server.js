@@ -0,0 +1,636 @@
+/**
+ * Mock CryptoRank Site
+ *
+ * Local HTTP stand-in for cryptorank.io and api.cryptorank.io, rendering fixture
+ * data as pages the extractors understand:
+ *   GET /funds/{key}             Fund page with social links
+ *   GET /funds/{key}/investments?page=N  Fund's investments (5 rows per page)
+ *   GET /funding-rounds?page=N   Funding rounds table (20 rows per page)
+ *   GET /price/{projectKey}      Project page with fundraising info and all its rounds
+ *   GET /ico/{projectKey}        Same as /price/{projectKey}
+ *   GET /v2/funds/map            Funds map API response
+ *
+ * Failures can be injected per path to exercise the retry logic:
+ *   timeout            Hold the request open without responding
+ *   404 / 500          Respond with that status code
+ *   empty              Valid page without any data (no links, empty table)
+ *   missing-selectors  Data rendered with markup the extractors don't recognize
+ *
+ * Usage:
+ *   node src/mock-server.js                                # Serve on port 4100
+ *   node src/mock-server.js --port 5000
+ *   node src/mock-server.js --fail /funds/paradigm=404:2   # First 2 requests return 404
+ *   node src/mock-server.js --fail "/funding-rounds?page=2=timeout"
+ *
+ * Point the scrapers at it with:
+ *   CRYPTORANK_SITE_URL=http://localhost:4100 CRYPTORANK_API_URL=http://localhost:4100 npm start
+ */
+
+import http from 'http';
+import { readFileSync } from 'fs';
+import { pathToFileURL, fileURLToPath } from 'url';
+
+const DEFAULT_PORT = 4100;
+const DEFAULT_FIXTURES_FILE = fileURLToPath(new URL('../fixtures/mock-site.json', import.meta.url));
+const ITEMS_PER_PAGE = 20;
+const INVESTMENTS_PER_PAGE = 5;
+const VISIBLE_INVESTORS = 3;
+const DEFAULT_TIMEOUT_MS = 120000;
+const FAILURE_MODES = new Set(['timeout', '404', '500', 'empty', 'missing-selectors']);
+
+/**
+ * Escape text for safe inclusion in HTML
+ * @param {string} value - Raw text
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Wrap page content in a minimal CryptoRank-like layout
+ * @param {string} title - Page title
+ * @param {string} body - Body HTML
+ * @returns {string}
+ */
+function renderLayout(title, body) {
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(title)} | CryptoRank</title></head>
+<body>
+${body}
+<footer class="footer">
+  <a href="https://twitter.com/CryptoRank_io">Twitter</a>
+  <a href="https://t.me/cryptorank_io">Telegram</a>
+</footer>
+</body>
+</html>`;
+}
+
+// Mimics the listing's hover tooltip: hidden investors are rendered into a popover on mouseenter
+const BADGE_SCRIPT = `<script>
+document.addEventListener('mouseover', (event) => {
+  const badge = event.target.closest && event.target.closest('[data-hidden-investors]');
+  if (!badge || document.getElementById('investors-tooltip')) return;
+  const tooltip = document.createElement('div');
+  tooltip.id = 'investors-tooltip';
+  tooltip.setAttribute('role', 'tooltip');
+  tooltip.innerHTML = badge.getAttribute('data-hidden-investors');
+  document.body.appendChild(tooltip);
+  badge.addEventListener('mouseleave', () => tooltip.remove(), { once: true });
+});
+</script>`;
+
+/**
+ * Parse a failure spec like "/funds/paradigm=404:2"
+ * @param {string} spec - "<path>=<mode>[:<times>]"
+ * @returns {object} - { path, mode, remaining }
+ */
+export function parseFailureSpec(spec) {
+  const separator = spec.lastIndexOf('=');
+  if (separator <= 0) {
+    throw new Error(`Invalid failure spec: ${spec} (expected <path>=<mode>[:<times>])`);
+  }
+
+  const path = spec.slice(0, separator);
+  const [mode, times] = spec.slice(separator + 1).split(':');
+  if (!FAILURE_MODES.has(mode)) {
+    throw new Error(`Unknown failure mode: ${mode}`);
+  }
+
+  return {
+    path,
+    mode,
+    remaining: times ? parseInt(times, 10) : Infinity
+  };
+}
+
+/**
+ * MockCryptoRankSite class - renders fixture data and tracks injected failures
+ */
+export class MockCryptoRankSite {
+  /**
+   * @param {object} options
+   * @param {object} options.fixtures - { funds, projects, rounds } (defaults to fixtures/mock-site.json)
+   * @param {Array} options.failures - Failure specs (strings or { path, mode, times })
+   * @param {number} options.timeoutMs - How long a 'timeout' failure holds the request
+   */
+  constructor(options = {}) {
+    this.fixtures = options.fixtures || JSON.parse(readFileSync(DEFAULT_FIXTURES_FILE, 'utf-8'));
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    this.failures = new Map();
+    this.requests = [];
+    this.server = null;
+
+    for (const failure of options.failures || []) {
+      if (typeof failure === 'string') {
+        const parsed = parseFailureSpec(failure);
+        this.failures.set(parsed.path, parsed);
+      } else {
+        this.injectFailure(failure.path, failure.mode, failure.times);
+      }
+    }
+  }
+
+  /**
+   * Inject a failure for a path
+   * @param {string} path - Request path, optionally with query (e.g. '/funding-rounds?page=2')
+   * @param {string} mode - Failure mode
+   * @param {number} times - Number of requests to fail (default: all)
+   */
+  injectFailure(path, mode, times = Infinity) {
+    if (!FAILURE_MODES.has(mode)) {
+      throw new Error(`Unknown failure mode: ${mode}`);
+    }
+    this.failures.set(path, { path, mode, remaining: times });
+  }
+
+  /**
+   * Remove all injected failures
+   */
+  clearFailures() {
+    this.failures.clear();
+  }
+
+  /**
+   * Find and consume the failure that applies to a request
+   * @param {URL} url - Request URL
+   * @returns {string|null} - Failure mode or null
+   */
+  takeFailure(url) {
+    const failure = this.failures.get(`${url.pathname}${url.search}`) || this.failures.get(url.pathname);
+    if (!failure || failure.remaining <= 0) {
+      return null;
+    }
+    failure.remaining--;
+    return failure.mode;
+  }
+
+  /**
+   * Look up a fund by key
+   * @param {string} key - Fund key
+   * @returns {object|null}
+   */
+  findFund(key) {
+    return this.fixtures.funds.find(f => f.key === key) || null;
+  }
+
+  /**
+   * Render a fund page
+   * @param {object} fund - Fund fixture
+   * @param {string|null} failure - Injected failure mode
+   * @returns {string}
+   */
+  renderFundPage(fund, failure) {
+    const linkClass = failure === 'missing-selectors' ? 'fund_link' : 'coin_social_link_item__mock';
+    const socials = failure === 'empty' ? [] : Object.values(fund.socials || {});
+    const links = socials
+      .map(href => `    <a class="${linkClass}" href="${escapeHtml(href)}" target="_blank">${escapeHtml(href)}</a>`)
+      .join('\n');
+
+    const profile = failure === 'empty' ? {} : (fund.profile || {});
+    const stats = [
+      ['Headquarters', profile.headquarters],
+      ['Founded', profile.founded],
+      ['Investments', profile.investments],
+      ['Lead Investments', profile.leadInvestments],
+      ['Portfolio', profile.portfolioSize]
+    ]
+      .filter(([, value]) => value)
+      .map(([name, value]) => `    <div><dt>${escapeHtml(name)}</dt><dd>${escapeHtml(value)}</dd></div>`)
+      .join('\n');
+    const tags = [
+      ['Preferred Stages', profile.preferredStages],
+      ['Preferred Categories', profile.preferredCategories]
+    ]
+      .filter(([, values]) => values?.length)
+      .map(([name, values]) => {
+        const chips = values.map(value => `<a href="#">${escapeHtml(value)}</a>`).join(' ');
+        return `    <div><span>${escapeHtml(name)}</span><div class="fund_tags">${chips}</div></div>`;
+      })
+      .join('\n');
+
+    return renderLayout(fund.name, `<header><h1>${escapeHtml(fund.name)}</h1></header>
+<main>
+  <div class="fund_info">
+    <span class="fund_type">${escapeHtml(fund.type)}</span>
+    <span class="fund_tier">Tier ${fund.tier}</span>
+  </div>
+  <div class="coin_social_links">
+${links}
+  </div>
+  ${profile.description ? `<div class="fund_description"><p>${escapeHtml(profile.description)}</p></div>` : ''}
+  <dl class="fund_stats">
+${stats}
+  </dl>
+  <div class="fund_preferences">
+${tags}
+  </div>
+</main>`);
+  }
+
+  /**
+   * Render one page of a fund's investments, newest first, with pagination links
+   * @param {object} fund - Fixture fund
+   * @param {number} pageNumber - Page number (1-indexed)
+   * @param {string|null} failure - Injected failure mode
+   * @returns {string}
+   */
+  renderFundInvestmentsPage(fund, pageNumber, failure) {
+    const investments = this.fixtures.rounds.filter(round => (round.investors || []).includes(fund.key));
+    const totalPages = Math.max(1, Math.ceil(investments.length / INVESTMENTS_PER_PAGE));
+    const start = (pageNumber - 1) * INVESTMENTS_PER_PAGE;
+    const rounds = failure === 'empty' ? [] : investments.slice(start, start + INVESTMENTS_PER_PAGE);
+
+    const rows = rounds.map(round => {
+      const project = this.fixtures.projects.find(p => p.key === round.projectKey);
+      const isLead = (round.leadInvestors || []).includes(fund.key);
+      const cells = [
+        `<a href="/ico/${escapeHtml(round.projectKey)}">${escapeHtml(project?.name || round.projectKey)}</a>`,
+        escapeHtml(round.stage),
+        escapeHtml(round.date),
+        escapeHtml(round.raiseAmount),
+        isLead ? '<span class="lead_badge">Lead</span>' : '-'
+      ];
+      return `      <tr>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`;
+    }).join('\n');
+
+    const pages = Array.from({ length: totalPages }, (_, i) => i + 1)
+      .map(n => `<a href="/funds/${escapeHtml(fund.key)}/investments?page=${n}">${n}</a>`)
+      .join(' ');
+    const header = failure === 'missing-selectors'
+      ? ''
+      : '<thead><tr><th>Project</th><th>Stage</th><th>Date</th><th>Raised</th><th>Lead</th></tr></thead>';
+
+    return renderLayout(`${fund.name} Investments`, `<header><h1>${escapeHtml(fund.name)} Investments</h1></header>
+<main>
+  <table class="fund_investments">
+    ${header}
+    <tbody>
+${rows}
+    </tbody>
+  </table>
+  <nav class="pagination">${pages}</nav>
+</main>`);
+  }
+
+  /**
+   * Render investor links for a list of fund keys
+   * @param {string[]} keys - Fund keys
+   * @returns {string[]} - Anchor tags
+   */
+  renderInvestorLinks(keys) {
+    return keys.map(key => {
+      const fund = this.findFund(key);
+      return `<a href="/funds/${escapeHtml(key)}">${escapeHtml(fund?.name || key)}</a>`;
+    });
+  }
+
+  /**
+   * Render a funding rounds listing page
+   * @param {number} pageNumber - Page number (1-indexed)
+   * @param {string|null} failure - Injected failure mode
+   * @returns {string}
+   */
+  renderFundingRoundsPage(pageNumber, failure) {
+    const start = (pageNumber - 1) * ITEMS_PER_PAGE;
+    const rounds = failure === 'empty' ? [] : this.fixtures.rounds.slice(start, start + ITEMS_PER_PAGE);
+
+    const rows = rounds.map(round => {
+      const project = this.fixtures.projects.find(p => p.key === round.projectKey);
+      // Like the live listing, only the first few investors are shown, followed by a "+N" badge
+      const investorLinks = this.renderInvestorLinks(round.investors || []);
+      const hidden = investorLinks.slice(VISIBLE_INVESTORS);
+      const badge = hidden.length > 0
+        ? ` <span class="investors_more" data-hidden-investors="${escapeHtml(hidden.join(' '))}">+${hidden.length}</span>`
+        : '';
+      const investors = investorLinks.slice(0, VISIBLE_INVESTORS).join(' ') + badge;
+      const cells = [
+        `<a href="/ico/${escapeHtml(round.projectKey)}">${escapeHtml(project?.name || round.projectKey)}</a>`,
+        escapeHtml(round.raiseAmount),
+        escapeHtml(round.stage),
+        investors,
+        escapeHtml(round.date),
+        escapeHtml(round.moniScore)
+      ];
+
+      if (failure === 'missing-selectors') {
+        return `    <div class="round_row">${cells.map(c => `<span>${c}</span>`).join('')}</div>`;
+      }
+      return `      <tr>${cells.map(c => `<td>${c}</td>`).join('')}</tr>`;
+    }).join('\n');
+
+    const listing = failure === 'missing-selectors'
+      ? `<div class="rounds_list">\n${rows}\n  </div>`
+      : `<table>
+    <thead><tr><th>Project</th><th>Raise</th><th>Stage</th><th>Investors</th><th>Date</th><th>Moni Score</th></tr></thead>
+    <tbody>
+${rows}
+    </tbody>
+  </table>`;
+
+    return renderLayout('Funding Rounds', `<main>
+  <h1>Crypto Funding Rounds</h1>
+  ${listing}
+</main>
+${BADGE_SCRIPT}`);
+  }
+
+  /**
+   * Render a project page
+   * @param {object} project - Project fixture
+   * @param {string|null} failure - Injected failure mode
+   * @returns {string}
+   */
+  renderProjectPage(project, failure) {
+    if (failure === 'empty') {
+      return renderLayout(project.name, `<main><h1>${escapeHtml(project.name)}</h1></main>`);
+    }
+
+    const label = (text) => (failure === 'missing-selectors' ? '' : text);
+    const socialLinks = Object.entries(project.socials || {})
+      .map(([type, href]) => `    <a href="${escapeHtml(href)}" aria-label="${label(type)}">${label(type)}</a>`)
+      .join('\n');
+    const metrics = [
+      ['Market Cap', project.marketCap],
+      ['FDV', project.fdv],
+      ['Total Supply', project.totalSupply],
+      ['Circulating Supply', project.circulatingSupply],
+      ['TGE Date', project.tgeDate]
+    ]
+      .filter(([, value]) => value)
+      .map(([name, value]) => `    <div>${label(name)} <span>${escapeHtml(value)}</span></div>`)
+      .join('\n');
+    const fundraising = [
+      ['Total Raised', project.totalRaised],
+      ['Valuation', project.valuation]
+    ]
+      .filter(([, value]) => value)
+      .map(([name, value]) => `      <div>${label(name)} <span>${escapeHtml(value)}</span></div>`)
+      .join('\n');
+    const rounds = this.fixtures.rounds
+      .filter(round => round.projectKey === project.key)
+      .map(round => {
+        const leads = new Set(round.leadInvestors || []);
+        const investors = (round.investors || []).map(key => {
+          const [link] = this.renderInvestorLinks([key]);
+          const badge = leads.has(key) ? ' <span class="investor_badge">Lead</span>' : '';
+          return `<span class="investor">${link}${badge}</span>`;
+        });
+        const cells = [round.date, round.stage, round.raiseAmount, round.valuation || '-', round.tokenPrice || '-']
+          .map(value => `<td>${escapeHtml(value)}</td>`)
+          .join('');
+        return `      <tr>${cells}<td>${investors.join(' ')}</td></tr>`;
+      })
+      .join('\n');
+    const vesting = project.vesting ? this.renderVesting(project.vesting, label) : '';
+    const categories = (project.categories || [])
+      .map(category => `<a href="/categories/${escapeHtml(category.toLowerCase())}">${escapeHtml(category)}</a>`)
+      .join(' ');
+
+    return renderLayout(project.name, `<header class="coin-info">
+  <h1>${escapeHtml(project.name)}</h1>
+  <span class="symbol">${escapeHtml(project.symbol || '')}</span>
+</header>
+<main>
+  ${project.price ? `<div class="coin_price">${escapeHtml(project.price)}</div>` : ''}
+  <div class="project_links">
+${socialLinks}
+  </div>
+  <div class="project_metrics">
+${metrics}
+  </div>
+  <div>
+    <div><h3>${label('Fundraising Info')}</h3></div>
+    <div class="fundraising">
+${fundraising}
+    </div>
+  </div>
+  <p>${escapeHtml(project.description || '')}</p>
+  <div class="categories">${categories}</div>
+  <h2>${label('Funding Rounds')}</h2>
+  <table class="funding_rounds">
+    <thead><tr><th>${label('Date')}</th><th>${label('Stage')}</th><th>${label('Raised')}</th><th>${label('Valuation')}</th><th>${label('Price')}</th><th>${label('Investors')}</th></tr></thead>
+    <tbody>
+${rounds}
+    </tbody>
+  </table>
+${vesting}
+</main>`);
+  }
+
+  /**
+   * Render a project's vesting section (summary, next unlock and allocation table)
+   * @param {object} vesting - Fixture vesting entry
+   * @param {Function} label - Label renderer (blank for 'missing-selectors')
+   * @returns {string} - HTML
+   */
+  renderVesting(vesting, label) {
+    const summary = [
+      ['TGE Unlock', vesting.tgeUnlock],
+      ['Cliff', vesting.cliff],
+      ['Vesting Period', vesting.vestingPeriod]
+    ]
+      .filter(([, value]) => value)
+      .map(([name, value]) => `    <div>${label(name)}: <span>${escapeHtml(value)}</span></div>`)
+      .join('\n');
+    const next = vesting.nextUnlock;
+    const nextUnlock = next
+      ? `    <div class="next_unlock">${label('Next Unlock')} <span>${escapeHtml(next.date)}</span> <span>${escapeHtml(next.tokens)} TOKENS</span> <span>${escapeHtml(next.amount)}</span> <span>${escapeHtml(next.share)}</span></div>`
+      : '';
+    const rows = (vesting.allocations || [])
+      .map(allocation => {
+        const cells = [allocation.name, allocation.share, allocation.tokens, allocation.tgeUnlock, allocation.cliff, allocation.vesting]
+          .map(value => `<td>${escapeHtml(value || '-')}</td>`)
+          .join('');
+        return `        <tr>${cells}</tr>`;
+      })
+      .join('\n');
+
+    return `  <section class="vesting">
+    <h2>${label('Vesting Schedule')}</h2>
+${summary}
+${nextUnlock}
+    <table class="vesting_allocations">
+      <thead><tr><th>${label('Allocation')}</th><th>${label('Share')}</th><th>${label('Tokens')}</th><th>${label('TGE Unlock')}</th><th>${label('Cliff')}</th><th>${label('Vesting')}</th></tr></thead>
+      <tbody>
+${rows}
+      </tbody>
+    </table>
+  </section>`;
+  }
+
+  /**
+   * Render the funds map API response
+   * @param {string|null} failure - Injected failure mode
+   * @returns {object}
+   */
+  renderFundsMap(failure) {
+    if (failure === 'empty') {
+      return { data: [] };
+    }
+    if (failure === 'missing-selectors') {
+      return { funds: this.fixtures.funds };
+    }
+    return {
+      data: this.fixtures.funds.map(({ id, key, name, tier, type }) => ({ id, key, name, tier, type }))
+    };
+  }
+
+  /**
+   * Handle an incoming request
+   * @param {object} req - HTTP request
+   * @param {object} res - HTTP response
+   */
+  handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    this.requests.push(`${url.pathname}${url.search}`);
+
+    const failure = this.takeFailure(url);
+
+    if (failure === 'timeout') {
+      // Never answer; the socket is destroyed after timeoutMs (or when the server closes)
+      setTimeout(() => req.socket.destroy(), this.timeoutMs).unref();
+      return;
+    }
+    if (failure === '404' || failure === '500') {
+      const status = parseInt(failure, 10);
+      res.writeHead(status, { 'Content-Type': 'text/html' });
+      res.end(renderLayout(`${status}`, `<main><h1>${status}</h1></main>`));
+      return;
+    }
+
+    const sendHtml = (html) => {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(html);
+    };
+    const notFound = () => {
+      res.writeHead(404, { 'Content-Type': 'text/html' });
+      res.end(renderLayout('404', '<main><h1>Page not found</h1></main>'));
+    };
+
+    let match;
+
+    if (url.pathname === '/v2/funds/map') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(this.renderFundsMap(failure)));
+      return;
+    }
+
+    if ((match = url.pathname.match(/^\/funds\/([^/]+)$/))) {
+      const fund = this.findFund(decodeURIComponent(match[1]));
+      return fund ? sendHtml(this.renderFundPage(fund, failure)) : notFound();
+    }
+
+    if ((match = url.pathname.match(/^\/funds\/([^/]+)\/investments$/))) {
+      const fund = this.findFund(decodeURIComponent(match[1]));
+      const pageNumber = Math.max(1, parseInt(url.searchParams.get('page') || '1', 10) || 1);
+      return fund ? sendHtml(this.renderFundInvestmentsPage(fund, pageNumber, failure)) : notFound();
+    }
+
+    if (url.pathname === '/funding-rounds') {
+      const pageNumber = Math.max(1, parseInt(url.searchParams.get('page') || '1', 10) || 1);
+      return sendHtml(this.renderFundingRoundsPage(pageNumber, failure));
+    }
+
+    if ((match = url.pathname.match(/^\/(?:price|ico)\/([^/]+)$/))) {
+      const project = this.fixtures.projects.find(p => p.key === decodeURIComponent(match[1]));
+      if (!project) {
+        return notFound();
+      }
+      return sendHtml(this.renderProjectPage(project, failure));
+    }
+
+    notFound();
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - Port to listen on (0 picks a free port)
+   * @returns {Promise<string>} - Base URL of the running server
+   */
+  async listen(port = DEFAULT_PORT) {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, resolve);
+    });
+    return `http://localhost:${this.server.address().port}`;
+  }
+
+  /**
+   * Stop the server, dropping any requests held open by 'timeout' failures
+   */
+  async close() {
+    if (!this.server) return;
+    this.server.closeAllConnections();
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+}
+
+/**
+ * Parse command line arguments
+ * @returns {object} - { port: number, failures: string[] }
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  let port = DEFAULT_PORT;
+  const failures = [];
+
+  for (let i = 0; i < args.length; i++) {
+    if ((args[i] === '--port' || args[i] === '-p') && args[i + 1]) {
+      const parsed = parseInt(args[i + 1], 10);
+      if (!isNaN(parsed) && parsed >= 0) {
+        port = parsed;
+      }
+      i++; // Skip next arg
+    } else if (args[i] === '--fail' && args[i + 1]) {
+      failures.push(args[i + 1]);
+      i++; // Skip next arg
+    }
+  }
+
+  return { port, failures };
+}
+
+/**
+ * Main execution function
+ */
+async function main() {
+  const { port, failures } = parseArgs();
+  const site = new MockCryptoRankSite({ failures });
+  const baseUrl = await site.listen(port);
+
+  console.log('');
+  console.log('============================================');
+  console.log('  Mock CryptoRank Site');
+  console.log('============================================');
+  console.log(`  Listening on: ${baseUrl}`);
+  for (const failure of site.failures.values()) {
+    console.log(`  Failure: ${failure.path} -> ${failure.mode} (${failure.remaining} times)`);
+  }
+  console.log('');
+  console.log('  Run the scrapers against it with:');
+  console.log(`    CRYPTORANK_SITE_URL=${baseUrl} CRYPTORANK_API_URL=${baseUrl} npm start`);
+  console.log('');
+
+  const shutdown = async () => {
+    await site.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+// Run the main function only when executed directly (not when imported)
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
+}
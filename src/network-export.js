@@ -0,0 +1,385 @@
+/**
+ * Co-investment Network Export
+ *
+ * Builds two graphs from funding-rounds-detailed.json (or funding-rounds.json) and
+ * the VC outputs, and writes each as GraphML, GEXF and D3-style JSON:
+ * 1. investor-project  - bipartite graph, investor -> project, one edge per pair
+ * 2. co-investment     - investor <-> investor, for investors that shared a round
+ *
+ * Edges are weighted by the number of shared rounds (`weight`) and carry the total
+ * raised in those rounds (`amount`, USD). Investor nodes carry tier, type and
+ * round counts; tiers come from the round investors (see investor-enrichment.js)
+ * or, failing that, from tier1-2-vcs.json / tier1-vcs.json.
+ *
+ * Usage:
+ *   node src/network-export.js                 # All edges
+ *   node src/network-export.js --min-weight 2  # Co-investment edges with 2+ shared rounds
+ */
+
+import { readFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import { writeFileAtomic } from './atomic-write.js';
+import { outputPath } from './config.js';
+
+const INPUT_FILES = [outputPath('funding-rounds-detailed.json'), outputPath('funding-rounds.json')];
+const FUND_FILES = [outputPath('tier1-2-vcs.json'), outputPath('tier1-vcs.json')];
+const OUTPUT_DIR = outputPath('network');
+
+// Attribute schema shared by the GraphML and GEXF writers
+const NODE_ATTRIBUTES = [
+  { id: 'kind', type: 'string' },
+  { id: 'tier', type: 'int' },
+  { id: 'type', type: 'string' },
+  { id: 'rounds', type: 'int' },
+  { id: 'leadRounds', type: 'int' },
+  { id: 'amount', type: 'double' }
+];
+const EDGE_ATTRIBUTES = [
+  { id: 'weight', type: 'double' },
+  { id: 'amount', type: 'double' }
+];
+
+/**
+ * Parse command line arguments
+ * @returns {object} - { minWeight }
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  let minWeight = 1;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--min-weight' && args[i + 1]) {
+      const parsed = parseInt(args[i + 1], 10);
+      if (!isNaN(parsed) && parsed > 0) {
+        minWeight = parsed;
+      }
+      i++; // Skip next arg
+    }
+  }
+
+  return { minWeight };
+}
+
+/**
+ * Read the first existing JSON file from a list
+ * @param {string[]} files - Candidate paths, in order of preference
+ * @returns {Promise<object|null>} - { file, json } or null
+ */
+async function readFirstExisting(files) {
+  for (const file of files) {
+    if (existsSync(file)) {
+      return { file, json: JSON.parse(await readFile(file, 'utf-8')) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Escape text for XML attributes and content
+ * @param {*} value - Value to escape
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Stable node id for an investor
+ * @param {object} investor - Round investor ({ name, key })
+ * @returns {string|null}
+ */
+function investorNodeId(investor) {
+  if (investor.key) {
+    return `fund:${investor.key}`;
+  }
+  const name = (investor.name || '').trim().toLowerCase();
+  return name ? `fund:${name.replace(/[^a-z0-9]+/g, '-')}` : null;
+}
+
+/**
+ * Build both graphs from funding rounds
+ * @param {Array} rounds - Funding rounds
+ * @param {Map} fundsByKey - Fund records from the VC outputs, by key
+ * @returns {object} - { investorProject: { nodes, edges }, coInvestment: { nodes, edges } }
+ */
+function buildGraphs(rounds, fundsByKey) {
+  const investors = new Map();
+  const projects = new Map();
+  const projectEdges = new Map();
+  const coEdges = new Map();
+
+  const addEdge = (map, source, target, amount) => {
+    const id = `${source}|${target}`;
+    const edge = map.get(id) || { source, target, weight: 0, amount: 0 };
+    edge.weight++;
+    edge.amount += amount;
+    map.set(id, edge);
+  };
+
+  for (const round of rounds) {
+    if (!round.projectKey) continue;
+    const amount = round.raiseAmountRaw || 0;
+    const projectId = `project:${round.projectKey}`;
+
+    if (!projects.has(projectId)) {
+      projects.set(projectId, {
+        id: projectId,
+        label: round.projectName || round.projectKey,
+        kind: 'project',
+        tier: null,
+        type: null,
+        rounds: 0,
+        leadRounds: 0,
+        amount: 0
+      });
+    }
+    const project = projects.get(projectId);
+    project.rounds++;
+    project.amount += amount;
+
+    const leadKeys = new Set((round.details?.rounds || [])
+      .filter(detail => detail.stage === round.stage)
+      .flatMap(detail => (detail.leadInvestors || []).map(lead => lead.key)));
+
+    // Each investor counted once per round, even if listed twice
+    const roundInvestors = new Map();
+    for (const investor of round.investors || []) {
+      const id = investorNodeId(investor);
+      if (id && !roundInvestors.has(id)) {
+        roundInvestors.set(id, investor);
+      }
+    }
+
+    for (const [id, investor] of roundInvestors) {
+      if (!investors.has(id)) {
+        const fund = investor.key ? fundsByKey.get(investor.key) : null;
+        investors.set(id, {
+          id,
+          label: investor.name || investor.key,
+          kind: 'investor',
+          tier: investor.tier ?? fund?.tier ?? null,
+          type: investor.type ?? fund?.type ?? null,
+          rounds: 0,
+          leadRounds: 0,
+          amount: 0
+        });
+      }
+      const node = investors.get(id);
+      node.rounds++;
+      node.amount += amount;
+      if (investor.key && leadKeys.has(investor.key)) {
+        node.leadRounds++;
+      }
+
+      addEdge(projectEdges, id, projectId, amount);
+    }
+
+    // Every pair of investors in the round, in a fixed order so A-B and B-A are one edge
+    const ids = Array.from(roundInvestors.keys()).sort();
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        addEdge(coEdges, ids[i], ids[j], amount);
+      }
+    }
+  }
+
+  const investorNodes = Array.from(investors.values());
+  return {
+    investorProject: {
+      directed: true,
+      nodes: [...investorNodes, ...projects.values()],
+      edges: Array.from(projectEdges.values())
+    },
+    coInvestment: {
+      directed: false,
+      nodes: investorNodes,
+      edges: Array.from(coEdges.values())
+    }
+  };
+}
+
+/**
+ * Serialize a graph as GraphML
+ * @param {object} graph - { directed, nodes, edges }
+ * @returns {string}
+ */
+function toGraphML(graph) {
+  const keys = [
+    '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+    ...NODE_ATTRIBUTES.map(attr => `  <key id="${attr.id}" for="node" attr.name="${attr.id}" attr.type="${attr.type}"/>`),
+    ...EDGE_ATTRIBUTES.map(attr => `  <key id="e_${attr.id}" for="edge" attr.name="${attr.id}" attr.type="${attr.type}"/>`)
+  ];
+
+  const data = (prefix, attrs, item) => attrs
+    .filter(attr => item[attr.id] !== null && item[attr.id] !== undefined)
+    .map(attr => `<data key="${prefix}${attr.id}">${escapeXml(item[attr.id])}</data>`)
+    .join('');
+
+  const nodes = graph.nodes.map(node =>
+    `    <node id="${escapeXml(node.id)}"><data key="label">${escapeXml(node.label)}</data>${data('', NODE_ATTRIBUTES, node)}</node>`
+  );
+  const edges = graph.edges.map((edge, i) =>
+    `    <edge id="e${i}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">${data('e_', EDGE_ATTRIBUTES, edge)}</edge>`
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...keys,
+    `  <graph id="G" edgedefault="${graph.directed ? 'directed' : 'undirected'}">`,
+    ...nodes,
+    ...edges,
+    '  </graph>',
+    '</graphml>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Serialize a graph as GEXF 1.3
+ * @param {object} graph - { directed, nodes, edges }
+ * @param {string} description - Graph description
+ * @returns {string}
+ */
+function toGEXF(graph, description) {
+  const gexfType = (type) => (type === 'int' ? 'integer' : type);
+  const attvalues = (attrs, item) => {
+    const values = attrs
+      .filter(attr => item[attr.id] !== null && item[attr.id] !== undefined)
+      .map(attr => `<attvalue for="${attr.id}" value="${escapeXml(item[attr.id])}"/>`)
+      .join('');
+    return values ? `<attvalues>${values}</attvalues>` : '';
+  };
+
+  const nodes = graph.nodes.map(node =>
+    `      <node id="${escapeXml(node.id)}" label="${escapeXml(node.label)}">${attvalues(NODE_ATTRIBUTES, node)}</node>`
+  );
+  const edgeAttributes = EDGE_ATTRIBUTES.filter(attr => attr.id !== 'weight');
+  const edges = graph.edges.map((edge, i) =>
+    `      <edge id="${i}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}" weight="${edge.weight}">${attvalues(edgeAttributes, edge)}</edge>`
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+    `  <meta lastmodifieddate="${new Date().toISOString().split('T')[0]}">`,
+    '    <creator>cryptorank-vc-scraper</creator>',
+    `    <description>${escapeXml(description)}</description>`,
+    '  </meta>',
+    `  <graph mode="static" defaultedgetype="${graph.directed ? 'directed' : 'undirected'}">`,
+    '    <attributes class="node">',
+    ...NODE_ATTRIBUTES.map(attr => `      <attribute id="${attr.id}" title="${attr.id}" type="${gexfType(attr.type)}"/>`),
+    '    </attributes>',
+    '    <attributes class="edge">',
+    ...edgeAttributes.map(attr => `      <attribute id="${attr.id}" title="${attr.id}" type="${gexfType(attr.type)}"/>`),
+    '    </attributes>',
+    '    <nodes>',
+    ...nodes,
+    '    </nodes>',
+    '    <edges>',
+    ...edges,
+    '    </edges>',
+    '  </graph>',
+    '</gexf>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Serialize a graph as D3 force-layout JSON ({ nodes, links })
+ * @param {object} graph - { directed, nodes, edges }
+ * @param {object} metadata - Metadata block
+ * @returns {string}
+ */
+function toD3Json(graph, metadata) {
+  return JSON.stringify({
+    metadata: { ...metadata, directed: graph.directed },
+    nodes: graph.nodes,
+    links: graph.edges
+  }, null, 2);
+}
+
+/**
+ * Write a graph in all three formats
+ * @param {string} name - Base file name
+ * @param {object} graph - { directed, nodes, edges }
+ * @param {object} metadata - Metadata for the JSON export
+ */
+async function writeGraph(name, graph, metadata) {
+  const base = path.join(OUTPUT_DIR, name);
+  await writeFileAtomic(`${base}.graphml`, toGraphML(graph));
+  await writeFileAtomic(`${base}.gexf`, toGEXF(graph, metadata.description));
+  await writeFileAtomic(`${base}.json`, toD3Json(graph, metadata));
+  console.log(`    ${base}.{graphml,gexf,json}: ${graph.nodes.length} nodes, ${graph.edges.length} edges`);
+}
+
+/**
+ * Main execution function
+ */
+async function main() {
+  const { minWeight } = parseArgs();
+
+  console.log('');
+  console.log('============================================');
+  console.log('  CryptoRank Co-investment Network Export');
+  console.log('============================================');
+  console.log('');
+
+  // Step 1: Load data
+  console.log('[1] Loading funding rounds and funds...');
+  const input = await readFirstExisting(INPUT_FILES);
+  if (!input?.json?.data) {
+    console.error(`    ERROR: None of ${INPUT_FILES.join(', ')} found. Run 'npm run funding-rounds' first.`);
+    process.exit(1);
+  }
+  console.log(`    Loaded ${input.json.data.length} rounds from ${input.file}`);
+
+  const funds = await readFirstExisting(FUND_FILES);
+  const fundsByKey = new Map((funds?.json?.data || []).map(fund => [fund.key, fund]));
+  console.log(`    Loaded ${fundsByKey.size} funds${funds ? ` from ${funds.file}` : ''}`);
+  console.log('');
+
+  // Step 2: Build graphs
+  console.log('[2] Building graphs...');
+  const { investorProject, coInvestment } = buildGraphs(input.json.data, fundsByKey);
+  if (minWeight > 1) {
+    coInvestment.edges = coInvestment.edges.filter(edge => edge.weight >= minWeight);
+    console.log(`    Keeping co-investment edges with ${minWeight}+ shared rounds`);
+  }
+  console.log('');
+
+  // Step 3: Export
+  console.log('[3] Writing graph files...');
+  await mkdir(OUTPUT_DIR, { recursive: true });
+  const metadata = {
+    generatedAt: new Date().toISOString(),
+    source: input.file,
+    totalRounds: input.json.data.length
+  };
+  await writeGraph('investor-project', investorProject, {
+    ...metadata,
+    description: 'Investor to project graph; edge weight = rounds, amount = USD raised'
+  });
+  await writeGraph('co-investment', coInvestment, {
+    ...metadata,
+    minWeight,
+    description: 'Investor co-investment graph; edge weight = shared rounds, amount = USD raised'
+  });
+
+  console.log('');
+  console.log('============================================');
+  console.log('  Done!');
+  console.log('============================================');
+  console.log('');
+}
+
+// Run the main function
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,439 @@
+/**
+ * Round Notifier
+ * Checks funding rounds against user-defined rules and POSTs matches to webhooks.
+ *
+ * Configuration (notifications.file setting, default ./notifications.json; see notifications.example.json):
+ *   rules[]    - { name, tier1Investor, maxInvestorTier, minRaise, stages[], categories[], investors[] }
+ *                Every condition given in a rule must hold; a round matches if any rule matches.
+ *   webhooks[] - { name, url, format: 'json'|'slack', secret | secretEnv, rules[] }
+ *                `rules` limits a webhook to some rule names (default: all rules).
+ *
+ * Deliveries are signed with HMAC-SHA256 when the webhook has a secret:
+ *   X-Webhook-Timestamp: <unix seconds>
+ *   X-Webhook-Signature: sha256=<hex HMAC of "<timestamp>.<body>">
+ *
+ * Every delivered round is recorded per webhook in ./output/notified-rounds.json right after
+ * its delivery, so a round is never announced twice to the same webhook. Rounds are recorded
+ * by project, stage and date (noticeKey), not by roundId: a round whose amount is disclosed
+ * later gets a new roundId but is the same announcement.
+ *
+ * Category rules need project details, which funding-rounds.js does not have for new
+ * projects yet; `npm run notify` after project-details picks those rounds up.
+ */
+
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { createHmac } from 'crypto';
+import { writeFileAtomic } from './atomic-write.js';
+import { getConfig, outputPath } from './config.js';
+
+const DEDUPE_FILE = outputPath('notified-rounds.json');
+const DETAILED_FILE = outputPath('funding-rounds-detailed.json');
+const MAX_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_SLACK_INVESTORS = 10;
+
+/**
+ * Delay helper
+ * @param {number} ms - Milliseconds to delay
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Normalize a name for case-insensitive comparison
+ * @param {string} value - Stage, category or investor name
+ * @returns {string}
+ */
+function normalize(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+/**
+ * Load the notification config
+ * @param {string} configFile - Path to the config file
+ * @returns {Promise<object|null>} - { rules, webhooks } or null if the file does not exist
+ */
+export async function loadNotificationConfig(configFile = getConfig().notifications.file) {
+  if (!existsSync(configFile)) {
+    return null;
+  }
+
+  let config;
+  try {
+    config = JSON.parse(await readFile(configFile, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Invalid notification config ${configFile}: ${error.message}`);
+  }
+  const rules = Array.isArray(config.rules) ? config.rules : [];
+  const webhooks = (Array.isArray(config.webhooks) ? config.webhooks : []).filter(webhook => webhook?.url);
+
+  rules.forEach((rule, i) => {
+    if (!rule.name) rule.name = `rule-${i + 1}`;
+  });
+  webhooks.forEach((webhook, i) => {
+    if (!webhook.name) webhook.name = `webhook-${i + 1}`;
+  });
+
+  return { configFile, rules, webhooks };
+}
+
+/**
+ * Add project categories from funding-rounds-detailed.json to rounds that have none
+ * @param {Array} rounds - Funding rounds
+ * @returns {Promise<Array>} - Rounds with a categories array
+ */
+export async function withCategories(rounds) {
+  const categories = new Map();
+  if (existsSync(DETAILED_FILE)) {
+    try {
+      const json = JSON.parse(await readFile(DETAILED_FILE, 'utf-8'));
+      for (const round of json.data || []) {
+        if (round.projectKey && round.details?.categories) {
+          categories.set(round.projectKey, round.details.categories);
+        }
+      }
+    } catch (e) {
+      // Ignore unreadable details, category rules just won't match
+    }
+  }
+
+  return rounds.map(round => ({
+    ...round,
+    categories: round.categories || round.details?.categories || categories.get(round.projectKey) || []
+  }));
+}
+
+/**
+ * Check one rule against a round
+ * @param {object} rule - Rule conditions
+ * @param {object} round - Funding round (with enriched investors and optional categories)
+ * @returns {boolean}
+ */
+function matchesRule(rule, round) {
+  const investors = round.investors || [];
+
+  if (rule.tier1Investor && !investors.some(investor => investor.tier === 1)) {
+    return false;
+  }
+  if (typeof rule.maxInvestorTier === 'number') {
+    const best = round.maxInvestorTier ?? null;
+    if (best === null || best > rule.maxInvestorTier) return false;
+  }
+  if (typeof rule.minRaise === 'number' && !(round.raiseAmountRaw >= rule.minRaise)) {
+    return false;
+  }
+  if (Array.isArray(rule.stages) && rule.stages.length > 0) {
+    const stages = rule.stages.map(normalize);
+    if (!stages.includes(normalize(round.stage))) return false;
+  }
+  if (Array.isArray(rule.categories) && rule.categories.length > 0) {
+    const categories = rule.categories.map(normalize);
+    if (!(round.categories || []).some(category => categories.includes(normalize(category)))) return false;
+  }
+  if (Array.isArray(rule.investors) && rule.investors.length > 0) {
+    const wanted = rule.investors.map(normalize);
+    const present = investors.flatMap(investor => [normalize(investor.name), normalize(investor.key)]);
+    if (!wanted.some(name => present.includes(name))) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Names of the rules a round matches
+ * @param {Array} rules - Rules from the config
+ * @param {object} round - Funding round
+ * @returns {string[]}
+ */
+function matchingRules(rules, round) {
+  return rules.filter(rule => matchesRule(rule, round)).map(rule => rule.name);
+}
+
+/**
+ * Round fields sent to webhooks
+ * @param {object} round - Funding round
+ * @param {string[]} matchedRules - Names of the matched rules
+ * @returns {object}
+ */
+function roundSummary(round, matchedRules) {
+  return {
+    roundId: round.roundId,
+    projectKey: round.projectKey || null,
+    projectName: round.projectName || null,
+    projectUrl: round.projectUrl || null,
+    stage: round.stage || null,
+    date: round.date || null,
+    dateISO: round.dateISO || null,
+    raiseAmount: round.raiseAmount || null,
+    raiseAmountRaw: round.raiseAmountRaw ?? null,
+    categories: round.categories || [],
+    investors: (round.investors || []).map(investor => ({
+      name: investor.name || investor.key,
+      key: investor.key || null,
+      tier: investor.tier ?? null
+    })),
+    matchedRules
+  };
+}
+
+/**
+ * Generic JSON payload
+ * @param {object} summary - Result of roundSummary
+ * @returns {object}
+ */
+function buildJsonPayload(summary) {
+  return {
+    event: 'funding_round.matched',
+    sentAt: new Date().toISOString(),
+    round: summary
+  };
+}
+
+/**
+ * Escape text for Slack mrkdwn
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function escapeSlack(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Slack incoming-webhook payload (text fallback plus Block Kit blocks)
+ * @param {object} summary - Result of roundSummary
+ * @returns {object}
+ */
+function buildSlackPayload(summary) {
+  const name = escapeSlack(summary.projectName || summary.projectKey || 'Unknown project');
+  const title = summary.projectUrl ? `<${summary.projectUrl}|${name}>` : name;
+  const facts = [summary.stage, summary.raiseAmount, summary.dateISO || summary.date].filter(Boolean).map(escapeSlack);
+
+  const investors = summary.investors.slice(0, MAX_SLACK_INVESTORS)
+    .map(investor => `${escapeSlack(investor.name)}${investor.tier ? ` (T${investor.tier})` : ''}`);
+  if (summary.investors.length > MAX_SLACK_INVESTORS) {
+    investors.push(`+${summary.investors.length - MAX_SLACK_INVESTORS} more`);
+  }
+
+  const context = [`Rules: ${summary.matchedRules.map(escapeSlack).join(', ')}`];
+  if (summary.categories.length > 0) {
+    context.unshift(`Categories: ${summary.categories.map(escapeSlack).join(', ')}`);
+  }
+
+  return {
+    text: `New funding round: ${name} ${facts.join(' / ')}`,
+    blocks: [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: `*${title}*\n${facts.join(' • ')}` }
+      },
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: `*Investors:* ${investors.length > 0 ? investors.join(', ') : 'n/a'}` }
+      },
+      {
+        type: 'context',
+        elements: context.map(text => ({ type: 'mrkdwn', text }))
+      }
+    ]
+  };
+}
+
+/**
+ * Sign a request body
+ * @param {string} secret - Shared secret
+ * @param {string} timestamp - Unix timestamp in seconds
+ * @param {string} body - Request body
+ * @returns {string} - "sha256=<hex>"
+ */
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Secret of a webhook, taken from the config or an environment variable
+ * @param {object} webhook - Webhook config
+ * @returns {string|null}
+ */
+function webhookSecret(webhook) {
+  if (webhook.secretEnv) {
+    return process.env[webhook.secretEnv] || null;
+  }
+  return webhook.secret || null;
+}
+
+/**
+ * POST a payload to a webhook, retrying network errors, 429 and 5xx responses
+ * @param {object} webhook - Webhook config
+ * @param {object} payload - JSON payload
+ * @returns {Promise<object>} - { ok, status, attempts, error }
+ */
+async function deliver(webhook, payload) {
+  const body = JSON.stringify(payload);
+  const secret = webhookSecret(webhook);
+  let lastError = null;
+  let status = null;
+  let attempts = 0;
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    attempts = attempt;
+    const headers = { 'Content-Type': 'application/json', 'User-Agent': 'cryptorank-vc-scraper' };
+    if (secret) {
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      headers['X-Webhook-Timestamp'] = timestamp;
+      headers['X-Webhook-Signature'] = signPayload(secret, timestamp, body);
+    }
+
+    let retryAfterMs = null;
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+      status = response.status;
+      if (response.ok) {
+        return { ok: true, status, attempts: attempt, error: null };
+      }
+
+      lastError = `HTTP ${response.status}`;
+      if (response.status !== 429 && response.status < 500) {
+        // Other client errors will not succeed on retry
+        break;
+      }
+      const retryAfter = parseInt(response.headers.get('retry-after') || '', 10);
+      if (!isNaN(retryAfter)) {
+        retryAfterMs = retryAfter * 1000;
+      }
+    } catch (error) {
+      lastError = error.message;
+    }
+
+    if (attempt < MAX_ATTEMPTS) {
+      await delay(retryAfterMs ?? RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+    }
+  }
+
+  return { ok: false, status, attempts, error: lastError };
+}
+
+/**
+ * Dedupe key of a round: project, stage and date, without the raise amount
+ * @param {object} round - Funding round
+ * @returns {string}
+ */
+export function noticeKey(round) {
+  return [
+    round.projectKey || round.projectName || '',
+    normalize(round.stage),
+    round.dateISO || round.date || ''
+  ].join('|');
+}
+
+/**
+ * Load the dedupe store
+ * An unreadable store is an error rather than an empty one, which would announce every round again.
+ * @returns {Promise<object|null>} - Map of noticeKey -> { roundId, matchedRules, delivered: { webhookName: ISO date } },
+ *                                   or null before the first run
+ */
+async function loadDeliveries() {
+  if (!existsSync(DEDUPE_FILE)) {
+    return null;
+  }
+  const json = JSON.parse(await readFile(DEDUPE_FILE, 'utf-8'));
+  return json.data && typeof json.data === 'object' ? json.data : {};
+}
+
+/**
+ * Save the dedupe store
+ * @param {object} deliveries - Map of noticeKey -> delivery record
+ */
+async function saveDeliveries(deliveries) {
+  const output = {
+    metadata: {
+      generatedAt: new Date().toISOString(),
+      totalRounds: Object.keys(deliveries).length
+    },
+    data: deliveries
+  };
+  await writeFileAtomic(DEDUPE_FILE, JSON.stringify(output, null, 2));
+}
+
+/**
+ * Check rounds against the rules and deliver the matches not yet sent to each webhook
+ * On the first run (no dedupe store yet) matches are only recorded, so existing rounds
+ * are not announced all at once.
+ * @param {Array} rounds - Funding rounds (with investor tiers and optional categories)
+ * @param {object} config - Result of loadNotificationConfig
+ * @param {object} options - { dryRun }
+ * @returns {Promise<object>} - { matched, sent, failed, skipped, bootstrap }
+ */
+export async function notifyRounds(rounds, config, { dryRun = false } = {}) {
+  const stats = { matched: 0, sent: 0, failed: 0, skipped: 0, bootstrap: false };
+  let deliveries = await loadDeliveries();
+  if (deliveries === null) {
+    deliveries = {};
+    stats.bootstrap = true;
+  }
+
+  const seen = new Set();
+  for (const round of rounds) {
+    const key = noticeKey(round);
+    if (!round.roundId || seen.has(key)) continue;
+    seen.add(key);
+
+    const matched = matchingRules(config.rules, round);
+    if (matched.length === 0) continue;
+    stats.matched++;
+
+    const record = deliveries[key] || { firstMatchedAt: new Date().toISOString(), matchedRules: [], delivered: {} };
+    record.roundId = round.roundId;
+    record.matchedRules = [...new Set([...record.matchedRules, ...matched])];
+    deliveries[key] = record;
+
+    for (const webhook of config.webhooks) {
+      const webhookRules = Array.isArray(webhook.rules) && webhook.rules.length > 0
+        ? matched.filter(name => webhook.rules.includes(name))
+        : matched;
+      if (webhookRules.length === 0) continue;
+      if (record.delivered[webhook.name]) {
+        stats.skipped++;
+        continue;
+      }
+
+      if (stats.bootstrap) {
+        record.delivered[webhook.name] = 'bootstrap';
+        continue;
+      }
+
+      const summary = roundSummary(round, webhookRules);
+      const payload = webhook.format === 'slack' ? buildSlackPayload(summary) : buildJsonPayload(summary);
+      const label = `${round.projectName || round.projectKey} ${round.stage || ''}`.trim();
+
+      if (dryRun) {
+        console.log(`    [dry-run] ${label} -> ${webhook.name} (${webhookRules.join(', ')})`);
+        continue;
+      }
+
+      const result = await deliver(webhook, payload);
+      if (result.ok) {
+        record.delivered[webhook.name] = new Date().toISOString();
+        stats.sent++;
+        console.log(`    ${label} -> ${webhook.name} OK (${webhookRules.join(', ')})`);
+        // Record it at once: a crash later in the run must not announce it again
+        await saveDeliveries(deliveries);
+      } else {
+        stats.failed++;
+        console.log(`    ${label} -> ${webhook.name} FAILED after ${result.attempts} attempt(s): ${result.error}`);
+      }
+    }
+  }
+
+  if (!dryRun) {
+    await saveDeliveries(deliveries);
+  }
+  return stats;
+}
@@ -0,0 +1,108 @@
+/**
+ * Webhook Notifications
+ *
+ * Checks the latest funding rounds against the notification rules and posts matches
+ * that were not announced yet (see notifier.js for the config format):
+ * 1. Loads notifications.json
+ * 2. Loads funding-rounds-detailed.json (or funding-rounds.json) with project categories
+ * 3. Sends every match to its webhooks once
+ *
+ * funding-rounds.js already notifies for new rounds; running this after project-details
+ * also catches rounds that only match category rules.
+ *
+ * Usage:
+ *   node src/notify.js
+ *   node src/notify.js --dry-run                  # Print what would be sent
+ *   node src/notify.js --config ./my-rules.json
+ */
+
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { loadNotificationConfig, notifyRounds, withCategories } from './notifier.js';
+import { outputPath } from './config.js';
+
+const ROUND_FILES = [outputPath('funding-rounds-detailed.json'), outputPath('funding-rounds.json')];
+
+/**
+ * Parse command line arguments
+ * @returns {object} - { configFile, dryRun }
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  let configFile;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--config' && args[i + 1]) {
+      configFile = args[i + 1];
+      i++; // Skip next arg
+    }
+  }
+
+  return {
+    configFile,
+    dryRun: args.includes('--dry-run')
+  };
+}
+
+/**
+ * Main execution function
+ */
+async function main() {
+  const { configFile, dryRun } = parseArgs();
+
+  console.log('');
+  console.log('============================================');
+  console.log('  CryptoRank Round Notifications');
+  console.log('============================================');
+  if (dryRun) {
+    console.log('  Dry run: nothing is sent or recorded');
+  }
+  console.log('');
+
+  // Step 1: Config
+  console.log('[1] Loading notification config...');
+  const config = await loadNotificationConfig(configFile);
+  if (!config) {
+    console.log('    No notification config found - nothing to do');
+    return;
+  }
+  console.log(`    ${config.configFile}: ${config.rules.length} rules, ${config.webhooks.length} webhooks`);
+  if (config.rules.length === 0 || config.webhooks.length === 0) {
+    console.log('    Nothing to do');
+    return;
+  }
+  console.log('');
+
+  // Step 2: Rounds
+  console.log('[2] Loading funding rounds...');
+  const source = ROUND_FILES.find(file => existsSync(file));
+  if (!source) {
+    console.error(`    ERROR: None of ${ROUND_FILES.join(', ')} found. Run 'npm run funding-rounds' first.`);
+    process.exit(1);
+  }
+  const json = JSON.parse(await readFile(source, 'utf-8'));
+  const rounds = await withCategories(json.data || []);
+  console.log(`    Loaded ${rounds.length} rounds from ${source}`);
+  console.log('');
+
+  // Step 3: Notify
+  console.log('[3] Sending notifications...');
+  const stats = await notifyRounds(rounds, config, { dryRun });
+  if (stats.bootstrap && !dryRun) {
+    console.log(`    First run: recorded ${stats.matched} matching rounds without sending`);
+  } else {
+    console.log(`    ${stats.matched} matching rounds: ${stats.sent} sent, ${stats.failed} failed, ${stats.skipped} already sent`);
+  }
+
+  console.log('');
+  console.log('============================================');
+  console.log('  Done!');
+  console.log('============================================');
+  console.log('');
+}
+
+// Run the main function
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,192 @@
+/**
+ * Page Pool
+ * Bounded pool of Puppeteer pages on a single browser connection,
+ * with a shared requests-per-minute politeness limit
+ */
+
+const DEFAULT_POOL_SIZE = 1;
+const DEFAULT_REQUESTS_PER_MINUTE = 40;
+
+/**
+ * Delay helper
+ * @param {number} ms - Milliseconds to delay
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * RateLimiter class - spaces out requests evenly to stay under a per-minute limit
+ */
+export class RateLimiter {
+  /**
+   * @param {number} requestsPerMinute - Maximum requests per minute (0 or null disables the limit)
+   */
+  constructor(requestsPerMinute) {
+    this.intervalMs = requestsPerMinute > 0 ? Math.ceil(60000 / requestsPerMinute) : 0;
+    this.nextSlot = 0;
+  }
+
+  /**
+   * Wait until the next request slot is available.
+   * Slots are reserved synchronously so concurrent callers never share one.
+   */
+  async wait() {
+    if (this.intervalMs === 0) return;
+
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot);
+    this.nextSlot = slot + this.intervalMs;
+
+    if (slot > now) {
+      await delay(slot - now);
+    }
+  }
+}
+
+/**
+ * PagePool class - hands out up to `size` pages at once and reuses idle ones
+ */
+export class PagePool {
+  /**
+   * @param {object} options
+   * @param {Function} options.getBrowser - Async function returning a connected browser
+   * @param {Function} [options.setupPage] - Async function applied to every newly created page
+   * @param {number} [options.size] - Maximum number of pages open at once
+   * @param {number} [options.requestsPerMinute] - Shared politeness limit for all pages
+   */
+  constructor(options) {
+    this.getBrowser = options.getBrowser;
+    this.setupPage = options.setupPage || null;
+    this.size = Math.max(1, options.size || DEFAULT_POOL_SIZE);
+    this.limiter = new RateLimiter(options.requestsPerMinute ?? DEFAULT_REQUESTS_PER_MINUTE);
+    this.idle = [];
+    this.inUse = 0;
+    this.waiters = [];
+  }
+
+  /**
+   * Check whether an idle page can still be used
+   * @param {object} page - Puppeteer page instance
+   * @returns {boolean}
+   */
+  isUsable(page) {
+    try {
+      return !page.isClosed() && page.browser().isConnected();
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Acquire a page, waiting for a free slot if all pages are busy
+   * @returns {Promise<object>} - Puppeteer page instance
+   */
+  async acquire() {
+    if (this.inUse >= this.size) {
+      // The releasing caller hands its slot over, so inUse stays unchanged
+      await new Promise(resolve => this.waiters.push(resolve));
+    } else {
+      this.inUse++;
+    }
+
+    try {
+      while (this.idle.length > 0) {
+        const page = this.idle.pop();
+        if (this.isUsable(page)) {
+          return page;
+        }
+      }
+
+      const browser = await this.getBrowser();
+      const page = await browser.newPage();
+      if (this.setupPage) {
+        await this.setupPage(page);
+      }
+      return page;
+    } catch (error) {
+      this.releaseSlot();
+      throw error;
+    }
+  }
+
+  /**
+   * Return a page to the pool
+   * @param {object} page - Puppeteer page instance
+   * @param {object} [options]
+   * @param {boolean} [options.discard] - Close the page instead of keeping it for reuse
+   */
+  async release(page, options = {}) {
+    if (page) {
+      if (options.discard || !this.isUsable(page)) {
+        try {
+          await page.close();
+        } catch (e) {
+          // Ignore errors closing a broken page
+        }
+      } else {
+        this.idle.push(page);
+      }
+    }
+    this.releaseSlot();
+  }
+
+  /**
+   * Free one slot and wake up the next waiter, if any
+   */
+  releaseSlot() {
+    const next = this.waiters.shift();
+    if (next) {
+      next();
+    } else {
+      this.inUse--;
+    }
+  }
+
+  /**
+   * Wait for the shared politeness limit before issuing a request
+   */
+  async throttle() {
+    await this.limiter.wait();
+  }
+
+  /**
+   * Close all idle pages
+   */
+  async drain() {
+    const pages = this.idle.splice(0);
+    for (const page of pages) {
+      try {
+        await page.close();
+      } catch (e) {
+        // Ignore errors when closing
+      }
+    }
+  }
+}
+
+/**
+ * Run an async worker over items with bounded concurrency.
+ * Items are started in order but may finish out of order.
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of items in flight
+ * @param {Function} worker - Async function (item, index) => void
+ */
+export async function runWithConcurrency(items, concurrency, worker) {
+  let nextIndex = 0;
+  const runners = [];
+
+  const runNext = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      await worker(items[index], index);
+    }
+  };
+
+  const count = Math.max(1, Math.min(concurrency || 1, items.length));
+  for (let i = 0; i < count; i++) {
+    runners.push(runNext());
+  }
+
+  await Promise.all(runners);
+}
@@ -0,0 +1,390 @@
+/**
+ * Scrape Pipeline
+ *
+ * Runs the scrapers and report commands in dependency order, one at a time:
+ * 1. Takes the run lock (see run-lock.js); the steps inherit it
+ * 2. Runs every selected step whose dependencies succeeded; a step whose dependency
+ *    failed (or was skipped) is skipped instead of working on stale inputs
+ * 3. Writes a run manifest to output/runs/<runId>.json after every step
+ *    (status, timings, exit code and record counts of the step's outputs)
+ *
+ * Steps that are not selected (--only, --from) count as satisfied dependencies:
+ * their current output files are used as they are.
+ *
+ * Usage:
+ *   node src/pipeline.js                                    # All steps
+ *   node src/pipeline.js --only tier1,tier2                 # Only these steps
+ *   node src/pipeline.js --from project-details             # This step and every later one
+ *   node src/pipeline.js --list                             # Print the steps and their dependencies
+ */
+
+import { readFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { spawn } from 'child_process';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { writeFileAtomic } from './atomic-write.js';
+import { acquireRunLock, LOCK_TOKEN_ENV } from './run-lock.js';
+import { outputPath } from './config.js';
+
+export const RUNS_DIR = outputPath('runs');
+const OUTPUT_DIR = outputPath();
+
+// Pipeline steps in run order: command (node script + args), steps it depends on,
+// and the output files whose record counts go into the manifest
+export const STEPS = [
+  {
+    name: 'funding-rounds',
+    command: ['src/funding-rounds.js', '--incremental'],
+    dependsOn: [],
+    outputs: ['funding-rounds.json', 'funding-rounds-history.json']
+  },
+  {
+    name: 'project-details',
+    command: ['src/project-details.js'],
+    dependsOn: ['funding-rounds'],
+    outputs: ['funding-rounds-detailed.json']
+  },
+  {
+    name: 'notify',
+    command: ['src/notify.js'],
+    dependsOn: ['project-details'],
+    outputs: []
+  },
+  {
+    name: 'tge-calendar',
+    command: ['src/tge-calendar.js'],
+    dependsOn: ['project-details'],
+    outputs: ['tge-calendar.ics']
+  },
+  {
+    name: 'analytics',
+    command: ['src/analytics.js'],
+    dependsOn: ['project-details'],
+    outputs: ['analytics.json']
+  },
+  {
+    name: 'category-trends',
+    command: ['src/category-trends.js'],
+    dependsOn: ['project-details'],
+    outputs: ['category-trends.json']
+  },
+  {
+    name: 'generate-test-data',
+    command: ['src/generate-test-data.js'],
+    dependsOn: ['project-details'],
+    outputs: []
+  },
+  {
+    name: 'tier1',
+    command: ['src/index.js'],
+    dependsOn: [],
+    outputs: ['tier1-vcs.json']
+  },
+  {
+    name: 'tier2',
+    command: ['src/index.js', '--tier2'],
+    dependsOn: [],
+    outputs: ['tier1-2-vcs.json']
+  },
+  {
+    name: 'snapshot',
+    command: ['src/snapshot.js'],
+    dependsOn: [],
+    outputs: []
+  },
+  {
+    name: 'diff',
+    command: ['src/diff.js'],
+    dependsOn: ['snapshot'],
+    outputs: []
+  }
+];
+
+/**
+ * Run id for a start time (filesystem-safe ISO timestamp with milliseconds: 2026-10-19T04-00-12-345Z)
+ * @param {Date} date - Start time
+ * @returns {string}
+ */
+function runIdFor(date) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * Format duration in human-readable format
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - Formatted duration
+ */
+function formatDuration(ms) {
+  const seconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(seconds / 60);
+  const remainingSeconds = seconds % 60;
+
+  if (minutes > 0) {
+    return `${minutes}m ${remainingSeconds}s`;
+  }
+  return `${seconds}s`;
+}
+
+/**
+ * Number of records in an output file
+ * @param {string} file - File name in output/
+ * @returns {Promise<number|null>} - data[] length for JSON, events for .ics, null if unknown
+ */
+async function countRecords(file) {
+  const filepath = path.join(OUTPUT_DIR, file);
+  if (!existsSync(filepath)) {
+    return null;
+  }
+  try {
+    const content = await readFile(filepath, 'utf-8');
+    if (file.endsWith('.ics')) {
+      return (content.match(/^BEGIN:VEVENT/gm) || []).length;
+    }
+    const json = JSON.parse(content);
+    return Array.isArray(json.data) ? json.data.length : null;
+  } catch (error) {
+    // Unreadable outputs are reported without a count
+    return null;
+  }
+}
+
+/**
+ * Select the steps to run
+ * @param {object} options
+ * @param {string[]|null} options.only - Step names to run
+ * @param {string|null} options.from - First step to run (it and all later steps run)
+ * @returns {Set<string>} - Selected step names
+ * @throws {Error} - On unknown step names
+ */
+export function selectSteps({ only = null, from = null } = {}) {
+  const names = STEPS.map(step => step.name);
+  const unknown = [...(only || []), ...(from ? [from] : [])].filter(name => !names.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown step(s) ${unknown.join(', ')} (steps: ${names.join(', ')})`);
+  }
+
+  let selected = names;
+  if (from) {
+    selected = selected.slice(names.indexOf(from));
+  }
+  if (only) {
+    selected = selected.filter(name => only.includes(name));
+  }
+  return new Set(selected);
+}
+
+/**
+ * Run one step as a child process
+ * @param {object} step - Step definition
+ * @param {object} env - Environment for the child
+ * @param {function} onStart - Called with the child process (for signal forwarding)
+ * @returns {Promise<number>} - Exit code (1 if the step was killed or could not start)
+ */
+function runStep(step, env, onStart) {
+  return new Promise(resolve => {
+    const child = spawn(process.execPath, step.command, { stdio: 'inherit', env });
+    onStart(child);
+    child.on('error', error => {
+      console.error(`    Could not start ${step.name}: ${error.message}`);
+      resolve(1);
+    });
+    child.on('exit', (code, signal) => resolve(code ?? (signal ? 1 : 0)));
+  });
+}
+
+/**
+ * Run the pipeline
+ * @param {object} options
+ * @param {string[]|null} options.only - Step names to run
+ * @param {string|null} options.from - First step to run
+ * @param {string} options.trigger - What started the run (recorded in the manifest)
+ * @returns {Promise<object>} - The final run manifest
+ */
+export async function runPipeline(options = {}) {
+  const selected = selectSteps(options);
+  // A lost lock stops the run like SIGTERM (onSignal is set up below)
+  let onSignal = () => {};
+  const lock = await acquireRunLock('pipeline', { onLost: () => onSignal('SIGTERM') });
+  const env = lock ? { ...process.env, [LOCK_TOKEN_ENV]: lock.token } : process.env;
+
+  const startedAt = new Date();
+  const manifest = {
+    runId: runIdFor(startedAt),
+    trigger: options.trigger || 'manual',
+    startedAt: startedAt.toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    status: 'running',
+    options: { only: options.only || null, from: options.from || null },
+    steps: STEPS.map(step => ({
+      name: step.name,
+      command: `node ${step.command.join(' ')}`,
+      dependsOn: step.dependsOn,
+      status: selected.has(step.name) ? 'pending' : 'not-selected',
+      reason: null,
+      startedAt: null,
+      finishedAt: null,
+      durationMs: null,
+      exitCode: null,
+      counts: {}
+    }))
+  };
+  const manifestFile = path.join(RUNS_DIR, `${manifest.runId}.json`);
+  await mkdir(RUNS_DIR, { recursive: true });
+  const saveManifest = () => writeFileAtomic(manifestFile, JSON.stringify(manifest, null, 2));
+  await saveManifest();
+
+  // Stop the running step on SIGINT/SIGTERM and skip the rest
+  let current = null;
+  let interrupted = null;
+  onSignal = signal => {
+    interrupted = signal;
+    current?.kill(signal);
+  };
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+
+  const statusOf = name => manifest.steps.find(entry => entry.name === name).status;
+
+  try {
+    for (const [index, step] of STEPS.entries()) {
+      const entry = manifest.steps[index];
+      if (entry.status === 'not-selected') continue;
+
+      const label = `[${index + 1}/${STEPS.length}] ${step.name}`;
+      if (interrupted) {
+        entry.status = 'skipped';
+        entry.reason = `interrupted by ${interrupted}`;
+        continue;
+      }
+      const blocking = step.dependsOn.filter(name => !['succeeded', 'not-selected'].includes(statusOf(name)));
+      if (blocking.length > 0) {
+        entry.status = 'skipped';
+        entry.reason = `dependency ${blocking.map(name => `${name} ${statusOf(name)}`).join(', ')}`;
+        console.log(`${label} SKIPPED (${entry.reason})`);
+        await saveManifest();
+        continue;
+      }
+
+      console.log(`${label} starting: ${entry.command}`);
+      entry.status = 'running';
+      entry.startedAt = new Date().toISOString();
+      await saveManifest();
+
+      const stepStart = Date.now();
+      entry.exitCode = await runStep(step, env, child => { current = child; });
+      current = null;
+      entry.finishedAt = new Date().toISOString();
+      entry.durationMs = Date.now() - stepStart;
+      entry.status = entry.exitCode === 0 ? 'succeeded' : 'failed';
+      if (interrupted && entry.exitCode !== 0) {
+        entry.reason = `interrupted by ${interrupted}`;
+      }
+      for (const file of step.outputs) {
+        entry.counts[file] = await countRecords(file);
+      }
+
+      const counts = Object.entries(entry.counts).map(([file, count]) => `${file}=${count ?? '?'}`).join(', ');
+      console.log(`${label} ${entry.status.toUpperCase()} in ${formatDuration(entry.durationMs)}` +
+        `${entry.exitCode !== 0 ? ` (exit ${entry.exitCode})` : ''}${counts ? ` - ${counts}` : ''}`);
+      await saveManifest();
+    }
+  } finally {
+    process.removeListener('SIGINT', onSignal);
+    process.removeListener('SIGTERM', onSignal);
+
+    const finishedAt = new Date();
+    manifest.finishedAt = finishedAt.toISOString();
+    manifest.durationMs = finishedAt - startedAt;
+    manifest.status = interrupted
+      ? 'interrupted'
+      : manifest.steps.some(entry => entry.status === 'failed' || entry.status === 'skipped') ? 'failed' : 'succeeded';
+    await saveManifest();
+    lock?.release();
+  }
+
+  manifest.manifestFile = manifestFile;
+  return manifest;
+}
+
+/**
+ * Parse command line arguments
+ * @returns {object} - { only, from, list }
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  let only = null;
+  let from = null;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--only' && args[i + 1]) {
+      only = [...(only || []), ...args[i + 1].split(',').map(name => name.trim()).filter(Boolean)];
+      i++; // Skip next arg
+    } else if (args[i] === '--from' && args[i + 1]) {
+      from = args[i + 1];
+      i++; // Skip next arg
+    }
+  }
+
+  return { only, from, list: args.includes('--list') };
+}
+
+/**
+ * Main execution function
+ */
+async function main() {
+  const { only, from, list } = parseArgs();
+
+  console.log('');
+  console.log('============================================');
+  console.log('  CryptoRank Pipeline');
+  console.log('============================================');
+
+  if (list) {
+    console.log('');
+    for (const step of STEPS) {
+      const deps = step.dependsOn.length > 0 ? ` (after ${step.dependsOn.join(', ')})` : '';
+      console.log(`  ${step.name.padEnd(20)} node ${step.command.join(' ')}${deps}`);
+    }
+    console.log('');
+    return;
+  }
+
+  if (only) console.log(`  Only: ${only.join(', ')}`);
+  if (from) console.log(`  From: ${from}`);
+  console.log('');
+
+  let manifest;
+  try {
+    manifest = await runPipeline({ only, from });
+  } catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    process.exit(1);
+  }
+
+  const byStatus = {};
+  for (const entry of manifest.steps) {
+    byStatus[entry.status] = (byStatus[entry.status] || 0) + 1;
+  }
+
+  console.log('');
+  console.log('============================================');
+  console.log(`  Pipeline ${manifest.status} in ${formatDuration(manifest.durationMs)}`);
+  console.log(`  ${Object.entries(byStatus).map(([status, count]) => `${count} ${status}`).join(', ')}`);
+  console.log(`  Manifest: ${manifest.manifestFile}`);
+  console.log('============================================');
+  console.log('');
+
+  if (manifest.status !== 'succeeded') {
+    process.exit(1);
+  }
+}
+
+// Run the main function only when executed directly (not when imported)
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
+}
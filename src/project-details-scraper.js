@@ -3,16 +3,21 @@
  * Uses Puppeteer to scrape detailed project information from CryptoRank ICO pages
  */
 
-import puppeteer from 'puppeteer-core';
 import { mkdir } from 'fs/promises';
 import { existsSync } from 'fs';
 import path from 'path';
-
-const BROWSERLESS_URL = process.env.BROWSERLESS_URL || 'wss://browserless.tiexo.com/';
-const MAX_RETRIES = 3;
-const RETRY_DELAY_MS = 2000;
-const SELECTOR_TIMEOUT_MS = 15000;
-const SCREENSHOTS_DIR = './screenshots/project-details';
+import { resolveBrowserOptions, describeBrowser, openBrowser } from './browser-provider.js';
+import { PagePool } from './page-pool.js';
+import { saveHtmlArchive, archivePathFor } from './html-archive.js';
+import { projectPageUrl } from './endpoints.js';
+import { parseRaiseAmount, parseDateToISO } from './funding-rounds-scraper.js';
+import { getConfig, screenshotsPath } from './config.js';
+
+const config = getConfig();
+const MAX_RETRIES = config.scraper.maxRetries;
+const RETRY_DELAY_MS = config.scraper.retryDelayMs;
+const SELECTOR_TIMEOUT_MS = config.scraper.selectorTimeoutMs;
+export const SCREENSHOTS_DIR = screenshotsPath('project-details');
 
 // Realistic user agent to avoid bot detection
 const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
@@ -101,13 +106,706 @@ function parseSupply(supplyStr) {
   }
 }
 
+/**
+ * Extract project details from a project page document
+ * Runs inside the browser via page.evaluate (where `doc` defaults to the page's
+ * document) and offline against archived HTML.
+ * @param {object} doc - DOM document
+ * @returns {object} - Raw project details object
+ */
+export function extractDetailsFromDocument(doc = document) {
+  const details = {
+    description: null,
+    website: null,
+    twitter: null,
+    telegram: null,
+    discord: null,
+    github: null,
+    linkedin: null,
+    tokenSymbol: null,
+    tokenPrice: null,
+    marketCap: null,
+    fdv: null,
+    totalSupply: null,
+    circulatingSupply: null,
+    categories: [],
+    totalRaised: null,
+    tgeDate: null,
+    valuation: null,
+    rounds: [],
+    vesting: null
+  };
+
+  // Helper to check if a link is a CryptoRank site link (not a project link)
+  const isSiteLink = (href) => {
+    const lower = href.toLowerCase();
+    return lower.includes('cryptorank.io') ||
+           lower.includes('cryptorank_io') ||
+           lower.includes('/cryptorank') ||
+           lower.includes('cryptoranknews') ||
+           lower.includes('cryptorank-io');
+  };
+
+  // Get all links on the page excluding footer (which has CryptoRank's own social links)
+  const footer = doc.querySelector('footer, [class*="footer"], [class*="Footer"]');
+  const allLinks = doc.querySelectorAll('a[href]');
+
+  // Helper to check if element is in footer area
+  const isInFooter = (el) => {
+    if (!footer) return false;
+    return footer.contains(el);
+  };
+
+  // Helper to check if this looks like a project social link (not site navigation)
+  const isProjectLink = (link) => {
+    // Skip footer links
+    if (isInFooter(link)) return false;
+
+    const href = link.getAttribute('href') || '';
+    // Skip internal CryptoRank links
+    if (isSiteLink(href)) return false;
+    // Skip anchor links
+    if (href.startsWith('#')) return false;
+    // Skip javascript links
+    if (href.startsWith('javascript:')) return false;
+
+    return true;
+  };
+
+  // First pass: collect all external links with their context
+  for (const link of allLinks) {
+    if (!isProjectLink(link)) continue;
+
+    const href = link.getAttribute('href') || '';
+    const hrefLower = href.toLowerCase();
+    const linkText = (link.textContent?.trim() || '').toLowerCase();
+    const ariaLabel = (link.getAttribute('aria-label') || '').toLowerCase();
+    const title = (link.getAttribute('title') || '').toLowerCase();
+
+    // Also check for SVG icons or img with alt text
+    const svgTitle = link.querySelector('svg title')?.textContent?.toLowerCase() || '';
+    const imgAlt = link.querySelector('img')?.getAttribute('alt')?.toLowerCase() || '';
+    const allContext = `${linkText} ${ariaLabel} ${title} ${svgTitle} ${imgAlt}`;
+
+    // Twitter/X detection
+    if (!details.twitter) {
+      if (hrefLower.includes('twitter.com/') || hrefLower.includes('x.com/')) {
+        if (!hrefLower.includes('/status/')) {
+          details.twitter = href;
+        }
+      } else if (allContext.includes('twitter') || linkText === 'x' || allContext === 'x') {
+        if (href.startsWith('http')) {
+          details.twitter = href;
+        }
+      }
+    }
+
+    // Telegram detection
+    if (!details.telegram) {
+      if (hrefLower.includes('t.me/') || hrefLower.includes('telegram.')) {
+        details.telegram = href;
+      } else if (allContext.includes('telegram')) {
+        if (href.startsWith('http')) {
+          details.telegram = href;
+        }
+      }
+    }
+
+    // Discord detection
+    if (!details.discord) {
+      if (hrefLower.includes('discord.gg/') || hrefLower.includes('discord.com/')) {
+        details.discord = href;
+      } else if (allContext.includes('discord')) {
+        if (href.startsWith('http')) {
+          details.discord = href;
+        }
+      }
+    }
+
+    // GitHub detection
+    if (!details.github) {
+      if (hrefLower.includes('github.com/') && !hrefLower.includes('github.com/topics')) {
+        details.github = href;
+      } else if (allContext.includes('github')) {
+        if (href.startsWith('http')) {
+          details.github = href;
+        }
+      }
+    }
+
+    // LinkedIn detection
+    if (!details.linkedin) {
+      if (hrefLower.includes('linkedin.com/') || hrefLower.includes('linkedin.')) {
+        details.linkedin = href;
+      } else if (allContext.includes('linkedin')) {
+        if (href.startsWith('http')) {
+          details.linkedin = href;
+        }
+      }
+    }
+
+    // Website detection - look for links labeled "website" or "official"
+    if (!details.website) {
+      if (allContext.includes('website') || allContext.includes('official site')) {
+        const isSocial = hrefLower.includes('twitter.com') || hrefLower.includes('x.com') ||
+                       hrefLower.includes('t.me') || hrefLower.includes('telegram.') ||
+                       hrefLower.includes('discord.') || hrefLower.includes('github.com') ||
+                       hrefLower.includes('linkedin.') || hrefLower.includes('facebook.') ||
+                       hrefLower.includes('youtube.') || hrefLower.includes('medium.com') ||
+                       hrefLower.includes('reddit.com');
+        if (!isSocial && href.startsWith('http')) {
+          details.website = href;
+        }
+      }
+    }
+  }
+
+  // Token symbol - look in the header area near the project name
+  // Usually appears as a short uppercase string near the logo/name
+  const headerArea = doc.querySelector('header, [class*="header"], [class*="coin-info"], [class*="project-info"]');
+  if (headerArea) {
+    const symbolMatch = headerArea.textContent?.match(/\b([A-Z]{1,10})\b/g);
+    if (symbolMatch) {
+      // Filter to find the likely token symbol (short, uppercase)
+      for (const sym of symbolMatch) {
+        if (sym.length <= 6 && sym !== 'USD' && sym !== 'ETH' && sym !== 'BTC' && sym !== 'NFT') {
+          details.tokenSymbol = sym;
+          break;
+        }
+      }
+    }
+  }
+
+  // Look for token symbol in the page - usually near price
+  if (!details.tokenSymbol) {
+    const priceAreas = doc.querySelectorAll('[class*="price"], [class*="token"]');
+    for (const area of priceAreas) {
+      const text = area.textContent || '';
+      const symbolMatch = text.match(/\b([A-Z]{1,6})\b/);
+      if (symbolMatch && symbolMatch[1] !== 'USD' && symbolMatch[1] !== 'ETH' && symbolMatch[1] !== 'BTC') {
+        details.tokenSymbol = symbolMatch[1];
+        break;
+      }
+    }
+  }
+
+  // Token Price - look for the main price display (usually large, near $ sign)
+  const priceElements = doc.querySelectorAll('[class*="price"], [class*="Price"]');
+  for (const el of priceElements) {
+    const text = el.textContent || '';
+    const priceMatch = text.match(/\$\s*([\d,.]+)/);
+    if (priceMatch && !details.tokenPrice) {
+      details.tokenPrice = '$' + priceMatch[1];
+      break;
+    }
+  }
+
+  // Look for Fundraising Info section for total raised and valuation
+  const findFundraisingSection = () => {
+    const elements = doc.querySelectorAll('h2, h3, h4, div, span');
+    for (const el of elements) {
+      const text = el.textContent?.trim().toLowerCase();
+      if (text === 'fundraising info' || text === 'fundraising information') {
+        return el.closest('div')?.parentElement || el.parentElement;
+      }
+    }
+    return null;
+  };
+
+  const fundraisingSection = findFundraisingSection();
+  if (fundraisingSection) {
+    const text = fundraisingSection.textContent || '';
+
+    // Total Raised
+    const raisedMatch = text.match(/Total Raised[:\s]*\$\s*([\d,.]+\s*[KMB]?)/i);
+    if (raisedMatch) {
+      details.totalRaised = '$' + raisedMatch[1].trim();
+    }
+
+    // Valuation
+    const valuationMatch = text.match(/Valuation[:\s]*\$\s*([\d,.]+\s*[KMB]?)/i);
+    if (valuationMatch) {
+      details.valuation = '$' + valuationMatch[1].trim();
+    }
+  }
+
+  // Fallback: search for metrics in body text
+  const bodyText = doc.body.innerText || '';
+
+  if (!details.totalRaised) {
+    const raisedMatch = bodyText.match(/Total Raised[:\s]*\$\s*([\d,.]+\s*[KMB]?)/i);
+    if (raisedMatch) {
+      details.totalRaised = '$' + raisedMatch[1].trim();
+    }
+  }
+
+  if (!details.valuation) {
+    const valuationMatch = bodyText.match(/Valuation[:\s]*\$\s*([\d,.]+\s*[KMB]?)/i);
+    if (valuationMatch) {
+      details.valuation = '$' + valuationMatch[1].trim();
+    }
+  }
+
+  // Market Cap
+  const mcapMatch = bodyText.match(/Market Cap[:\s]*\$\s*([\d,.]+\s*[KMB]?)/i);
+  if (mcapMatch) {
+    details.marketCap = '$' + mcapMatch[1].trim();
+  }
+
+  // FDV
+  const fdvMatch = bodyText.match(/(?:FDV|Fully Diluted)[:\s]*\$\s*([\d,.]+\s*[KMB]?)/i);
+  if (fdvMatch) {
+    details.fdv = '$' + fdvMatch[1].trim();
+  }
+
+  // Total Supply
+  const supplyMatch = bodyText.match(/Total Supply[:\s]*([\d,.]+\s*[KMB]?)/i);
+  if (supplyMatch) {
+    details.totalSupply = supplyMatch[1].trim();
+  }
+
+  // Circulating Supply
+  const circMatch = bodyText.match(/Circulating Supply[:\s]*([\d,.]+\s*[KMB]?)/i);
+  if (circMatch) {
+    details.circulatingSupply = circMatch[1].trim();
+  }
+
+  // TGE / listing date - exact ("Mar 12, 2026") or estimated ("Q3 2026", "TBA")
+  const tgeMatch = bodyText.match(
+    /(?:TGE Date|TGE|Listing Date|Token Launch|Launch Date)[:\s]*((?:est\.?\s*|expected\s*|~\s*)?(?:Q[1-4]\s*\d{4}|H[12]\s*\d{4}|[A-Z][a-z]{2,8}\.? \d{1,2},? \d{4}|\d{1,2} [A-Z][a-z]{2,8} \d{4}|[A-Z][a-z]{2,8} \d{4}|\d{4}-\d{2}-\d{2}|\d{4}\b|TBA\b|TBD\b))/i
+  );
+  if (tgeMatch) {
+    details.tgeDate = tgeMatch[1].trim();
+  }
+
+  // Description - look for project description in Overview section
+  // Usually the first substantial paragraph on the page
+  const paragraphs = doc.querySelectorAll('p');
+  for (const p of paragraphs) {
+    const text = p.textContent?.trim();
+    // Look for a paragraph that's descriptive (not too short, not a label)
+    if (text && text.length > 100 && text.length < 2000) {
+      // Exclude paragraphs that look like metadata or cookie/privacy banners
+      const textLower = text.toLowerCase();
+      if (!text.match(/^(Total|Price|Market|Supply|Raised)/i) &&
+          !textLower.includes('privacy policy') &&
+          !textLower.includes('cookies statement') &&
+          !textLower.includes('cookie policy') &&
+          !textLower.includes('accept our') &&
+          !textLower.includes('using our site')) {
+        details.description = text;
+        break;
+      }
+    }
+  }
+
+  // Categories - look for category pills/tags in a specific categories section
+  // Avoid picking up funding stage labels
+  const categoryBlacklist = new Set([
+    'lead', '+1', '+2', '+3', 'strategic', 'seed', 'series a', 'series b', 'series c',
+    'series d', 'undisclosed', 'pre-seed', 'm&a', 'ico', 'ido', 'ieo',
+    'we are hiring!', 'view more', 'see all', 'load more'
+  ]);
+
+  const categorySection = doc.querySelector('[class*="categories"], [class*="tags"]');
+  if (categorySection) {
+    const categoryLinks = categorySection.querySelectorAll('a');
+    for (const link of categoryLinks) {
+      const text = link.textContent?.trim();
+      if (text && text.length < 30 && !categoryBlacklist.has(text.toLowerCase())) {
+        details.categories.push(text);
+      }
+    }
+  }
+
+  // Funding rounds - every table whose header names a stage/round column plus
+  // amounts or investors; columns are mapped by header text, not position
+  const columnPatterns = {
+    date: /date/i,
+    stage: /stage|round|type/i,
+    amount: /raised|amount|raise/i,
+    valuation: /valuation/i,
+    tokenPrice: /price/i,
+    investors: /investor|backer|lead/i
+  };
+
+  for (const table of doc.querySelectorAll('table')) {
+    const headerCells = Array.from(table.querySelectorAll('thead th, thead td'));
+    if (headerCells.length === 0) continue;
+
+    const columns = {};
+    headerCells.forEach((cell, index) => {
+      const label = cell.textContent?.trim() || '';
+      for (const [field, pattern] of Object.entries(columnPatterns)) {
+        if (columns[field] === undefined && pattern.test(label)) {
+          columns[field] = index;
+          break;
+        }
+      }
+    });
+    if (columns.stage === undefined || (columns.amount === undefined && columns.investors === undefined)) continue;
+
+    for (const row of table.querySelectorAll('tbody tr')) {
+      const cells = row.querySelectorAll('td');
+      if (cells.length === 0) continue;
+
+      const cellText = (field) => {
+        const cell = columns[field] !== undefined ? cells[columns[field]] : null;
+        const text = cell?.textContent?.trim();
+        return text && text !== '-' ? text : null;
+      };
+
+      // Investors column if present, otherwise any fund link in the row
+      const investorsCell = columns.investors !== undefined ? cells[columns.investors] : row;
+      const investors = [];
+      const leadInvestors = [];
+      if (investorsCell) {
+        for (const link of investorsCell.querySelectorAll('a[href*="/funds/"]')) {
+          const name = link.textContent?.trim();
+          if (!name) continue;
+          const keyMatch = (link.getAttribute('href') || '').match(/\/funds\/([^/?]+)/);
+          const investor = { name, key: keyMatch ? keyMatch[1] : null };
+          investors.push(investor);
+
+          // A lead investor carries a "Lead" badge in its own wrapper; only the badge is checked,
+          // not the link, so a fund named "Lead Ventures" is not a lead everywhere
+          const wrapper = link.parentElement;
+          const badgeText = wrapper && wrapper !== investorsCell
+            ? Array.from(wrapper.childNodes).filter(node => node !== link).map(node => node.textContent).join(' ')
+            : '';
+          const isLead = !!link.closest('[class*="lead"], [class*="Lead"]') || /\blead\b/i.test(badgeText);
+          if (isLead) {
+            leadInvestors.push(investor);
+          }
+        }
+      }
+
+      const stage = cellText('stage');
+      if (!stage) continue;
+
+      details.rounds.push({
+        date: cellText('date'),
+        stage,
+        amount: cellText('amount'),
+        valuation: cellText('valuation'),
+        tokenPrice: cellText('tokenPrice'),
+        leadInvestors,
+        investors
+      });
+    }
+  }
+
+  // Vesting / token unlocks - a section headed "Vesting" or "Token Unlock" with
+  // an allocation table and an optional "Next Unlock" summary
+  const vestingHeading = Array.from(doc.querySelectorAll('h2, h3, h4, div, span')).find(el =>
+    /^(token\s+)?(vesting|unlocks?)(\s+schedule)?$|^token\s+unlocks?$/i.test(el.textContent?.trim() || '')
+  );
+  const vestingSection = vestingHeading
+    ? (vestingHeading.closest('section') || vestingHeading.closest('div')?.parentElement || vestingHeading.parentElement)
+    : null;
+
+  const allocationPatterns = {
+    name: /allocation|name|bucket|category/i,
+    share: /share|%|percent/i,
+    tokens: /tokens|amount/i,
+    tgeUnlock: /tge/i,
+    cliff: /cliff/i,
+    vesting: /vesting|duration|period|linear/i
+  };
+
+  const allocations = [];
+  for (const table of doc.querySelectorAll('table')) {
+    const headerCells = Array.from(table.querySelectorAll('thead th, thead td'));
+    if (headerCells.length === 0) continue;
+
+    const columns = {};
+    headerCells.forEach((cell, index) => {
+      const label = cell.textContent?.trim() || '';
+      for (const [field, pattern] of Object.entries(allocationPatterns)) {
+        if (columns[field] === undefined && pattern.test(label)) {
+          columns[field] = index;
+          break;
+        }
+      }
+    });
+    if (columns.name === undefined ||
+        (columns.share === undefined && columns.cliff === undefined && columns.vesting === undefined)) continue;
+
+    for (const row of table.querySelectorAll('tbody tr')) {
+      const cells = row.querySelectorAll('td');
+      const cellText = (field) => {
+        const cell = columns[field] !== undefined ? cells[columns[field]] : null;
+        const text = cell?.textContent?.trim();
+        return text && text !== '-' ? text : null;
+      };
+
+      const name = cellText('name');
+      if (!name) continue;
+
+      allocations.push({
+        name,
+        share: cellText('share'),
+        tokens: cellText('tokens'),
+        tgeUnlock: cellText('tgeUnlock'),
+        cliff: cellText('cliff'),
+        vesting: cellText('vesting')
+      });
+    }
+  }
+
+  const vestingText = vestingSection ? (vestingSection.innerText || vestingSection.textContent || '') : '';
+  const nextUnlockText = (vestingText || bodyText).match(/Next Unlock([\s\S]{0,200})/i)?.[1] || '';
+  const nextUnlockDate = nextUnlockText.match(
+    /([A-Z][a-z]{2,8}\.? \d{1,2},? \d{4}|\d{1,2} [A-Z][a-z]{2,8} \d{4}|\d{4}-\d{2}-\d{2})/
+  );
+  const unlockFigures = nextUnlockDate ? nextUnlockText.replace(nextUnlockDate[1], ' ') : '';
+  const nextUnlock = nextUnlockDate ? {
+    date: nextUnlockDate[1],
+    tokens: unlockFigures.match(/([\d,.]+\s*[KMB]?)\s+(?:[A-Z]{2,10}\b|tokens)/)?.[1]?.trim() || null,
+    amount: unlockFigures.match(/\$\s*([\d,.]+\s*[KMB]?)/)?.[0]?.replace(/\s+/g, '') || null,
+    share: unlockFigures.match(/([\d.]+)\s*%/)?.[0]?.replace(/\s+/g, '') || null
+  } : null;
+
+  if (vestingText || allocations.length > 0 || nextUnlock) {
+    const summaryText = vestingText || bodyText;
+    const tgeUnlock = summaryText.match(/TGE Unlock[:\s]*([\d.]+\s*%)/i);
+    const cliff = summaryText.match(/Cliff[:\s]*(\d+(?:\.\d+)?\s*(?:days?|weeks?|months?|mo|years?|y)\b|none|no cliff)/i);
+    const vestingPeriod = summaryText.match(/Vesting(?: Period)?[:\s]*(\d+(?:\.\d+)?\s*(?:days?|weeks?|months?|mo|years?|y)\b)/i);
+
+    if (allocations.length > 0 || nextUnlock || tgeUnlock || cliff || vestingPeriod) {
+      details.vesting = {
+        tgeUnlock: tgeUnlock ? tgeUnlock[1].replace(/\s+/g, '') : null,
+        cliff: cliff ? cliff[1].trim() : null,
+        vestingPeriod: vestingPeriod ? vestingPeriod[1].trim() : null,
+        nextUnlock,
+        allocations
+      };
+    }
+  }
+
+  return details;
+}
+
+/**
+ * Parse a percentage string (e.g., "12.5%") to a number
+ * @param {string} percentStr - Percentage string
+ * @returns {number|null} - Parsed percentage or null
+ */
+function parsePercent(percentStr) {
+  if (!percentStr) {
+    return null;
+  }
+  const match = percentStr.replace(/,/g, '').match(/([\d.]+)\s*%?/);
+  if (!match) {
+    return null;
+  }
+  const num = parseFloat(match[1]);
+  return isNaN(num) ? null : num;
+}
+
+/**
+ * Parse a duration string (e.g., "12 months", "1 year", "90 days") to months
+ * @param {string} durationStr - Duration string
+ * @returns {number|null} - Duration in months or null
+ */
+function parseDurationMonths(durationStr) {
+  if (!durationStr) {
+    return null;
+  }
+  if (/^(none|no cliff|0)$/i.test(durationStr.trim())) {
+    return 0;
+  }
+
+  const match = durationStr.match(/([\d.]+)\s*(days?|d|weeks?|w|months?|mo|m|years?|y)\b/i);
+  if (!match) {
+    return null;
+  }
+
+  const num = parseFloat(match[1]);
+  const unit = match[2].toLowerCase();
+  if (isNaN(num)) {
+    return null;
+  }
+
+  if (unit.startsWith('d')) {
+    return Math.round((num / 30) * 10) / 10;
+  }
+  if (unit.startsWith('w')) {
+    return Math.round((num / 4.345) * 10) / 10;
+  }
+  if (unit.startsWith('y')) {
+    return num * 12;
+  }
+  return num;
+}
+
+/**
+ * Parse a token amount (e.g., "12.5M NEB") to raw number
+ * @param {string} tokensStr - Token amount string
+ * @returns {number|null} - Parsed number or null
+ */
+function parseTokenAmount(tokensStr) {
+  const match = tokensStr?.match(/[\d,.]+\s*[KMB]?/i);
+  return match ? parseSupply(match[0]) : null;
+}
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Normalize a TGE date string to an ISO date with a precision marker
+ * Coarse dates ("Q3 2026", "H1 2027", "Sep 2026", "2027") map to the first day of the period.
+ * @param {string} tgeStr - TGE date string as shown on the project page
+ * @param {string|Date} referenceDate - When the page was scraped (year of dates without one)
+ * @returns {object} - { tgeDateISO, tgeDatePrecision, tgeDateEstimated } (all null if unknown)
+ */
+export function parseTgeDate(tgeStr, referenceDate = new Date()) {
+  const empty = { tgeDateISO: null, tgeDatePrecision: null, tgeDateEstimated: null };
+  if (!tgeStr || /^(tba|tbd|-|n\/a)$/i.test(tgeStr.trim())) {
+    return empty;
+  }
+
+  const pad = (n) => String(n).padStart(2, '0');
+  const hinted = /est|expected|~|\?/i.test(tgeStr);
+  const text = tgeStr.replace(/^(est\.?|expected|~)\s*/i, '').trim();
+  let match;
+
+  if ((match = text.match(/^Q([1-4])\s*(\d{4})$/i))) {
+    const month = (parseInt(match[1], 10) - 1) * 3 + 1;
+    return { tgeDateISO: `${match[2]}-${pad(month)}-01`, tgeDatePrecision: 'quarter', tgeDateEstimated: true };
+  }
+  if ((match = text.match(/^H([12])\s*(\d{4})$/i))) {
+    const month = match[1] === '1' ? 1 : 7;
+    return { tgeDateISO: `${match[2]}-${pad(month)}-01`, tgeDatePrecision: 'half', tgeDateEstimated: true };
+  }
+  if ((match = text.match(/^(\d{4})$/))) {
+    return { tgeDateISO: `${match[1]}-01-01`, tgeDatePrecision: 'year', tgeDateEstimated: true };
+  }
+  if ((match = text.match(/^([A-Za-z]{3,9})\.? (\d{4})$/))) {
+    const month = MONTH_NAMES.indexOf(match[1].slice(0, 3).toLowerCase()) + 1;
+    if (month === 0) {
+      return empty;
+    }
+    return { tgeDateISO: `${match[2]}-${pad(month)}-01`, tgeDatePrecision: 'month', tgeDateEstimated: true };
+  }
+
+  const dateISO = parseDateToISO(text, referenceDate);
+  if (!dateISO) {
+    return empty;
+  }
+  return { tgeDateISO: dateISO, tgeDatePrecision: 'day', tgeDateEstimated: hinted };
+}
+
+/**
+ * Add parsed values to a raw vesting object
+ * @param {object|null} vesting - Vesting object returned by extractDetailsFromDocument
+ * @param {string} scrapedAt - ISO timestamp of the scrape
+ * @returns {object|null} - Vesting with numeric fields and ISO dates
+ */
+function processVesting(vesting, scrapedAt) {
+  if (!vesting) {
+    return null;
+  }
+
+  const nextUnlock = vesting.nextUnlock ? {
+    ...vesting.nextUnlock,
+    dateISO: parseDateToISO(vesting.nextUnlock.date, scrapedAt),
+    tokensRaw: parseTokenAmount(vesting.nextUnlock.tokens),
+    amountRaw: parseAmount(vesting.nextUnlock.amount),
+    sharePercent: parsePercent(vesting.nextUnlock.share)
+  } : null;
+
+  return {
+    tgeUnlock: vesting.tgeUnlock,
+    tgeUnlockPercent: parsePercent(vesting.tgeUnlock),
+    cliff: vesting.cliff,
+    cliffMonths: parseDurationMonths(vesting.cliff),
+    vestingPeriod: vesting.vestingPeriod,
+    vestingMonths: parseDurationMonths(vesting.vestingPeriod),
+    nextUnlock,
+    allocations: (vesting.allocations || []).map(allocation => ({
+      ...allocation,
+      sharePercent: parsePercent(allocation.share),
+      tokensRaw: parseTokenAmount(allocation.tokens),
+      tgeUnlockPercent: parsePercent(allocation.tgeUnlock),
+      cliffMonths: parseDurationMonths(allocation.cliff),
+      vestingMonths: parseDurationMonths(allocation.vesting)
+    }))
+  };
+}
+
+/**
+ * Add parsed values to raw project details and drop empty fields
+ * @param {object} rawDetails - Details returned by extractDetailsFromDocument
+ * @param {string} scrapedAt - ISO timestamp of the scrape
+ * @returns {object} - Details with *Raw numeric fields, without null/empty values
+ */
+export function processDetails(rawDetails, scrapedAt = new Date().toISOString()) {
+  const fullDetails = {
+    ...rawDetails,
+    tokenPriceRaw: parseAmount(rawDetails.tokenPrice),
+    marketCapRaw: parseAmount(rawDetails.marketCap),
+    fdvRaw: parseAmount(rawDetails.fdv),
+    totalSupplyRaw: parseSupply(rawDetails.totalSupply),
+    circulatingSupplyRaw: parseSupply(rawDetails.circulatingSupply),
+    totalRaisedRaw: parseAmount(rawDetails.totalRaised),
+    valuationRaw: parseAmount(rawDetails.valuation),
+    ...parseTgeDate(rawDetails.tgeDate, scrapedAt),
+    rounds: (rawDetails.rounds || []).map(round => ({
+      ...round,
+      dateISO: parseDateToISO(round.date, scrapedAt),
+      amountRaw: parseRaiseAmount(round.amount),
+      valuationRaw: parseRaiseAmount(round.valuation),
+      tokenPriceRaw: parseRaiseAmount(round.tokenPrice)
+    })),
+    vesting: processVesting(rawDetails.vesting, scrapedAt),
+    scrapedAt
+  };
+
+  // Filter out null/empty values, keep only fields with actual data
+  return Object.fromEntries(
+    Object.entries(fullDetails).filter(([key, value]) => {
+      if (value === null || value === undefined) return false;
+      if (Array.isArray(value) && value.length === 0) return false;
+      return true;
+    })
+  );
+}
+
 /**
  * ProjectDetailsScraper class - manages browser connection and scraping
  */
 export class ProjectDetailsScraper {
-  constructor() {
+  /**
+   * @param {object} options
+   * @param {object} options.browser - Browser provider overrides (see resolveBrowserOptions)
+   * @param {boolean} options.archiveHtml - Whether to save the rendered HTML next to screenshots
+   * @param {number} options.concurrency - Number of pages scraped in parallel
+   * @param {number} options.requestsPerMinute - Politeness limit shared by all pages
+   */
+  constructor(options = {}) {
     this.browser = null;
+    this.browserOptions = resolveBrowserOptions(options.browser);
+    this.connecting = null;
+    this.archiveHtml = options.archiveHtml || false;
     this.screenshotsDir = SCREENSHOTS_DIR;
+    this.pool = new PagePool({
+      size: options.concurrency,
+      requestsPerMinute: options.requestsPerMinute,
+      getBrowser: async () => {
+        await this.ensureConnected();
+        return this.browser;
+      },
+      setupPage: async (page) => {
+        // Set user agent to avoid bot detection
+        await page.setUserAgent(USER_AGENT);
+
+        // Set viewport
+        await page.setViewport(VIEWPORT);
+
+        // Set a reasonable timeout
+        page.setDefaultTimeout(30000);
+      }
+    });
   }
 
   /**
@@ -120,7 +818,7 @@ export class ProjectDetailsScraper {
   }
 
   /**
-   * Save a screenshot with a descriptive filename
+   * Save a screenshot (and optionally the rendered HTML) with a descriptive filename
    * @param {object} page - Puppeteer page instance
    * @param {string} projectKey - Project key for filename
    */
@@ -129,6 +827,9 @@ export class ProjectDetailsScraper {
       await this.ensureScreenshotsDir();
       const filename = `${projectKey}.png`;
       const filepath = path.join(this.screenshotsDir, filename);
+      if (this.archiveHtml) {
+        await saveHtmlArchive(page, archivePathFor(filepath));
+      }
       await page.screenshot({ path: filepath, fullPage: true });
     } catch (e) {
       // Silently ignore screenshot errors to not break the scraping flow
@@ -144,23 +845,43 @@ export class ProjectDetailsScraper {
   }
 
   /**
-   * Connect to browserless instance
+   * Connect to browserless or launch a local browser, depending on the provider
    */
   async connect() {
-    console.log('    Connecting to browserless...');
-    this.browser = await puppeteer.connect({
-      browserWSEndpoint: BROWSERLESS_URL
-    });
+    console.log(`    Connecting to ${describeBrowser(this.browserOptions)}...`);
+    this.browser = await openBrowser(this.browserOptions);
     console.log('    Connected successfully');
   }
 
   /**
-   * Reconnect to browserless if disconnected
+   * Reconnect to the browser if disconnected
+   * Concurrent callers share a single reconnection attempt
    */
   async ensureConnected() {
-    if (!this.isConnected()) {
-      console.log('           Reconnecting to browserless...');
-      await this.connect();
+    if (this.isConnected()) return;
+
+    if (!this.connecting) {
+      console.log(`           Reconnecting to ${describeBrowser(this.browserOptions)}...`);
+      this.connecting = this.connect().finally(() => {
+        this.connecting = null;
+      });
+    }
+    await this.connecting;
+  }
+
+  /**
+   * Drop the browser after a connection error, so the next attempt reconnects
+   * A browser that is still connected is kept (the error was the page's): dropping it
+   * would leave a local Chromium and its pages running next to the new one.
+   */
+  async resetConnection() {
+    if (!this.browser || this.isConnected()) return;
+    const browser = this.browser;
+    this.browser = null;
+    try {
+      await browser.close();
+    } catch (e) {
+      // Ignore errors when closing a disconnected browser
     }
   }
 
@@ -168,6 +889,7 @@ export class ProjectDetailsScraper {
    * Disconnect from browser
    */
   async disconnect() {
+    await this.pool.drain();
     if (this.browser) {
       try {
         await this.browser.close();
@@ -185,303 +907,7 @@ export class ProjectDetailsScraper {
    * @returns {object} - Project details object
    */
   async extractDetails(page) {
-    return await page.evaluate(() => {
-      const details = {
-        description: null,
-        website: null,
-        twitter: null,
-        telegram: null,
-        discord: null,
-        github: null,
-        linkedin: null,
-        tokenSymbol: null,
-        tokenPrice: null,
-        marketCap: null,
-        fdv: null,
-        totalSupply: null,
-        circulatingSupply: null,
-        categories: [],
-        totalRaised: null,
-        tgeDate: null,
-        valuation: null
-      };
-
-      // Helper to check if a link is a CryptoRank site link (not a project link)
-      const isSiteLink = (href) => {
-        const lower = href.toLowerCase();
-        return lower.includes('cryptorank.io') ||
-               lower.includes('cryptorank_io') ||
-               lower.includes('/cryptorank') ||
-               lower.includes('cryptoranknews') ||
-               lower.includes('cryptorank-io');
-      };
-
-      // Get all links on the page excluding footer (which has CryptoRank's own social links)
-      const footer = document.querySelector('footer, [class*="footer"], [class*="Footer"]');
-      const allLinks = document.querySelectorAll('a[href]');
-
-      // Helper to check if element is in footer area
-      const isInFooter = (el) => {
-        if (!footer) return false;
-        return footer.contains(el);
-      };
-
-      // Helper to check if this looks like a project social link (not site navigation)
-      const isProjectLink = (link) => {
-        // Skip footer links
-        if (isInFooter(link)) return false;
-
-        const href = link.getAttribute('href') || '';
-        // Skip internal CryptoRank links
-        if (isSiteLink(href)) return false;
-        // Skip anchor links
-        if (href.startsWith('#')) return false;
-        // Skip javascript links
-        if (href.startsWith('javascript:')) return false;
-
-        return true;
-      };
-
-      // First pass: collect all external links with their context
-      for (const link of allLinks) {
-        if (!isProjectLink(link)) continue;
-
-        const href = link.getAttribute('href') || '';
-        const hrefLower = href.toLowerCase();
-        const linkText = (link.textContent?.trim() || '').toLowerCase();
-        const ariaLabel = (link.getAttribute('aria-label') || '').toLowerCase();
-        const title = (link.getAttribute('title') || '').toLowerCase();
-
-        // Also check for SVG icons or img with alt text
-        const svgTitle = link.querySelector('svg title')?.textContent?.toLowerCase() || '';
-        const imgAlt = link.querySelector('img')?.getAttribute('alt')?.toLowerCase() || '';
-        const allContext = `${linkText} ${ariaLabel} ${title} ${svgTitle} ${imgAlt}`;
-
-        // Twitter/X detection
-        if (!details.twitter) {
-          if (hrefLower.includes('twitter.com/') || hrefLower.includes('x.com/')) {
-            if (!hrefLower.includes('/status/')) {
-              details.twitter = href;
-            }
-          } else if (allContext.includes('twitter') || linkText === 'x' || allContext === 'x') {
-            if (href.startsWith('http')) {
-              details.twitter = href;
-            }
-          }
-        }
-
-        // Telegram detection
-        if (!details.telegram) {
-          if (hrefLower.includes('t.me/') || hrefLower.includes('telegram.')) {
-            details.telegram = href;
-          } else if (allContext.includes('telegram')) {
-            if (href.startsWith('http')) {
-              details.telegram = href;
-            }
-          }
-        }
-
-        // Discord detection
-        if (!details.discord) {
-          if (hrefLower.includes('discord.gg/') || hrefLower.includes('discord.com/')) {
-            details.discord = href;
-          } else if (allContext.includes('discord')) {
-            if (href.startsWith('http')) {
-              details.discord = href;
-            }
-          }
-        }
-
-        // GitHub detection
-        if (!details.github) {
-          if (hrefLower.includes('github.com/') && !hrefLower.includes('github.com/topics')) {
-            details.github = href;
-          } else if (allContext.includes('github')) {
-            if (href.startsWith('http')) {
-              details.github = href;
-            }
-          }
-        }
-
-        // LinkedIn detection
-        if (!details.linkedin) {
-          if (hrefLower.includes('linkedin.com/') || hrefLower.includes('linkedin.')) {
-            details.linkedin = href;
-          } else if (allContext.includes('linkedin')) {
-            if (href.startsWith('http')) {
-              details.linkedin = href;
-            }
-          }
-        }
-
-        // Website detection - look for links labeled "website" or "official"
-        if (!details.website) {
-          if (allContext.includes('website') || allContext.includes('official site')) {
-            const isSocial = hrefLower.includes('twitter.com') || hrefLower.includes('x.com') ||
-                           hrefLower.includes('t.me') || hrefLower.includes('telegram.') ||
-                           hrefLower.includes('discord.') || hrefLower.includes('github.com') ||
-                           hrefLower.includes('linkedin.') || hrefLower.includes('facebook.') ||
-                           hrefLower.includes('youtube.') || hrefLower.includes('medium.com') ||
-                           hrefLower.includes('reddit.com');
-            if (!isSocial && href.startsWith('http')) {
-              details.website = href;
-            }
-          }
-        }
-      }
-
-      // Token symbol - look in the header area near the project name
-      // Usually appears as a short uppercase string near the logo/name
-      const headerArea = document.querySelector('header, [class*="header"], [class*="coin-info"], [class*="project-info"]');
-      if (headerArea) {
-        const symbolMatch = headerArea.textContent?.match(/\b([A-Z]{1,10})\b/g);
-        if (symbolMatch) {
-          // Filter to find the likely token symbol (short, uppercase)
-          for (const sym of symbolMatch) {
-            if (sym.length <= 6 && sym !== 'USD' && sym !== 'ETH' && sym !== 'BTC' && sym !== 'NFT') {
-              details.tokenSymbol = sym;
-              break;
-            }
-          }
-        }
-      }
-
-      // Look for token symbol in the page - usually near price
-      if (!details.tokenSymbol) {
-        const priceAreas = document.querySelectorAll('[class*="price"], [class*="token"]');
-        for (const area of priceAreas) {
-          const text = area.textContent || '';
-          const symbolMatch = text.match(/\b([A-Z]{1,6})\b/);
-          if (symbolMatch && symbolMatch[1] !== 'USD' && symbolMatch[1] !== 'ETH' && symbolMatch[1] !== 'BTC') {
-            details.tokenSymbol = symbolMatch[1];
-            break;
-          }
-        }
-      }
-
-      // Token Price - look for the main price display (usually large, near $ sign)
-      const priceElements = document.querySelectorAll('[class*="price"], [class*="Price"]');
-      for (const el of priceElements) {
-        const text = el.textContent || '';
-        const priceMatch = text.match(/\$\s*([\d,.]+)/);
-        if (priceMatch && !details.tokenPrice) {
-          details.tokenPrice = '$' + priceMatch[1];
-          break;
-        }
-      }
-
-      // Look for Fundraising Info section for total raised and valuation
-      const findFundraisingSection = () => {
-        const elements = document.querySelectorAll('h2, h3, h4, div, span');
-        for (const el of elements) {
-          const text = el.textContent?.trim().toLowerCase();
-          if (text === 'fundraising info' || text === 'fundraising information') {
-            return el.closest('div')?.parentElement || el.parentElement;
-          }
-        }
-        return null;
-      };
-
-      const fundraisingSection = findFundraisingSection();
-      if (fundraisingSection) {
-        const text = fundraisingSection.textContent || '';
-
-        // Total Raised
-        const raisedMatch = text.match(/Total Raised[:\s]*\$\s*([\d,.]+\s*[KMB]?)/i);
-        if (raisedMatch) {
-          details.totalRaised = '$' + raisedMatch[1].trim();
-        }
-
-        // Valuation
-        const valuationMatch = text.match(/Valuation[:\s]*\$\s*([\d,.]+\s*[KMB]?)/i);
-        if (valuationMatch) {
-          details.valuation = '$' + valuationMatch[1].trim();
-        }
-      }
-
-      // Fallback: search for metrics in body text
-      const bodyText = document.body.innerText || '';
-
-      if (!details.totalRaised) {
-        const raisedMatch = bodyText.match(/Total Raised[:\s]*\$\s*([\d,.]+\s*[KMB]?)/i);
-        if (raisedMatch) {
-          details.totalRaised = '$' + raisedMatch[1].trim();
-        }
-      }
-
-      if (!details.valuation) {
-        const valuationMatch = bodyText.match(/Valuation[:\s]*\$\s*([\d,.]+\s*[KMB]?)/i);
-        if (valuationMatch) {
-          details.valuation = '$' + valuationMatch[1].trim();
-        }
-      }
-
-      // Market Cap
-      const mcapMatch = bodyText.match(/Market Cap[:\s]*\$\s*([\d,.]+\s*[KMB]?)/i);
-      if (mcapMatch) {
-        details.marketCap = '$' + mcapMatch[1].trim();
-      }
-
-      // FDV
-      const fdvMatch = bodyText.match(/(?:FDV|Fully Diluted)[:\s]*\$\s*([\d,.]+\s*[KMB]?)/i);
-      if (fdvMatch) {
-        details.fdv = '$' + fdvMatch[1].trim();
-      }
-
-      // Total Supply
-      const supplyMatch = bodyText.match(/Total Supply[:\s]*([\d,.]+\s*[KMB]?)/i);
-      if (supplyMatch) {
-        details.totalSupply = supplyMatch[1].trim();
-      }
-
-      // Circulating Supply
-      const circMatch = bodyText.match(/Circulating Supply[:\s]*([\d,.]+\s*[KMB]?)/i);
-      if (circMatch) {
-        details.circulatingSupply = circMatch[1].trim();
-      }
-
-      // Description - look for project description in Overview section
-      // Usually the first substantial paragraph on the page
-      const paragraphs = document.querySelectorAll('p');
-      for (const p of paragraphs) {
-        const text = p.textContent?.trim();
-        // Look for a paragraph that's descriptive (not too short, not a label)
-        if (text && text.length > 100 && text.length < 2000) {
-          // Exclude paragraphs that look like metadata or cookie/privacy banners
-          const textLower = text.toLowerCase();
-          if (!text.match(/^(Total|Price|Market|Supply|Raised)/i) &&
-              !textLower.includes('privacy policy') &&
-              !textLower.includes('cookies statement') &&
-              !textLower.includes('cookie policy') &&
-              !textLower.includes('accept our') &&
-              !textLower.includes('using our site')) {
-            details.description = text;
-            break;
-          }
-        }
-      }
-
-      // Categories - look for category pills/tags in a specific categories section
-      // Avoid picking up funding stage labels
-      const categoryBlacklist = new Set([
-        'lead', '+1', '+2', '+3', 'strategic', 'seed', 'series a', 'series b', 'series c',
-        'series d', 'undisclosed', 'pre-seed', 'm&a', 'ico', 'ido', 'ieo',
-        'we are hiring!', 'view more', 'see all', 'load more'
-      ]);
-
-      const categorySection = document.querySelector('[class*="categories"], [class*="tags"]');
-      if (categorySection) {
-        const categoryLinks = categorySection.querySelectorAll('a');
-        for (const link of categoryLinks) {
-          const text = link.textContent?.trim();
-          if (text && text.length < 30 && !categoryBlacklist.has(text.toLowerCase())) {
-            details.categories.push(text);
-          }
-        }
-      }
-
-      return details;
-    });
+    return await page.evaluate(extractDetailsFromDocument);
   }
 
   /**
@@ -490,26 +916,18 @@ export class ProjectDetailsScraper {
    * @returns {object} - { details: object, error: string|null }
    */
   async scrapeProject(projectKey) {
-    const url = `https://cryptorank.io/price/${projectKey}`;
+    const url = projectPageUrl(projectKey);
 
     let lastError = null;
 
     for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
       let page = null;
       try {
-        // Ensure browser is connected before each attempt
-        await this.ensureConnected();
-
-        page = await this.browser.newPage();
-
-        // Set user agent to avoid bot detection
-        await page.setUserAgent(USER_AGENT);
+        // Take a page from the pool (connects to the browser if needed)
+        page = await this.pool.acquire();
 
-        // Set viewport
-        await page.setViewport(VIEWPORT);
-
-        // Set a reasonable timeout
-        page.setDefaultTimeout(30000);
+        // Respect the shared politeness limit
+        await this.pool.throttle();
 
         // Navigate to the page (networkidle2 waits for dynamic content)
         await page.goto(url, {
@@ -550,31 +968,12 @@ export class ProjectDetailsScraper {
         // Extract details
         const rawDetails = await this.extractDetails(page);
 
-        // Post-process the details (add parsed values)
-        const fullDetails = {
-          ...rawDetails,
-          tokenPriceRaw: parseAmount(rawDetails.tokenPrice),
-          marketCapRaw: parseAmount(rawDetails.marketCap),
-          fdvRaw: parseAmount(rawDetails.fdv),
-          totalSupplyRaw: parseSupply(rawDetails.totalSupply),
-          circulatingSupplyRaw: parseSupply(rawDetails.circulatingSupply),
-          totalRaisedRaw: parseAmount(rawDetails.totalRaised),
-          valuationRaw: parseAmount(rawDetails.valuation),
-          scrapedAt: new Date().toISOString()
-        };
-
-        // Filter out null/empty values, keep only fields with actual data
-        const details = Object.fromEntries(
-          Object.entries(fullDetails).filter(([key, value]) => {
-            if (value === null || value === undefined) return false;
-            if (Array.isArray(value) && value.length === 0) return false;
-            return true;
-          })
-        );
+        // Post-process the details (add parsed values, drop empty fields)
+        const details = processDetails(rawDetails);
 
         // Save screenshot
         await this.saveScreenshot(page, projectKey);
-        await page.close();
+        await this.pool.release(page);
         page = null;
 
         return { details, error: null };
@@ -589,22 +988,18 @@ export class ProjectDetailsScraper {
           } catch (e) {
             // Ignore screenshot errors
           }
-          try {
-            await page.close();
-          } catch (e) {
-            // Ignore
-          }
+          await this.pool.release(page, { discard: true });
         }
 
         // If connection was lost, try to reconnect
         if (error.message.includes('Connection closed') ||
             error.message.includes('Protocol error') ||
             error.message.includes('Target closed')) {
-          this.browser = null; // Force reconnection on next attempt
+          await this.resetConnection(); // Reconnect on the next attempt
         }
 
         if (attempt < MAX_RETRIES) {
-          console.log(`           RETRY (${attempt}/${MAX_RETRIES}) - ${error.message}`);
+          console.log(`           RETRY ${projectKey} (${attempt}/${MAX_RETRIES}) - ${error.message}`);
           await delay(RETRY_DELAY_MS);
         }
       }
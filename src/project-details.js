@@ -6,21 +6,45 @@
  * 2. Extracting unique projects
  * 3. Scraping each project's detail page
  * 4. Merging details back into funding rounds
- * 5. Saving enriched data to funding-rounds-detailed.json
+ * 5. Saving enriched data to funding-rounds-detailed.json (validated against its
+ *    JSON Schema first, see contracts.js)
+ *    (each scraped project is appended to a journal first, which also lets an
+ *    interrupted run resume)
+ *    (with --db, upserted into the SQLite store and exported from it)
+ * 6. Writing CSV/NDJSON/XLSX exports of the output file (see exporters.js)
  *
  * Usage:
  *   node src/project-details.js              # All projects
  *   node src/project-details.js --limit 50   # First 50 projects
  *   node src/project-details.js -l 10        # Short form
+ *   node src/project-details.js -c 4         # Scrape 4 project pages in parallel
+ *   node src/project-details.js -c 4 --rpm 60
+ *   node src/project-details.js --local      # Launch a local Chromium instead of browserless
+ *   node src/project-details.js --archive-html  # Save rendered HTML for offline re-parsing
+ *   node src/project-details.js --db         # Also store projects in ./output/scraper.db (see store.js)
+ *   node src/project-details.js --no-export  # Skip the CSV/NDJSON/XLSX exports
  */
 
-import { readFile, writeFile } from 'fs/promises';
+import { readFile } from 'fs/promises';
 import { existsSync } from 'fs';
-import { ProjectDetailsScraper } from './project-details-scraper.js';
-
-const INPUT_FILE = './output/funding-rounds.json';
-const OUTPUT_FILE = './output/funding-rounds-detailed.json';
-const DELAY_BETWEEN_PROJECTS_MS = 2000;
+import { ProjectDetailsScraper, SCREENSHOTS_DIR } from './project-details-scraper.js';
+import { runWithConcurrency } from './page-pool.js';
+import { parseBrowserArgs } from './browser-provider.js';
+import { computeRoundId } from './funding-rounds-scraper.js';
+import { resolveStorePath, openStore } from './store.js';
+import { Journal, journalPathFor } from './journal.js';
+import { exportDataset } from './exporters.js';
+import { writeValidatedOutput } from './contracts.js';
+import { acquireRunLock } from './run-lock.js';
+import { getConfig, outputPath } from './config.js';
+
+const config = getConfig();
+const INPUT_FILE = outputPath('funding-rounds.json');
+const OUTPUT_FILE = outputPath('funding-rounds-detailed.json');
+const JOURNAL_FILE = journalPathFor(OUTPUT_FILE);
+const DELAY_BETWEEN_PROJECTS_MS = config.projects.delayBetweenProjectsMs;
+const DEFAULT_CONCURRENCY = config.projects.concurrency;
+const DEFAULT_REQUESTS_PER_MINUTE = Math.floor(60000 / DELAY_BETWEEN_PROJECTS_MS);
 
 /**
  * Load cached project details from existing output file
@@ -57,11 +81,13 @@ async function loadCachedDetails() {
 
 /**
  * Parse command line arguments
- * @returns {object} - { limit: number|null }
+ * @returns {object} - { limit, concurrency, requestsPerMinute, archiveHtml, exportFiles, db, browser }
  */
 function parseArgs() {
   const args = process.argv.slice(2);
   let limit = null;
+  let concurrency = DEFAULT_CONCURRENCY;
+  let requestsPerMinute = DEFAULT_REQUESTS_PER_MINUTE;
 
   for (let i = 0; i < args.length; i++) {
     if ((args[i] === '--limit' || args[i] === '-l') && args[i + 1]) {
@@ -70,18 +96,30 @@ function parseArgs() {
         limit = parsed;
       }
       i++; // Skip next arg
+    } else if ((args[i] === '--concurrency' || args[i] === '-c') && args[i + 1]) {
+      const parsed = parseInt(args[i + 1], 10);
+      if (!isNaN(parsed) && parsed > 0) {
+        concurrency = parsed;
+      }
+      i++; // Skip next arg
+    } else if (args[i] === '--rpm' && args[i + 1]) {
+      const parsed = parseInt(args[i + 1], 10);
+      if (!isNaN(parsed) && parsed > 0) {
+        requestsPerMinute = parsed;
+      }
+      i++; // Skip next arg
     }
   }
 
-  return { limit };
-}
-
-/**
- * Delay helper
- * @param {number} ms - Milliseconds to delay
- */
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+  return {
+    limit,
+    concurrency,
+    requestsPerMinute,
+    archiveHtml: args.includes('--archive-html'),
+    exportFiles: !args.includes('--no-export'),
+    db: resolveStorePath(args),
+    browser: parseBrowserArgs(args)
+  };
 }
 
 /**
@@ -133,18 +171,13 @@ function extractUniqueProjects(fundingRounds) {
 }
 
 /**
- * Save results to output file
- * @param {Array} data - Enriched funding rounds data
+ * Merge project details into funding rounds
+ * @param {Array} data - Funding rounds data
  * @param {object} projectDetails - Map of projectKey to details
- * @param {number} totalProjects - Total number of unique projects
- * @param {number} successful - Number of successfully scraped projects
- * @param {number} failed - Number of failed projects
- * @param {number} startTime - Start timestamp for duration calculation
- * @param {boolean} partial - Whether this is a partial save
+ * @returns {Array} - Rounds with details and detailsError
  */
-async function saveResults(data, projectDetails, totalProjects, successful, failed, startTime, partial = false) {
-  // Merge details into funding rounds
-  const enrichedData = data.map(round => {
+function mergeDetails(data, projectDetails) {
+  return data.map(round => {
     const details = projectDetails[round.projectKey] || null;
     return {
       ...round,
@@ -152,7 +185,18 @@ async function saveResults(data, projectDetails, totalProjects, successful, fail
       detailsError: details?.error || null
     };
   });
+}
 
+/**
+ * Save results to output file
+ * @param {Array} enrichedData - Funding rounds with project details merged in
+ * @param {number} totalProjects - Total number of unique projects
+ * @param {number} successful - Number of successfully scraped projects
+ * @param {number} failed - Number of failed projects
+ * @param {number} startTime - Start timestamp for duration calculation
+ * @param {boolean} partial - Whether this is a partial save
+ */
+async function saveResults(enrichedData, totalProjects, successful, failed, startTime, partial = false) {
   const output = {
     metadata: {
       generatedAt: new Date().toISOString(),
@@ -166,7 +210,7 @@ async function saveResults(data, projectDetails, totalProjects, successful, fail
     data: enrichedData
   };
 
-  await writeFile(OUTPUT_FILE, JSON.stringify(output, null, 2));
+  await writeValidatedOutput(OUTPUT_FILE, output);
 }
 
 /**
@@ -174,13 +218,34 @@ async function saveResults(data, projectDetails, totalProjects, successful, fail
  */
 async function main() {
   const startTime = Date.now();
-  const { limit } = parseArgs();
+  const { limit, concurrency, requestsPerMinute, archiveHtml, exportFiles, db, browser } = parseArgs();
 
   console.log('');
   console.log('============================================');
   console.log('  CryptoRank Project Details Enrichment');
   console.log('============================================');
 
+  // Only one run may write the outputs at a time (see run-lock.js)
+  try {
+    await acquireRunLock('project-details');
+  } catch (error) {
+    console.error(`  ERROR: ${error.message}`);
+    process.exit(1);
+  }
+
+  let store = null;
+  let runId = null;
+  if (db) {
+    try {
+      store = await openStore(db);
+    } catch (error) {
+      console.error(`  ERROR: ${error.message}`);
+      process.exit(1);
+    }
+    runId = store.startRun('project-details', { limit, concurrency });
+    console.log(`  SQLite store: ${db}`);
+  }
+
   // Step 1: Read funding rounds data
   console.log('[1] Reading funding rounds data...');
   let fundingData;
@@ -205,12 +270,29 @@ async function main() {
     console.log(`    Limited to first ${limit} projects`);
   }
 
-  console.log(`    Screenshots: ./screenshots/project-details/`);
+  console.log(`    Screenshots: ${SCREENSHOTS_DIR}/`);
+  if (archiveHtml) {
+    console.log(`    HTML archive: ENABLED (${SCREENSHOTS_DIR}/)`);
+  }
+  console.log(`    Concurrency: ${concurrency} pages, max ${requestsPerMinute} requests/min`);
   console.log('');
 
   // Step 3: Load cached details
   console.log('[3] Loading cached details...');
   const projectDetails = await loadCachedDetails();
+
+  // Projects scraped by an interrupted run are still in the journal
+  const journal = new Journal(JOURNAL_FILE);
+  const recovered = await journal.read();
+  for (const { projectKey, details, error } of recovered) {
+    if (projectKey && details && !error) {
+      projectDetails[projectKey] = { details, error: null };
+    }
+  }
+  if (recovered.length > 0) {
+    console.log(`    Recovered ${recovered.length} projects from ${JOURNAL_FILE}`);
+  }
+
   const cachedCount = Object.keys(projectDetails).length;
   console.log(`    Found ${cachedCount} cached projects`);
   console.log('');
@@ -220,20 +302,21 @@ async function main() {
   console.log(`    Need to scrape: ${projectsToScrape.length} projects`);
   console.log('');
 
-  // Step 4: Connect to browserless (only if there are projects to scrape)
+  // Step 4: Connect to browser (only if there are projects to scrape)
   let scraper = null;
   if (projectsToScrape.length > 0) {
-    console.log('[4] Connecting to browserless...');
-    scraper = new ProjectDetailsScraper();
+    console.log('[4] Connecting to browser...');
+    scraper = new ProjectDetailsScraper({ browser, archiveHtml, concurrency, requestsPerMinute });
     try {
       await scraper.connect();
     } catch (error) {
       console.error(`    ERROR: ${error.message}`);
+      store?.finishRun(runId, 'failed', { error: error.message });
       process.exit(1);
     }
     console.log('');
   } else {
-    console.log('[4] All projects cached - skipping browserless connection');
+    console.log('[4] All projects cached - skipping browser connection');
     console.log('');
   }
 
@@ -246,17 +329,16 @@ async function main() {
     console.log('    All projects already cached - nothing to scrape');
   }
 
-  for (let i = 0; i < projectsToScrape.length; i++) {
-    const project = projectsToScrape[i];
-    const progress = `[${i + 1}/${projectsToScrape.length}]`;
-
-    process.stdout.write(`    ${progress} ${project.projectName || project.projectKey}... `);
+  let completed = 0;
 
+  await runWithConcurrency(projectsToScrape, concurrency, async (project) => {
     const result = await scraper.scrapeProject(project.projectKey);
 
+    completed++;
+    const progress = `    [${completed}/${projectsToScrape.length}] ${project.projectName || project.projectKey}... `;
+
     if (result.error) {
-      console.log('FAILED');
-      console.log(`           Error: ${result.error}`);
+      console.log(`${progress}FAILED\n           Error: ${result.error}`);
       failCount++;
     } else {
       // Count how many fields were populated
@@ -274,32 +356,19 @@ async function main() {
         details.totalRaised
       ].filter(Boolean).length;
 
-      console.log(`OK (${populatedFields} fields)`);
+      console.log(`${progress}OK (${populatedFields} fields)`);
       successCount++;
     }
 
     projectDetails[project.projectKey] = result;
 
-    // Save partial results after each project
+    // Append the result to the journal instead of rewriting the output file
     try {
-      await saveResults(
-        fundingData.data,
-        projectDetails,
-        projects.length,
-        successCount,
-        failCount,
-        startTime,
-        true
-      );
+      await journal.append({ projectKey: project.projectKey, ...result });
     } catch (e) {
-      // Ignore save errors during scraping
-    }
-
-    // Delay between projects (except for the last one)
-    if (i < projectsToScrape.length - 1) {
-      await delay(DELAY_BETWEEN_PROJECTS_MS);
+      // Ignore journal errors during scraping
     }
-  }
+  });
 
   // Disconnect from browser
   if (scraper) {
@@ -323,9 +392,24 @@ async function main() {
   // Step 7: Save final results
   console.log('[7] Saving final results...');
   try {
+    let enrichedData = mergeDetails(fundingData.data, projectDetails);
+
+    // With a store the output is exported from the database, where details are kept once per project
+    if (store) {
+      const rounds = fundingData.data.map(round => (round.roundId ? round : { roundId: computeRoundId(round), ...round }));
+      const storedProjects = extractUniqueProjects(rounds)
+        .filter(project => projectDetails[project.projectKey])
+        .map(project => ({ ...project, ...projectDetails[project.projectKey] }));
+      store.upsertRounds(rounds, runId);
+      store.upsertProjects(storedProjects, runId);
+      enrichedData = store.exportDetailedRounds(rounds.map(round => round.roundId));
+      store.finishRun(runId, 'completed', { projects: projects.length, scraped: projectsToScrape.length, failed: failCount });
+      store.close();
+      console.log(`    Stored ${storedProjects.length} projects in: ${db}`);
+    }
+
     await saveResults(
-      fundingData.data,
-      projectDetails,
+      enrichedData,
       projects.length,
       successCount,
       failCount,
@@ -333,11 +417,27 @@ async function main() {
       false
     );
     console.log(`    Output saved to: ${OUTPUT_FILE}`);
+    // Everything in the journal is part of the output file now
+    await journal.clear();
   } catch (error) {
     console.error(`    ERROR saving file: ${error.message}`);
     process.exit(1);
   }
 
+  // Step 8: Exports
+  if (exportFiles) {
+    console.log('');
+    console.log('[8] Writing exports...');
+    try {
+      const written = await exportDataset(OUTPUT_FILE);
+      for (const { file, rows } of written) {
+        console.log(`    Saved ${file} (${rows} rows)`);
+      }
+    } catch (error) {
+      console.error(`    ERROR writing exports: ${error.message}`);
+    }
+  }
+
   console.log('');
   console.log('============================================');
   console.log('  Done!');
@@ -0,0 +1,346 @@
+/**
+ * Offline Re-parse
+ *
+ * Re-runs the fund, funding-round and project extractors over archived page HTML
+ * (saved with --archive-html) without a browser, and regenerates:
+ * 1. tier1-vcs.json / tier1-2-vcs.json
+ * 2. funding-rounds.json
+ * 3. funding-rounds-detailed.json
+ *
+ * Regenerated files go through the same schema check as the scrapers (see contracts.js).
+ *
+ * Usage:
+ *   node src/reparse.js              # Re-parse everything that has archives
+ *   node src/reparse.js --funds      # Only fund pages
+ *   node src/reparse.js --rounds     # Only funding rounds pages
+ *   node src/reparse.js --projects   # Only project pages
+ */
+
+import { readFile, readdir, stat } from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import { loadArchivedDocument, HTML_ARCHIVE_EXT } from './html-archive.js';
+import { fundPageUrl, fundingRoundsPageUrl, projectPageUrl } from './endpoints.js';
+import {
+  extractSocialLinksFromDocument,
+  extractFundProfileFromDocument,
+  processFundProfile,
+  hasAnyLinks,
+  buildFundRecord
+} from './scraper.js';
+import {
+  extractRowDataFromDocument,
+  processRowData,
+  SCREENSHOTS_DIR as ROUNDS_SCREENSHOTS_DIR
+} from './funding-rounds-scraper.js';
+import {
+  extractDetailsFromDocument,
+  processDetails,
+  SCREENSHOTS_DIR as PROJECTS_SCREENSHOTS_DIR
+} from './project-details-scraper.js';
+import { writeValidatedOutput } from './contracts.js';
+import { outputPath, screenshotsPath } from './config.js';
+
+const FUND_OUTPUT_FILES = [outputPath('tier1-vcs.json'), outputPath('tier1-2-vcs.json')];
+const ROUNDS_OUTPUT_FILE = outputPath('funding-rounds.json');
+const DETAILED_OUTPUT_FILE = outputPath('funding-rounds-detailed.json');
+const FUND_SCREENSHOTS_DIRS = [screenshotsPath('success'), screenshotsPath('failed')];
+
+// {fundKey}_{status}_attempt{n}_{timestamp}.html.gz (see FundScraper.saveScreenshot)
+const FUND_ARCHIVE_PATTERN = /^(.+?)_(success|no-links|error-no-links|error)_attempt(\d+)_(.+)\.html\.gz$/;
+const ROUNDS_ARCHIVE_PATTERN = /^page-(\d+)\.html\.gz$/;
+
+/**
+ * Parse command line arguments
+ * @returns {object} - { funds: boolean, rounds: boolean, projects: boolean }
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const funds = args.includes('--funds');
+  const rounds = args.includes('--rounds');
+  const projects = args.includes('--projects');
+
+  // No selection means everything
+  if (!funds && !rounds && !projects) {
+    return { funds: true, rounds: true, projects: true };
+  }
+  return { funds, rounds, projects };
+}
+
+/**
+ * List archive files in a directory
+ * @param {string} dir - Directory to scan
+ * @returns {Promise<string[]>} - File names ending in .html.gz
+ */
+async function listArchives(dir) {
+  if (!existsSync(dir)) {
+    return [];
+  }
+  const entries = await readdir(dir);
+  return entries.filter(name => name.endsWith(HTML_ARCHIVE_EXT));
+}
+
+/**
+ * Load an archive, run an extractor over it and release the DOM
+ * @param {string} filepath - Path of the .html.gz archive
+ * @param {string} url - Original page URL
+ * @param {Function} extractor - Function (document) => result
+ * @returns {Promise<object>} - { result, scrapedAt }
+ */
+async function reparseArchive(filepath, url, extractor) {
+  const doc = await loadArchivedDocument(filepath, url);
+  try {
+    const { mtime } = await stat(filepath);
+    return { result: extractor(doc), scrapedAt: mtime.toISOString() };
+  } finally {
+    doc.defaultView.close();
+  }
+}
+
+/**
+ * Read a JSON output file if it exists
+ * @param {string} filepath - Path to the JSON file
+ * @returns {Promise<object|null>}
+ */
+async function readJsonIfExists(filepath) {
+  if (!existsSync(filepath)) {
+    return null;
+  }
+  try {
+    return JSON.parse(await readFile(filepath, 'utf-8'));
+  } catch (e) {
+    console.log(`    Warning: Could not read ${filepath}: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Find the newest fund archive for every fund key
+ * @returns {Promise<Map>} - Map of fund key -> archive path
+ */
+async function findFundArchives() {
+  const latest = new Map();
+
+  for (const dir of FUND_SCREENSHOTS_DIRS) {
+    for (const name of await listArchives(dir)) {
+      const match = name.match(FUND_ARCHIVE_PATTERN);
+      if (!match) continue;
+
+      const [, key, , , timestamp] = match;
+      const current = latest.get(key);
+      if (!current || timestamp > current.timestamp) {
+        latest.set(key, { timestamp, filepath: path.join(dir, name) });
+      }
+    }
+  }
+
+  return new Map(Array.from(latest, ([key, entry]) => [key, entry.filepath]));
+}
+
+/**
+ * Re-parse fund pages and rewrite the VC output files
+ * Fund metadata (id, name, tier, type) comes from the existing output files.
+ */
+async function reparseFunds() {
+  const archives = await findFundArchives();
+  console.log(`    Found ${archives.size} fund archives`);
+
+  for (const outputFile of FUND_OUTPUT_FILES) {
+    const existing = await readJsonIfExists(outputFile);
+    if (!existing?.data) {
+      console.log(`    Skipping ${outputFile} (not found)`);
+      continue;
+    }
+
+    let reparsed = 0;
+    const data = [];
+    for (const fund of existing.data) {
+      const filepath = archives.get(fund.key);
+      if (!filepath) {
+        data.push(fund);
+        continue;
+      }
+
+      const { result: { links, profile }, scrapedAt } = await reparseArchive(
+        filepath,
+        fund.url || fundPageUrl(fund.key),
+        doc => ({
+          links: extractSocialLinksFromDocument(doc),
+          profile: processFundProfile(extractFundProfileFromDocument(doc))
+        })
+      );
+      const error = hasAnyLinks(links) ? null : 'No social links found';
+      data.push(buildFundRecord(fund, { ...links, profile, error }, scrapedAt));
+      reparsed++;
+    }
+
+    const output = {
+      metadata: {
+        ...existing.metadata,
+        generatedAt: new Date().toISOString(),
+        totalFunds: data.length,
+        successfulScrapes: data.filter(f => !f.error).length,
+        failedScrapes: data.filter(f => f.error).length,
+        reparsed: true,
+        reparsedFunds: reparsed
+      },
+      data
+    };
+
+    await writeValidatedOutput(outputFile, output);
+    console.log(`    ${outputFile}: re-parsed ${reparsed}/${data.length} funds`);
+  }
+}
+
+/**
+ * Re-parse funding rounds pages and rewrite funding-rounds.json
+ */
+async function reparseRounds() {
+  const pages = (await listArchives(ROUNDS_SCREENSHOTS_DIR))
+    .map(name => ({ name, match: name.match(ROUNDS_ARCHIVE_PATTERN) }))
+    .filter(entry => entry.match)
+    .map(entry => ({ name: entry.name, pageNumber: parseInt(entry.match[1], 10) }))
+    .sort((a, b) => a.pageNumber - b.pageNumber);
+
+  console.log(`    Found ${pages.length} funding rounds page archives`);
+  if (pages.length === 0) {
+    return;
+  }
+
+  const existing = await readJsonIfExists(ROUNDS_OUTPUT_FILE);
+  const data = [];
+
+  for (const { name, pageNumber } of pages) {
+    const { result: rows, scrapedAt } = await reparseArchive(
+      path.join(ROUNDS_SCREENSHOTS_DIR, name),
+      fundingRoundsPageUrl(pageNumber),
+      extractRowDataFromDocument
+    );
+    data.push(...processRowData(rows, scrapedAt));
+  }
+
+  const output = {
+    metadata: {
+      generatedAt: new Date().toISOString(),
+      source: 'cryptorank.io/funding-rounds',
+      totalRounds: data.length,
+      limit: existing?.metadata?.limit ?? null,
+      pagesScraped: pages.length,
+      partial: false,
+      reparsed: true,
+      durationMs: 0
+    },
+    data
+  };
+
+  await writeValidatedOutput(ROUNDS_OUTPUT_FILE, output);
+  console.log(`    ${ROUNDS_OUTPUT_FILE}: ${data.length} rounds from ${pages.length} pages`);
+}
+
+/**
+ * Re-parse project pages and rewrite funding-rounds-detailed.json
+ * Projects without an archive keep the details from the previous detailed output.
+ */
+async function reparseProjects() {
+  const fundingData = await readJsonIfExists(ROUNDS_OUTPUT_FILE);
+  if (!fundingData?.data) {
+    console.log(`    Skipping projects (${ROUNDS_OUTPUT_FILE} not found)`);
+    return;
+  }
+
+  // Previous details act as a fallback for projects that were never archived
+  const previous = await readJsonIfExists(DETAILED_OUTPUT_FILE);
+  const projectDetails = {};
+  for (const round of previous?.data || []) {
+    if (round.projectKey && round.details && !round.detailsError) {
+      projectDetails[round.projectKey] = { details: round.details, error: null };
+    }
+  }
+
+  const projectKeys = [...new Set(fundingData.data.map(r => r.projectKey).filter(Boolean))];
+  let reparsed = 0;
+
+  for (const projectKey of projectKeys) {
+    const filepath = path.join(PROJECTS_SCREENSHOTS_DIR, `${projectKey}${HTML_ARCHIVE_EXT}`);
+    if (!existsSync(filepath)) continue;
+
+    const { result: rawDetails, scrapedAt } = await reparseArchive(
+      filepath,
+      projectPageUrl(projectKey),
+      extractDetailsFromDocument
+    );
+    projectDetails[projectKey] = { details: processDetails(rawDetails, scrapedAt), error: null };
+    reparsed++;
+  }
+
+  console.log(`    Re-parsed ${reparsed}/${projectKeys.length} project archives`);
+
+  const enrichedData = fundingData.data.map(round => {
+    const details = projectDetails[round.projectKey] || null;
+    return {
+      ...round,
+      details: details?.details || null,
+      detailsError: details?.error || null
+    };
+  });
+
+  const successful = projectKeys.filter(key => projectDetails[key]).length;
+  const output = {
+    metadata: {
+      generatedAt: new Date().toISOString(),
+      source: 'cryptorank.io/ico',
+      totalProjects: projectKeys.length,
+      successful,
+      failed: projectKeys.length - successful,
+      partial: false,
+      reparsed: true,
+      durationMs: 0
+    },
+    data: enrichedData
+  };
+
+  await writeValidatedOutput(DETAILED_OUTPUT_FILE, output);
+  console.log(`    Output saved to: ${DETAILED_OUTPUT_FILE}`);
+}
+
+/**
+ * Main execution function
+ */
+async function main() {
+  const { funds, rounds, projects } = parseArgs();
+
+  console.log('');
+  console.log('============================================');
+  console.log('  CryptoRank Offline Re-parse');
+  console.log('============================================');
+  console.log('');
+
+  if (funds) {
+    console.log('[1] Re-parsing fund pages...');
+    await reparseFunds();
+    console.log('');
+  }
+
+  if (rounds) {
+    console.log('[2] Re-parsing funding rounds pages...');
+    await reparseRounds();
+    console.log('');
+  }
+
+  if (projects) {
+    console.log('[3] Re-parsing project pages...');
+    await reparseProjects();
+    console.log('');
+  }
+
+  console.log('============================================');
+  console.log('  Done!');
+  console.log('============================================');
+  console.log('');
+}
+
+// Run the main function
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
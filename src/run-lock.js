@@ -0,0 +1,272 @@
+/**
+ * Run Lock
+ * A lockfile that keeps two scraper runs from writing the outputs at the same time.
+ *
+ * The lock file holds { pid, hostname, command, token, startedAt, heartbeatAt } and is
+ * hard-linked into place from a complete temp file, so only one process can take it and
+ * nobody reads a half-written lock. The holder refreshes heartbeatAt every
+ * HEARTBEAT_INTERVAL_MS. A lock is stale (and is taken over) when its heartbeat is older
+ * than STALE_AFTER_MS or, on the same host, its process no longer exists. A stale lock is
+ * renamed aside and checked before the new one is linked, so two processes replacing the
+ * same stale lock cannot both end up holding it. A holder that finds its lock taken over
+ * stops its run (by default it sends itself SIGTERM) instead of writing next to the new holder.
+ *
+ * Child processes of a lock holder (e.g. the steps started by locked.js) get the token in
+ * SCRAPER_LOCK_TOKEN and run under the parent's lock instead of taking their own.
+ */
+
+import { link, readFile, writeFile, rename, rm } from 'fs/promises';
+import { existsSync, mkdirSync, readFileSync, unlinkSync } from 'fs';
+import { randomUUID } from 'crypto';
+import os from 'os';
+import path from 'path';
+import { writeFileAtomic } from './atomic-write.js';
+import { getConfig, outputPath } from './config.js';
+
+export const LOCK_FILE = getConfig().lock.file || outputPath('run.lock');
+export const LOCK_TOKEN_ENV = 'SCRAPER_LOCK_TOKEN';
+const HEARTBEAT_INTERVAL_MS = 15000;
+const STALE_AFTER_MS = 2 * 60 * 1000;
+
+/**
+ * Read the current lock, if any
+ * @param {string} lockFile - Lock path
+ * @returns {Promise<object|null>} - Lock contents, {} for an unreadable lock, null if there is none
+ */
+export async function readLock(lockFile = LOCK_FILE) {
+  if (!existsSync(lockFile)) {
+    return null;
+  }
+  try {
+    return JSON.parse(await readFile(lockFile, 'utf-8'));
+  } catch (error) {
+    // A lock that cannot be read is treated as stale by isStale()
+    return {};
+  }
+}
+
+/**
+ * Whether a process id exists on this machine
+ * @param {number} pid - Process id
+ * @returns {boolean}
+ */
+function processExists(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Whether a lock is stale and may be taken over
+ * @param {object} lock - Lock contents
+ * @param {number} now - Current time in ms
+ * @returns {boolean}
+ */
+export function isStale(lock, now = Date.now()) {
+  const heartbeat = Date.parse(lock.heartbeatAt);
+  if (isNaN(heartbeat) || now - heartbeat > STALE_AFTER_MS) {
+    return true;
+  }
+  return lock.hostname === os.hostname() && Number.isInteger(lock.pid) && !processExists(lock.pid);
+}
+
+/**
+ * Describe a lock for log and error messages
+ * @param {object} lock - Lock contents
+ * @returns {string}
+ */
+export function describeLock(lock) {
+  return `${lock.command || 'unknown command'} (pid ${lock.pid ?? '?'} on ${lock.hostname || '?'}, ` +
+    `started ${lock.startedAt || '?'}, heartbeat ${lock.heartbeatAt || '?'})`;
+}
+
+/**
+ * RunLock class - holds the lockfile for the lifetime of a run
+ */
+export class RunLock {
+  /**
+   * @param {object} options
+   * @param {string} options.command - Name of the run, shown to processes that find the lock taken
+   * @param {string} options.lockFile - Lock path (default: LOCK_FILE)
+   * @param {Function} options.onLost - Called when the lock was taken over (default: SIGTERM to this process)
+   */
+  constructor(options = {}) {
+    this.command = options.command || path.basename(process.argv[1] || 'node');
+    this.lockFile = options.lockFile || LOCK_FILE;
+    this.onLost = options.onLost || (() => process.kill(process.pid, 'SIGTERM'));
+    this.token = randomUUID();
+    this.startedAt = null;
+    this.heartbeat = null;
+    this.held = false;
+    this.onExit = () => this.release();
+  }
+
+  /**
+   * Current lock contents for this process
+   * @returns {object}
+   */
+  contents() {
+    return {
+      pid: process.pid,
+      hostname: os.hostname(),
+      command: this.command,
+      token: this.token,
+      startedAt: this.startedAt,
+      heartbeatAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Take the lock, replacing a stale one
+   * @returns {Promise<object|null>} - The stale lock that was replaced, if any
+   * @throws {Error} - When another live run holds the lock
+   */
+  async acquire() {
+    mkdirSync(path.dirname(this.lockFile), { recursive: true });
+    this.startedAt = new Date().toISOString();
+    const tempFile = `${this.lockFile}.${this.token}.tmp`;
+    let replaced = null;
+
+    await writeFile(tempFile, JSON.stringify(this.contents(), null, 2));
+    try {
+      for (let attempt = 0; attempt < 2 && !this.held; attempt++) {
+        try {
+          // link() fails with EEXIST if the lock exists, which makes taking it atomic
+          await link(tempFile, this.lockFile);
+          this.held = true;
+          break;
+        } catch (error) {
+          if (error.code !== 'EEXIST') {
+            throw error;
+          }
+        }
+
+        const current = await readLock(this.lockFile);
+        if (current && !isStale(current)) {
+          throw new Error(`Another run holds ${this.lockFile}: ${describeLock(current)}`);
+        }
+        if (current) {
+          await this.moveAsideStale(current);
+        }
+        replaced = current;
+      }
+    } finally {
+      await rm(tempFile, { force: true });
+    }
+
+    if (!this.held) {
+      throw new Error(`Could not take ${this.lockFile}: another run took it at the same time`);
+    }
+
+    this.heartbeat = setInterval(() => {
+      this.beat().catch(error => {
+        console.log(`    WARNING: Lock heartbeat failed - ${error.message}`);
+      });
+    }, HEARTBEAT_INTERVAL_MS);
+    this.heartbeat.unref();
+    process.on('exit', this.onExit);
+    return replaced;
+  }
+
+  /**
+   * Remove a stale lock by renaming it aside, then check that it is the lock that was judged stale
+   * Another process replacing the same stale lock may have put its own lock in place since it was
+   * read; that lock is linked back and the other run keeps it.
+   * @param {object} stale - Lock contents read before
+   * @throws {Error} - When the lock turned out to be another run's fresh lock
+   */
+  async moveAsideStale(stale) {
+    const asideFile = `${this.lockFile}.${this.token}.stale`;
+    try {
+      await rename(this.lockFile, asideFile);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        // Someone else removed it first, the next link() decides
+        return;
+      }
+      throw error;
+    }
+
+    try {
+      const moved = await readLock(asideFile);
+      if (moved?.token === stale.token) {
+        return;
+      }
+      try {
+        await link(asideFile, this.lockFile);
+      } catch (error) {
+        // Ignore EEXIST: a third run took the lock in between, the owner finds out on its next heartbeat
+      }
+      throw new Error(`Another run holds ${this.lockFile}: ${describeLock(moved || {})}`);
+    } finally {
+      await rm(asideFile, { force: true });
+    }
+  }
+
+  /**
+   * Refresh the heartbeat, unless the lock was taken over in the meantime
+   * A lost lock stops the run (onLost), as another run is writing the outputs now.
+   */
+  async beat() {
+    const current = await readLock(this.lockFile);
+    if (current?.token !== this.token) {
+      clearInterval(this.heartbeat);
+      this.held = false;
+      console.error(`    ERROR: Lost ${this.lockFile} to ${current ? describeLock(current) : 'nobody (file removed)'}, stopping`);
+      this.onLost();
+      return;
+    }
+    await writeFileAtomic(this.lockFile, JSON.stringify(this.contents(), null, 2));
+  }
+
+  /**
+   * Release the lock: remove the lock file if this process still owns it
+   * Synchronous, so it also runs from the process 'exit' event.
+   */
+  release() {
+    clearInterval(this.heartbeat);
+    process.removeListener('exit', this.onExit);
+    if (!this.held) {
+      return;
+    }
+    this.held = false;
+    try {
+      const current = JSON.parse(readFileSync(this.lockFile, 'utf-8'));
+      if (current.token === this.token) {
+        unlinkSync(this.lockFile);
+      }
+    } catch (error) {
+      // Ignore missing or unreadable lock files
+    }
+  }
+}
+
+/**
+ * Take the run lock for an entry point
+ * Returns null without locking when the process runs under a parent that holds the lock.
+ * The lock is released when the process exits.
+ * @param {string} command - Name of the run
+ * @param {object} options - { onLost } (see RunLock)
+ * @returns {Promise<RunLock|null>}
+ * @throws {Error} - When another live run holds the lock
+ */
+export async function acquireRunLock(command, options = {}) {
+  const inheritedToken = process.env[LOCK_TOKEN_ENV];
+  if (inheritedToken) {
+    const current = await readLock();
+    if (current?.token === inheritedToken && !isStale(current)) {
+      return null;
+    }
+  }
+
+  const lock = new RunLock({ command, onLost: options.onLost });
+  const replaced = await lock.acquire();
+  if (replaced) {
+    console.log(`    Replaced stale lock of ${describeLock(replaced)}`);
+  }
+  return lock;
+}
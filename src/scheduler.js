@@ -0,0 +1,435 @@
+/**
+ * Scheduler Daemon
+ *
+ * Keeps running and starts pipeline steps (see pipeline.js) on their own cron schedules:
+ * 1. Loads schedule.json (schedule.file setting; see schedule.example.json). Steps missing from
+ *    the file use DEFAULT_CRON, steps set to null are not scheduled
+ * 2. Catches up on start: every step with a run time missed while the daemon was down
+ *    runs once (a step that never ran counts as missed, so a fresh volume gets a full scrape)
+ * 3. Every minute, runs the steps that are due together as one pipeline run
+ *    (only those steps; the rest of the pipeline keeps its current outputs)
+ * 4. A step that comes due while a run is still going skips that tick
+ * 5. A step whose dependency is scheduled separately only runs if that dependency's last
+ *    scheduled run succeeded (pipeline.js counts steps outside a run as satisfied)
+ *
+ * The last run time of every step is kept in output/scheduler-state.json.
+ * SIGTERM/SIGINT stop the running step, save the state and exit; steps of an interrupted
+ * run count as missed and run again on the next start.
+ *
+ * Times are local (set TZ to change the time zone).
+ *
+ * Usage:
+ *   node src/scheduler.js                             # Run the daemon
+ *   node src/scheduler.js --next                      # Print the schedule and the next run times
+ *   node src/scheduler.js --no-catch-up               # Skip runs missed while stopped
+ *   node src/scheduler.js --config ./my-schedule.json
+ */
+
+import { readFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { parseCron, nextRun, runsBetween } from './cron.js';
+import { runPipeline, STEPS } from './pipeline.js';
+import { writeFileAtomic } from './atomic-write.js';
+import { getConfig, outputPath } from './config.js';
+
+export const STATE_FILE = outputPath('scheduler-state.json');
+// Every step every 4 hours, like the former crontab
+export const DEFAULT_CRON = '0 */4 * * *';
+// Ticks start this long after the minute, so the clock has passed the run time
+const TICK_OFFSET_MS = 100;
+
+/**
+ * Log a line with a timestamp (the daemon's output is a long-running log)
+ * @param {string} message - Message
+ */
+function log(message) {
+  console.log(`[${new Date().toISOString()}] ${message}`);
+}
+
+/**
+ * Load the schedule
+ * @param {string} configFile - Path to the config file
+ * @returns {Promise<object>} - { configFile, catchUp, steps: [{ name, cron, schedule }] } in pipeline order
+ * @throws {Error} - On unreadable config, unknown step names or invalid cron expressions
+ */
+export async function loadSchedule(configFile = getConfig().schedule.file) {
+  let config = {};
+  if (existsSync(configFile)) {
+    try {
+      config = JSON.parse(await readFile(configFile, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Invalid schedule config ${configFile}: ${error.message}`);
+    }
+  }
+
+  const configured = config.steps || {};
+  const names = STEPS.map(step => step.name);
+  const unknown = Object.keys(configured).filter(name => !names.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown step(s) ${unknown.join(', ')} in ${configFile} (steps: ${names.join(', ')})`);
+  }
+
+  const steps = [];
+  for (const name of names) {
+    const cron = name in configured ? configured[name] : DEFAULT_CRON;
+    if (cron === null) continue;
+
+    let schedule;
+    try {
+      schedule = parseCron(cron);
+      nextRun(schedule, new Date());
+    } catch (error) {
+      throw new Error(`Step ${name} in ${configFile}: ${error.message}`);
+    }
+    steps.push({ name, cron: schedule.expression, schedule });
+  }
+
+  return { configFile, catchUp: config.catchUp !== false, steps };
+}
+
+/**
+ * Scheduler class - starts pipeline runs when steps come due
+ */
+export class Scheduler {
+  /**
+   * @param {object} options
+   * @param {Array} options.steps - Scheduled steps from loadSchedule()
+   * @param {boolean} options.catchUp - Run steps missed while stopped (default: true)
+   * @param {string} options.stateFile - State path (default: STATE_FILE)
+   */
+  constructor(options = {}) {
+    this.steps = options.steps || [];
+    this.catchUp = options.catchUp !== false;
+    this.stateFile = options.stateFile || STATE_FILE;
+    this.state = { updatedAt: null, steps: {} };
+    this.timer = null;
+    this.running = null;
+    this.runningSteps = [];
+    this.stopping = false;
+  }
+
+  /**
+   * State entry of a step
+   * @param {string} name - Step name
+   * @returns {object} - { lastScheduledAt, lastRunId, lastStatus, lastReason, lastFinishedAt, lastSkippedAt }
+   */
+  stepState(name) {
+    if (!this.state.steps[name]) {
+      this.state.steps[name] = {
+        lastScheduledAt: null,
+        lastRunId: null,
+        lastStatus: null,
+        lastReason: null,
+        lastFinishedAt: null,
+        lastSkippedAt: null
+      };
+    }
+    return this.state.steps[name];
+  }
+
+  /**
+   * Load the state file
+   */
+  async loadState() {
+    if (!existsSync(this.stateFile)) {
+      return;
+    }
+    try {
+      const state = JSON.parse(await readFile(this.stateFile, 'utf-8'));
+      this.state = { updatedAt: state.updatedAt || null, steps: state.steps || {} };
+    } catch (error) {
+      log(`WARNING: Could not read ${this.stateFile} (${error.message}), starting without state`);
+    }
+  }
+
+  /**
+   * Save the state file
+   */
+  async saveState() {
+    this.state.updatedAt = new Date().toISOString();
+    await mkdir(path.dirname(this.stateFile), { recursive: true });
+    await writeFileAtomic(this.stateFile, JSON.stringify(this.state, null, 2));
+  }
+
+  /**
+   * Steps whose run time has come
+   * @param {Date} now - Current time
+   * @returns {Array} - [{ name, scheduledAt, missed, previousScheduledAt }]
+   */
+  dueSteps(now) {
+    const due = [];
+    for (const step of this.steps) {
+      const entry = this.stepState(step.name);
+      if (!entry.lastScheduledAt) {
+        due.push({ name: step.name, scheduledAt: now, missed: 1, previousScheduledAt: null });
+        continue;
+      }
+      const { count, last } = runsBetween(step.schedule, new Date(entry.lastScheduledAt), now);
+      if (count > 0) {
+        due.push({ name: step.name, scheduledAt: last, missed: count, previousScheduledAt: entry.lastScheduledAt });
+      }
+    }
+    return due;
+  }
+
+  /**
+   * Due steps whose dependencies outside the run did not succeed on their last scheduled run
+   * Dependencies in the same run are checked by the pipeline; unscheduled ones count as satisfied.
+   * @param {Array} due - Result of dueSteps() (in pipeline order)
+   * @returns {Map<string, string>} - Step name -> reason
+   */
+  blockedSteps(due) {
+    const names = due.map(item => item.name);
+    const scheduled = this.steps.map(step => step.name);
+    const blocked = new Map();
+
+    for (const name of names) {
+      const step = STEPS.find(candidate => candidate.name === name);
+      for (const dependency of step.dependsOn) {
+        if (blocked.has(dependency)) {
+          blocked.set(name, `dependency ${dependency} skipped`);
+          break;
+        }
+        if (names.includes(dependency) || !scheduled.includes(dependency)) continue;
+        const status = this.stepState(dependency).lastStatus;
+        if (status !== 'succeeded') {
+          blocked.set(name, `dependency ${dependency} ${status ? `last ${status}` : 'has not run yet'}`);
+          break;
+        }
+      }
+    }
+    return blocked;
+  }
+
+  /**
+   * Start the daemon: catch up on missed runs, then tick every minute
+   */
+  async start() {
+    await this.loadState();
+    const now = new Date();
+
+    if (this.catchUp) {
+      const missed = this.dueSteps(now);
+      if (missed.length > 0) {
+        const summary = missed.map(item =>
+          item.previousScheduledAt ? `${item.name} (${item.missed} missed)` : `${item.name} (never run)`
+        ).join(', ');
+        log(`Catching up: ${summary}`);
+        await this.tick('catch-up', now);
+      }
+    } else {
+      for (const step of this.steps) {
+        this.stepState(step.name).lastScheduledAt = now.toISOString();
+      }
+      await this.saveState();
+    }
+
+    this.scheduleTick();
+  }
+
+  /**
+   * Wait for the start of the next minute, then tick
+   */
+  scheduleTick() {
+    if (this.stopping) return;
+    const wait = 60000 - (Date.now() % 60000) + TICK_OFFSET_MS;
+    this.timer = setTimeout(() => {
+      this.tick('schedule')
+        .catch(error => log(`ERROR: Tick failed - ${error.message}`))
+        .finally(() => this.scheduleTick());
+    }, wait);
+  }
+
+  /**
+   * Start a run of the due steps, or skip them while a run is still going
+   * @param {string} trigger - 'schedule' or 'catch-up' (recorded in the run manifest)
+   * @param {Date} now - Current time
+   */
+  async tick(trigger, now = new Date()) {
+    if (this.stopping) return;
+    const due = this.dueSteps(now);
+    if (due.length === 0) return;
+
+    for (const item of due) {
+      this.stepState(item.name).lastScheduledAt = item.scheduledAt.toISOString();
+    }
+
+    if (this.running) {
+      for (const item of due) {
+        this.stepState(item.name).lastSkippedAt = now.toISOString();
+      }
+      log(`Skipping ${due.map(item => item.name).join(', ')}: previous run (${this.runningSteps.join(', ')}) still going`);
+      await this.saveState();
+      return;
+    }
+
+    await this.saveState();
+    this.runningSteps = due.map(item => item.name);
+    this.running = this.run(due, trigger).catch(error => {
+      log(`ERROR: Run failed - ${error.message}`);
+    }).finally(() => {
+      this.running = null;
+      this.runningSteps = [];
+    });
+  }
+
+  /**
+   * Run due steps as one pipeline run and record the outcome
+   * Steps blocked by a dependency (see blockedSteps()) are skipped and recorded as such.
+   * @param {Array} due - Result of dueSteps()
+   * @param {string} trigger - What started the run
+   */
+  async run(due, trigger) {
+    const blocked = this.blockedSteps(due);
+    for (const [name, reason] of blocked) {
+      Object.assign(this.stepState(name), { lastStatus: 'skipped', lastReason: reason, lastSkippedAt: new Date().toISOString() });
+      log(`Skipping ${name}: ${reason}`);
+    }
+    const runnable = due.filter(item => !blocked.has(item.name));
+    if (runnable.length === 0) {
+      await this.saveState();
+      return;
+    }
+
+    const names = runnable.map(item => item.name);
+    log(`Starting ${trigger} run: ${names.join(', ')}`);
+
+    let manifest;
+    try {
+      manifest = await runPipeline({ only: names, trigger });
+    } catch (error) {
+      // Usually the run lock: a run started by hand is still going
+      log(`Run not started: ${error.message}`);
+      for (const item of runnable) {
+        Object.assign(this.stepState(item.name), {
+          lastStatus: 'not-started',
+          lastReason: error.message,
+          lastSkippedAt: new Date().toISOString(),
+          // Run again on the next tick instead of waiting for the next run time
+          lastScheduledAt: item.previousScheduledAt
+        });
+      }
+      await this.saveState();
+      return;
+    }
+
+    for (const item of runnable) {
+      const entry = this.stepState(item.name);
+      const step = manifest.steps.find(candidate => candidate.name === item.name);
+      entry.lastRunId = manifest.runId;
+      entry.lastStatus = step.status;
+      entry.lastReason = step.reason || null;
+      entry.lastFinishedAt = manifest.finishedAt;
+      // Retry steps of an interrupted run on the next start (catch-up)
+      if (manifest.status === 'interrupted' && step.status !== 'succeeded') {
+        entry.lastScheduledAt = item.previousScheduledAt;
+      }
+    }
+    await this.saveState();
+    log(`Run ${manifest.runId} ${manifest.status} (manifest: ${manifest.manifestFile})`);
+  }
+
+  /**
+   * Stop the daemon: no new runs, wait for the current run to stop, save the state
+   * The pipeline stops its running step on the same signal.
+   * @param {string} signal - Signal that stopped the daemon
+   */
+  async stop(signal) {
+    if (this.stopping) return;
+    this.stopping = true;
+    clearTimeout(this.timer);
+
+    log(`Received ${signal}, shutting down`);
+    if (this.running) {
+      log(`Waiting for the running step of ${this.runningSteps.join(', ')} to stop...`);
+      await this.running;
+    }
+    await this.saveState();
+    log('Scheduler stopped');
+  }
+}
+
+/**
+ * Parse command line arguments
+ * @returns {object} - { configFile, catchUp, next }
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  let configFile;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--config' && args[i + 1]) {
+      configFile = args[i + 1];
+      i++; // Skip next arg
+    }
+  }
+
+  return {
+    configFile,
+    catchUp: !args.includes('--no-catch-up'),
+    next: args.includes('--next')
+  };
+}
+
+/**
+ * Main execution function
+ */
+async function main() {
+  const options = parseArgs();
+
+  console.log('');
+  console.log('============================================');
+  console.log('  CryptoRank Scheduler');
+  console.log('============================================');
+
+  let config;
+  try {
+    config = await loadSchedule(options.configFile);
+  } catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    process.exit(1);
+  }
+
+  const catchUp = config.catchUp && options.catchUp;
+  console.log(`  Schedule: ${existsSync(config.configFile) ? config.configFile : `default (${DEFAULT_CRON})`}`);
+  console.log(`  Catch-up: ${catchUp ? 'on' : 'off'}`);
+  console.log('');
+
+  const now = new Date();
+  for (const step of config.steps) {
+    console.log(`  ${step.name.padEnd(20)} ${step.cron.padEnd(16)} next ${nextRun(step.schedule, now).toISOString()}`);
+  }
+  console.log('');
+
+  if (options.next) {
+    return;
+  }
+  if (config.steps.length === 0) {
+    console.error('ERROR: No steps scheduled');
+    process.exit(1);
+  }
+
+  const scheduler = new Scheduler({ steps: config.steps, catchUp });
+  const shutdown = signal => {
+    scheduler.stop(signal)
+      .then(() => process.exit(0))
+      .catch(error => {
+        console.error('Fatal error:', error);
+        process.exit(1);
+      });
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  await scheduler.start();
+}
+
+// Run the main function only when executed directly (not when imported)
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
+}
@@ -1,19 +1,24 @@
 /**
  * Fund Page Scraper
- * Uses Puppeteer to scrape social links from CryptoRank fund pages
+ * Uses Puppeteer to scrape social links and profile details from CryptoRank fund pages
  */
 
-import puppeteer from 'puppeteer-core';
 import { mkdir } from 'fs/promises';
 import { existsSync } from 'fs';
 import path from 'path';
-
-const BROWSERLESS_URL = 'wss://browserless.tiexo.com/';
-const CRYPTORANK_FUND_URL = 'https://cryptorank.io/funds/';
-const MAX_RETRIES = 3;
-const RETRY_DELAY_MS = 2000;
-const SELECTOR_TIMEOUT_MS = 15000;
-const SCREENSHOTS_DIR = './screenshots';
+import { resolveBrowserOptions, describeBrowser, openBrowser } from './browser-provider.js';
+import { PagePool } from './page-pool.js';
+import { saveHtmlArchive, archivePathFor } from './html-archive.js';
+import { fundPageUrl, fundInvestmentsPageUrl } from './endpoints.js';
+import { parseRaiseAmount, parseDateToISO } from './funding-rounds-scraper.js';
+import { getConfig, screenshotsPath } from './config.js';
+
+const config = getConfig();
+const MAX_RETRIES = config.scraper.maxRetries;
+const MAX_INVESTMENT_PAGES = config.funds.maxInvestmentPages;
+const RETRY_DELAY_MS = config.scraper.retryDelayMs;
+const SELECTOR_TIMEOUT_MS = config.scraper.selectorTimeoutMs;
+const SCREENSHOTS_DIR = screenshotsPath();
 
 // Realistic user agent to avoid bot detection
 const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
@@ -72,18 +77,439 @@ function categorizeLink(href) {
   return null;
 }
 
+/**
+ * Extract all social links from a fund page document
+ * Runs inside the browser via page.evaluate (where `doc` defaults to the page's
+ * document) and offline against archived HTML.
+ * @param {object} doc - DOM document
+ * @returns {object} - { website, twitter, telegram, discord, linkedin, etc. }
+ */
+export function extractSocialLinksFromDocument(doc = document) {
+  const links = doc.querySelectorAll('a[class*="coin_social_link_item"]');
+  const result = {
+    website: null,
+    twitter: null,
+    telegram: null,
+    discord: null,
+    medium: null,
+    linkedin: null,
+    github: null,
+    youtube: null,
+    facebook: null,
+    instagram: null,
+    reddit: null
+  };
+
+  for (const link of links) {
+    const href = link.getAttribute('href');
+    if (!href) continue;
+
+    const lowerHref = href.toLowerCase();
+
+    // Skip CryptoRank's own accounts
+    if (lowerHref.includes('cryptorank')) continue;
+
+    // Categorize the link
+    if (lowerHref.includes('twitter.com/') || lowerHref.includes('x.com/')) {
+      result.twitter = href;
+    } else if (lowerHref.includes('t.me/') || lowerHref.includes('telegram.')) {
+      result.telegram = href;
+    } else if (lowerHref.includes('discord.gg/') || lowerHref.includes('discord.com/')) {
+      result.discord = href;
+    } else if (lowerHref.includes('medium.com/') || lowerHref.includes('medium.com/@')) {
+      result.medium = href;
+    } else if (lowerHref.includes('linkedin.com/')) {
+      result.linkedin = href;
+    } else if (lowerHref.includes('github.com/')) {
+      result.github = href;
+    } else if (lowerHref.includes('youtube.com/') || lowerHref.includes('youtu.be/')) {
+      result.youtube = href;
+    } else if (lowerHref.includes('facebook.com/')) {
+      result.facebook = href;
+    } else if (lowerHref.includes('instagram.com/')) {
+      result.instagram = href;
+    } else if (lowerHref.includes('reddit.com/')) {
+      result.reddit = href;
+    } else {
+      // It's a website
+      result.website = href;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Extract the fund profile (description, location, stats, preferences) from a fund page document
+ * Runs inside the browser via page.evaluate (where `doc` defaults to the page's
+ * document) and offline against archived HTML. Values are returned as shown on the page.
+ * @param {object} doc - DOM document
+ * @returns {object} - Raw profile object
+ */
+export function extractFundProfileFromDocument(doc = document) {
+  const profile = {
+    description: null,
+    headquarters: null,
+    founded: null,
+    investments: null,
+    leadInvestments: null,
+    portfolioSize: null,
+    preferredStages: [],
+    preferredCategories: []
+  };
+
+  // Find the element holding a label such as "Investments" or "Headquarters"
+  const labelElements = Array.from(doc.querySelectorAll('dt, th, h3, h4, h5, span, div, p, li'));
+  const findLabel = (pattern) => {
+    for (const el of labelElements) {
+      const text = el.textContent?.trim().replace(/:$/, '') || '';
+      if (text.length < 40 && pattern.test(text)) {
+        return el;
+      }
+    }
+    return null;
+  };
+
+  // The value sits in the label's next sibling, or in the sibling of its wrapper
+  const valueElement = (pattern) => {
+    const label = findLabel(pattern);
+    if (!label) return null;
+    return label.nextElementSibling || label.parentElement?.nextElementSibling || null;
+  };
+
+  const valueText = (pattern) => {
+    const text = valueElement(pattern)?.textContent?.trim();
+    return text && text !== '-' && text !== 'N/A' ? text : null;
+  };
+
+  // Tag lists are rendered as links/chips; fall back to a comma-separated value
+  const valueList = (pattern) => {
+    const el = valueElement(pattern);
+    if (!el) return [];
+    const items = Array.from(el.querySelectorAll('a, span, li'))
+      .filter(item => item.children.length === 0)
+      .map(item => item.textContent?.trim())
+      .filter(text => text && text.length < 40);
+    if (items.length > 0) {
+      return [...new Set(items)];
+    }
+    return (el.textContent || '').split(',').map(item => item.trim()).filter(Boolean);
+  };
+
+  profile.headquarters = valueText(/^(headquarters|location|hq|based in|country)$/i);
+  profile.founded = valueText(/^(founded|year founded|founding year|established)$/i);
+  profile.investments = valueText(/^(investments|total investments|number of investments)$/i);
+  profile.leadInvestments = valueText(/^(lead investments|leads|times led)$/i);
+  profile.portfolioSize = valueText(/^(portfolio|portfolio size|portfolio projects|portfolio companies)$/i);
+  profile.preferredStages = valueList(/^(preferred stages|investment stages|stages)$/i);
+  profile.preferredCategories = valueList(/^(preferred categories|top categories|focus areas|categories)$/i);
+
+  // Description - a dedicated block if present, otherwise the first substantial paragraph
+  const descriptionBlock = doc.querySelector('[class*="description"], [class*="about"]');
+  const candidates = descriptionBlock ? [descriptionBlock] : Array.from(doc.querySelectorAll('p'));
+  for (const el of candidates) {
+    const text = el.textContent?.trim();
+    if (!text || text.length < 60 || text.length > 3000) continue;
+
+    const textLower = text.toLowerCase();
+    if (textLower.includes('privacy policy') ||
+        textLower.includes('cookie') ||
+        textLower.includes('using our site')) continue;
+
+    profile.description = text;
+    break;
+  }
+
+  return profile;
+}
+
+/**
+ * Parse a count such as "1,234" or "1.2K" to a number
+ * @param {string} countStr - Count string
+ * @returns {number|null} - Parsed number or null
+ */
+function parseCount(countStr) {
+  if (!countStr) {
+    return null;
+  }
+
+  const match = countStr.replace(/[,\s]/g, '').toUpperCase().match(/([\d.]+)([KM])?/);
+  if (!match) {
+    return null;
+  }
+
+  const num = parseFloat(match[1]);
+  if (isNaN(num)) {
+    return null;
+  }
+  if (match[2] === 'K') {
+    return Math.round(num * 1000);
+  }
+  if (match[2] === 'M') {
+    return Math.round(num * 1000000);
+  }
+  return num;
+}
+
+/**
+ * Convert a raw fund profile into numbers and arrays
+ * @param {object} rawProfile - Profile returned by extractFundProfileFromDocument
+ * @returns {object} - { description, headquarters, foundedYear, investmentsCount,
+ *   leadInvestmentsCount, portfolioSize, preferredStages, preferredCategories }
+ */
+export function processFundProfile(rawProfile) {
+  const foundedMatch = rawProfile?.founded?.match(/\b(19|20)\d{2}\b/);
+
+  return {
+    description: rawProfile?.description || null,
+    headquarters: rawProfile?.headquarters || null,
+    foundedYear: foundedMatch ? parseInt(foundedMatch[0], 10) : null,
+    investmentsCount: parseCount(rawProfile?.investments),
+    leadInvestmentsCount: parseCount(rawProfile?.leadInvestments),
+    portfolioSize: parseCount(rawProfile?.portfolioSize),
+    preferredStages: rawProfile?.preferredStages || [],
+    preferredCategories: rawProfile?.preferredCategories || []
+  };
+}
+
+/**
+ * Extract one page of a fund's investments list
+ * Runs inside the browser via page.evaluate (where `doc` defaults to the page's
+ * document) and offline against archived HTML.
+ * @param {object} doc - DOM document
+ * @returns {object} - { rows: [{ projectKey, projectName, projectUrl, stage, date, amount, isLead }], totalPages }
+ */
+export function extractFundInvestmentsFromDocument(doc = document) {
+  const rows = [];
+  const origin = doc.location.origin;
+
+  // Columns are mapped by header text, not position
+  const columnPatterns = {
+    project: /project|name|company/i,
+    stage: /stage|round|type/i,
+    date: /date/i,
+    amount: /raised|amount|raise/i,
+    lead: /lead/i
+  };
+
+  for (const table of doc.querySelectorAll('table')) {
+    const headerCells = Array.from(table.querySelectorAll('thead th, thead td'));
+    if (headerCells.length === 0) continue;
+
+    const columns = {};
+    headerCells.forEach((cell, index) => {
+      const label = cell.textContent?.trim() || '';
+      for (const [field, pattern] of Object.entries(columnPatterns)) {
+        if (columns[field] === undefined && pattern.test(label)) {
+          columns[field] = index;
+          break;
+        }
+      }
+    });
+    if (columns.project === undefined) continue;
+
+    for (const row of table.querySelectorAll('tbody tr')) {
+      const cells = row.querySelectorAll('td');
+      const cellText = (field) => {
+        const cell = columns[field] !== undefined ? cells[columns[field]] : null;
+        const text = cell?.textContent?.trim();
+        return text && text !== '-' ? text : null;
+      };
+
+      const projectCell = cells[columns.project];
+      const projectLink = projectCell?.querySelector('a[href*="/ico/"], a[href*="/price/"]');
+      if (!projectLink) continue;
+
+      const href = projectLink.getAttribute('href') || '';
+      const keyMatch = href.match(/\/(?:ico|price)\/([^/?#]+)/);
+      const projectKey = keyMatch ? keyMatch[1] : null;
+
+      // The fund led the round if the lead column says so or the row carries a "Lead" badge
+      const leadText = cellText('lead') || '';
+      const isLead = /\b(lead|yes)\b|✓/i.test(leadText) ||
+        !!row.querySelector('[class*="lead"], [class*="Lead"]');
+
+      rows.push({
+        projectKey,
+        projectName: projectLink.textContent?.trim() || projectKey,
+        projectUrl: projectKey ? `${origin}/ico/${projectKey}` : null,
+        stage: cellText('stage'),
+        date: cellText('date'),
+        amount: cellText('amount'),
+        isLead
+      });
+    }
+  }
+
+  // Highest page number shown in the pagination controls
+  const pageNumbers = Array.from(doc.querySelectorAll('[class*="pagination"] a, [class*="pagination"] button'))
+    .map(el => parseInt(el.textContent?.trim() || '', 10))
+    .filter(n => !isNaN(n));
+  const totalPages = pageNumbers.length > 0 ? Math.max(...pageNumbers) : 1;
+
+  return { rows, totalPages };
+}
+
+/**
+ * Add parsed values to raw investment rows
+ * @param {Array} rows - Rows returned by extractFundInvestmentsFromDocument
+ * @returns {Array} - Rows with dateISO and amountRaw
+ */
+export function processInvestmentRows(rows) {
+  return rows.map(row => ({
+    ...row,
+    dateISO: parseDateToISO(row.date),
+    amountRaw: parseRaiseAmount(row.amount)
+  }));
+}
+
+/**
+ * Build the fund-portfolios.json entry for a fund from its investments
+ * @param {object} fund - Fund from the API ({ id, key, name, tier, type })
+ * @param {object} scrapeResult - Result of scrapeFundInvestments ({ investments, pagesScraped, totalPages, truncated, error })
+ * @param {string} scrapedAt - ISO timestamp of the scrape
+ * @returns {object} - Portfolio record with one entry per project and the full investments list
+ */
+export function buildFundPortfolio(fund, scrapeResult, scrapedAt = new Date().toISOString()) {
+  const investments = scrapeResult.investments || [];
+  const projects = new Map();
+
+  for (const investment of investments) {
+    const id = investment.projectKey || investment.projectName;
+    if (!id) continue;
+
+    if (!projects.has(id)) {
+      projects.set(id, {
+        projectKey: investment.projectKey,
+        projectName: investment.projectName,
+        projectUrl: investment.projectUrl,
+        rounds: 0,
+        led: false,
+        firstInvestmentDate: null,
+        lastInvestmentDate: null
+      });
+    }
+
+    const project = projects.get(id);
+    project.rounds++;
+    project.led = project.led || investment.isLead;
+    if (investment.dateISO) {
+      if (!project.firstInvestmentDate || investment.dateISO < project.firstInvestmentDate) {
+        project.firstInvestmentDate = investment.dateISO;
+      }
+      if (!project.lastInvestmentDate || investment.dateISO > project.lastInvestmentDate) {
+        project.lastInvestmentDate = investment.dateISO;
+      }
+    }
+  }
+
+  return {
+    id: fund.id,
+    key: fund.key,
+    name: fund.name,
+    tier: fund.tier,
+    type: fund.type,
+    url: fundInvestmentsPageUrl(fund.key),
+    totalInvestments: investments.length,
+    leadInvestments: investments.filter(i => i.isLead).length,
+    portfolioSize: projects.size,
+    pagesScraped: scrapeResult.pagesScraped || 0,
+    totalPages: scrapeResult.totalPages || 0,
+    // More pages than funds.maxInvestmentPages: investments and portfolio are incomplete
+    truncated: scrapeResult.truncated || false,
+    scrapedAt,
+    error: scrapeResult.error || null,
+    portfolio: Array.from(projects.values()),
+    investments
+  };
+}
+
+/**
+ * Check if any social links were found
+ * @param {object} links - The extracted links object
+ * @returns {boolean}
+ */
+export function hasAnyLinks(links) {
+  return Object.values(links).some(v => v !== null);
+}
+
+/**
+ * Build the output record for a fund from its API entry and scrape result
+ * @param {object} fund - Fund from the API ({ id, key, name, tier, type })
+ * @param {object} scrapeResult - Result of scrapeFund ({ website, twitter, ..., profile, error })
+ * @param {string} scrapedAt - ISO timestamp of the scrape
+ * @returns {object} - Fund record as stored in tier1-vcs.json
+ */
+export function buildFundRecord(fund, scrapeResult, scrapedAt = new Date().toISOString()) {
+  const { error, website, twitter, profile, ...otherLinks } = scrapeResult;
+
+  // Build other_socials object with only non-null values
+  const otherSocials = {};
+  for (const [key, value] of Object.entries(otherLinks)) {
+    if (value !== null) {
+      otherSocials[key] = value;
+    }
+  }
+
+  const result = {
+    id: fund.id,
+    key: fund.key,
+    name: fund.name,
+    tier: fund.tier,
+    type: fund.type,
+    url: fundPageUrl(fund.key),
+    website: website || null,
+    twitter: twitter || null,
+    profile: profile || null,
+    scrapedAt,
+    error: error || null
+  };
+
+  // Only add other_socials if there are any
+  if (Object.keys(otherSocials).length > 0) {
+    result.other_socials = otherSocials;
+  }
+
+  return result;
+}
+
 /**
  * FundScraper class - manages browser connection and scraping
  */
 export class FundScraper {
   /**
    * @param {object} options
+   * @param {object} options.browser - Browser provider overrides (see resolveBrowserOptions)
    * @param {boolean} options.enableScreenshots - Whether to save screenshots
+   * @param {boolean} options.archiveHtml - Whether to save the rendered HTML next to screenshots
+   * @param {number} options.concurrency - Number of pages scraped in parallel
+   * @param {number} options.requestsPerMinute - Politeness limit shared by all pages
    */
   constructor(options = {}) {
     this.browser = null;
+    this.browserOptions = resolveBrowserOptions(options.browser);
+    this.connecting = null;
     this.enableScreenshots = options.enableScreenshots || false;
+    this.archiveHtml = options.archiveHtml || false;
     this.screenshotsDir = SCREENSHOTS_DIR;
+    this.pool = new PagePool({
+      size: options.concurrency,
+      requestsPerMinute: options.requestsPerMinute,
+      getBrowser: async () => {
+        await this.ensureConnected();
+        return this.browser;
+      },
+      setupPage: async (page) => {
+        // Set user agent to avoid bot detection
+        await page.setUserAgent(USER_AGENT);
+
+        // Set viewport
+        await page.setViewport(VIEWPORT);
+
+        // Set a reasonable timeout
+        page.setDefaultTimeout(30000);
+      }
+    });
   }
 
   /**
@@ -96,14 +522,14 @@ export class FundScraper {
   }
 
   /**
-   * Save a screenshot with a descriptive filename
+   * Save a screenshot (and optionally the rendered HTML) with a descriptive filename
    * @param {object} page - Puppeteer page instance
    * @param {string} fundKey - Fund key for filename
    * @param {string} status - 'success' or 'error'
    * @param {number} attempt - Attempt number (for retries)
    */
   async saveScreenshot(page, fundKey, status, attempt = 1) {
-    if (!this.enableScreenshots) return;
+    if (!this.enableScreenshots && !this.archiveHtml) return;
 
     try {
       const subfolder = status === 'success' ? 'success' : 'failed';
@@ -114,7 +540,12 @@ export class FundScraper {
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
       const filename = `${fundKey}_${status}_attempt${attempt}_${timestamp}.png`;
       const filepath = path.join(targetDir, filename);
-      await page.screenshot({ path: filepath, fullPage: true });
+      if (this.archiveHtml) {
+        await saveHtmlArchive(page, archivePathFor(filepath));
+      }
+      if (this.enableScreenshots) {
+        await page.screenshot({ path: filepath, fullPage: true });
+      }
     } catch (e) {
       // Silently ignore screenshot errors to not break the scraping flow
     }
@@ -129,23 +560,43 @@ export class FundScraper {
   }
 
   /**
-   * Connect to browserless instance
+   * Connect to browserless or launch a local browser, depending on the provider
    */
   async connect() {
-    console.log('    Connecting to browserless...');
-    this.browser = await puppeteer.connect({
-      browserWSEndpoint: BROWSERLESS_URL
-    });
+    console.log(`    Connecting to ${describeBrowser(this.browserOptions)}...`);
+    this.browser = await openBrowser(this.browserOptions);
     console.log('    Connected successfully');
   }
 
   /**
-   * Reconnect to browserless if disconnected
+   * Reconnect to the browser if disconnected
+   * Concurrent callers share a single reconnection attempt
    */
   async ensureConnected() {
-    if (!this.isConnected()) {
-      console.log('           Reconnecting to browserless...');
-      await this.connect();
+    if (this.isConnected()) return;
+
+    if (!this.connecting) {
+      console.log(`           Reconnecting to ${describeBrowser(this.browserOptions)}...`);
+      this.connecting = this.connect().finally(() => {
+        this.connecting = null;
+      });
+    }
+    await this.connecting;
+  }
+
+  /**
+   * Drop the browser after a connection error, so the next attempt reconnects
+   * A browser that is still connected is kept (the error was the page's): dropping it
+   * would leave a local Chromium and its pages running next to the new one.
+   */
+  async resetConnection() {
+    if (!this.browser || this.isConnected()) return;
+    const browser = this.browser;
+    this.browser = null;
+    try {
+      await browser.close();
+    } catch (e) {
+      // Ignore errors when closing a disconnected browser
     }
   }
 
@@ -153,6 +604,7 @@ export class FundScraper {
    * Disconnect from browser
    */
   async disconnect() {
+    await this.pool.drain();
     if (this.browser) {
       try {
         await this.browser.close();
@@ -170,60 +622,16 @@ export class FundScraper {
    * @returns {object} - { website, twitter, telegram, discord, linkedin, etc. }
    */
   async extractSocialLinks(page) {
-    return await page.evaluate(() => {
-      const links = document.querySelectorAll('a[class*="coin_social_link_item"]');
-      const result = {
-        website: null,
-        twitter: null,
-        telegram: null,
-        discord: null,
-        medium: null,
-        linkedin: null,
-        github: null,
-        youtube: null,
-        facebook: null,
-        instagram: null,
-        reddit: null
-      };
-
-      for (const link of links) {
-        const href = link.getAttribute('href');
-        if (!href) continue;
-
-        const lowerHref = href.toLowerCase();
-
-        // Skip CryptoRank's own accounts
-        if (lowerHref.includes('cryptorank')) continue;
-
-        // Categorize the link
-        if (lowerHref.includes('twitter.com/') || lowerHref.includes('x.com/')) {
-          result.twitter = href;
-        } else if (lowerHref.includes('t.me/') || lowerHref.includes('telegram.')) {
-          result.telegram = href;
-        } else if (lowerHref.includes('discord.gg/') || lowerHref.includes('discord.com/')) {
-          result.discord = href;
-        } else if (lowerHref.includes('medium.com/') || lowerHref.includes('medium.com/@')) {
-          result.medium = href;
-        } else if (lowerHref.includes('linkedin.com/')) {
-          result.linkedin = href;
-        } else if (lowerHref.includes('github.com/')) {
-          result.github = href;
-        } else if (lowerHref.includes('youtube.com/') || lowerHref.includes('youtu.be/')) {
-          result.youtube = href;
-        } else if (lowerHref.includes('facebook.com/')) {
-          result.facebook = href;
-        } else if (lowerHref.includes('instagram.com/')) {
-          result.instagram = href;
-        } else if (lowerHref.includes('reddit.com/')) {
-          result.reddit = href;
-        } else {
-          // It's a website
-          result.website = href;
-        }
-      }
+    return await page.evaluate(extractSocialLinksFromDocument);
+  }
 
-      return result;
-    });
+  /**
+   * Extract the fund profile from a fund page
+   * @param {object} page - Puppeteer page instance
+   * @returns {object} - Parsed profile (see processFundProfile)
+   */
+  async extractProfile(page) {
+    return processFundProfile(await page.evaluate(extractFundProfileFromDocument));
   }
 
   /**
@@ -232,7 +640,7 @@ export class FundScraper {
    * @returns {boolean}
    */
   hasAnyLinks(links) {
-    return Object.values(links).some(v => v !== null);
+    return hasAnyLinks(links);
   }
 
   /**
@@ -240,29 +648,21 @@ export class FundScraper {
    * @param {string} key - Fund key (e.g., 'coinbase-ventures')
    * @param {number} index - Current index for logging
    * @param {number} total - Total funds for logging
-   * @returns {object} - { website, twitter, ..., error }
+   * @returns {object} - { website, twitter, ..., profile, error }
    */
   async scrapeFund(key, index, total) {
-    const url = `${CRYPTORANK_FUND_URL}${key}`;
+    const url = fundPageUrl(key);
     let lastError = null;
 
     for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
       let page = null;
       try {
-        // Ensure browser is connected before each attempt
-        await this.ensureConnected();
-        
-        page = await this.browser.newPage();
-        
-        // Set user agent to avoid bot detection
-        await page.setUserAgent(USER_AGENT);
-        
-        // Set viewport
-        await page.setViewport(VIEWPORT);
-        
-        // Set a reasonable timeout
-        page.setDefaultTimeout(30000);
-        
+        // Take a page from the pool (connects to the browser if needed)
+        page = await this.pool.acquire();
+
+        // Respect the shared politeness limit
+        await this.pool.throttle();
+
         // Navigate to the fund page (networkidle2 waits for dynamic content)
         await page.goto(url, { 
           waitUntil: 'networkidle2',
@@ -277,13 +677,14 @@ export class FundScraper {
           await delay(2000);
         }
 
-        // Extract social links
+        // Extract social links and profile
         const links = await this.extractSocialLinks(page);
+        const profile = await this.extractProfile(page);
 
         // If no links found and we have retries left, retry
         if (!this.hasAnyLinks(links) && attempt < MAX_RETRIES) {
           await this.saveScreenshot(page, key, 'no-links', attempt);
-          await page.close();
+          await this.pool.release(page);
           page = null;
           throw new Error('No social links found - retrying');
         }
@@ -291,17 +692,17 @@ export class FundScraper {
         // If still no links after all retries, mark as error for reprocessing
         if (!this.hasAnyLinks(links)) {
           await this.saveScreenshot(page, key, 'error-no-links', attempt);
-          await page.close();
+          await this.pool.release(page);
           page = null;
-          return { ...links, error: 'No social links found' };
+          return { ...links, profile, error: 'No social links found' };
         }
 
         // Success - save screenshot
         await this.saveScreenshot(page, key, 'success', attempt);
-        await page.close();
+        await this.pool.release(page);
         page = null;
 
-        return { ...links, error: null };
+        return { ...links, profile, error: null };
 
       } catch (error) {
         lastError = error;
@@ -313,22 +714,18 @@ export class FundScraper {
           } catch (e) {
             // Ignore screenshot errors
           }
-          try {
-            await page.close();
-          } catch (e) {
-            // Ignore
-          }
+          await this.pool.release(page, { discard: true });
         }
 
         // If connection was lost, try to reconnect
         if (error.message.includes('Connection closed') ||
             error.message.includes('Protocol error') ||
             error.message.includes('Target closed')) {
-          this.browser = null; // Force reconnection on next attempt
+          await this.resetConnection(); // Reconnect on the next attempt
         }
 
         if (attempt < MAX_RETRIES) {
-          console.log(`           RETRY (${attempt}/${MAX_RETRIES}) - ${error.message}`);
+          console.log(`           RETRY ${key} (${attempt}/${MAX_RETRIES}) - ${error.message}`);
           await delay(RETRY_DELAY_MS);
         }
       }
@@ -346,7 +743,108 @@ export class FundScraper {
       facebook: null,
       instagram: null,
       reddit: null,
+      profile: null,
       error: lastError?.message || 'Unknown error' 
     };
   }
+
+  /**
+   * Scrape one page of a fund's investments list with retry logic
+   * @param {string} key - Fund key
+   * @param {number} pageNumber - Page number (1-indexed)
+   * @returns {object} - { rows, totalPages, error }
+   */
+  async scrapeInvestmentsPage(key, pageNumber) {
+    const url = fundInvestmentsPageUrl(key, pageNumber);
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+      let page = null;
+      try {
+        page = await this.pool.acquire();
+        await this.pool.throttle();
+
+        await page.goto(url, {
+          waitUntil: 'networkidle2',
+          timeout: 30000
+        });
+
+        // An empty list is a valid answer (past the last page), so don't fail on a missing table
+        try {
+          await page.waitForSelector('table tbody tr', { timeout: SELECTOR_TIMEOUT_MS });
+        } catch (e) {
+          // No rows rendered - continue with whatever is on the page
+        }
+
+        const { rows, totalPages } = await page.evaluate(extractFundInvestmentsFromDocument);
+        await this.pool.release(page);
+        page = null;
+
+        return { rows: processInvestmentRows(rows), totalPages, error: null };
+
+      } catch (error) {
+        lastError = error;
+
+        if (page) {
+          await this.pool.release(page, { discard: true });
+        }
+
+        if (error.message.includes('Connection closed') ||
+            error.message.includes('Protocol error') ||
+            error.message.includes('Target closed')) {
+          await this.resetConnection(); // Reconnect on the next attempt
+        }
+
+        if (attempt < MAX_RETRIES) {
+          console.log(`           RETRY ${key} investments page ${pageNumber} (${attempt}/${MAX_RETRIES}) - ${error.message}`);
+          await delay(RETRY_DELAY_MS);
+        }
+      }
+    }
+
+    return { rows: [], totalPages: 0, error: lastError?.message || 'Unknown error' };
+  }
+
+  /**
+   * Scrape a fund's whole investments list, following pagination to the last page
+   * Stops after MAX_INVESTMENT_PAGES (funds.maxInvestmentPages) and marks the list truncated.
+   * @param {string} key - Fund key
+   * @returns {object} - { investments, pagesScraped, totalPages, truncated, error }
+   */
+  async scrapeFundInvestments(key) {
+    const investments = [];
+    const seen = new Set();
+    let totalPages = 1;
+    let pagesScraped = 0;
+    let stoppedEarly = false;
+
+    for (let pageNumber = 1; pageNumber <= Math.min(totalPages, MAX_INVESTMENT_PAGES); pageNumber++) {
+      const result = await this.scrapeInvestmentsPage(key, pageNumber);
+      if (result.error) {
+        return { investments, pagesScraped, totalPages, truncated: false, error: `Page ${pageNumber}: ${result.error}` };
+      }
+      pagesScraped++;
+      totalPages = Math.max(totalPages, result.totalPages);
+
+      // Stop when a page adds nothing new (past the end, or pagination ignored)
+      let added = 0;
+      for (const row of result.rows) {
+        const id = `${row.projectKey || row.projectName}|${row.stage}|${row.date}`;
+        if (seen.has(id)) continue;
+        seen.add(id);
+        investments.push(row);
+        added++;
+      }
+      if (added === 0) {
+        stoppedEarly = true;
+        break;
+      }
+    }
+
+    const truncated = !stoppedEarly && totalPages > MAX_INVESTMENT_PAGES;
+    if (truncated) {
+      console.log(`           WARNING: ${key} has ${totalPages} investment pages, only the first ${MAX_INVESTMENT_PAGES} were scraped (funds.maxInvestmentPages)`);
+    }
+    return { investments, pagesScraped, totalPages, truncated, error: null };
+  }
 }
@@ -0,0 +1,172 @@
+/**
+ * Snapshot Store
+ * Archives the JSON outputs of a run under output/history/<timestamp>/ (gzip-compressed)
+ * and reads them back for diff reports
+ */
+
+import { readFile, mkdir, readdir, rm } from 'fs/promises';
+import { existsSync } from 'fs';
+import { gzip, gunzip } from 'zlib';
+import { promisify } from 'util';
+import { createHash } from 'crypto';
+import path from 'path';
+import { writeFileAtomic } from './atomic-write.js';
+import { outputPath } from './config.js';
+
+const gzipAsync = promisify(gzip);
+const gunzipAsync = promisify(gunzip);
+
+export const OUTPUT_DIR = outputPath();
+export const HISTORY_DIR = outputPath('history');
+const MANIFEST_FILE = 'manifest.json';
+
+// Datasets archived with every snapshot
+export const DATASETS = [
+  'tier1-vcs.json',
+  'tier1-2-vcs.json',
+  'funding-rounds.json',
+  'funding-rounds-history.json',
+  'funding-rounds-detailed.json',
+  'fund-portfolios.json'
+];
+
+// Snapshot directory names are filesystem-safe ISO timestamps: 2026-10-19T04-00-12Z
+const SNAPSHOT_NAME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}Z$/;
+
+/**
+ * Snapshot directory name for a timestamp
+ * @param {Date} date - Snapshot time
+ * @returns {string}
+ */
+export function snapshotName(date = new Date()) {
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z').replace(/:/g, '-');
+}
+
+/**
+ * Timestamp of a snapshot from its directory name
+ * @param {string} name - Snapshot directory name
+ * @returns {Date}
+ */
+export function snapshotDate(name) {
+  return new Date(name.replace(/T(\d{2})-(\d{2})-(\d{2})Z$/, 'T$1:$2:$3Z'));
+}
+
+/**
+ * List snapshots, oldest first
+ * @returns {Promise<string[]>} - Snapshot directory names
+ */
+export async function listSnapshots() {
+  if (!existsSync(HISTORY_DIR)) {
+    return [];
+  }
+  const entries = await readdir(HISTORY_DIR, { withFileTypes: true });
+  return entries
+    .filter(entry => entry.isDirectory() && SNAPSHOT_NAME_PATTERN.test(entry.name))
+    .map(entry => entry.name)
+    .sort();
+}
+
+/**
+ * Archive the current outputs as a new snapshot
+ * @param {Date} date - Snapshot time
+ * @returns {Promise<object>} - Manifest ({ name, createdAt, files })
+ */
+export async function createSnapshot(date = new Date()) {
+  const name = snapshotName(date);
+  const dir = path.join(HISTORY_DIR, name);
+  await mkdir(dir, { recursive: true });
+
+  const files = {};
+  for (const dataset of DATASETS) {
+    const source = path.join(OUTPUT_DIR, dataset);
+    if (!existsSync(source)) continue;
+
+    const content = await readFile(source);
+    await writeFileAtomic(path.join(dir, `${dataset}.gz`), await gzipAsync(content));
+
+    let records = null;
+    try {
+      const data = JSON.parse(content.toString('utf-8')).data;
+      records = Array.isArray(data) ? data.length : Object.keys(data || {}).length;
+    } catch (e) {
+      // Ignore unparsable files, they are archived as they are
+    }
+    files[dataset] = {
+      size: content.length,
+      sha256: createHash('sha256').update(content).digest('hex'),
+      records
+    };
+  }
+
+  const manifest = { name, createdAt: date.toISOString(), files };
+  await writeFileAtomic(path.join(dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+  return manifest;
+}
+
+/**
+ * Read a snapshot's manifest
+ * @param {string} name - Snapshot directory name
+ * @returns {Promise<object|null>}
+ */
+export async function readManifest(name) {
+  const file = path.join(HISTORY_DIR, name, MANIFEST_FILE);
+  if (!existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(await readFile(file, 'utf-8'));
+}
+
+/**
+ * Read one dataset from a snapshot, or from the live outputs when name is 'current'
+ * @param {string} name - Snapshot directory name or 'current'
+ * @param {string} dataset - Dataset file name (e.g. 'tier1-vcs.json')
+ * @returns {Promise<object|null>} - Parsed JSON or null if the snapshot has no such dataset
+ */
+export async function readSnapshotDataset(name, dataset) {
+  if (name === 'current') {
+    const file = path.join(OUTPUT_DIR, dataset);
+    return existsSync(file) ? JSON.parse(await readFile(file, 'utf-8')) : null;
+  }
+
+  const file = path.join(HISTORY_DIR, name, `${dataset}.gz`);
+  if (!existsSync(file)) {
+    return null;
+  }
+  return JSON.parse((await gunzipAsync(await readFile(file))).toString('utf-8'));
+}
+
+/**
+ * Pick the snapshots a retention policy removes
+ * Everything newer than keepDays is kept, older snapshots are thinned to the last
+ * one of each day until keepDailyDays, and the newest keepMin are always kept.
+ * @param {string[]} names - Snapshot names, oldest first
+ * @param {object} policy - { keepDays, keepDailyDays, keepMin }
+ * @param {Date} now - Reference time
+ * @returns {string[]} - Snapshot names to delete
+ */
+export function selectExpiredSnapshots(names, { keepDays, keepDailyDays, keepMin }, now = new Date()) {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const protectedNames = new Set(names.slice(-keepMin));
+  const lastOfDay = new Map();
+  for (const name of names) {
+    lastOfDay.set(name.slice(0, 10), name);
+  }
+
+  return names.filter(name => {
+    if (protectedNames.has(name)) return false;
+    const ageDays = (now.getTime() - snapshotDate(name).getTime()) / dayMs;
+    if (ageDays <= keepDays) return false;
+    if (ageDays <= keepDailyDays && lastOfDay.get(name.slice(0, 10)) === name) return false;
+    return true;
+  });
+}
+
+/**
+ * Delete snapshots
+ * @param {string[]} names - Snapshot directory names
+ */
+export async function deleteSnapshots(names) {
+  for (const name of names) {
+    await rm(path.join(HISTORY_DIR, name), { recursive: true, force: true });
+  }
+}
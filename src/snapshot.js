@@ -0,0 +1,152 @@
+/**
+ * Output Snapshots
+ *
+ * Archives the outputs of the current run so later runs can be compared (see diff.js):
+ * 1. Copies the JSON datasets into output/history/<timestamp>/ (gzip-compressed, with a manifest)
+ * 2. Applies the retention policy to older snapshots
+ *
+ * Retention: every snapshot of the last --keep-days days is kept, older ones are thinned
+ * to the last snapshot of each day until --keep-daily-days, and the newest --keep-min
+ * snapshots are never removed.
+ *
+ * Usage:
+ *   node src/snapshot.js                      # Snapshot + prune (7 days / 90 days daily / min 10)
+ *   node src/snapshot.js --keep-days 14 --keep-daily-days 180
+ *   node src/snapshot.js --prune-only         # Only apply the retention policy
+ *   node src/snapshot.js --list               # List snapshots
+ */
+
+import { existsSync } from 'fs';
+import {
+  DATASETS,
+  OUTPUT_DIR,
+  HISTORY_DIR,
+  createSnapshot,
+  listSnapshots,
+  readManifest,
+  selectExpiredSnapshots,
+  deleteSnapshots
+} from './snapshot-store.js';
+
+const DEFAULT_KEEP_DAYS = 7;
+const DEFAULT_KEEP_DAILY_DAYS = 90;
+const DEFAULT_KEEP_MIN = 10;
+
+/**
+ * Parse command line arguments
+ * @returns {object} - { keepDays, keepDailyDays, keepMin, pruneOnly, list }
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  let keepDays = DEFAULT_KEEP_DAYS;
+  let keepDailyDays = DEFAULT_KEEP_DAILY_DAYS;
+  let keepMin = DEFAULT_KEEP_MIN;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--keep-days' && args[i + 1]) {
+      const parsed = parseInt(args[i + 1], 10);
+      if (!isNaN(parsed) && parsed >= 0) {
+        keepDays = parsed;
+      }
+      i++; // Skip next arg
+    } else if (args[i] === '--keep-daily-days' && args[i + 1]) {
+      const parsed = parseInt(args[i + 1], 10);
+      if (!isNaN(parsed) && parsed >= 0) {
+        keepDailyDays = parsed;
+      }
+      i++; // Skip next arg
+    } else if (args[i] === '--keep-min' && args[i + 1]) {
+      const parsed = parseInt(args[i + 1], 10);
+      if (!isNaN(parsed) && parsed >= 0) {
+        keepMin = parsed;
+      }
+      i++; // Skip next arg
+    }
+  }
+
+  return {
+    keepDays,
+    keepDailyDays: Math.max(keepDailyDays, keepDays),
+    keepMin,
+    pruneOnly: args.includes('--prune-only'),
+    list: args.includes('--list')
+  };
+}
+
+/**
+ * Print all snapshots with their datasets
+ */
+async function printSnapshots() {
+  const names = await listSnapshots();
+  if (names.length === 0) {
+    console.log(`    No snapshots in ${HISTORY_DIR}`);
+    return;
+  }
+  for (const name of names) {
+    const manifest = await readManifest(name);
+    const files = Object.entries(manifest?.files || {})
+      .map(([dataset, info]) => `${dataset.replace(/\.json$/, '')}=${info.records ?? '?'}`);
+    console.log(`    ${name}  ${files.join(', ')}`);
+  }
+}
+
+/**
+ * Main execution function
+ */
+async function main() {
+  const { keepDays, keepDailyDays, keepMin, pruneOnly, list } = parseArgs();
+
+  console.log('');
+  console.log('============================================');
+  console.log('  CryptoRank Output Snapshots');
+  console.log('============================================');
+  console.log(`  Retention: all for ${keepDays} days, daily for ${keepDailyDays} days, newest ${keepMin} always`);
+  console.log('');
+
+  if (list) {
+    console.log('[1] Snapshots');
+    await printSnapshots();
+    console.log('');
+    return;
+  }
+
+  // Step 1: Snapshot
+  if (pruneOnly) {
+    console.log('[1] Skipping snapshot (--prune-only)');
+  } else {
+    console.log('[1] Creating snapshot...');
+    const present = DATASETS.filter(dataset => existsSync(`${OUTPUT_DIR}/${dataset}`));
+    if (present.length === 0) {
+      console.log(`    No outputs found in ${OUTPUT_DIR} - nothing to snapshot`);
+    } else {
+      const manifest = await createSnapshot();
+      console.log(`    Snapshot: ${HISTORY_DIR}/${manifest.name}`);
+      for (const [dataset, info] of Object.entries(manifest.files)) {
+        console.log(`    - ${dataset}: ${info.records ?? '?'} records`);
+      }
+    }
+  }
+  console.log('');
+
+  // Step 2: Retention
+  console.log('[2] Applying retention policy...');
+  const names = await listSnapshots();
+  const expired = selectExpiredSnapshots(names, { keepDays, keepDailyDays, keepMin });
+  await deleteSnapshots(expired);
+  console.log(`    Removed ${expired.length} of ${names.length} snapshots`);
+  for (const name of expired) {
+    console.log(`    - ${name}`);
+  }
+
+  console.log('');
+  console.log('============================================');
+  console.log('  Done!');
+  console.log('============================================');
+  console.log('');
+}
+
+// Run the main function
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,511 @@
+/**
+ * SQLite Store
+ * Optional normalized storage for everything the scrapers collect. Entry points
+ * upsert into it when enabled and export their JSON files from it.
+ *
+ * Tables:
+ *   funds           - one row per fund (tier, type, profile columns)
+ *   projects        - one row per project with its details (stored once, not per round)
+ *   rounds          - one row per funding round (roundId), with its listing position
+ *   round_investors - investors of each round with their fund id/tier/type
+ *   social_links    - website/twitter/... of funds and projects
+ *   scrape_runs     - one row per entry point run
+ *
+ * Every record table keeps the exact JSON record in a `data` column next to the
+ * queryable columns, so exports reproduce the existing JSON files.
+ *
+ * Enabled with `--db [path]` or the store.db setting (SCRAPER_DB, see config.js).
+ * Requires the optional `better-sqlite3` dependency.
+ */
+
+import { existsSync } from 'fs';
+import { mkdir } from 'fs/promises';
+import path from 'path';
+import { getConfig, outputPath } from './config.js';
+
+export const DEFAULT_DB_PATH = outputPath('scraper.db');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS scrape_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    command TEXT NOT NULL,
+    options TEXT,
+    status TEXT NOT NULL DEFAULT 'running',
+    started_at TEXT NOT NULL,
+    finished_at TEXT,
+    stats TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS funds (
+    key TEXT PRIMARY KEY,
+    id INTEGER,
+    name TEXT,
+    tier INTEGER,
+    type TEXT,
+    url TEXT,
+    headquarters TEXT,
+    founded_year INTEGER,
+    investments_count INTEGER,
+    lead_investments_count INTEGER,
+    portfolio_size INTEGER,
+    error TEXT,
+    scraped_at TEXT,
+    run_id INTEGER REFERENCES scrape_runs(id),
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS projects (
+    key TEXT PRIMARY KEY,
+    name TEXT,
+    url TEXT,
+    token_symbol TEXT,
+    categories TEXT,
+    total_raised_raw REAL,
+    valuation_raw REAL,
+    tge_date_iso TEXT,
+    details_error TEXT,
+    scraped_at TEXT,
+    run_id INTEGER REFERENCES scrape_runs(id),
+    details TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS rounds (
+    round_id TEXT PRIMARY KEY,
+    project_key TEXT,
+    project_name TEXT,
+    stage TEXT,
+    date_iso TEXT,
+    raise_amount_raw REAL,
+    investors_total INTEGER,
+    has_tier1_investor INTEGER,
+    max_investor_tier INTEGER,
+    listing_position INTEGER,
+    scraped_at TEXT,
+    first_seen_at TEXT,
+    last_seen_at TEXT,
+    run_id INTEGER REFERENCES scrape_runs(id),
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS round_investors (
+    round_id TEXT NOT NULL REFERENCES rounds(round_id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    name TEXT,
+    fund_key TEXT,
+    fund_id INTEGER,
+    tier INTEGER,
+    type TEXT,
+    matched_by TEXT,
+    data TEXT NOT NULL,
+    PRIMARY KEY (round_id, position)
+  );
+
+  CREATE TABLE IF NOT EXISTS social_links (
+    owner_type TEXT NOT NULL,
+    owner_key TEXT NOT NULL,
+    platform TEXT NOT NULL,
+    url TEXT NOT NULL,
+    PRIMARY KEY (owner_type, owner_key, platform)
+  );
+
+  CREATE INDEX IF NOT EXISTS rounds_project_key ON rounds(project_key);
+  CREATE INDEX IF NOT EXISTS rounds_date_iso ON rounds(date_iso);
+  CREATE INDEX IF NOT EXISTS rounds_listing_position ON rounds(listing_position);
+  CREATE INDEX IF NOT EXISTS round_investors_fund_key ON round_investors(fund_key);
+`;
+
+// Project detail fields stored as social links
+const PROJECT_LINK_FIELDS = ['website', 'twitter', 'telegram', 'discord', 'github'];
+
+/**
+ * Resolve the database path from command line arguments and the config
+ * `--db` alone uses store.db or the default path, `--db <path>` a custom one.
+ * @param {string[]} args - Command line arguments
+ * @returns {string|null} - Database path or null if the store is disabled
+ */
+export function resolveStorePath(args) {
+  const index = args.indexOf('--db');
+  if (index === -1) {
+    return getConfig().store.db;
+  }
+  const value = args[index + 1];
+  if (value && !value.startsWith('-')) {
+    return value;
+  }
+  return getConfig().store.db || DEFAULT_DB_PATH;
+}
+
+/**
+ * Open (and create if needed) the SQLite store
+ * @param {string} dbPath - Path to the database file
+ * @returns {Promise<ScrapeStore>}
+ */
+export async function openStore(dbPath) {
+  let Database;
+  try {
+    Database = (await import('better-sqlite3')).default;
+  } catch (error) {
+    throw new Error(`SQLite store needs the better-sqlite3 package (npm install better-sqlite3): ${error.message}`);
+  }
+
+  const dir = path.dirname(dbPath);
+  if (!existsSync(dir)) {
+    await mkdir(dir, { recursive: true });
+  }
+
+  return new ScrapeStore(new Database(dbPath), dbPath);
+}
+
+/**
+ * Serialize a value for a JSON column
+ * @param {*} value - Value to store
+ * @returns {string|null}
+ */
+function toJson(value) {
+  return value === null || value === undefined ? null : JSON.stringify(value);
+}
+
+/**
+ * Convert a boolean to an SQLite integer
+ * @param {boolean|null|undefined} value - Boolean value
+ * @returns {number|null}
+ */
+function toFlag(value) {
+  return typeof value === 'boolean' ? Number(value) : null;
+}
+
+/**
+ * ScrapeStore class - wraps the SQLite database
+ */
+export class ScrapeStore {
+  /**
+   * @param {object} db - better-sqlite3 Database
+   * @param {string} dbPath - Path to the database file
+   */
+  constructor(db, dbPath) {
+    this.db = db;
+    this.path = dbPath;
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.db.exec(SCHEMA);
+  }
+
+  /**
+   * Close the database
+   */
+  close() {
+    this.db.close();
+  }
+
+  /**
+   * Record the start of an entry point run
+   * @param {string} command - Entry point name (e.g. 'funding-rounds')
+   * @param {object} options - Parsed options of the run
+   * @returns {number} - Run id
+   */
+  startRun(command, options = {}) {
+    const result = this.db.prepare(
+      'INSERT INTO scrape_runs (command, options, started_at) VALUES (?, ?, ?)'
+    ).run(command, toJson(options), new Date().toISOString());
+    return Number(result.lastInsertRowid);
+  }
+
+  /**
+   * Record the end of a run
+   * @param {number} runId - Run id from startRun
+   * @param {string} status - 'completed' or 'failed'
+   * @param {object} stats - Counters to keep with the run
+   */
+  finishRun(runId, status, stats = {}) {
+    this.db.prepare(
+      'UPDATE scrape_runs SET status = ?, finished_at = ?, stats = ? WHERE id = ?'
+    ).run(status, new Date().toISOString(), toJson(stats), runId);
+  }
+
+  /**
+   * Replace the social links of a fund or project
+   * @param {string} ownerType - 'fund' or 'project'
+   * @param {string} ownerKey - Fund or project key
+   * @param {object} links - Map of platform -> URL (null values are skipped)
+   */
+  replaceLinks(ownerType, ownerKey, links) {
+    this.db.prepare('DELETE FROM social_links WHERE owner_type = ? AND owner_key = ?').run(ownerType, ownerKey);
+    const insert = this.db.prepare(
+      'INSERT INTO social_links (owner_type, owner_key, platform, url) VALUES (?, ?, ?, ?)'
+    );
+    for (const [platform, url] of Object.entries(links)) {
+      if (url) {
+        insert.run(ownerType, ownerKey, platform, url);
+      }
+    }
+  }
+
+  /**
+   * Insert or update fund records (as built by buildFundRecord)
+   * @param {Array} records - Fund records
+   * @param {number|null} runId - Run that produced the records
+   */
+  upsertFunds(records, runId = null) {
+    const upsert = this.db.prepare(`
+      INSERT INTO funds (key, id, name, tier, type, url, headquarters, founded_year, investments_count,
+                         lead_investments_count, portfolio_size, error, scraped_at, run_id, data)
+      VALUES (@key, @id, @name, @tier, @type, @url, @headquarters, @foundedYear, @investmentsCount,
+              @leadInvestmentsCount, @portfolioSize, @error, @scrapedAt, @runId, @data)
+      ON CONFLICT(key) DO UPDATE SET
+        id = excluded.id, name = excluded.name, tier = excluded.tier, type = excluded.type,
+        url = excluded.url, headquarters = excluded.headquarters, founded_year = excluded.founded_year,
+        investments_count = excluded.investments_count, lead_investments_count = excluded.lead_investments_count,
+        portfolio_size = excluded.portfolio_size, error = excluded.error, scraped_at = excluded.scraped_at,
+        run_id = excluded.run_id, data = excluded.data
+    `);
+
+    this.db.transaction(() => {
+      for (const fund of records) {
+        const profile = fund.profile || {};
+        upsert.run({
+          key: fund.key,
+          id: fund.id ?? null,
+          name: fund.name ?? null,
+          tier: fund.tier ?? null,
+          type: fund.type ?? null,
+          url: fund.url ?? null,
+          headquarters: profile.headquarters ?? null,
+          foundedYear: profile.foundedYear ?? null,
+          investmentsCount: profile.investmentsCount ?? null,
+          leadInvestmentsCount: profile.leadInvestmentsCount ?? null,
+          portfolioSize: profile.portfolioSize ?? null,
+          error: fund.error ?? null,
+          scrapedAt: fund.scrapedAt ?? null,
+          runId,
+          data: JSON.stringify(fund)
+        });
+        this.replaceLinks('fund', fund.key, {
+          website: fund.website,
+          twitter: fund.twitter,
+          ...fund.other_socials
+        });
+      }
+    })();
+  }
+
+  /**
+   * Insert or update funding rounds and their investors
+   * A round keeps the earliest firstSeenAt it was ever stored with.
+   * @param {Array} rounds - Funding rounds (with roundId)
+   * @param {number|null} runId - Run that produced the rounds
+   */
+  upsertRounds(rounds, runId = null) {
+    const upsert = this.db.prepare(`
+      INSERT INTO rounds (round_id, project_key, project_name, stage, date_iso, raise_amount_raw, investors_total,
+                          has_tier1_investor, max_investor_tier, scraped_at, first_seen_at, last_seen_at, run_id, data)
+      VALUES (@roundId, @projectKey, @projectName, @stage, @dateISO, @raiseAmountRaw, @investorsTotal,
+              @hasTier1Investor, @maxInvestorTier, @scrapedAt, @firstSeenAt, @lastSeenAt, @runId, @data)
+      ON CONFLICT(round_id) DO UPDATE SET
+        project_key = excluded.project_key, project_name = excluded.project_name, stage = excluded.stage,
+        date_iso = excluded.date_iso, raise_amount_raw = excluded.raise_amount_raw,
+        investors_total = excluded.investors_total, has_tier1_investor = excluded.has_tier1_investor,
+        max_investor_tier = excluded.max_investor_tier, scraped_at = excluded.scraped_at,
+        first_seen_at = COALESCE(rounds.first_seen_at, excluded.first_seen_at),
+        last_seen_at = COALESCE(excluded.last_seen_at, rounds.last_seen_at),
+        run_id = excluded.run_id, data = excluded.data
+    `);
+    const clearInvestors = this.db.prepare('DELETE FROM round_investors WHERE round_id = ?');
+    const insertInvestor = this.db.prepare(`
+      INSERT INTO round_investors (round_id, position, name, fund_key, fund_id, tier, type, matched_by, data)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    this.db.transaction(() => {
+      for (const round of rounds) {
+        if (!round.roundId) continue;
+        const investors = round.investors || [];
+        upsert.run({
+          roundId: round.roundId,
+          projectKey: round.projectKey ?? null,
+          projectName: round.projectName ?? null,
+          stage: round.stage ?? null,
+          dateISO: round.dateISO ?? null,
+          raiseAmountRaw: round.raiseAmountRaw ?? null,
+          investorsTotal: round.investorsTotal ?? investors.length,
+          hasTier1Investor: toFlag(round.hasTier1Investor),
+          maxInvestorTier: round.maxInvestorTier ?? null,
+          scrapedAt: round.scrapedAt ?? null,
+          firstSeenAt: round.firstSeenAt || round.scrapedAt || null,
+          lastSeenAt: round.lastSeenAt || round.scrapedAt || null,
+          runId,
+          // Investors live in round_investors; the empty list keeps the key order for exports
+          data: JSON.stringify({ ...round, investors: [] })
+        });
+
+        clearInvestors.run(round.roundId);
+        investors.forEach((investor, position) => {
+          insertInvestor.run(
+            round.roundId,
+            position,
+            investor.name ?? null,
+            investor.key ?? null,
+            investor.id ?? null,
+            investor.tier ?? null,
+            investor.type ?? null,
+            investor.matchedBy ?? null,
+            JSON.stringify(investor)
+          );
+        });
+      }
+    })();
+  }
+
+  /**
+   * Mark which rounds make up funding-rounds.json, in listing order
+   * @param {string[]} roundIds - Round ids, newest first
+   */
+  setListing(roundIds) {
+    const setPosition = this.db.prepare('UPDATE rounds SET listing_position = ? WHERE round_id = ?');
+    this.db.transaction(() => {
+      this.db.prepare('UPDATE rounds SET listing_position = NULL WHERE listing_position IS NOT NULL').run();
+      roundIds.forEach((roundId, position) => setPosition.run(position, roundId));
+    })();
+  }
+
+  /**
+   * Insert or update project details
+   * @param {Array} projects - Array of { projectKey, projectName, projectUrl, details, error }
+   * @param {number|null} runId - Run that produced the details
+   */
+  upsertProjects(projects, runId = null) {
+    const upsert = this.db.prepare(`
+      INSERT INTO projects (key, name, url, token_symbol, categories, total_raised_raw, valuation_raw,
+                            tge_date_iso, details_error, scraped_at, run_id, details)
+      VALUES (@key, @name, @url, @tokenSymbol, @categories, @totalRaisedRaw, @valuationRaw,
+              @tgeDateISO, @error, @scrapedAt, @runId, @details)
+      ON CONFLICT(key) DO UPDATE SET
+        name = COALESCE(excluded.name, projects.name), url = COALESCE(excluded.url, projects.url),
+        token_symbol = excluded.token_symbol, categories = excluded.categories,
+        total_raised_raw = excluded.total_raised_raw, valuation_raw = excluded.valuation_raw,
+        tge_date_iso = excluded.tge_date_iso, details_error = excluded.details_error,
+        scraped_at = excluded.scraped_at, run_id = excluded.run_id, details = excluded.details
+    `);
+
+    this.db.transaction(() => {
+      for (const project of projects) {
+        const details = project.details || null;
+        upsert.run({
+          key: project.projectKey,
+          name: project.projectName ?? null,
+          url: project.projectUrl ?? null,
+          tokenSymbol: details?.tokenSymbol ?? null,
+          categories: toJson(details?.categories),
+          totalRaisedRaw: details?.totalRaisedRaw ?? null,
+          valuationRaw: details?.valuationRaw ?? null,
+          tgeDateISO: details?.tgeDateISO ?? null,
+          error: project.error ?? null,
+          scrapedAt: details?.scrapedAt ?? new Date().toISOString(),
+          runId,
+          details: toJson(details)
+        });
+        if (details) {
+          this.replaceLinks('project', project.projectKey,
+            Object.fromEntries(PROJECT_LINK_FIELDS.map(field => [field, details[field]])));
+        }
+      }
+    })();
+  }
+
+  /**
+   * Fund records for the given tiers, sorted by tier and name like tier1-vcs.json
+   * @param {number[]} tiers - Tiers to include
+   * @returns {Array}
+   */
+  exportFunds(tiers) {
+    const placeholders = tiers.map(() => '?').join(', ');
+    return this.db.prepare(`SELECT data FROM funds WHERE tier IN (${placeholders})`)
+      .all(...tiers)
+      .map(row => JSON.parse(row.data))
+      .sort((a, b) => {
+        if (a.tier !== b.tier) return a.tier - b.tier;
+        return a.name.localeCompare(b.name);
+      });
+  }
+
+  /**
+   * Rebuild rounds with their investors
+   * @param {Array} rows - Rows with round_id and data
+   * @returns {Array} - Funding rounds
+   */
+  hydrateRounds(rows) {
+    const investorsQuery = this.db.prepare('SELECT data FROM round_investors WHERE round_id = ? ORDER BY position');
+    return rows.map(row => {
+      const round = JSON.parse(row.data);
+      round.investors = investorsQuery.all(row.round_id).map(investor => JSON.parse(investor.data));
+      return round;
+    });
+  }
+
+  /**
+   * Funding rounds in listing order (funding-rounds.json)
+   * @returns {Array}
+   */
+  exportListing() {
+    return this.hydrateRounds(this.db.prepare(
+      'SELECT round_id, data FROM rounds WHERE listing_position IS NOT NULL ORDER BY listing_position'
+    ).all());
+  }
+
+  /**
+   * Every known funding round, newest first (funding-rounds-history.json)
+   * Rounds of the current listing come first in listing order, followed by older rounds by date.
+   * @returns {Array}
+   */
+  exportHistory() {
+    return this.hydrateRounds(this.db.prepare(`
+      SELECT round_id, data FROM rounds
+      ORDER BY listing_position IS NULL, listing_position, date_iso IS NULL, date_iso DESC, first_seen_at DESC
+    `).all());
+  }
+
+  /**
+   * Funding rounds with their project details (funding-rounds-detailed.json)
+   * @param {string[]|null} roundIds - Rounds to include in this order (default: the current listing)
+   * @returns {Array}
+   */
+  exportDetailedRounds(roundIds = null) {
+    let rounds;
+    if (roundIds) {
+      const query = this.db.prepare('SELECT round_id, data FROM rounds WHERE round_id = ?');
+      rounds = this.hydrateRounds(roundIds.map(roundId => query.get(roundId)).filter(Boolean));
+    } else {
+      rounds = this.exportListing();
+    }
+
+    const projectQuery = this.db.prepare('SELECT details, details_error FROM projects WHERE key = ?');
+    return rounds.map(round => {
+      const project = round.projectKey ? projectQuery.get(round.projectKey) : null;
+      return {
+        ...round,
+        details: project?.details ? JSON.parse(project.details) : null,
+        detailsError: project?.details_error || null
+      };
+    });
+  }
+
+  /**
+   * Most recent runs, newest first
+   * @param {number} limit - Number of runs
+   * @returns {Array} - scrape_runs rows
+   */
+  latestRuns(limit) {
+    return this.db.prepare('SELECT * FROM scrape_runs ORDER BY id DESC LIMIT ?').all(limit);
+  }
+
+  /**
+   * Row counts per table
+   * @returns {object} - Map of table -> row count
+   */
+  counts() {
+    const tables = ['funds', 'projects', 'rounds', 'round_investors', 'social_links', 'scrape_runs'];
+    return Object.fromEntries(tables.map(table => [
+      table,
+      this.db.prepare(`SELECT COUNT(*) AS count FROM ${table}`).get().count
+    ]));
+  }
+}
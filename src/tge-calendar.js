@@ -0,0 +1,265 @@
+/**
+ * TGE Calendar Export
+ *
+ * Builds an iCalendar feed of upcoming token generation events from
+ * funding-rounds-detailed.json:
+ * 1. Groups funding rounds by project
+ * 2. Keeps projects whose TGE date (exact or estimated) has not passed
+ * 3. Writes one all-day event per project to tge-calendar.ics
+ *
+ * Estimated dates ("Q3 2026", "Sep 2026") are placed on the first day of the period
+ * and marked as estimated in the event title.
+ *
+ * Usage:
+ *   node src/tge-calendar.js
+ */
+
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { writeFileAtomic } from './atomic-write.js';
+import { outputPath } from './config.js';
+
+const INPUT_FILE = outputPath('funding-rounds-detailed.json');
+const OUTPUT_FILE = outputPath('tge-calendar.ics');
+const CALENDAR_NAME = 'CryptoRank Upcoming TGEs';
+const PRODUCT_ID = '-//cryptorank-vc-scraper//TGE Calendar//EN';
+const UID_DOMAIN = 'cryptorank-vc-scraper';
+
+// Length of each precision's period in months (used to decide whether a TGE is still upcoming)
+const PRECISION_MONTHS = { month: 1, quarter: 3, half: 6, year: 12 };
+
+/**
+ * Escape a value for an iCalendar TEXT property
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets as required by RFC 5545
+ * @param {string} line - Unfolded content line
+ * @returns {string}
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their 75 octets
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Format an ISO date (YYYY-MM-DD) as an iCalendar DATE value
+ * @param {string} dateISO - ISO date
+ * @returns {string} - YYYYMMDD
+ */
+function formatDate(dateISO) {
+  return dateISO.replace(/-/g, '');
+}
+
+/**
+ * Format a timestamp as an iCalendar UTC DATE-TIME value
+ * @param {Date} date - Timestamp
+ * @returns {string} - YYYYMMDDTHHMMSSZ
+ */
+function formatDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Add days or months to an ISO date
+ * @param {string} dateISO - ISO date
+ * @param {object} offset - { days, months }
+ * @returns {string} - ISO date
+ */
+function addToDate(dateISO, { days = 0, months = 0 }) {
+  const date = new Date(`${dateISO}T00:00:00Z`);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Last day covered by a (possibly estimated) TGE date
+ * @param {object} details - Project details with tgeDateISO and tgeDatePrecision
+ * @returns {string} - ISO date
+ */
+function tgePeriodEnd(details) {
+  const months = PRECISION_MONTHS[details.tgeDatePrecision];
+  if (!months) {
+    return details.tgeDateISO;
+  }
+  return addToDate(details.tgeDateISO, { months, days: -1 });
+}
+
+/**
+ * Collect upcoming TGEs, one per project, with the investors of all its rounds
+ * @param {Array} rounds - Rounds from funding-rounds-detailed.json
+ * @param {string} today - Today's ISO date
+ * @returns {Array} - Array of { projectKey, projectName, projectUrl, details, rounds, investors }
+ */
+function collectUpcomingTges(rounds, today) {
+  const projects = new Map();
+
+  for (const round of rounds) {
+    const details = round.details;
+    if (!round.projectKey || !details?.tgeDateISO) continue;
+    if (tgePeriodEnd(details) < today) continue;
+
+    if (!projects.has(round.projectKey)) {
+      projects.set(round.projectKey, {
+        projectKey: round.projectKey,
+        projectName: round.projectName || round.projectKey,
+        projectUrl: round.projectUrl || null,
+        details,
+        rounds: [],
+        investors: new Map()
+      });
+    }
+
+    const project = projects.get(round.projectKey);
+    project.rounds.push(round);
+    for (const investor of round.investors || []) {
+      const id = investor.key || investor.name;
+      if (id && !project.investors.has(id)) {
+        project.investors.set(id, investor.name || investor.key);
+      }
+    }
+  }
+
+  return Array.from(projects.values())
+    .map(project => ({ ...project, investors: Array.from(project.investors.values()) }))
+    .sort((a, b) => a.details.tgeDateISO.localeCompare(b.details.tgeDateISO));
+}
+
+/**
+ * Build the VEVENT lines for one project's TGE
+ * @param {object} tge - Entry from collectUpcomingTges
+ * @param {string} stamp - DTSTAMP value
+ * @returns {string[]} - Unfolded content lines
+ */
+function buildEvent(tge, stamp) {
+  const { details } = tge;
+  const symbol = details.tokenSymbol ? ` (${details.tokenSymbol})` : '';
+  const estimate = details.tgeDateEstimated ? ` - est. ${details.tgeDate}` : '';
+
+  const description = [
+    `TGE: ${details.tgeDate}${details.tgeDateEstimated ? ' (estimated)' : ''}`,
+    ...tge.rounds.map(round => {
+      const parts = [round.stage, round.raiseAmount, round.date].filter(Boolean);
+      return `Round: ${parts.join(' / ')}`;
+    }),
+    `Investors: ${tge.investors.length > 0 ? tge.investors.join(', ') : 'n/a'}`,
+    tge.projectUrl ? `CryptoRank: ${tge.projectUrl}` : null,
+    details.website ? `Website: ${details.website}` : null
+  ].filter(Boolean).join('\n');
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${tge.projectKey}-tge@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${formatDate(details.tgeDateISO)}`,
+    `DTEND;VALUE=DATE:${formatDate(addToDate(details.tgeDateISO, { days: 1 }))}`,
+    `SUMMARY:${escapeText(`${tge.projectName}${symbol} TGE${estimate}`)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    'CATEGORIES:TGE',
+    'TRANSP:TRANSPARENT'
+  ];
+  if (tge.projectUrl) {
+    lines.push(`URL:${tge.projectUrl}`);
+  }
+  lines.push('END:VEVENT');
+
+  return lines;
+}
+
+/**
+ * Build the full calendar document
+ * @param {Array} tges - Entries from collectUpcomingTges
+ * @param {Date} now - Generation timestamp
+ * @returns {string} - iCalendar text with CRLF line endings
+ */
+function buildCalendar(tges, now = new Date()) {
+  const stamp = formatDateTime(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(CALENDAR_NAME)}`,
+    ...tges.flatMap(tge => buildEvent(tge, stamp)),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Main execution function
+ */
+async function main() {
+  console.log('');
+  console.log('============================================');
+  console.log('  CryptoRank TGE Calendar Export');
+  console.log('============================================');
+  console.log('');
+
+  if (!existsSync(INPUT_FILE)) {
+    console.log(`    Input file not found: ${INPUT_FILE}`);
+    console.log('    Skipping TGE calendar export.');
+    return;
+  }
+
+  console.log(`[1] Reading: ${INPUT_FILE}`);
+  const data = JSON.parse(await readFile(INPUT_FILE, 'utf-8'));
+  if (!Array.isArray(data.data)) {
+    console.log('    Invalid data format');
+    return;
+  }
+  console.log(`    Loaded ${data.data.length} funding rounds`);
+  console.log('');
+
+  console.log('[2] Collecting upcoming TGEs...');
+  const today = new Date().toISOString().split('T')[0];
+  const tges = collectUpcomingTges(data.data, today);
+  const estimated = tges.filter(tge => tge.details.tgeDateEstimated).length;
+  console.log(`    Found ${tges.length} upcoming TGEs (${estimated} estimated)`);
+  console.log('');
+
+  console.log('[3] Writing calendar...');
+  await writeFileAtomic(OUTPUT_FILE, buildCalendar(tges));
+  console.log(`    Output saved to: ${OUTPUT_FILE}`);
+
+  console.log('');
+  console.log('============================================');
+  console.log('  Done!');
+  console.log('============================================');
+  console.log('');
+}
+
+// Run the main function
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
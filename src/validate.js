@@ -0,0 +1,98 @@
+/**
+ * Output Validation
+ *
+ * Checks the published JSON outputs against their JSON Schemas (see contracts.js and
+ * ./schemas) and prints the first problems of each file. Exits with code 1 if any file
+ * fails, so it can guard a deployment or a downstream import.
+ *
+ * Outputs written before schema versions existed fail on metadata.schemaVersion until
+ * their scraper runs again.
+ *
+ * Usage:
+ *   node src/validate.js                               # Every output present in output/
+ *   node src/validate.js --file ./output/funding-rounds.json
+ */
+
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { CONTRACT_DATASETS, validateOutput } from './contracts.js';
+import { outputPath } from './config.js';
+
+const OUTPUT_DIR = outputPath();
+const MAX_PRINTED_ERRORS = 10;
+
+/**
+ * Parse command line arguments
+ * @returns {object} - { files }
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  let files = CONTRACT_DATASETS.map(dataset => `${OUTPUT_DIR}/${dataset}`);
+
+  for (let i = 0; i < args.length; i++) {
+    if ((args[i] === '--file' || args[i] === '-f') && args[i + 1]) {
+      files = [args[i + 1]];
+      i++; // Skip next arg
+    }
+  }
+
+  return { files };
+}
+
+/**
+ * Main execution function
+ */
+async function main() {
+  const { files } = parseArgs();
+
+  console.log('');
+  console.log('============================================');
+  console.log('  CryptoRank Output Validation');
+  console.log('============================================');
+  console.log('');
+
+  console.log('[1] Validating outputs...');
+  let failed = 0;
+  for (const file of files) {
+    if (!existsSync(file)) {
+      console.log(`    ${file}: not found - skipped`);
+      continue;
+    }
+
+    let output;
+    try {
+      output = JSON.parse(await readFile(file, 'utf-8'));
+    } catch (error) {
+      failed++;
+      console.log(`    ${file}: INVALID JSON - ${error.message}`);
+      continue;
+    }
+
+    const { valid, schema, errors } = await validateOutput(file, output);
+    if (valid) {
+      console.log(`    ${file}: OK (${schema}, version ${output.metadata.schemaVersion})`);
+      continue;
+    }
+    failed++;
+    console.log(`    ${file}: FAILED ${schema} (${errors.length} errors)`);
+    for (const error of errors.slice(0, MAX_PRINTED_ERRORS)) {
+      console.log(`    - ${error.path} ${error.message}`);
+    }
+  }
+
+  console.log('');
+  console.log('============================================');
+  console.log(failed > 0 ? `  ${failed} file(s) failed validation` : '  Done!');
+  console.log('============================================');
+  console.log('');
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+// Run the main function
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
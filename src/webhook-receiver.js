@@ -0,0 +1,201 @@
+/**
+ * Webhook Receiver Stub
+ *
+ * Local HTTP endpoint for trying out notifications: logs every POST, checks the
+ * HMAC signature when a secret is given, and can fail the first requests to
+ * exercise the notifier's retries.
+ *
+ * Usage:
+ *   node src/webhook-receiver.js                       # Listen on port 4200
+ *   node src/webhook-receiver.js --secret s3cret       # Reject requests with a bad signature (401)
+ *   node src/webhook-receiver.js --fail 500:2          # First 2 requests return 500
+ *
+ * Point a webhook at it in notifications.json:
+ *   { "name": "local", "url": "http://localhost:4200/hook", "secret": "s3cret" }
+ */
+
+import http from 'http';
+import { timingSafeEqual } from 'crypto';
+import { pathToFileURL } from 'url';
+import { signPayload } from './notifier.js';
+
+const DEFAULT_PORT = 4200;
+
+/**
+ * WebhookReceiver class - records received webhook deliveries
+ */
+export class WebhookReceiver {
+  /**
+   * @param {object} options
+   * @param {string|null} options.secret - Shared secret for signature checks
+   * @param {number} options.failStatus - Status code for injected failures
+   * @param {number} options.failCount - Number of requests to fail before accepting
+   */
+  constructor(options = {}) {
+    this.secret = options.secret || null;
+    this.failStatus = options.failStatus || 500;
+    this.failCount = options.failCount || 0;
+    this.received = [];
+    this.server = null;
+  }
+
+  /**
+   * Check the signature headers of a request
+   * @param {object} headers - Request headers
+   * @param {string} body - Raw request body
+   * @returns {boolean}
+   */
+  verify(headers, body) {
+    const timestamp = headers['x-webhook-timestamp'];
+    const signature = headers['x-webhook-signature'];
+    if (!timestamp || !signature) {
+      return false;
+    }
+    const expected = Buffer.from(signPayload(this.secret, timestamp, body));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Handle an incoming request
+   * @param {object} req - HTTP request
+   * @param {object} res - HTTP response
+   */
+  handleRequest(req, res) {
+    if (req.method !== 'POST') {
+      res.writeHead(405);
+      res.end();
+      return;
+    }
+
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf-8');
+
+      if (this.failCount > 0) {
+        this.failCount--;
+        res.writeHead(this.failStatus);
+        res.end();
+        console.log(`    ${req.url} -> ${this.failStatus} (injected failure)`);
+        return;
+      }
+
+      const verified = this.secret ? this.verify(req.headers, body) : null;
+      if (verified === false) {
+        res.writeHead(401);
+        res.end('invalid signature');
+        console.log(`    ${req.url} -> 401 (invalid signature)`);
+        return;
+      }
+
+      let payload = null;
+      try {
+        payload = JSON.parse(body);
+      } catch (e) {
+        // Ignore invalid JSON, the raw body is still recorded
+      }
+      this.received.push({ path: req.url, headers: req.headers, body, payload, verified });
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true }));
+
+      const round = payload?.round;
+      const label = round ? `${round.projectName} ${round.stage || ''}`.trim() : (payload?.text || 'payload');
+      console.log(`    ${req.url} -> 200 ${label}${verified ? ' (signature OK)' : ''}`);
+    });
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - Port to listen on (0 picks a free port)
+   * @returns {Promise<string>} - Base URL of the running server
+   */
+  async listen(port = DEFAULT_PORT) {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, resolve);
+    });
+    return `http://localhost:${this.server.address().port}`;
+  }
+
+  /**
+   * Stop the server
+   */
+  async close() {
+    if (!this.server) return;
+    this.server.closeAllConnections();
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+}
+
+/**
+ * Parse command line arguments
+ * @returns {object} - { port, secret, failStatus, failCount }
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  let port = DEFAULT_PORT;
+  let secret = null;
+  let failStatus = 500;
+  let failCount = 0;
+
+  for (let i = 0; i < args.length; i++) {
+    if ((args[i] === '--port' || args[i] === '-p') && args[i + 1]) {
+      const parsed = parseInt(args[i + 1], 10);
+      if (!isNaN(parsed) && parsed >= 0) {
+        port = parsed;
+      }
+      i++; // Skip next arg
+    } else if (args[i] === '--secret' && args[i + 1]) {
+      secret = args[i + 1];
+      i++; // Skip next arg
+    } else if (args[i] === '--fail' && args[i + 1]) {
+      const [status, count] = args[i + 1].split(':').map(n => parseInt(n, 10));
+      if (!isNaN(status)) failStatus = status;
+      failCount = isNaN(count) ? 1 : count;
+      i++; // Skip next arg
+    }
+  }
+
+  return { port, secret, failStatus, failCount };
+}
+
+/**
+ * Main execution function
+ */
+async function main() {
+  const options = parseArgs();
+  const receiver = new WebhookReceiver(options);
+  const baseUrl = await receiver.listen(options.port);
+
+  console.log('');
+  console.log('============================================');
+  console.log('  Webhook Receiver');
+  console.log('============================================');
+  console.log(`  Listening on: ${baseUrl}`);
+  if (options.secret) {
+    console.log('  Signatures: required');
+  }
+  if (options.failCount > 0) {
+    console.log(`  Failure: first ${options.failCount} requests -> ${options.failStatus}`);
+  }
+  console.log('');
+
+  const shutdown = async () => {
+    await receiver.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+// Run the main function only when executed directly (not when imported)
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,94 @@
+/**
+ * Cron expression tests
+ *
+ * Usage:
+ *   npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Cron times are local; pin the zone so the expected times are the same everywhere
+process.env.TZ = 'UTC';
+
+const { parseCron, nextRun, runsBetween } = await import('../src/cron.js');
+
+/**
+ * Next run time as an ISO string
+ * @param {string} expression - Cron expression
+ * @param {string} after - ISO time
+ * @returns {string}
+ */
+function next(expression, after) {
+  return nextRun(parseCron(expression), new Date(after)).toISOString();
+}
+
+test('fields take lists, ranges and steps', () => {
+  const schedule = parseCron('*/15 0-6/2 1,15 * 1-5');
+  assert.deepEqual([...schedule.minute], [0, 15, 30, 45]);
+  assert.deepEqual([...schedule.hour], [0, 2, 4, 6]);
+  assert.deepEqual([...schedule.dayOfMonth], [1, 15]);
+  assert.equal(schedule.month.size, 12);
+  assert.deepEqual([...schedule.dayOfWeek], [1, 2, 3, 4, 5]);
+});
+
+test('a single value with a step runs to the end of the range', () => {
+  assert.deepEqual([...parseCron('50/5 * * * *').minute], [50, 55]);
+});
+
+test('day of week 7 is Sunday', () => {
+  assert.deepEqual([...parseCron('0 0 * * 7').dayOfWeek], [0]);
+  assert.equal(next('0 0 * * 7', '2026-10-19T12:00:00Z'), '2026-10-25T00:00:00.000Z');
+});
+
+test('invalid expressions are rejected', () => {
+  assert.throws(() => parseCron('* * * *'), /expected 5 fields, got 4/);
+  assert.throws(() => parseCron('60 * * * *'), /Invalid minute "60"/);
+  assert.throws(() => parseCron('* 5-2 * * *'), /Invalid hour "5-2"/);
+  assert.throws(() => parseCron('* * * * mon'), /Invalid dayOfWeek "mon"/);
+  assert.throws(() => parseCron('*/0 * * * *'), /Invalid minute/);
+});
+
+test('macros expand to their expressions', () => {
+  const after = '2026-10-19T12:34:00Z';
+  assert.equal(next('@hourly', after), '2026-10-19T13:00:00.000Z');
+  assert.equal(next('@daily', after), '2026-10-20T00:00:00.000Z');
+  assert.equal(next('@weekly', after), '2026-10-25T00:00:00.000Z');
+  assert.equal(next('@monthly', after), '2026-11-01T00:00:00.000Z');
+  assert.equal(next('@yearly', after), '2027-01-01T00:00:00.000Z');
+  assert.equal(parseCron('@daily').expression, '@daily');
+});
+
+test('the next run is strictly after the reference time', () => {
+  assert.equal(next('0 */4 * * *', '2026-10-19T04:00:00Z'), '2026-10-19T08:00:00.000Z');
+  assert.equal(next('0 */4 * * *', '2026-10-19T03:59:30Z'), '2026-10-19T04:00:00.000Z');
+});
+
+test('restricted day of month and day of week match either', () => {
+  // The 13th or any Friday: Friday Oct 23 comes before Nov 13
+  assert.equal(next('0 0 13 * 5', '2026-10-19T00:00:00Z'), '2026-10-23T00:00:00.000Z');
+  assert.equal(next('0 0 13 * 5', '2026-11-08T00:00:00Z'), '2026-11-13T00:00:00.000Z');
+});
+
+test('a day field starting with * combines with the other one', () => {
+  assert.equal(next('0 0 * * 5', '2026-10-24T00:00:00Z'), '2026-10-30T00:00:00.000Z');
+  // Odd days that are Fridays: Oct 30 and Nov 6 are even
+  assert.equal(next('0 0 */2 * 5', '2026-10-24T00:00:00Z'), '2026-11-13T00:00:00.000Z');
+});
+
+test('an expression that never matches throws', () => {
+  assert.throws(() => next('0 0 30 2 *', '2026-10-19T00:00:00Z'), /no run time in the next 5 years/);
+});
+
+test('runsBetween counts the run times of a missed window', () => {
+  const schedule = parseCron('0 */4 * * *');
+  const after = new Date('2026-10-19T00:00:00Z');
+
+  const missed = runsBetween(schedule, after, new Date('2026-10-19T13:30:00Z'));
+  assert.equal(missed.count, 3);
+  assert.equal(missed.last.toISOString(), '2026-10-19T12:00:00.000Z');
+
+  // The start is exclusive, the end inclusive
+  assert.equal(runsBetween(schedule, after, new Date('2026-10-19T16:00:00Z')).count, 4);
+  assert.deepEqual(runsBetween(schedule, after, new Date('2026-10-19T03:59:00Z')), { count: 0, last: null });
+});
@@ -0,0 +1,26 @@
+/**
+ * Exporter tests
+ *
+ * Usage:
+ *   npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { csvCell } from '../src/exporters.js';
+
+test('text that spreadsheets would run as a formula is escaped', () => {
+  assert.equal(csvCell('=HYPERLINK("http://x","y")'), `"'=HYPERLINK(""http://x"",""y"")"`);
+  assert.equal(csvCell('+1 Ventures'), "'+1 Ventures");
+  assert.equal(csvCell('-'), "'-");
+  assert.equal(csvCell('@handle'), "'@handle");
+  assert.equal(csvCell('\tTab'), "'\tTab");
+});
+
+test('numbers and plain text are written as they are', () => {
+  assert.equal(csvCell(-5), '-5');
+  assert.equal(csvCell(1500000), '1500000');
+  assert.equal(csvCell('Paradigm'), 'Paradigm');
+  assert.equal(csvCell('a, b'), '"a, b"');
+  assert.equal(csvCell(null), '');
+});
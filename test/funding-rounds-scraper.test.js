@@ -0,0 +1,53 @@
+/**
+ * Funding rounds scraper tests
+ * Runs the DOM extractors against small jsdom documents.
+ *
+ * Usage:
+ *   npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { extractRoundInvestorsFromDocument } from '../src/funding-rounds-scraper.js';
+
+/**
+ * Project page with one table row per round
+ * @param {Array} rounds - [{ stage, amount, investors: [key] }]
+ * @returns {object} - DOM document
+ */
+function roundsPage(rounds) {
+  const rows = rounds.map(round => {
+    const links = round.investors.map(key => `<a href="/funds/${key}">${key.toUpperCase()}</a>`).join(' ');
+    return `<tr><td>${round.stage}</td><td>${round.amount}</td><td>${links}</td></tr>`;
+  });
+  return new JSDOM(`<table><tbody>${rows.join('')}</tbody></table>`, { url: 'https://cryptorank.io/price/alpha' })
+    .window.document;
+}
+
+test('stage matches the start of the stage label only', () => {
+  const doc = roundsPage([
+    { stage: 'Pre-Seed', amount: '-', investors: ['a'] },
+    { stage: 'Seed Round', amount: '-', investors: ['b', 'c'] }
+  ]);
+
+  const investors = extractRoundInvestorsFromDocument(doc, 'Seed', '-');
+  assert.deepEqual(investors.map(investor => investor.key), ['b', 'c']);
+});
+
+test('stage and amount together pick the round', () => {
+  const doc = roundsPage([
+    { stage: 'Seed', amount: '$2M', investors: ['a'] },
+    { stage: 'Seed', amount: '$5M', investors: ['b'] },
+    { stage: 'Series A', amount: '$5M', investors: ['c'] }
+  ]);
+
+  const investors = extractRoundInvestorsFromDocument(doc, 'seed', '$5M');
+  assert.deepEqual(investors.map(investor => investor.key), ['b']);
+});
+
+test('no round with the stage gives no investors', () => {
+  const doc = roundsPage([{ stage: 'Pre-Seed', amount: '-', investors: ['a'] }]);
+
+  assert.deepEqual(extractRoundInvestorsFromDocument(doc, 'Seed', '-'), []);
+});
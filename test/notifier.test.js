@@ -0,0 +1,244 @@
+/**
+ * Notifier tests
+ * Delivers rounds to a local WebhookReceiver (port 0) with the dedupe store in a temp output dir.
+ *
+ * Usage:
+ *   npm test
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, readFile } from 'fs/promises';
+import { existsSync, readFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The output dir is resolved when config.js is first imported
+const OUTPUT_DIR = await mkdtemp(path.join(os.tmpdir(), 'notifier-test-'));
+process.env.SCRAPER_OUTPUT_DIR = OUTPUT_DIR;
+const DEDUPE_FILE = path.join(OUTPUT_DIR, 'notified-rounds.json');
+
+const { notifyRounds } = await import('../src/notifier.js');
+const { WebhookReceiver } = await import('../src/webhook-receiver.js');
+
+const SECRET = 's3cret';
+const receiver = new WebhookReceiver();
+let baseUrl;
+
+/**
+ * Funding round with the fields the notifier reads
+ * @param {object} fields - Fields to override
+ * @returns {object}
+ */
+function makeRound(fields = {}) {
+  return {
+    roundId: `id-${fields.projectKey || 'alpha'}-${fields.raiseAmountRaw ?? 'x'}`,
+    projectKey: 'alpha',
+    projectName: 'Alpha',
+    stage: 'Seed',
+    date: 'Sep 28, 2026',
+    dateISO: '2026-09-28',
+    raiseAmount: '$5M',
+    raiseAmountRaw: 5000000,
+    categories: [],
+    investors: [{ name: 'Small Fund', key: 'small-fund', tier: 3 }],
+    ...fields
+  };
+}
+
+/**
+ * Config with one rule and one webhook pointing at the receiver
+ * @param {object} rule - Rule conditions
+ * @param {object} webhook - Webhook fields to override
+ * @returns {object}
+ */
+function makeConfig(rule = {}, webhook = {}) {
+  return {
+    rules: [{ name: 'rule', ...rule }],
+    webhooks: [{ name: 'local', url: `${baseUrl}/hook`, format: 'json', ...webhook }]
+  };
+}
+
+/**
+ * Create an empty dedupe store, so the next run sends instead of bootstrapping
+ */
+async function bootstrap() {
+  await notifyRounds([], makeConfig());
+}
+
+/**
+ * Project keys of the rounds the receiver got
+ * @returns {string[]}
+ */
+function receivedProjects() {
+  return receiver.received.map(request => request.payload.round.projectKey);
+}
+
+before(async () => {
+  baseUrl = await receiver.listen(0);
+});
+
+after(async () => {
+  await receiver.close();
+  await rm(OUTPUT_DIR, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  await rm(DEDUPE_FILE, { force: true });
+  receiver.received = [];
+  receiver.secret = null;
+  receiver.failStatus = 500;
+  receiver.failCount = 0;
+});
+
+test('first run records matches without sending them', async () => {
+  const rounds = [makeRound()];
+
+  const first = await notifyRounds(rounds, makeConfig());
+  assert.equal(first.bootstrap, true);
+  assert.equal(first.matched, 1);
+  assert.equal(first.sent, 0);
+  assert.ok(existsSync(DEDUPE_FILE));
+
+  const second = await notifyRounds(rounds, makeConfig());
+  assert.equal(second.bootstrap, false);
+  assert.equal(second.skipped, 1);
+  assert.equal(receiver.received.length, 0);
+});
+
+test('tier1Investor rule needs a tier 1 investor', async () => {
+  await bootstrap();
+  const rounds = [
+    makeRound({ projectKey: 'tier1', investors: [{ name: 'Paradigm', key: 'paradigm', tier: 1 }] }),
+    makeRound({ projectKey: 'tier3' })
+  ];
+
+  const stats = await notifyRounds(rounds, makeConfig({ tier1Investor: true }));
+  assert.equal(stats.sent, 1);
+  assert.deepEqual(receivedProjects(), ['tier1']);
+});
+
+test('minRaise rule skips smaller and undisclosed amounts', async () => {
+  await bootstrap();
+  const rounds = [
+    makeRound({ projectKey: 'large', raiseAmountRaw: 20000000 }),
+    makeRound({ projectKey: 'small', raiseAmountRaw: 1000000 }),
+    makeRound({ projectKey: 'undisclosed', raiseAmount: null, raiseAmountRaw: null })
+  ];
+
+  await notifyRounds(rounds, makeConfig({ minRaise: 10000000 }));
+  assert.deepEqual(receivedProjects(), ['large']);
+});
+
+test('stages and categories rules compare case-insensitively', async () => {
+  await bootstrap();
+  const rounds = [
+    makeRound({ projectKey: 'ai-seed', stage: 'seed', categories: ['AI'] }),
+    makeRound({ projectKey: 'ai-series-b', stage: 'Series B', categories: ['ai'] }),
+    makeRound({ projectKey: 'defi-seed', stage: 'Seed', categories: ['DeFi'] })
+  ];
+
+  await notifyRounds(rounds, makeConfig({ stages: ['Seed', 'Series A'], categories: ['ai'] }));
+  assert.deepEqual(receivedProjects(), ['ai-seed']);
+});
+
+test('deliveries are signed with the webhook secret', async () => {
+  await bootstrap();
+  receiver.secret = SECRET;
+
+  const stats = await notifyRounds([makeRound()], makeConfig({}, { secret: SECRET }));
+  assert.equal(stats.sent, 1);
+  assert.equal(receiver.received[0].verified, true);
+  assert.match(receiver.received[0].headers['x-webhook-signature'], /^sha256=[0-9a-f]{64}$/);
+});
+
+test('a wrong secret is rejected and not retried', async () => {
+  await bootstrap();
+  receiver.secret = SECRET;
+
+  const stats = await notifyRounds([makeRound()], makeConfig({}, { secret: 'wrong' }));
+  assert.equal(stats.sent, 0);
+  assert.equal(stats.failed, 1);
+  assert.equal(receiver.received.length, 0);
+});
+
+test('5xx responses are retried', async () => {
+  await bootstrap();
+  receiver.failCount = 2;
+
+  const stats = await notifyRounds([makeRound()], makeConfig());
+  assert.equal(stats.sent, 1);
+  assert.equal(receiver.failCount, 0);
+  assert.equal(receiver.received.length, 1);
+});
+
+test('4xx responses give up without retrying', async () => {
+  await bootstrap();
+  receiver.failStatus = 400;
+  receiver.failCount = 3;
+
+  const stats = await notifyRounds([makeRound()], makeConfig());
+  assert.equal(stats.failed, 1);
+  assert.equal(receiver.failCount, 2);
+  assert.equal(receiver.received.length, 0);
+});
+
+test('a failed delivery is sent on the next run', async () => {
+  await bootstrap();
+  receiver.failStatus = 400;
+  receiver.failCount = 1;
+
+  await notifyRounds([makeRound()], makeConfig());
+  const stats = await notifyRounds([makeRound()], makeConfig());
+  assert.equal(stats.sent, 1);
+  assert.equal(receiver.received.length, 1);
+});
+
+test('a delivered round is not sent twice', async () => {
+  await bootstrap();
+  const config = makeConfig();
+
+  await notifyRounds([makeRound()], config);
+  const stats = await notifyRounds([makeRound()], config);
+  assert.equal(stats.sent, 0);
+  assert.equal(stats.skipped, 1);
+  assert.equal(receiver.received.length, 1);
+});
+
+test('a round whose amount is disclosed later is not sent again', async () => {
+  await bootstrap();
+  const config = makeConfig();
+  const undisclosed = makeRound({ raiseAmount: null, raiseAmountRaw: null });
+  const disclosed = makeRound({ raiseAmount: '$5M', raiseAmountRaw: 5000000 });
+  assert.notEqual(undisclosed.roundId, disclosed.roundId);
+
+  await notifyRounds([undisclosed], config);
+  await notifyRounds([disclosed], config);
+  assert.equal(receiver.received.length, 1);
+});
+
+test('each delivery is recorded before the next one is sent', async () => {
+  await bootstrap();
+  const stored = [];
+  const config = makeConfig();
+  config.webhooks.push({ name: 'second', url: `${baseUrl}/second`, format: 'json' });
+  // Read the store while the second webhook's request comes in
+  receiver.handleRequest = (req, res) => {
+    if (req.url === '/second') {
+      stored.push(JSON.parse(readFileSync(DEDUPE_FILE, 'utf-8')).data);
+    }
+    WebhookReceiver.prototype.handleRequest.call(receiver, req, res);
+  };
+
+  try {
+    await notifyRounds([makeRound()], config);
+  } finally {
+    delete receiver.handleRequest;
+  }
+  const record = Object.values(stored[0])[0];
+  assert.ok(record.delivered.local);
+  assert.equal(record.delivered.second, undefined);
+
+  const json = JSON.parse(await readFile(DEDUPE_FILE, 'utf-8'));
+  assert.ok(Object.values(json.data)[0].delivered.second);
+});
@@ -0,0 +1,54 @@
+/**
+ * Project details scraper tests
+ * Runs the DOM extractor against small jsdom documents.
+ *
+ * Usage:
+ *   npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { extractDetailsFromDocument } from '../src/project-details-scraper.js';
+
+/**
+ * Project page with one funding round whose investors cell holds the given HTML
+ * @param {string} investorsHtml - Contents of the investors cell
+ * @returns {object} - DOM document
+ */
+function projectPage(investorsHtml) {
+  const html = `
+    <table>
+      <thead><tr><th>Date</th><th>Stage</th><th>Raised</th><th>Investors</th></tr></thead>
+      <tbody><tr><td>Sep 28, 2026</td><td>Seed</td><td>$5M</td><td>${investorsHtml}</td></tr></tbody>
+    </table>`;
+  return new JSDOM(html, { url: 'https://cryptorank.io/price/alpha' }).window.document;
+}
+
+/**
+ * Keys of the lead investors of the page's first round
+ * @param {string} investorsHtml - Contents of the investors cell
+ * @returns {string[]}
+ */
+function leadKeys(investorsHtml) {
+  const details = extractDetailsFromDocument(projectPage(investorsHtml));
+  return details.rounds[0].leadInvestors.map(investor => investor.key);
+}
+
+test('an investor with a "Lead" badge is a lead', () => {
+  const html = '<span><a href="/funds/paradigm">Paradigm</a><span>Lead</span></span>' +
+    '<span><a href="/funds/a16z">a16z</a></span>';
+  assert.deepEqual(leadKeys(html), ['paradigm']);
+});
+
+test('a fund named "Lead ..." is not a lead without a badge', () => {
+  const html = '<span><a href="/funds/lead-ventures">Lead Ventures</a></span>' +
+    '<span><a href="/funds/lead-block">Lead Block</a><span>Lead</span></span>';
+  assert.deepEqual(leadKeys(html), ['lead-block']);
+});
+
+test('a wrapper with a lead class marks a lead', () => {
+  const html = '<span class="investor_lead"><a href="/funds/paradigm">Paradigm</a></span>' +
+    '<span><a href="/funds/a16z">a16z</a></span>';
+  assert.deepEqual(leadKeys(html), ['paradigm']);
+});
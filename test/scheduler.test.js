@@ -0,0 +1,162 @@
+/**
+ * Scheduler tests
+ * Covers schedule loading, due steps after a missed window and the paths where a run
+ * starts no pipeline step (blocked dependencies, run lock held). State and lock live in
+ * a temp output dir.
+ *
+ * Usage:
+ *   npm test
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile, readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Cron times are local; the output dir is resolved when config.js is first imported
+process.env.TZ = 'UTC';
+const OUTPUT_DIR = await mkdtemp(path.join(os.tmpdir(), 'scheduler-test-'));
+process.env.SCRAPER_OUTPUT_DIR = OUTPUT_DIR;
+
+const { Scheduler, loadSchedule, DEFAULT_CRON } = await import('../src/scheduler.js');
+const { RunLock } = await import('../src/run-lock.js');
+const { RUNS_DIR } = await import('../src/pipeline.js');
+
+let stateCount = 0;
+
+/**
+ * Write a schedule file
+ * @param {object} config - Schedule config
+ * @returns {Promise<string>} - Path of the file
+ */
+async function writeSchedule(config) {
+  const file = path.join(OUTPUT_DIR, `schedule-${++stateCount}.json`);
+  await writeFile(file, JSON.stringify(config));
+  return file;
+}
+
+/**
+ * Scheduler for some steps with its own state file
+ * @param {object} steps - Step name -> cron expression (unlisted steps are not scheduled)
+ * @returns {Promise<Scheduler>}
+ */
+async function makeScheduler(steps) {
+  const names = ['funding-rounds', 'project-details', 'notify', 'tge-calendar', 'analytics', 'category-trends',
+    'generate-test-data', 'tier1', 'tier2', 'snapshot', 'diff'];
+  const configured = Object.fromEntries(names.map(name => [name, steps[name] ?? null]));
+  const schedule = await loadSchedule(await writeSchedule({ steps: configured }));
+  return new Scheduler({ steps: schedule.steps, stateFile: path.join(OUTPUT_DIR, `state-${++stateCount}.json`) });
+}
+
+before(() => {
+  // Keep the scheduler's log lines out of the test report
+  test.mock.method(console, 'log', () => {});
+});
+
+after(async () => {
+  await rm(OUTPUT_DIR, { recursive: true, force: true });
+});
+
+test('loadSchedule fills in the default and drops null steps', async () => {
+  const schedule = await loadSchedule(await writeSchedule({ steps: { tier2: '@weekly', diff: null } }));
+  const crons = Object.fromEntries(schedule.steps.map(step => [step.name, step.cron]));
+
+  assert.equal(crons.tier2, '@weekly');
+  assert.equal(crons['funding-rounds'], DEFAULT_CRON);
+  assert.equal('diff' in crons, false);
+  assert.equal(schedule.catchUp, true);
+});
+
+test('loadSchedule rejects unknown steps and invalid expressions', async () => {
+  await assert.rejects(loadSchedule(await writeSchedule({ steps: { scrape: '@daily' } })), /Unknown step\(s\) scrape/);
+  await assert.rejects(loadSchedule(await writeSchedule({ steps: { tier1: '61 * * * *' } })), /Step tier1 .*Invalid minute/);
+});
+
+test('dueSteps: a step that never ran is due at once', async () => {
+  const scheduler = await makeScheduler({ tier1: '30 2 * * *' });
+  const now = new Date('2026-10-19T12:00:00Z');
+
+  assert.deepEqual(scheduler.dueSteps(now), [{ name: 'tier1', scheduledAt: now, missed: 1, previousScheduledAt: null }]);
+});
+
+test('dueSteps: a missed window runs once, at its last run time', async () => {
+  const scheduler = await makeScheduler({ 'funding-rounds': '0 */4 * * *', tier2: '30 3 * * 0' });
+  scheduler.stepState('funding-rounds').lastScheduledAt = '2026-10-19T00:00:00.000Z';
+  scheduler.stepState('tier2').lastScheduledAt = '2026-10-18T03:30:00.000Z';
+
+  const due = scheduler.dueSteps(new Date('2026-10-19T13:30:00Z'));
+  assert.equal(due.length, 1);
+  assert.equal(due[0].name, 'funding-rounds');
+  assert.equal(due[0].missed, 3);
+  assert.equal(due[0].scheduledAt.toISOString(), '2026-10-19T12:00:00.000Z');
+  assert.equal(due[0].previousScheduledAt, '2026-10-19T00:00:00.000Z');
+});
+
+test('blockedSteps: a dependency that did not succeed blocks its dependents', async () => {
+  const scheduler = await makeScheduler({
+    'funding-rounds': '0 */4 * * *', 'project-details': '15 */4 * * *', notify: '45 */4 * * *', tier1: '30 2 * * *'
+  });
+  scheduler.stepState('funding-rounds').lastStatus = 'failed';
+
+  const blocked = scheduler.blockedSteps(['project-details', 'notify', 'tier1'].map(name => ({ name })));
+  assert.deepEqual(Object.fromEntries(blocked), {
+    'project-details': 'dependency funding-rounds last failed',
+    notify: 'dependency project-details skipped'
+  });
+});
+
+test('blockedSteps: dependencies in the same run or not scheduled do not block', async () => {
+  const scheduler = await makeScheduler({ 'funding-rounds': '0 */4 * * *', 'project-details': '15 */4 * * *', analytics: '0 6 * * *' });
+  scheduler.stepState('funding-rounds').lastStatus = 'failed';
+
+  assert.equal(scheduler.blockedSteps([{ name: 'funding-rounds' }, { name: 'project-details' }]).size, 0);
+
+  const unscheduled = await makeScheduler({ notify: '45 */4 * * *' });
+  assert.equal(unscheduled.blockedSteps([{ name: 'notify' }]).size, 0);
+});
+
+test('blockedSteps: a dependency that has not run yet blocks', async () => {
+  const scheduler = await makeScheduler({ 'funding-rounds': '0 */4 * * *', 'project-details': '15 */4 * * *' });
+
+  const blocked = scheduler.blockedSteps([{ name: 'project-details' }]);
+  assert.equal(blocked.get('project-details'), 'dependency funding-rounds has not run yet');
+});
+
+test('run: blocked steps are recorded as skipped without starting a pipeline', async () => {
+  const scheduler = await makeScheduler({ 'funding-rounds': '0 */4 * * *', 'project-details': '15 */4 * * *' });
+  scheduler.stepState('funding-rounds').lastStatus = 'failed';
+
+  await scheduler.run([{ name: 'project-details', scheduledAt: new Date(), missed: 1, previousScheduledAt: null }], 'schedule');
+
+  const state = JSON.parse(await readFile(scheduler.stateFile, 'utf-8'));
+  assert.equal(state.steps['project-details'].lastStatus, 'skipped');
+  assert.equal(state.steps['project-details'].lastReason, 'dependency funding-rounds last failed');
+  assert.equal(existsSync(RUNS_DIR), false);
+});
+
+test('run: steps of a run refused by the lock are retried on the next tick', async () => {
+  const scheduler = await makeScheduler({ tier2: '30 3 * * 0' });
+  const previous = '2026-10-11T03:30:00.000Z';
+  const scheduledAt = new Date('2026-10-18T03:30:00Z');
+  scheduler.stepState('tier2').lastScheduledAt = scheduledAt.toISOString();
+
+  // A manual run holds the lock
+  const lock = new RunLock({ command: 'manual' });
+  await lock.acquire();
+  try {
+    await scheduler.run([{ name: 'tier2', scheduledAt, missed: 1, previousScheduledAt: previous }], 'schedule');
+  } finally {
+    lock.release();
+  }
+
+  const entry = scheduler.stepState('tier2');
+  assert.equal(entry.lastStatus, 'not-started');
+  assert.match(entry.lastReason, /Another run holds/);
+  assert.equal(entry.lastScheduledAt, previous);
+
+  const due = scheduler.dueSteps(new Date('2026-10-18T03:31:00Z'));
+  assert.deepEqual(due.map(item => item.name), ['tier2']);
+  assert.equal(existsSync(RUNS_DIR), false);
+});